@@ -1,7 +1,8 @@
 /**
  * Analytics Analysis Block
  *
- * AI-powered content analysis with scores and suggestions.
+ * AI-powered content analysis with scores and suggestions, plus a timeline of
+ * past runs (manual and scheduled) showing what changed between them.
  */
 
 const ANALYTICS_ENDPOINT = 'https://vitamix-analytics.paolo-moz.workers.dev';
@@ -487,6 +488,159 @@ function displayAnalysisResults(block, analysis, cached = false) {
   }
 }
 
+const TIMELINE_SCORES = [
+  ['overallScore', 'Overall'],
+  ['contentScore', 'Content'],
+  ['layoutScore', 'Layout'],
+  ['conversionScore', 'Conversion'],
+];
+
+/**
+ * Create the score chips of a timeline entry, with the change since the previous run
+ */
+function createTimelineScores(run) {
+  const scores = document.createElement('div');
+  scores.className = 'timeline-scores';
+
+  TIMELINE_SCORES.forEach(([key, label]) => {
+    const delta = run.diff?.scoreChanges?.[key]?.delta;
+    const chip = document.createElement('span');
+    chip.className = 'timeline-score';
+    chip.textContent = `${label} ${run.scores[key]}`;
+
+    if (delta !== null && delta !== undefined) {
+      const change = document.createElement('span');
+      change.className = `score-delta ${delta > 0 ? 'up' : ''}${delta < 0 ? 'down' : ''}`;
+      change.textContent = delta > 0 ? `+${delta}` : `${delta}`;
+      chip.append(' ', change);
+    }
+    scores.appendChild(chip);
+  });
+
+  return scores;
+}
+
+/**
+ * Create one group of changes (e.g. resolved issues); null when empty
+ */
+function createTimelineGroup(title, className, items) {
+  if (!items || items.length === 0) return null;
+
+  const group = document.createElement('div');
+  group.className = `timeline-group ${className}`;
+
+  const heading = document.createElement('h5');
+  heading.textContent = `${title} (${items.length})`;
+
+  const list = document.createElement('ul');
+  items.forEach((text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    list.appendChild(li);
+  });
+
+  group.append(heading, list);
+  return group;
+}
+
+/**
+ * Create a timeline entry for one analysis run
+ */
+function createTimelineEntry(run) {
+  const { diff } = run;
+  const entry = document.createElement('li');
+  entry.className = 'timeline-entry';
+
+  const header = document.createElement('div');
+  header.className = 'timeline-header';
+
+  const date = document.createElement('time');
+  date.dateTime = new Date(run.timestamp).toISOString();
+  date.textContent = new Date(run.timestamp).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+
+  const trigger = document.createElement('span');
+  trigger.className = `timeline-trigger ${run.trigger === 'manual' ? 'manual' : 'scheduled'}`;
+  trigger.textContent = run.trigger === 'manual' ? 'Manual' : 'Scheduled';
+
+  const pages = document.createElement('span');
+  pages.className = 'timeline-pages';
+  pages.textContent = `${run.pagesAnalyzed} pages`;
+
+  header.append(date, trigger, pages);
+  entry.append(header, createTimelineScores(run));
+
+  if (!diff.previousRunId) {
+    const first = document.createElement('p');
+    first.className = 'timeline-first';
+    first.textContent = 'First recorded run';
+    entry.appendChild(first);
+    return entry;
+  }
+
+  const groups = [
+    createTimelineGroup('New issues', 'new', diff.newIssues),
+    createTimelineGroup(
+      'Recurring issues',
+      'recurring',
+      diff.recurringIssues.map(({ text, runs }) => `${text} (${runs} runs in a row)`),
+    ),
+    createTimelineGroup('Resolved issues', 'resolved', diff.resolvedIssues),
+    createTimelineGroup(
+      'Resolved suggestions',
+      'resolved',
+      diff.resolvedSuggestions.map(({ text, category }) => `${text} (${category})`),
+    ),
+  ].filter(Boolean);
+
+  if (groups.length === 0) {
+    const unchanged = document.createElement('p');
+    unchanged.className = 'timeline-first';
+    unchanged.textContent = 'No changes in issues or suggestions';
+    entry.appendChild(unchanged);
+  } else {
+    const changes = document.createElement('div');
+    changes.className = 'timeline-changes';
+    changes.append(...groups);
+    entry.appendChild(changes);
+  }
+
+  return entry;
+}
+
+/**
+ * Load the history of analysis runs into the timeline
+ */
+async function loadAnalysisHistory(block) {
+  const timeline = block.querySelector('.analysis-timeline');
+
+  try {
+    const response = await fetch(`${ANALYTICS_ENDPOINT}/api/analytics/analysis/history?limit=10`);
+    if (!response.ok) throw new Error('Failed to load analysis history');
+
+    const { runs } = await response.json();
+    timeline.innerHTML = '';
+    if (!runs || runs.length === 0) return;
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Analysis History';
+
+    const description = document.createElement('p');
+    description.className = 'section-description';
+    description.textContent = 'Scheduled and manual runs, newest first, with what changed since the run before.';
+
+    const list = document.createElement('ol');
+    list.className = 'timeline-list';
+    runs.forEach((run) => list.appendChild(createTimelineEntry(run)));
+
+    timeline.append(heading, description, list);
+  } catch (error) {
+    console.error('[Analytics] Failed to load analysis history:', error);
+  }
+}
+
 /**
  * Load last analysis info and display results if available
  */
@@ -548,6 +702,7 @@ async function runAnalysis(block, force = false) {
     }
 
     displayAnalysisResults(block, data.analysis, data.cached);
+    if (!data.cached) loadAnalysisHistory(block);
   } catch (error) {
     console.error('[Analytics] Analysis failed:', error);
     analysisResults.innerHTML = `
@@ -572,11 +727,12 @@ export default async function decorate(block) {
       <p>Loading...</p>
     </div>
     <button class="run-analysis-btn">Run Analysis</button>
-    <p class="analysis-note">Analyzes up to 100 recent queries and their generated pages. Available once per hour.</p>
+    <p class="analysis-note">Analyzes up to 100 recent queries and their generated pages. Available once per hour; also runs on a schedule.</p>
     <div class="analysis-results"></div>
+    <div class="analysis-timeline"></div>
   `;
 
-  await loadAnalysisInfo(block);
+  await Promise.all([loadAnalysisInfo(block), loadAnalysisHistory(block)]);
 
   const analysisButton = block.querySelector('.run-analysis-btn');
   // Shift+click to force a new analysis (bypass rate limit for dev)
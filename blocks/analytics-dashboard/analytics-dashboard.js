@@ -6,6 +6,21 @@
 
 const ANALYTICS_ENDPOINT = 'https://vitamix-analytics.paolo-moz.workers.dev';
 
+const FUNNEL_LABELS = {
+  session: 'Sessions',
+  query: 'Asked a Query',
+  page_published: 'Page Published',
+  cta_click: 'Clicked a CTA',
+  conversion: 'Converted',
+};
+
+const ATTRIBUTION_LABELS = {
+  intent: 'Intent',
+  journeyStage: 'Journey Stage',
+  blockType: 'Block Type',
+  preset: 'Preset',
+};
+
 /**
  * Format a number with commas
  */
@@ -20,6 +35,14 @@ function formatPercent(num) {
   return `${(num || 0).toFixed(1)}%`;
 }
 
+/**
+ * Format a USD cost; sub-cent values keep more precision
+ */
+function formatCost(num) {
+  const value = num || 0;
+  return `$${value < 0.01 && value > 0 ? value.toFixed(4) : value.toFixed(2)}`;
+}
+
 /**
  * Format a timestamp as relative time
  */
@@ -103,6 +126,92 @@ function createPagesList(title, pages, className) {
   return container;
 }
 
+/**
+ * Create the funnel chart: one bar per step, sized by share of all sessions
+ */
+function createFunnelChart(steps) {
+  const chart = document.createElement('div');
+  chart.className = 'funnel-chart';
+  chart.innerHTML = steps.map((step, index) => `
+    <div class="funnel-step">
+      <div class="funnel-label">${FUNNEL_LABELS[step.stage] || step.stage}</div>
+      <div class="funnel-bar-track">
+        <div class="funnel-bar" style="width: ${Math.max(step.rate, 1)}%"></div>
+      </div>
+      <div class="funnel-value">
+        ${formatNumber(step.sessions)} <span class="funnel-rate">(${formatPercent(step.rate)})</span>
+        ${index > 0 ? `<span class="funnel-drop">-${formatPercent(step.dropOff)}</span>` : ''}
+      </div>
+    </div>
+  `).join('');
+  return chart;
+}
+
+/**
+ * Create an attribution table for one dimension
+ */
+function createAttributionTable(dimension, rows) {
+  const container = document.createElement('div');
+  container.className = 'attribution-table';
+  container.innerHTML = `
+    <h4>${ATTRIBUTION_LABELS[dimension] || dimension}</h4>
+    ${rows.length > 0 ? `
+      <table>
+        <thead>
+          <tr><th></th><th>Conversions</th><th>Conv. Rate</th><th>Share</th></tr>
+        </thead>
+        <tbody>
+          ${rows.slice(0, 8).map((row) => `
+            <tr>
+              <td>${row.value}</td>
+              <td>${formatNumber(row.conversions)}</td>
+              <td>${formatPercent(row.conversionRate)}</td>
+              <td>${formatPercent(row.share)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : '<p class="no-data">No conversions yet</p>'}
+  `;
+  return container;
+}
+
+/**
+ * Load and display the conversion funnel and attribution
+ */
+async function loadFunnel(block) {
+  const funnelContainer = block.querySelector('.funnel-content');
+
+  try {
+    const response = await fetch(`${ANALYTICS_ENDPOINT}/api/analytics/funnel`);
+    if (!response.ok) throw new Error('Failed to load funnel');
+
+    const data = await response.json();
+
+    funnelContainer.innerHTML = '';
+    funnelContainer.appendChild(createFunnelChart(data.steps || []));
+
+    const attribution = document.createElement('div');
+    attribution.className = 'attribution-grid';
+    Object.keys(ATTRIBUTION_LABELS).forEach((dimension) => {
+      const rows = data.attribution?.[dimension] || [];
+      attribution.appendChild(createAttributionTable(dimension, rows));
+    });
+    funnelContainer.appendChild(attribution);
+
+    if (data.unattributed > 0) {
+      const note = document.createElement('p');
+      note.className = 'funnel-note';
+      const { unattributed, totalConversions } = data;
+      note.textContent = `${formatNumber(unattributed)} of ${formatNumber(totalConversions)} conversions had no earlier query in their session.`;
+      funnelContainer.appendChild(note);
+    }
+  } catch (error) {
+    console.error('[Analytics] Failed to load funnel:', error);
+    funnelContainer.innerHTML = '<p class="no-data">Funnel data unavailable</p>';
+  }
+}
+
 /**
  * Load and display analytics summary
  */
@@ -126,6 +235,30 @@ async function loadSummary(block) {
     metricsContainer.appendChild(createMetricCard('Conversion Rate', formatPercent(data.conversionRate), 'Clicks to vitamix.com'));
     metricsContainer.appendChild(createMetricCard('Engagement Rate', formatPercent(data.engagementRate), 'Sessions with 2+ queries'));
     metricsContainer.appendChild(createMetricCard('Total Conversions', formatNumber(data.totalConversions)));
+    metricsContainer.appendChild(createMetricCard('Avg Cost/Page', formatCost(data.costs?.avgCostPerPage), 'Estimated model cost'));
+    metricsContainer.appendChild(createMetricCard('Total Model Cost', formatCost(data.costs?.totalUsd), `${formatNumber(data.costs?.pages)} pages`));
+
+    // Show cost per preset
+    const costContainer = block.querySelector('.cost-breakdown');
+    if (data.costs?.byPreset?.length > 0) {
+      costContainer.innerHTML = `
+        <h3>Cost by Preset</h3>
+        <ol class="top-queries-list">
+          ${data.costs.byPreset.map((p) => `<li><span class="query-text">${p.preset}</span> <span class="query-count">${formatCost(p.avgCostPerPage)}/page (${formatNumber(p.pages)} pages, ${formatCost(p.totalUsd)} total)</span></li>`).join('')}
+        </ol>
+      `;
+    } else {
+      costContainer.innerHTML = '<p class="no-data">No cost data yet</p>';
+    }
+
+    // Calls to models without pricing aren't in the totals
+    const unpricedModels = data.costs?.unpricedModels || [];
+    if (unpricedModels.length > 0) {
+      const note = document.createElement('p');
+      note.className = 'cost-note';
+      note.textContent = `Costs leave out calls to models without pricing: ${unpricedModels.join(', ')}`;
+      costContainer.appendChild(note);
+    }
 
     // Show top queries
     if (data.topQueries && data.topQueries.length > 0) {
@@ -314,10 +447,19 @@ export default async function decorate(block) {
       </div>
     </div>
 
+    <div class="funnel-section">
+      <h3>Conversion Funnel (Last 30 Days)</h3>
+      <div class="funnel-content">
+        <div class="loading">Loading funnel...</div>
+      </div>
+    </div>
+
     <div class="top-queries">
       <div class="loading">Loading top queries...</div>
     </div>
 
+    <div class="cost-breakdown"></div>
+
     <div class="analysis-section">
       <h3>AI Content Analysis</h3>
       <div class="analysis-info">
@@ -330,12 +472,15 @@ export default async function decorate(block) {
   `;
 
   // Load initial data
-  await loadSummary(block);
+  await Promise.all([loadSummary(block), loadFunnel(block)]);
 
   // Set up analysis button
   const analysisButton = block.querySelector('.run-analysis-btn');
   analysisButton.addEventListener('click', () => runAnalysis(block));
 
   // Auto-refresh every 60 seconds
-  setInterval(() => loadSummary(block), 60000);
+  setInterval(() => {
+    loadSummary(block);
+    loadFunnel(block);
+  }, 60000);
 }
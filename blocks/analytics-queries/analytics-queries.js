@@ -1,34 +1,146 @@
 /**
  * Analytics Queries Block
  *
- * Displays the top queries from analytics data.
+ * Displays query clusters from analytics data: queries that ask about the same
+ * thing are grouped, with volume, conversion rate, average page-analysis
+ * score and content gaps. Expanding a cluster shows its individual queries.
  */
 
 const ANALYTICS_ENDPOINT = 'https://vitamix-analytics.paolo-moz.workers.dev';
 
+const GAP_LABELS = {
+  products: 'No matching products',
+  recipes: 'No matching recipes',
+};
+
+/**
+ * Create an element with a class and text content
+ */
+function createElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+function formatScore(score) {
+  return score === null || score === undefined ? '–' : `${Math.round(score)}`;
+}
+
+/**
+ * Create the table of a cluster's queries
+ */
+function createMembersTable(cluster) {
+  const table = createElement('table', 'cluster-queries');
+  table.innerHTML = `
+    <thead>
+      <tr><th>Query</th><th>Count</th><th>Intent</th><th>Conv.</th><th>Score</th></tr>
+    </thead>
+  `;
+
+  const body = document.createElement('tbody');
+  cluster.members.forEach((member) => {
+    const row = document.createElement('tr');
+
+    const queryCell = document.createElement('td');
+    if (member.generatedPageUrl) {
+      const link = createElement('a', '', member.query);
+      link.href = member.generatedPageUrl;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      queryCell.appendChild(link);
+    } else {
+      queryCell.textContent = member.query;
+    }
+
+    row.append(
+      queryCell,
+      createElement('td', '', `${member.count}`),
+      createElement('td', '', member.intent),
+      createElement('td', '', `${member.conversionRate}%`),
+      createElement('td', '', formatScore(member.avgAnalysisScore)),
+    );
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+
+  return table;
+}
+
 /**
- * Load and display top queries
+ * Create one expandable cluster row
+ */
+function createCluster(cluster) {
+  const item = createElement('details', 'query-cluster');
+  if (cluster.contentGaps.length > 0) item.classList.add('has-gap');
+
+  const summary = createElement('summary', 'cluster-summary');
+  const label = createElement('span', 'query-text', cluster.label);
+  const metrics = createElement('span', 'cluster-metrics');
+  metrics.append(
+    createElement('span', 'query-count', `${cluster.queries} queries`),
+    createElement('span', 'cluster-metric', `${cluster.conversionRate}% conv.`),
+    createElement('span', 'cluster-metric', `Score ${formatScore(cluster.avgAnalysisScore)}`),
+  );
+  cluster.contentGaps.forEach((gap) => {
+    metrics.appendChild(createElement('span', 'gap-badge', GAP_LABELS[gap] || gap));
+  });
+  summary.append(label, metrics);
+
+  const details = createElement('div', 'cluster-details');
+  const intents = Object.entries(cluster.intents)
+    .sort((a, b) => b[1] - a[1])
+    .map(([intent, count]) => `${intent} (${count})`)
+    .join(', ');
+  details.append(
+    createElement(
+      'p',
+      'cluster-meta',
+      `Topic: ${cluster.terms.join(', ') || 'none'} · Intents: ${intents} · ${cluster.sessions} sessions`
+        + ` · ${cluster.analyzedPages} analyzed pages`,
+    ),
+    createMembersTable(cluster),
+  );
+
+  item.append(summary, details);
+  return item;
+}
+
+/**
+ * Load and display query clusters
  */
 async function loadQueries(block) {
   const container = block.querySelector('.queries-container');
+  // Keep drill-downs open across refreshes
+  const open = new Set([...container.querySelectorAll('.query-cluster[open]')]
+    .map((item) => item.dataset.cluster));
 
   try {
-    const response = await fetch(`${ANALYTICS_ENDPOINT}/api/analytics/summary`);
-    if (!response.ok) throw new Error('Failed to load summary');
+    const response = await fetch(`${ANALYTICS_ENDPOINT}/api/analytics/clusters`);
+    if (!response.ok) throw new Error('Failed to load clusters');
 
     const data = await response.json();
 
-    if (data.topQueries && data.topQueries.length > 0) {
-      container.innerHTML = `
-        <ol class="top-queries-list">
-          ${data.topQueries.map((q) => `
-            <li>
-              <span class="query-text">${q.query}</span>
-              <span class="query-count">(${q.count})</span>
-            </li>
-          `).join('')}
-        </ol>
-      `;
+    if (data.clusters && data.clusters.length > 0) {
+      container.innerHTML = '';
+      if (data.totals?.contentGaps > 0) {
+        container.appendChild(createElement(
+          'p',
+          'gap-summary',
+          `${data.totals.contentGaps} of ${data.totals.clusters} clusters have content gaps`,
+        ));
+      }
+
+      const list = createElement('ol', 'top-queries-list');
+      data.clusters.forEach((cluster) => {
+        const li = document.createElement('li');
+        const item = createCluster(cluster);
+        item.dataset.cluster = cluster.id;
+        item.open = open.has(cluster.id);
+        li.appendChild(item);
+        list.appendChild(li);
+      });
+      container.appendChild(list);
     } else {
       container.innerHTML = '<p class="no-data">No queries yet</p>';
     }
@@ -47,7 +159,7 @@ async function loadQueries(block) {
  */
 export default async function decorate(block) {
   block.innerHTML = `
-    <h3>Top Queries</h3>
+    <h3>Top Query Clusters</h3>
     <div class="queries-container">
       <div class="loading">Loading queries...</div>
     </div>
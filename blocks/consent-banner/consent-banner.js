@@ -0,0 +1,193 @@
+/**
+ * Consent Banner Block
+ *
+ * Asks for analytics and personalization consent (see scripts/consent.js).
+ * scripts.js adds a floating banner to every page until the visitor decides.
+ * Authored on a page (e.g. a privacy page), it shows the preferences inline
+ * so visitors can change their mind, plus their analytics session ids with
+ * buttons to download or erase the data stored for them (erasing also clears
+ * the recommender's memory of their recent questions).
+ *
+ * Content Model (DA Table):
+ * | Consent Banner |
+ * |----------------|
+ * | Intro text (optional) |
+ */
+
+import { CONSENT_CATEGORIES, getConsent, setConsent } from '../../scripts/consent.js';
+import { getAnalyticsTracker, getSessionAccess } from '../../scripts/analytics-tracker.js';
+import { SessionContextManager } from '../../scripts/session-context.js';
+
+const DEFAULT_INTRO = 'We use analytics to learn which recommendations help, and remember your recent '
+  + 'questions to personalize answers. Both are optional.';
+
+const CATEGORY_COPY = {
+  analytics: {
+    label: 'Analytics',
+    description: 'Anonymous usage data: queries (with emails, phone numbers and names removed), '
+      + 'which blocks you view and click, and conversions.',
+  },
+  personalization: {
+    label: 'Personalization',
+    description: 'Your recent questions in this tab, so follow-up answers build on earlier ones.',
+  },
+};
+
+function createToggle(category, checked) {
+  const { label, description } = CATEGORY_COPY[category];
+  const row = document.createElement('label');
+  row.className = 'consent-banner-option';
+  row.innerHTML = `
+    <input type="checkbox" name="${category}">
+    <span class="consent-banner-option-text">
+      <strong>${label}</strong>
+      <span>${description}</span>
+    </span>
+  `;
+  row.querySelector('input').checked = checked;
+  return row;
+}
+
+function createButton(text, className) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = `consent-banner-btn ${className}`;
+  button.textContent = text;
+  return button;
+}
+
+function downloadJson(data, filename) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Session ids plus download and erase buttons for the visitor's stored data
+ * @param {HTMLElement} status - Where results are announced
+ */
+function createDataControls(status) {
+  const tracker = getAnalyticsTracker();
+  const section = document.createElement('div');
+  section.className = 'consent-banner-data';
+
+  const ids = document.createElement('p');
+  const render = () => {
+    const sessionIds = getSessionAccess().map((record) => record.sessionId);
+    ids.textContent = sessionIds.length > 0
+      ? `Your analytics session ids: ${sessionIds.join(', ')}`
+      : 'No analytics data has been recorded from this browser.';
+    return sessionIds.length > 0;
+  };
+
+  const downloadBtn = createButton('Download my data', 'secondary');
+  const deleteBtn = createButton('Delete my data', 'secondary');
+  const update = () => {
+    const hasData = render();
+    downloadBtn.disabled = !hasData;
+    deleteBtn.disabled = !hasData;
+  };
+
+  downloadBtn.addEventListener('click', async () => {
+    try {
+      downloadJson(await tracker.exportSessionData(), 'vitamix-analytics-data.json');
+      status.textContent = 'Your data has been downloaded.';
+    } catch (e) {
+      status.textContent = 'Your data could not be downloaded. Please try again later.';
+    }
+  });
+  deleteBtn.addEventListener('click', async () => {
+    const total = getSessionAccess().length;
+    const [erased, memoryErased] = await Promise.all([
+      tracker.deleteSessionData(),
+      SessionContextManager.deleteServerSession(),
+    ]);
+    if (memoryErased) SessionContextManager.clear();
+    status.textContent = erased === total && memoryErased
+      ? 'Your analytics data and recent questions have been deleted.'
+      : 'Some of your data could not be deleted. Please try again later.';
+    update();
+  });
+
+  update();
+  const actions = document.createElement('div');
+  actions.className = 'consent-banner-actions';
+  actions.append(downloadBtn, deleteBtn);
+  section.append(ids, actions);
+  return section;
+}
+
+export default function decorate(block) {
+  // Inline when authored in main; otherwise the floating banner from scripts.js
+  const inline = !!block.closest('main');
+  const intro = block.textContent.trim() || DEFAULT_INTRO;
+  const consent = getConsent();
+
+  block.innerHTML = '';
+  block.classList.toggle('floating', !inline);
+  block.setAttribute('role', inline ? 'region' : 'dialog');
+  block.setAttribute('aria-label', 'Privacy preferences');
+
+  const text = document.createElement('p');
+  text.className = 'consent-banner-text';
+  text.textContent = intro;
+
+  const options = document.createElement('div');
+  options.className = 'consent-banner-options';
+  options.hidden = !inline;
+  CONSENT_CATEGORIES.forEach((category) => {
+    options.appendChild(createToggle(category, consent?.[category] === true));
+  });
+
+  const status = document.createElement('p');
+  status.className = 'consent-banner-status';
+  status.setAttribute('aria-live', 'polite');
+
+  const actions = document.createElement('div');
+  actions.className = 'consent-banner-actions';
+  const rejectBtn = createButton('Reject all', 'secondary');
+  const manageBtn = createButton('Manage preferences', 'secondary');
+  const saveBtn = createButton('Save preferences', 'secondary');
+  const acceptBtn = createButton('Accept all', 'primary');
+  saveBtn.hidden = !inline;
+  manageBtn.hidden = inline;
+  actions.append(rejectBtn, manageBtn, saveBtn, acceptBtn);
+
+  const decide = (choices) => {
+    setConsent(choices);
+    if (inline) {
+      CONSENT_CATEGORIES.forEach((category) => {
+        options.querySelector(`input[name="${category}"]`).checked = choices[category] === true;
+      });
+      status.textContent = 'Your preferences have been saved.';
+    } else {
+      (block.closest('.consent-banner-wrapper') || block).remove();
+    }
+  };
+
+  const all = (value) => Object.fromEntries(
+    CONSENT_CATEGORIES.map((category) => [category, value]),
+  );
+
+  acceptBtn.addEventListener('click', () => decide(all(true)));
+  rejectBtn.addEventListener('click', () => decide(all(false)));
+  manageBtn.addEventListener('click', () => {
+    options.hidden = false;
+    manageBtn.hidden = true;
+    saveBtn.hidden = false;
+    options.querySelector('input').focus();
+  });
+  saveBtn.addEventListener('click', () => {
+    decide(Object.fromEntries(CONSENT_CATEGORIES.map((category) => [
+      category,
+      options.querySelector(`input[name="${category}"]`).checked,
+    ])));
+  });
+
+  block.append(text, options, actions);
+  if (inline) block.append(createDataControls(status));
+  block.append(status);
+}
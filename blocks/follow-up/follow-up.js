@@ -54,6 +54,11 @@ export default function decorate(block) {
 
     // Handle click - navigate to new query
     chip.addEventListener('click', () => {
+      chip.dispatchEvent(new CustomEvent('block-interaction', {
+        bubbles: true,
+        detail: { action: 'follow_up_click', label: cleanedSuggestion },
+      }));
+
       const currentUrl = new URL(window.location.href);
       // Use same parameter that was used to get here
       const param = currentUrl.searchParams.has('q') ? 'q' : 'query';
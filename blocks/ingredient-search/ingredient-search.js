@@ -13,7 +13,7 @@
  * | /api/ingredient-match                      |
  */
 
-const WORKER_URL = 'https://vitamix-generative.paolo-moz.workers.dev';
+const WORKER_URL = 'https://vitamix-recommender.paolo-moz.workers.dev';
 
 export default function decorate(block) {
   const rows = [...block.children];
@@ -204,7 +204,7 @@ export default function decorate(block) {
       card.innerHTML = `
         <div class="result-card-body">
           <div class="result-card-header">
-            <h4>${recipe.title}</h4>
+            <h4>${recipe.url ? `<a href="${recipe.url}">${recipe.title}</a>` : recipe.title}</h4>
             <span class="match-badge">${recipe.matchPercent || 100}%</span>
           </div>
           ${recipe.description ? `<p class="result-card-description">${recipe.description}</p>` : ''}
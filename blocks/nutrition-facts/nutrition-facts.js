@@ -14,8 +14,13 @@
  *     ...
  *   </div>
  * </div>
+ *
+ * When recipe-sidebar scales the recipe (`recipe-scale` event), each row
+ * also shows its total for the chosen number of servings.
  */
 
+import { scaleNutritionValue } from '../../scripts/ingredient-quantity.js';
+
 export default function decorate(block) {
   const rows = [...block.children];
 
@@ -52,5 +57,21 @@ export default function decorate(block) {
 
     rows[1].innerHTML = '';
     rows[1].appendChild(table);
+
+    document.addEventListener('recipe-scale', (e) => {
+      const { servings } = e.detail;
+      table.classList.add('has-totals');
+      table.querySelectorAll('.nutrition-row').forEach((row) => {
+        const value = row.querySelector('.nutrition-value').textContent;
+        let total = row.querySelector('.nutrition-total');
+        if (!total) {
+          total = document.createElement('span');
+          total.className = 'nutrition-total';
+          row.appendChild(total);
+        }
+        total.textContent = scaleNutritionValue(value, servings);
+        total.title = `Total for ${servings} servings`;
+      });
+    });
   }
 }
@@ -133,6 +133,10 @@ function createProductCard(product, index) {
     const isSelected = card.classList.toggle('selected');
     if (isSelected) {
       selectedProducts.set(product.id, product);
+      card.dispatchEvent(new CustomEvent('block-interaction', {
+        bubbles: true,
+        detail: { action: 'compare_select', label: product.name },
+      }));
     } else {
       selectedProducts.delete(product.id);
     }
@@ -370,6 +374,10 @@ export default function decorate(block) {
   compareBtn.textContent = 'Select 2+ products to compare';
   compareBtn.addEventListener('click', () => {
     if (selectedProducts.size >= 2) {
+      compareBtn.dispatchEvent(new CustomEvent('block-interaction', {
+        bubbles: true,
+        detail: { action: 'compare_open', label: `${selectedProducts.size} products` },
+      }));
       openComparisonModal();
     }
   });
@@ -10,8 +10,19 @@
  * | enabled          |
  *
  * This block is a container that listens for recipe-quick-view events.
+ * Ingredient amounts are shown in the visitor's unit system (US or metric).
+ * "Save Recipe" opens the collection picker (scripts/collection-picker.js).
  */
 
+import {
+  parseIngredient,
+  convertIngredient,
+  formatIngredient,
+  getUnitSystem,
+} from '../../scripts/ingredient-quantity.js';
+import { getRecipeCollections } from '../../scripts/collections.js';
+import openCollectionPicker from '../../scripts/collection-picker.js';
+
 export default function decorate(block) {
   // Create modal structure
   const modal = document.createElement('div');
@@ -107,22 +118,12 @@ export default function decorate(block) {
   const viewFullLink = modal.querySelector('.action-view-full');
   const heartIcon = favoriteBtn.querySelector('.heart-icon');
 
-  const STORAGE_KEY = 'vitamix-favorites';
-  let currentRecipeId = null;
-
-  // Get favorites from localStorage
-  function getFavorites() {
-    return new Set(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
-  }
-
-  // Save favorites to localStorage
-  function saveFavorites(favorites) {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify([...favorites]));
-  }
+  // What collections store for the open recipe
+  let currentRecipe = null;
 
-  // Update favorite button state
-  function updateFavoriteState(isFavorite) {
-    if (isFavorite) {
+  // Update save button state: saved in any collection
+  function updateFavoriteState() {
+    if (currentRecipe && getRecipeCollections(currentRecipe).length > 0) {
       favoriteBtn.classList.add('active');
       heartIcon.setAttribute('fill', 'currentColor');
       favoriteText.textContent = 'Saved';
@@ -135,7 +136,7 @@ export default function decorate(block) {
 
   // Open modal with recipe data
   function openModal(recipe) {
-    currentRecipeId = recipe.id;
+    currentRecipe = { title: recipe.title, url: recipe.link, image: recipe.image };
 
     // Populate content
     imageEl.src = recipe.image || '';
@@ -148,9 +149,10 @@ export default function decorate(block) {
     // Ingredients
     ingredientsList.innerHTML = '';
     const ingredients = recipe.ingredients || [];
+    const system = getUnitSystem();
     ingredients.forEach((ing) => {
       const li = document.createElement('li');
-      li.textContent = ing;
+      li.textContent = formatIngredient(convertIngredient(parseIngredient(ing), system));
       ingredientsList.appendChild(li);
     });
 
@@ -166,9 +168,8 @@ export default function decorate(block) {
     // View full link
     viewFullLink.href = recipe.link || '#';
 
-    // Favorite state
-    const favorites = getFavorites();
-    updateFavoriteState(favorites.has(recipe.id));
+    // Saved state
+    updateFavoriteState();
 
     // Show modal
     overlay.setAttribute('aria-hidden', 'false');
@@ -182,7 +183,7 @@ export default function decorate(block) {
   function closeModal() {
     overlay.setAttribute('aria-hidden', 'true');
     document.body.style.overflow = '';
-    currentRecipeId = null;
+    currentRecipe = null;
   }
 
   // Event listeners
@@ -191,44 +192,20 @@ export default function decorate(block) {
 
   // Escape key
   document.addEventListener('keydown', (e) => {
+    // Escape in the collection picker only closes the picker
+    if (document.querySelector('.collection-picker[open]')) return;
     if (e.key === 'Escape' && overlay.getAttribute('aria-hidden') === 'false') {
       closeModal();
     }
   });
 
-  // Favorite toggle
+  // Save to a collection
   favoriteBtn.addEventListener('click', () => {
-    if (!currentRecipeId) return;
-
-    const favorites = getFavorites();
-    const isNowFavorite = !favorites.has(currentRecipeId);
-
-    if (isNowFavorite) {
-      favorites.add(currentRecipeId);
-    } else {
-      favorites.delete(currentRecipeId);
-    }
-
-    saveFavorites(favorites);
-    updateFavoriteState(isNowFavorite);
-
-    // Update the grid card too
-    const card = document.querySelector(`[data-recipe-id="${currentRecipeId}"]`);
-    if (card) {
-      const cardFavBtn = card.querySelector('.favorite-btn');
-      const cardHeart = cardFavBtn?.querySelector('.heart-icon');
-      if (cardFavBtn && cardHeart) {
-        if (isNowFavorite) {
-          cardFavBtn.classList.add('active');
-          cardHeart.setAttribute('fill', 'currentColor');
-        } else {
-          cardFavBtn.classList.remove('active');
-          cardHeart.setAttribute('fill', 'none');
-        }
-      }
-    }
+    if (currentRecipe) openCollectionPicker(currentRecipe);
   });
 
+  document.addEventListener('collections-change', updateFavoriteState);
+
   // Prevent body scroll on container scroll
   container.addEventListener('wheel', (e) => {
     const { scrollTop, scrollHeight, clientHeight } = container;
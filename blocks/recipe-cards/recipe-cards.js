@@ -14,8 +14,56 @@
  *   <div class="rcheader">...</div>
  *   <div class="recipe-card" data-href="...">...</div>
  * </div>
+ *
+ * Each card gets a save button that opens the collection picker
+ * (scripts/collection-picker.js).
  */
-export default function decorate(block) {
+
+import { getRecipeCollections } from '../../scripts/collections.js';
+import openCollectionPicker from '../../scripts/collection-picker.js';
+
+const SAVE_ICON = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>';
+
+/**
+ * What collections store for a card
+ */
+function cardRecipe(card) {
+  const title = card.querySelector('.recipe-card-title')?.textContent.trim() || '';
+  const url = card.dataset.href || card.querySelector('.recipe-card-title a, a')?.href || card.href;
+  const image = card.querySelector('.recipe-card-image img')?.src;
+  return { title, url, image };
+}
+
+function addSaveButtons(block) {
+  block.querySelectorAll('.recipe-card').forEach((card) => {
+    const recipe = cardRecipe(card);
+    if (!recipe.title) return;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'recipe-card-save';
+    button.innerHTML = SAVE_ICON;
+
+    const update = () => {
+      const saved = getRecipeCollections(recipe).length > 0;
+      button.classList.toggle('active', saved);
+      button.setAttribute('aria-label', saved ? `Saved: ${recipe.title}` : `Save ${recipe.title}`);
+    };
+    update();
+    document.addEventListener('collections-change', update);
+
+    // Cards navigate on click; saving shouldn't
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      openCollectionPicker(recipe);
+    });
+
+    card.appendChild(button);
+  });
+}
+
+function buildCards(block) {
   // Check if already structured as cards (AI-generated content)
   const existingCards = block.querySelectorAll('.recipe-card');
   if (existingCards.length > 0) {
@@ -290,3 +338,8 @@ export default function decorate(block) {
     cards.forEach((card) => block.appendChild(card));
   }
 }
+
+export default function decorate(block) {
+  buildCards(block);
+  addSaveButtons(block);
+}
@@ -0,0 +1,211 @@
+/**
+ * Recipe Collections Block
+ *
+ * The visitor's saved recipes: Favorites and their named collections, with
+ * create, rename and delete, and a sync panel to share collections across
+ * devices. Recipes are saved from recipe-grid, recipe-cards,
+ * quick-view-modal and recipe-sidebar (see scripts/collections.js).
+ *
+ * Content Model (DA Table):
+ * | Recipe Collections |
+ * |--------------------|
+ * | My Recipes         |  (optional heading)
+ *
+ * The open collection is kept in the URL hash (#weekday-breakfasts-...).
+ */
+
+import {
+  FAVORITES_ID,
+  getCollections,
+  getCollection,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  removeFromCollection,
+  getSyncToken,
+  enableSync,
+  linkSync,
+  disableSync,
+  syncCollections,
+  safeRecipeUrl,
+} from '../../scripts/collections.js';
+
+// Also escapes quotes, since the result goes into attribute values too
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function recipeCardHtml(recipe) {
+  const title = escapeHtml(recipe.title);
+  const imageUrl = safeRecipeUrl(recipe.image);
+  const url = safeRecipeUrl(recipe.url);
+  const image = imageUrl
+    ? `<img src="${escapeHtml(imageUrl)}" alt="" loading="lazy">`
+    : '<div class="image-placeholder"></div>';
+  const link = url ? `<a class="collection-recipe-link" href="${escapeHtml(url)}">${title}</a>` : title;
+
+  return `
+    <li class="collection-recipe" data-recipe-id="${escapeHtml(recipe.id)}">
+      <div class="collection-recipe-image">${image}</div>
+      <h3 class="collection-recipe-title">${link}</h3>
+      <button class="collection-recipe-remove" aria-label="Remove ${title}">Remove</button>
+    </li>
+  `;
+}
+
+function renderSync(panel) {
+  const token = getSyncToken();
+
+  panel.innerHTML = token ? `
+    <h3>Synced across devices</h3>
+    <p>Enter this sync code on another device to see the same collections there.
+      Anyone with the code can change them, so keep it private.</p>
+    <div class="sync-code">
+      <input type="text" readonly value="${escapeHtml(token)}" aria-label="Sync code">
+      <button class="sync-copy">Copy</button>
+    </div>
+    <div class="sync-actions">
+      <button class="sync-now">Sync now</button>
+      <button class="sync-disable">Stop syncing on this device</button>
+    </div>
+    <p class="sync-status" role="status"></p>
+  ` : `
+    <h3>Sync across devices</h3>
+    <p>Collections are saved in this browser. Turn on sync to keep them on your other devices too; no account needed.</p>
+    <div class="sync-actions">
+      <button class="sync-enable">Turn on sync</button>
+    </div>
+    <form class="sync-link">
+      <label for="sync-link-code">Have a sync code from another device?</label>
+      <div class="sync-code">
+        <input type="text" id="sync-link-code" name="code" autocomplete="off" required>
+        <button type="submit">Link</button>
+      </div>
+    </form>
+    <p class="sync-status" role="status"></p>
+  `;
+
+  const status = panel.querySelector('.sync-status');
+  const report = (ok, message) => {
+    status.textContent = ok ? message : 'Sync failed. Your collections are still saved on this device.';
+  };
+
+  panel.querySelector('.sync-copy')?.addEventListener('click', async () => {
+    await navigator.clipboard?.writeText(token);
+    status.textContent = 'Sync code copied.';
+  });
+  panel.querySelector('.sync-now')?.addEventListener('click', async () => {
+    status.textContent = 'Syncing…';
+    report(await syncCollections(), 'Up to date.');
+  });
+  panel.querySelector('.sync-disable')?.addEventListener('click', () => {
+    disableSync();
+    renderSync(panel);
+  });
+  panel.querySelector('.sync-enable')?.addEventListener('click', async () => {
+    await enableSync();
+    renderSync(panel);
+  });
+  panel.querySelector('.sync-link')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      const ok = await linkSync(e.target.elements.code.value);
+      renderSync(panel);
+      report(ok, 'Linked. Collections from both devices are merged.');
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  });
+}
+
+export default function decorate(block) {
+  const heading = block.textContent.trim() || 'My Collections';
+
+  block.innerHTML = `
+    <h2 class="recipe-collections-heading">${escapeHtml(heading)}</h2>
+    <div class="recipe-collections-layout">
+      <nav class="recipe-collections-nav" aria-label="Collections">
+        <ul class="collections-list"></ul>
+        <form class="collections-create">
+          <input type="text" name="name" maxlength="80" placeholder="New collection" aria-label="New collection name" required>
+          <button type="submit">Create</button>
+        </form>
+      </nav>
+      <section class="recipe-collections-panel" aria-live="polite"></section>
+    </div>
+    <aside class="recipe-collections-sync"></aside>
+  `;
+
+  const list = block.querySelector('.collections-list');
+  const panel = block.querySelector('.recipe-collections-panel');
+
+  const currentId = () => {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    return getCollection(id) ? id : FAVORITES_ID;
+  };
+
+  function render() {
+    const activeId = currentId();
+    const collection = getCollection(activeId);
+
+    list.innerHTML = getCollections().map((c) => `
+      <li>
+        <a href="#${escapeHtml(c.id)}" ${c.id === activeId ? 'aria-current="true"' : ''}>
+          <span class="collection-name">${escapeHtml(c.name)}</span>
+          <span class="collection-count">${c.recipes.length}</span>
+        </a>
+      </li>
+    `).join('');
+
+    const editable = collection.id !== FAVORITES_ID;
+    panel.innerHTML = `
+      <div class="collection-header">
+        <h2 class="collection-title">${escapeHtml(collection.name)}</h2>
+        ${editable ? `
+          <button class="collection-rename">Rename</button>
+          <button class="collection-delete">Delete</button>
+        ` : ''}
+      </div>
+      ${collection.recipes.length > 0 ? `
+        <ul class="collection-recipes">${collection.recipes.map(recipeCardHtml).join('')}</ul>
+      ` : `
+        <p class="collection-empty">No recipes yet. Save recipes with the heart or bookmark on any recipe.</p>
+      `}
+    `;
+
+    panel.querySelector('.collection-rename')?.addEventListener('click', () => {
+      // eslint-disable-next-line no-alert
+      const name = window.prompt('Rename collection', collection.name);
+      if (name) renameCollection(collection.id, name);
+    });
+    panel.querySelector('.collection-delete')?.addEventListener('click', () => {
+      // eslint-disable-next-line no-alert
+      if (!window.confirm(`Delete "${collection.name}"? Its recipes stay in your other collections.`)) return;
+      deleteCollection(collection.id);
+      window.location.hash = '';
+    });
+    panel.querySelectorAll('.collection-recipe-remove').forEach((button) => {
+      button.addEventListener('click', () => {
+        const recipe = collection.recipes
+          .find((r) => r.id === button.closest('.collection-recipe').dataset.recipeId);
+        if (recipe) removeFromCollection(collection.id, recipe);
+      });
+    });
+  }
+
+  block.querySelector('.collections-create').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const input = e.target.elements.name;
+    const collection = createCollection(input.value);
+    input.value = '';
+    window.location.hash = collection.id;
+  });
+
+  render();
+  renderSync(block.querySelector('.recipe-collections-sync'));
+
+  window.addEventListener('hashchange', render);
+  document.addEventListener('collections-change', render);
+}
@@ -1,8 +1,8 @@
 /**
  * Recipe Filter Bar Block
  *
- * Interactive filter controls with difficulty slider and time buttons.
- * Emits custom events to filter the recipe-grid block.
+ * Interactive filter controls with difficulty slider, time buttons and
+ * dietary/allergen chips. Emits custom events to filter the recipe-grid block.
  *
  * Content Model (DA Table):
  * | Recipe Filter Bar                          |
@@ -11,6 +11,8 @@
  * | All | Quick | Medium | Long               |
  */
 
+import { DIETARY_FACETS } from '../../scripts/dietary.js';
+
 export default function decorate(block) {
   // Build filter UI
   block.innerHTML = `
@@ -50,6 +52,17 @@ export default function decorate(block) {
 
       <div class="filter-divider"></div>
 
+      <div class="filter-group filter-dietary">
+        <label class="filter-label">Dietary</label>
+        <div class="dietary-chips">
+          ${DIETARY_FACETS.map((facet) => `
+            <button class="dietary-chip" data-dietary="${facet.id}" aria-pressed="false">${facet.label}</button>
+          `).join('')}
+        </div>
+      </div>
+
+      <div class="filter-divider"></div>
+
       <div class="filter-group filter-count">
         <span class="recipe-count">
           <span class="count-number">0</span> recipes
@@ -62,6 +75,7 @@ export default function decorate(block) {
   const slider = block.querySelector('.difficulty-slider');
   const difficultyDisplay = block.querySelector('.difficulty-display');
   const timeButtons = block.querySelectorAll('.time-btn');
+  const dietaryChips = block.querySelectorAll('.dietary-chip');
   const recipeCountEl = block.querySelector('.count-number');
   const resetBtn = block.querySelector('.reset-filters');
 
@@ -73,21 +87,24 @@ export default function decorate(block) {
     5: 'All levels',
   };
 
-  let currentFilters = {
+  const currentFilters = {
     maxDifficulty: 5,
     maxTime: 'all',
+    dietary: [],
   };
 
   // Emit filter change event
   function emitFilterChange() {
     const event = new CustomEvent('recipe-filter-change', {
       bubbles: true,
-      detail: { ...currentFilters },
+      detail: { ...currentFilters, dietary: [...currentFilters.dietary] },
     });
     block.dispatchEvent(event);
 
     // Show/hide reset button
-    const isDefault = currentFilters.maxDifficulty === 5 && currentFilters.maxTime === 'all';
+    const isDefault = currentFilters.maxDifficulty === 5
+      && currentFilters.maxTime === 'all'
+      && currentFilters.dietary.length === 0;
     resetBtn.hidden = isDefault;
   }
 
@@ -113,15 +130,38 @@ export default function decorate(block) {
     });
   });
 
+  // Dietary chips: a recipe must meet every selected facet
+  dietaryChips.forEach((chip) => {
+    chip.addEventListener('click', () => {
+      const selected = chip.getAttribute('aria-pressed') !== 'true';
+      chip.setAttribute('aria-pressed', selected);
+      chip.classList.toggle('active', selected);
+      currentFilters.dietary = [...dietaryChips]
+        .filter((c) => c.getAttribute('aria-pressed') === 'true')
+        .map((c) => c.dataset.dietary);
+      emitFilterChange();
+    });
+  });
+
   // Reset filters
-  resetBtn.addEventListener('click', () => {
+  function resetFilters() {
     slider.value = 5;
     updateDifficultyDisplay(5);
     timeButtons.forEach((b) => b.classList.remove('active'));
     timeButtons[0].classList.add('active');
     currentFilters.maxTime = 'all';
+    dietaryChips.forEach((chip) => {
+      chip.setAttribute('aria-pressed', 'false');
+      chip.classList.remove('active');
+    });
+    currentFilters.dietary = [];
     emitFilterChange();
-  });
+  }
+
+  resetBtn.addEventListener('click', resetFilters);
+
+  // "Clear filters" in the recipe-grid empty state
+  document.addEventListener('recipe-filter-reset', resetFilters);
 
   // Listen for recipe count updates from recipe-grid
   document.addEventListener('recipe-count-update', (e) => {
@@ -2,8 +2,9 @@
  * Recipe Grid Block
  *
  * Filterable grid of recipe cards with favorites toggle and quick view modal.
- * Listens to recipe-filter-bar events for filtering.
- * Stores favorites in localStorage.
+ * Listens to recipe-filter-bar events for filtering, including dietary facets.
+ * The heart saves a recipe to Favorites (scripts/collections.js), which
+ * the recipe-collections block lists and can sync across devices.
  *
  * Content Model (DA Table):
  * | Recipe Grid                    |                       |                       |
@@ -12,13 +13,18 @@
  * | **Green Power Smoothie**       | **Tomato Basil Soup** | **Acai Bowl**         |
  * | Easy • 5 min                   | Medium • 20 min       | Easy • 10 min         |
  * | 1                              | 3                     | 2                     |
+ * | vegetarian, gluten-free        | vegan                 | vegan, gluten-free    |
  * | banana,spinach,milk            | tomato,basil,garlic   | acai,banana,berries   |
  * | /recipes/green-smoothie        | /recipes/tomato-soup  | /recipes/acai-bowl    |
  *
- * Row structure: images, titles, meta (difficulty • time), difficulty level (1-5), ingredients, links
+ * Row structure: images, titles, meta (difficulty • time), difficulty level (1-5),
+ * dietary tags (optional), ingredients, links
+ *
+ * Nut-free and dairy-free are also inferred from the ingredients.
  */
 
-const STORAGE_KEY = 'vitamix-favorites';
+import { DIETARY_FACETS, parseDietaryTags, resolveDietaryFacets } from '../../scripts/dietary.js';
+import { isFavorite, toggleFavorite } from '../../scripts/collections.js';
 
 export default function decorate(block) {
   const rows = [...block.children];
@@ -41,6 +47,7 @@ export default function decorate(block) {
       difficulty: 'Easy',
       difficultyLevel: 1,
       time: '10 min',
+      dietaryTags: [],
       ingredients: [],
       link: '',
       calories: Math.floor(Math.random() * 200) + 100, // Demo data
@@ -81,6 +88,9 @@ export default function decorate(block) {
       } else if (/^[1-5]$/.test(text)) {
         // Difficulty level 1-5
         recipe.difficultyLevel = parseInt(text, 10);
+      } else if (parseDietaryTags(text)) {
+        // Dietary tags: "vegan, gluten-free"
+        recipe.dietaryTags = parseDietaryTags(text);
       } else if (text.includes(',')) {
         // Ingredients list
         recipe.ingredients = text.split(',').map((i) => i.trim());
@@ -92,9 +102,6 @@ export default function decorate(block) {
     });
   });
 
-  // Load favorites from localStorage
-  const favorites = new Set(JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]'));
-
   // Build grid
   const container = document.createElement('div');
   container.className = 'recipe-grid-container';
@@ -110,8 +117,12 @@ export default function decorate(block) {
     card.dataset.difficulty = recipe.difficultyLevel;
     card.dataset.time = parseInt(recipe.time, 10) || 10;
     card.dataset.recipeId = recipe.id;
+    const dietary = resolveDietaryFacets(recipe.dietaryTags, recipe.ingredients);
+    card.dataset.dietary = dietary.join(' ');
 
-    const isFavorite = favorites.has(recipe.id);
+    // What Favorites stores for this recipe
+    const saved = { title: recipe.title, url: recipe.link, image: recipe.image };
+    const favorite = isFavorite(saved);
 
     // Build card structure - reuse original img element to preserve data-gen-image for SSE updates
     const imageDiv = document.createElement('div');
@@ -135,7 +146,7 @@ export default function decorate(block) {
 
     // Add favorite button
     const favBtn = document.createElement('button');
-    favBtn.className = `favorite-btn ${isFavorite ? 'active' : ''}`;
+    favBtn.className = `favorite-btn ${favorite ? 'active' : ''}`;
     favBtn.setAttribute('aria-label', 'Save to favorites');
     favBtn.innerHTML = `
       <svg class="heart-icon" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
@@ -166,29 +177,33 @@ export default function decorate(block) {
       </div>
     `;
 
+    // Badges for the tagged diets; inferred allergen facets only filter
+    const badges = DIETARY_FACETS.filter((facet) => recipe.dietaryTags.includes(facet.id));
+    if (badges.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'recipe-card-dietary';
+      list.innerHTML = badges.map((facet) => `<li>${facet.label}</li>`).join('');
+      bodyDiv.appendChild(list);
+    }
+
     card.appendChild(imageDiv);
     card.appendChild(bodyDiv);
 
     // Store full recipe data for modal
     card.recipeData = {
       ...recipe,
-      isFavorite,
+      isFavorite: favorite,
     };
 
-    // Favorite toggle
+    // Favorite toggle; the heart follows the collections-change event
     favBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      const isNowFavorite = !favorites.has(recipe.id);
-
-      if (isNowFavorite) {
-        favorites.add(recipe.id);
-        favBtn.classList.add('active');
-      } else {
-        favorites.delete(recipe.id);
-        favBtn.classList.remove('active');
-      }
+      toggleFavorite(saved);
+    });
 
-      localStorage.setItem(STORAGE_KEY, JSON.stringify([...favorites]));
+    document.addEventListener('collections-change', () => {
+      const isNowFavorite = isFavorite(saved);
+      favBtn.classList.toggle('active', isNowFavorite);
       card.recipeData.isFavorite = isNowFavorite;
     });
 
@@ -196,6 +211,11 @@ export default function decorate(block) {
     card.addEventListener('click', (e) => {
       if (e.target.closest('.favorite-btn')) return;
 
+      card.dispatchEvent(new CustomEvent('block-interaction', {
+        bubbles: true,
+        detail: { action: 'quick_view_open', label: card.recipeData.title },
+      }));
+
       const event = new CustomEvent('recipe-quick-view', {
         bubbles: true,
         detail: card.recipeData,
@@ -237,6 +257,12 @@ export default function decorate(block) {
         visible = false;
       }
 
+      // Dietary filter: every selected facet must be met
+      const cardDietary = card.dataset.dietary.split(' ');
+      if (filters.dietary?.some((facet) => !cardDietary.includes(facet))) {
+        visible = false;
+      }
+
       // Time filter
       if (filters.maxTime !== 'all') {
         const maxTime = parseInt(filters.maxTime, 10);
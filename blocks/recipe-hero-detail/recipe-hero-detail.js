@@ -3,7 +3,8 @@
  *
  * Displays an enhanced recipe hero with image, title, star rating,
  * description, metadata icons (time, yield, difficulty), dietary info,
- * and submitter attribution.
+ * and submitter attribution. A yield in servings follows the servings picked
+ * in recipe-sidebar (`recipe-scale` event).
  *
  * Content Model (DA Table):
  * | Recipe Hero Detail |                |
@@ -75,7 +76,7 @@ function createMetadata(time, yieldText, difficulty) {
         <span class="meta-icon">${ICONS.yield}</span>
         <div class="meta-text">
           <span class="meta-label">YIELD</span>
-          <span class="meta-value">${yieldText}</span>
+          <span class="meta-value" data-meta="yield">${yieldText}</span>
         </div>
       </div>
       <div class="meta-item">
@@ -202,4 +203,13 @@ export default function decorate(block) {
       newImg.dataset.genImage = genImageId;
     }
   }
+
+  // Follow the servings chosen in recipe-sidebar when the yield is in servings
+  if (/^\d+\s+servings?$/i.test(yieldText)) {
+    const yieldEl = block.querySelector('[data-meta="yield"]');
+    document.addEventListener('recipe-scale', (e) => {
+      const { servings } = e.detail;
+      yieldEl.textContent = `${servings} ${servings === 1 ? 'serving' : 'servings'}`;
+    });
+  }
 }
@@ -1,11 +1,18 @@
 /**
  * Recipe Sidebar Block
  *
- * Left sidebar with action buttons, container size selector, and nutrition facts.
+ * Left sidebar with the ingredient list and nutrition facts. Visitors can
+ * scale the ingredients to a number of servings, switch between US and
+ * metric units and pick a container; a warning shows when the scaled recipe
+ * won't fit it. Scaling dispatches a `recipe-scale` event so other recipe
+ * blocks can follow. Cook Mode (see recipe-tabs) ticks ingredients off from
+ * this list. Save opens the collection picker for the current page.
  *
  * Content Model (DA Table):
  * | Recipe Sidebar |                  |
  * |----------------|------------------|
+ * | ingredients    | 1 cup water, 2 cups spinach, ... (or a list) |
+ * | servings       | 4                |
  * | containerSizes | 64-oz Low,64-oz Classic,48-oz |
  * | servingSize    | 1 serving (542 g)|
  * | calories       | 240              |
@@ -20,12 +27,31 @@
  *
  * HTML structure after decoration:
  * <div class="recipe-sidebar">
- *   <div class="actions-bar">...</div>
- *   <div class="container-select">...</div>
- *   <div class="nutrition-panel">...</div>
+ *   <div class="recipe-sidebar-actions"><button class="action-btn action-save">...</button></div>
+ *   <div class="recipe-sidebar-ingredients">
+ *     <h3 class="ingredients-title">Ingredients</h3>
+ *     <div class="recipe-sidebar-scale">...</div>
+ *     <ul class="ingredients-items"><li>...</li></ul>
+ *   </div>
+ *   <div class="recipe-sidebar-nutrition">...</div>
  * </div>
  */
 
+import {
+  parseIngredient,
+  scaleIngredient,
+  convertIngredient,
+  formatIngredient,
+  totalVolumeMl,
+  parseContainerCapacityMl,
+  scaleNutritionValue,
+  getUnitSystem,
+  setUnitSystem,
+} from '../../scripts/ingredient-quantity.js';
+import { getMetadata } from '../../scripts/aem.js';
+import { getRecipeCollections } from '../../scripts/collections.js';
+import openCollectionPicker from '../../scripts/collection-picker.js';
+
 const ICONS = {
   save: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>`,
   print: `<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 6 2 18 2 18 9"/><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/><rect x="6" y="14" width="12" height="8"/></svg>`,
@@ -66,7 +92,7 @@ function parseNutritionFromRows(rows) {
 
       if (label === 'SERVINGSIZE' || label === 'SERVING SIZE') {
         nutrition.servingSize = value;
-      } else if (label === 'CONTAINERSIZES' || label === 'CONTAINER SIZES') {
+      } else if (['CONTAINERSIZES', 'CONTAINER SIZES', 'INGREDIENTS', 'SERVINGS'].includes(label)) {
         // Skip, handled separately
       } else if (label && value) {
         const isIndent = label.includes('FIBER') || label.includes('SUGAR');
@@ -96,29 +122,216 @@ function parseContainerSizes(rows) {
   return DEFAULT_CONTAINER_SIZES;
 }
 
+function parseIngredients(rows) {
+  const row = rows.find((r) => r.children.length >= 2
+    && r.children[0].textContent.trim().toLowerCase() === 'ingredients');
+  if (!row) return [];
+
+  // Authored as a list, or as comma/line separated text
+  const cell = row.children[1];
+  const items = [...cell.querySelectorAll('li')];
+  if (items.length > 0) return items.map((li) => li.textContent.trim()).filter(Boolean);
+  return cell.innerText.split(/[,\n]/).map((s) => s.trim()).filter(Boolean);
+}
+
+function parseServings(rows) {
+  const row = rows.find((r) => r.children.length >= 2
+    && r.children[0].textContent.trim().toLowerCase() === 'servings');
+  const servings = row ? parseInt(row.children[1].textContent, 10) : NaN;
+  return servings > 0 ? servings : null;
+}
+
+function servingsLabel(servings) {
+  return `${servings} ${servings === 1 ? 'serving' : 'servings'}`;
+}
+
+// "1 SERVING (542 G)" shows ounces in US units
+function formatServingSize(servingSize, system) {
+  if (system !== 'us') return servingSize;
+  return servingSize.replace(
+    /(\d+(?:\.\d+)?)\s*G\b/i,
+    (text, grams) => `${Math.round(parseFloat(grams) / 28.3495)} OZ`,
+  );
+}
+
+/**
+ * Servings, units and container controls; re-renders the ingredient list and
+ * nutrition totals and warns when the scaled recipe overflows the container
+ */
+function setupScaling(block, recipe) {
+  const {
+    ingredients, baseServings, containerSizes, nutrition,
+  } = recipe;
+  const parsed = ingredients.map(parseIngredient);
+  const state = { servings: baseServings, system: getUnitSystem(), container: 0 };
+
+  const list = block.querySelector('.ingredients-items');
+  const servingsValue = block.querySelector('.servings-value');
+  const warning = block.querySelector('.container-warning');
+  const select = block.querySelector('.container-control select');
+
+  function render() {
+    const factor = baseServings ? state.servings / baseServings : 1;
+    const scaled = parsed
+      .map((ing) => convertIngredient(scaleIngredient(ing, factor), state.system));
+
+    list.innerHTML = scaled.map((ing) => `<li>${formatIngredient(ing)}</li>`).join('');
+    if (servingsValue) servingsValue.textContent = state.servings;
+    block.querySelectorAll('.units-control button').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.system === state.system));
+    });
+
+    // Container check
+    const capacity = parseContainerCapacityMl(containerSizes[state.container]);
+    const volume = totalVolumeMl(scaled);
+    if (capacity && volume > capacity) {
+      const amount = convertIngredient(parseIngredient(`${volume} ml`), state.system);
+      warning.textContent = `About ${formatIngredient(amount)} won't fit the ${containerSizes[state.container]} container. Blend in batches or choose fewer servings.`;
+      warning.hidden = false;
+    } else {
+      warning.hidden = true;
+    }
+
+    // Nutrition stays per serving; the total column follows the servings
+    block.querySelector('.nutrition-serving').textContent = formatServingSize(nutrition.servingSize, state.system);
+    if (!baseServings) return;
+    block.querySelector('.nutrition-total-heading').textContent = servingsLabel(state.servings);
+    block.querySelectorAll('.nutrition-total').forEach((el, i) => {
+      el.textContent = scaleNutritionValue(nutrition.facts[i].value, state.servings);
+    });
+
+    document.dispatchEvent(new CustomEvent('recipe-scale', {
+      detail: {
+        servings: state.servings, baseServings, factor, system: state.system,
+      },
+    }));
+  }
+
+  block.querySelector('.recipe-sidebar-scale').addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.classList.contains('servings-decrease')) {
+      state.servings = Math.max(1, state.servings - 1);
+    } else if (button.classList.contains('servings-increase')) {
+      state.servings += 1;
+    } else if (button.dataset.system) {
+      state.system = button.dataset.system;
+      setUnitSystem(state.system);
+    }
+    render();
+  });
+
+  select.addEventListener('change', () => {
+    state.container = select.selectedIndex;
+    render();
+  });
+
+  render();
+}
+
+/**
+ * Save the recipe on this page to a collection
+ */
+function setupSave(block) {
+  const button = block.querySelector('.action-save');
+  const label = button.querySelector('span');
+  const recipe = {
+    title: document.querySelector('h1')?.textContent.trim() || getMetadata('og:title') || document.title,
+    url: window.location.pathname,
+    image: getMetadata('og:image'),
+  };
+
+  const update = () => {
+    const saved = getRecipeCollections(recipe).length > 0;
+    button.classList.toggle('active', saved);
+    label.textContent = saved ? 'Saved' : 'Save';
+  };
+  update();
+  document.addEventListener('collections-change', update);
+
+  button.addEventListener('click', () => openCollectionPicker(recipe));
+}
+
 export default function decorate(block) {
   const rows = [...block.children];
 
   // Parse content
   const nutrition = parseNutritionFromRows(rows);
+  const ingredients = parseIngredients(rows);
+  const baseServings = parseServings(rows);
+  const containerSizes = parseContainerSizes(rows);
 
-  // Build nutrition panel only
+  // Per-serving values, plus recipe totals when the servings are known
   const nutritionFactsHtml = nutrition.facts.map((fact) => `
     <div class="nutrition-row${fact.indent ? ' indent' : ''}">
       <span class="nutrition-label">${fact.label}</span>
       <span class="nutrition-value">${fact.value}</span>
+      ${baseServings ? `<span class="nutrition-total">${scaleNutritionValue(fact.value, baseServings)}</span>` : ''}
     </div>
   `).join('');
 
+  const scaleHtml = `
+    <div class="recipe-sidebar-scale">
+      ${baseServings ? `
+        <div class="servings-control">
+          <span class="scale-label">Servings</span>
+          <button class="servings-decrease" aria-label="Fewer servings">&minus;</button>
+          <output class="servings-value" aria-live="polite">${baseServings}</output>
+          <button class="servings-increase" aria-label="More servings">+</button>
+        </div>
+      ` : ''}
+      <div class="units-control" role="group" aria-label="Units">
+        <button data-system="us" aria-pressed="false">US</button>
+        <button data-system="metric" aria-pressed="false">Metric</button>
+      </div>
+      <label class="container-control">
+        <span class="scale-label">Container</span>
+        <select>
+          ${containerSizes.map((size) => `<option>${size}</option>`).join('')}
+        </select>
+      </label>
+      <p class="container-warning" role="status" hidden></p>
+    </div>
+  `;
+
+  const ingredientsHtml = ingredients.length > 0 ? `
+    <div class="recipe-sidebar-ingredients">
+      <h3 class="ingredients-title">Ingredients</h3>
+      ${scaleHtml}
+      <ul class="ingredients-items">
+        ${ingredients.map((item) => `<li>${item}</li>`).join('')}
+      </ul>
+    </div>
+  ` : '';
+
   block.innerHTML = `
+    <div class="recipe-sidebar-actions">
+      <button class="action-btn action-save">${ICONS.save}<span>Save</span></button>
+    </div>
+    ${ingredientsHtml}
     <div class="recipe-sidebar-nutrition">
       <div class="nutrition-header">
         <span class="nutrition-title">Nutrition</span>
         <span class="nutrition-serving">${nutrition.servingSize}</span>
       </div>
       <div class="nutrition-facts">
+        ${baseServings ? `
+          <div class="nutrition-row nutrition-columns">
+            <span class="nutrition-label"></span>
+            <span class="nutrition-value">Per serving</span>
+            <span class="nutrition-total-heading">${servingsLabel(baseServings)}</span>
+          </div>
+        ` : ''}
         ${nutritionFactsHtml}
       </div>
     </div>
   `;
+
+  setupSave(block);
+
+  if (ingredients.length > 0) {
+    setupScaling(block, {
+      ingredients, baseServings, containerSizes, nutrition,
+    });
+  }
 }
@@ -20,6 +20,14 @@
  *     <button class="toggle">...</button>
  *   </div>
  * </div>
+ *
+ * Cook Mode opens a full-screen view of the recipe-directions steps, one at a
+ * time in large type, for cooking with wet or busy hands:
+ * - next/previous with big buttons, swipe, or arrow keys (Escape exits)
+ * - the screen is kept awake with the Screen Wake Lock API where supported
+ * - times in a step ("blend for 45 seconds") become tap-to-start timers
+ * - ingredients from recipe-sidebar can be ticked off; ticks are kept for
+ *   the browser session
  */
 
 const DEFAULT_TABS = [
@@ -28,10 +36,316 @@ const DEFAULT_TABS = [
   { id: 'related', label: 'RELATED RECIPES' },
 ];
 
+// "45 seconds", "1-2 minutes", "1 1/2 hours"; ranges use the lower bound
+const TIMER_PATTERN = /(\d+(?:\.\d+)?)(?:\s+(1\/2|½))?(?:\s*(?:-|–|to)\s*\d+(?:\.\d+)?)?\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?)\b/gi;
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600 };
+
+const SWIPE_THRESHOLD = 60;
+
 const ICONS = {
+  close: '<svg xmlns="http://www.w3.org/2000/svg" width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>',
+  timer: '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="13" r="8"/><polyline points="12 9 12 13 14 15"/><line x1="10" y1="2" x2="14" y2="2"/></svg>',
   help: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>`,
 };
 
+/**
+ * Timers mentioned in a step's text, in seconds
+ * @param {string} text - Step text
+ * @returns {Array<{label: string, seconds: number}>}
+ */
+function parseTimers(text) {
+  const timers = [];
+  [...text.matchAll(TIMER_PATTERN)].forEach((match) => {
+    const amount = parseFloat(match[1]) + (match[2] ? 0.5 : 0);
+    const seconds = Math.round(amount * UNIT_SECONDS[match[3][0].toLowerCase()]);
+    if (seconds > 0 && !timers.some((t) => t.seconds === seconds)) {
+      timers.push({ label: match[0], seconds });
+    }
+  });
+  return timers;
+}
+
+function formatTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Short beep when a timer ends; silently skipped where audio is unavailable
+function beep() {
+  try {
+    const ctx = new AudioContext();
+    const osc = ctx.createOscillator();
+    osc.frequency.value = 880;
+    osc.connect(ctx.destination);
+    osc.onended = () => ctx.close();
+    osc.start();
+    osc.stop(ctx.currentTime + 0.6);
+  } catch (error) {
+    // No audio, the timer still shows as done
+  }
+}
+
+// Steps and ingredients come from the other recipe blocks on the page
+function collectRecipe() {
+  const steps = [...document.querySelectorAll('.recipe-directions .step-text')]
+    .map((el) => el.innerHTML.trim())
+    .filter(Boolean);
+  const ingredients = [...document.querySelectorAll('.recipe-sidebar-ingredients li')]
+    .map((el) => el.textContent.trim())
+    .filter(Boolean);
+  return { steps, ingredients };
+}
+
+function loadChecked(storageKey) {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(storageKey) || '[]'));
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Build the Cook Mode overlay and wire it to the toggle
+ * @param {HTMLButtonElement} toggle - Cook Mode toggle in the tabs bar
+ */
+function setupCookMode(toggle) {
+  const storageKey = `cook-mode-ingredients:${window.location.pathname}`;
+  const overlay = document.createElement('div');
+  overlay.className = 'cook-mode';
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-label', 'Cook mode');
+  overlay.hidden = true;
+  document.body.appendChild(overlay);
+
+  let current = 0;
+  let stepEls = [];
+  let wakeLock = null;
+  const timers = new Set();
+
+  async function requestWakeLock() {
+    if (!('wakeLock' in navigator) || document.visibilityState !== 'visible') return;
+    try {
+      wakeLock = await navigator.wakeLock.request('screen');
+    } catch (error) {
+      // Denied, e.g. in battery saver; cook mode works without it
+      wakeLock = null;
+    }
+  }
+
+  function releaseWakeLock() {
+    if (wakeLock) wakeLock.release().catch(() => {});
+    wakeLock = null;
+  }
+
+  function showStep(index) {
+    current = Math.max(0, Math.min(index, stepEls.length - 1));
+    stepEls.forEach((el, i) => { el.hidden = i !== current; });
+    overlay.querySelector('.cook-mode-progress').textContent = `Step ${current + 1} of ${stepEls.length}`;
+    overlay.querySelector('.cook-mode-prev').disabled = current === 0;
+    overlay.querySelector('.cook-mode-next').textContent = current === stepEls.length - 1 ? 'Done' : 'Next';
+  }
+
+  function startTimer(button, seconds) {
+    let remaining = seconds;
+    const display = button.querySelector('.timer-display');
+    button.classList.remove('done');
+    button.classList.add('running');
+    button.setAttribute('aria-pressed', 'true');
+    display.textContent = formatTime(remaining);
+
+    const timer = setInterval(() => {
+      remaining -= 1;
+      display.textContent = formatTime(remaining);
+      if (remaining <= 0) {
+        clearInterval(timer);
+        timers.delete(timer);
+        delete button.dataset.timer;
+        button.classList.remove('running');
+        button.classList.add('done');
+        button.setAttribute('aria-pressed', 'false');
+        display.textContent = 'Time\'s up';
+        if (navigator.vibrate) navigator.vibrate([300, 150, 300]);
+        beep();
+      }
+    }, 1000);
+    timers.add(timer);
+    button.dataset.timer = timer;
+  }
+
+  function stopTimer(button) {
+    const timer = Number(button.dataset.timer);
+    clearInterval(timer);
+    timers.delete(timer);
+    delete button.dataset.timer;
+    button.classList.remove('running');
+    button.setAttribute('aria-pressed', 'false');
+    button.querySelector('.timer-display').textContent = button.dataset.label;
+  }
+
+  function close() {
+    overlay.hidden = true;
+    document.body.classList.remove('cook-mode-open');
+    toggle.classList.remove('active');
+    toggle.setAttribute('aria-pressed', 'false');
+    timers.forEach((timer) => clearInterval(timer));
+    timers.clear();
+    releaseWakeLock();
+    toggle.focus();
+  }
+
+  function open() {
+    const { steps, ingredients } = collectRecipe();
+    if (steps.length === 0) return;
+    const checked = loadChecked(storageKey);
+
+    const stepsHtml = steps.map((step, i) => `
+      <section class="cook-mode-step" data-step="${i + 1}" hidden>
+        <span class="cook-mode-step-number" aria-hidden="true">${i + 1}</span>
+        <p class="cook-mode-step-text">${step}</p>
+      </section>
+    `).join('');
+
+    overlay.innerHTML = `
+      <header class="cook-mode-header">
+        <span class="cook-mode-progress" aria-live="polite"></span>
+        ${ingredients.length > 0 ? '<button class="cook-mode-ingredients-toggle" aria-expanded="false">Ingredients</button>' : ''}
+        <button class="cook-mode-exit" aria-label="Exit cook mode">${ICONS.close}</button>
+      </header>
+      <div class="cook-mode-body">
+        ${ingredients.length > 0 ? '<aside class="cook-mode-ingredients" hidden><ul></ul></aside>' : ''}
+        <div class="cook-mode-steps">${stepsHtml}</div>
+      </div>
+      <footer class="cook-mode-nav">
+        <button class="cook-mode-prev">Previous</button>
+        <button class="cook-mode-next">Next</button>
+      </footer>
+    `;
+
+    // Ingredient and timer text is set as text, never parsed as markup
+    overlay.querySelector('.cook-mode-ingredients ul')?.append(...ingredients.map((item, i) => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.dataset.index = i;
+      input.checked = checked.has(i);
+      const text = document.createElement('span');
+      text.textContent = item;
+      const label = document.createElement('label');
+      label.append(input, text);
+      const li = document.createElement('li');
+      li.append(label);
+      return li;
+    }));
+
+    overlay.querySelectorAll('.cook-mode-step').forEach((section, i) => {
+      const stepTimers = parseTimers(steps[i].replace(/<[^>]+>/g, ''));
+      if (stepTimers.length === 0) return;
+      const container = document.createElement('div');
+      container.className = 'cook-mode-timers';
+      container.append(...stepTimers.map((timer) => {
+        const button = document.createElement('button');
+        button.className = 'cook-mode-timer';
+        button.dataset.seconds = timer.seconds;
+        button.dataset.label = timer.label;
+        button.setAttribute('aria-pressed', 'false');
+        button.innerHTML = ICONS.timer;
+        const display = document.createElement('span');
+        display.className = 'timer-display';
+        display.textContent = timer.label;
+        button.append(display);
+        return button;
+      }));
+      section.append(container);
+    });
+
+    stepEls = [...overlay.querySelectorAll('.cook-mode-step')];
+    overlay.hidden = false;
+    document.body.classList.add('cook-mode-open');
+    toggle.classList.add('active');
+    toggle.setAttribute('aria-pressed', 'true');
+
+    // Ingredients sit beside the steps on wide screens, behind a toggle on phones
+    const ingredientsToggle = overlay.querySelector('.cook-mode-ingredients-toggle');
+    if (ingredientsToggle && window.matchMedia('(width >= 900px)').matches) {
+      ingredientsToggle.click();
+    }
+
+    showStep(0);
+    requestWakeLock();
+    overlay.querySelector('.cook-mode-next').focus();
+  }
+
+  overlay.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+
+    if (button.classList.contains('cook-mode-exit')) {
+      close();
+    } else if (button.classList.contains('cook-mode-prev')) {
+      showStep(current - 1);
+    } else if (button.classList.contains('cook-mode-next')) {
+      if (current === stepEls.length - 1) close();
+      else showStep(current + 1);
+    } else if (button.classList.contains('cook-mode-ingredients-toggle')) {
+      const panel = overlay.querySelector('.cook-mode-ingredients');
+      panel.hidden = !panel.hidden;
+      button.setAttribute('aria-expanded', String(!panel.hidden));
+    } else if (button.classList.contains('cook-mode-timer')) {
+      if (button.dataset.timer) stopTimer(button);
+      else startTimer(button, Number(button.dataset.seconds));
+    }
+  });
+
+  overlay.addEventListener('change', (e) => {
+    if (!e.target.matches('.cook-mode-ingredients input')) return;
+    const checked = [...overlay.querySelectorAll('.cook-mode-ingredients input:checked')]
+      .map((input) => Number(input.dataset.index));
+    sessionStorage.setItem(storageKey, JSON.stringify(checked));
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (overlay.hidden) return;
+    if (e.key === 'Escape') {
+      close();
+    } else if (e.key === 'ArrowRight' || e.key === 'PageDown') {
+      e.preventDefault();
+      showStep(current + 1);
+    } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+      e.preventDefault();
+      showStep(current - 1);
+    }
+  });
+
+  // Horizontal swipes on the step change steps; vertical ones still scroll
+  let swipeStart = null;
+  overlay.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('.cook-mode-steps')) swipeStart = { x: e.clientX, y: e.clientY };
+  });
+  overlay.addEventListener('pointerup', (e) => {
+    if (!swipeStart) return;
+    const dx = e.clientX - swipeStart.x;
+    const dy = e.clientY - swipeStart.y;
+    swipeStart = null;
+    if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+      showStep(current + (dx < 0 ? 1 : -1));
+    }
+  });
+  overlay.addEventListener('pointercancel', () => { swipeStart = null; });
+
+  // The wake lock is dropped whenever the page is hidden; take it again on return
+  document.addEventListener('visibilitychange', () => {
+    if (!overlay.hidden && document.visibilityState === 'visible') requestWakeLock();
+  });
+
+  toggle.addEventListener('click', () => {
+    if (overlay.hidden) open();
+    else close();
+  });
+}
+
 export default function decorate(block) {
   const rows = [...block.children];
 
@@ -71,6 +385,13 @@ export default function decorate(block) {
     <nav class="recipe-tabs-nav" role="tablist" aria-label="Recipe sections">
       ${tabsHtml}
     </nav>
+    <div class="recipe-tabs-cook-mode">
+      <button class="cook-mode-help" aria-label="About cook mode" title="Shows one step at a time in large type and keeps your screen on">${ICONS.help}</button>
+      <span class="cook-mode-label">Cook Mode</span>
+      <button class="cook-mode-toggle" aria-pressed="false" aria-label="Cook mode">
+        <span class="toggle-track"><span class="toggle-thumb"></span></span>
+      </button>
+    </div>
   `;
 
   // Add tab click handlers
@@ -113,4 +434,5 @@ export default function decorate(block) {
     }
   });
 
+  setupCookMode(block.querySelector('.cook-mode-toggle'));
 }
@@ -2,28 +2,124 @@
  * Analytics Tracker
  *
  * Client-side analytics tracking for Vitamix POC.
- * Tracks sessions, queries, page publications, and CTA conversions.
+ * Tracks sessions, queries, page publications, CTA clicks and conversions,
+ * plus impressions, dwell time, clicks and interactions for each block on the page.
+ *
+ * Nothing is tracked without analytics consent (scripts/consent.js); the
+ * tracker starts when consent is granted and stops, dropping unsent events,
+ * when it is withdrawn.
+ *
+ * Events are kept in localStorage until the worker acknowledges them, so they
+ * survive navigation, tab close and network failures. Failed sends are retried
+ * with exponential backoff, and every event carries a client id the worker
+ * uses to record it only once.
+ *
+ * Each session also has a random access key, sent with its events. The worker
+ * keeps the first key it sees for a session and requires it to export or
+ * erase that session's data, so the ids and keys of recent sessions are kept
+ * in localStorage (also after consent is withdrawn) for the consent-banner
+ * block's data controls.
  */
+import { hasConsent, onConsentChange } from './consent.js';
 
 const ANALYTICS_SESSION_KEY = 'vitamix-analytics-session';
 
+const ANALYTICS_QUEUE_KEY = 'vitamix-analytics-queue';
+
+const ANALYTICS_ACCESS_KEY = 'vitamix-analytics-access';
+
+// Sessions the visitor can still export or erase from this browser
+const MAX_ACCESS_RECORDS = 20;
+
+const FLUSH_DELAY_MS = 2000;
+
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Keeps each request well under the 64KB sendBeacon payload limit
+const MAX_BATCH_EVENTS = 50;
+
+// Oldest events are dropped beyond this, or once they are a week old
+const MAX_QUEUED_EVENTS = 500;
+const MAX_EVENT_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A block counts as seen (and accrues dwell time) while half of it is in view
+const BLOCK_VISIBLE_RATIO = 0.5;
+
 /**
  * @typedef {Object} TrackingEvent
+ * @property {string} eventId - Client-generated id, used by the worker to drop duplicates
  * @property {string} sessionId - Unique session identifier
+ * @property {string} [accessKey] - The session's access key
  * @property {number} timestamp - Event timestamp
- * @property {'session_start' | 'query' | 'page_published' | 'conversion'} eventType
+ * @property {'session_start' | 'query' | 'page_published' | 'cta_click' | 'conversion'
+ *   | 'block_engagement'} eventType
  * @property {Object} data - Event-specific data
  */
 
 /**
  * @typedef {Object} AnalyticsSession
  * @property {string} sessionId - Unique session identifier
+ * @property {string} accessKey - Secret required to export or erase the session's data
  * @property {number} startTime - Session start timestamp
  * @property {number} queryCount - Number of queries in this session
  * @property {string} lastQuery - Most recent query text
  * @property {string} lastPageUrl - Most recent generated page URL
  */
 
+/**
+ * @typedef {Object} SessionAccess
+ * @property {string} sessionId - Analytics session id
+ * @property {string} accessKey - Secret registered for it with the worker
+ */
+
+/**
+ * Ids and access keys of the sessions this browser can export or erase,
+ * most recent first
+ * @returns {SessionAccess[]}
+ */
+export function getSessionAccess() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ANALYTICS_ACCESS_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Replace the stored session access records
+ * @param {SessionAccess[]} records
+ */
+function saveSessionAccess(records) {
+  try {
+    const recent = records.slice(0, MAX_ACCESS_RECORDS);
+    localStorage.setItem(ANALYTICS_ACCESS_KEY, JSON.stringify(recent));
+  } catch (e) {
+    // Storage disabled; the session can only be reached by an admin
+  }
+}
+
+/**
+ * Remember a session's id and access key for later data requests
+ * @param {AnalyticsSession} session
+ */
+function rememberAccess({ sessionId, accessKey }) {
+  if (!sessionId || !accessKey) return;
+  const others = getSessionAccess().filter((record) => record.sessionId !== sessionId);
+  saveSessionAccess([{ sessionId, accessKey }, ...others]);
+}
+
+/**
+ * @typedef {Object} BlockState
+ * @property {string} blockType - Block name
+ * @property {number} position - Block index on the page
+ * @property {boolean} seen - Whether an impression was tracked
+ * @property {number} visibleSince - When the block last came into view (0 while out of view)
+ * @property {number} dwellMs - Time in view not yet reported
+ * @property {boolean} clicked - Whether the block has been clicked
+ */
+
 export class AnalyticsTracker {
   /**
    * @param {Object} options
@@ -32,9 +128,20 @@ export class AnalyticsTracker {
   constructor(options = {}) {
     this.endpoint = options.endpoint || 'https://vitamix-analytics.paolo-moz.workers.dev';
     this.session = null;
+    // Used only when localStorage is unavailable
     this.eventQueue = [];
     this.flushTimeout = null;
+    // Ids of events in a pending fetch
+    this.inFlight = new Set();
+    this.retryCount = 0;
+    this.retryAt = 0;
     this.initialized = false;
+    /** @type {Map<Element, BlockState>} */
+    this.blocks = new Map();
+    this.blockObserver = null;
+    this.mutationObserver = null;
+    this.listening = false;
+    this.unsubscribeConsent = null;
   }
 
   /**
@@ -50,8 +157,20 @@ export class AnalyticsTracker {
       return;
     }
 
+    if (!this.unsubscribeConsent) {
+      this.unsubscribeConsent = onConsentChange((consent) => {
+        if (consent.analytics) this.init();
+        else this.disable();
+      });
+    }
+    if (!hasConsent('analytics')) {
+      console.log('[Analytics] No analytics consent, waiting');
+      return;
+    }
+
     this.session = this.getOrCreateSession();
     this.setupEventListeners();
+    this.setupBlockTracking();
     this.initialized = true;
 
     // Track session start if this is a new session
@@ -59,9 +178,40 @@ export class AnalyticsTracker {
       this.trackSessionStart();
     }
 
+    // Send anything left over from earlier pages
+    if (this.readQueue().length > 0) {
+      this.scheduleFlush(0);
+    }
+
     console.log('[Analytics] Initialized with session:', this.session.sessionId);
   }
 
+  /**
+   * Stop tracking after consent is withdrawn, dropping unsent events and the
+   * analytics session
+   */
+  disable() {
+    if (!this.initialized) return;
+
+    this.blockObserver?.disconnect();
+    this.mutationObserver?.disconnect();
+    this.blocks.clear();
+    if (this.flushTimeout) {
+      clearTimeout(this.flushTimeout);
+      this.flushTimeout = null;
+    }
+    this.updateQueue(() => []);
+    try {
+      sessionStorage.removeItem(ANALYTICS_SESSION_KEY);
+    } catch (e) {
+      // Ignore unavailable storage
+    }
+
+    this.session = null;
+    this.initialized = false;
+    console.log('[Analytics] Consent withdrawn, tracking stopped');
+  }
+
   /**
    * Get existing session or create a new one
    * @returns {AnalyticsSession & { isNew: boolean }}
@@ -71,6 +221,11 @@ export class AnalyticsTracker {
       const stored = sessionStorage.getItem(ANALYTICS_SESSION_KEY);
       if (stored) {
         const session = JSON.parse(stored);
+        // Sessions started before access keys existed get one now
+        if (!session.accessKey) {
+          session.accessKey = crypto.randomUUID();
+          this.saveSession(session);
+        }
         return { ...session, isNew: false };
       }
     } catch (e) {
@@ -80,6 +235,7 @@ export class AnalyticsTracker {
     // Create new session
     const session = {
       sessionId: crypto.randomUUID(),
+      accessKey: crypto.randomUUID(),
       startTime: Date.now(),
       queryCount: 0,
       lastQuery: '',
@@ -101,6 +257,59 @@ export class AnalyticsTracker {
     } catch (e) {
       console.warn('[Analytics] Failed to save session:', e);
     }
+    rememberAccess(session);
+  }
+
+  /**
+   * @param {string} sessionId
+   * @returns {string} Data-subject request URL for the session
+   */
+  sessionDataUrl(sessionId) {
+    return `${this.endpoint}/api/analytics/session/${encodeURIComponent(sessionId)}`;
+  }
+
+  /**
+   * Download everything the worker stored for this browser's sessions
+   * @returns {Promise<Object[]>} One export per session the worker still has
+   */
+  async exportSessionData() {
+    const exports = await Promise.all(getSessionAccess().map(async ({ sessionId, accessKey }) => {
+      const response = await fetch(this.sessionDataUrl(sessionId), {
+        headers: { Authorization: `Bearer ${accessKey}` },
+      });
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.json();
+    }));
+    return exports.filter(Boolean);
+  }
+
+  /**
+   * Erase everything the worker stored for this browser's sessions, along
+   * with their unsent events. Sessions that fail stay listed so the visitor
+   * can try again.
+   * @returns {Promise<number>} How many sessions were erased
+   */
+  async deleteSessionData() {
+    const records = getSessionAccess();
+    const results = await Promise.allSettled(records.map(async ({ sessionId, accessKey }) => {
+      const response = await fetch(this.sessionDataUrl(sessionId), {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${accessKey}` },
+      });
+      // 404: the worker never stored anything for the session
+      if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+      return sessionId;
+    }));
+
+    const erased = new Set(results
+      .filter((result) => result.status === 'fulfilled')
+      .map((result) => result.value));
+    this.updateQueue((queue) => queue.filter((event) => !erased.has(event.sessionId)));
+    // The current session keeps its key: events tracked from now on start a new record
+    saveSessionAccess(records.filter((record) => !erased.has(record.sessionId)
+      || record.sessionId === this.session?.sessionId));
+    return erased.size;
   }
 
   /**
@@ -123,6 +332,9 @@ export class AnalyticsTracker {
    * Set up event listeners for page-published events
    */
   setupEventListeners() {
+    if (this.listening) return;
+    this.listening = true;
+
     // Listen for page-published events to capture generated page URLs
     window.addEventListener('page-published', (e) => {
       const { url, path } = e.detail || {};
@@ -131,16 +343,202 @@ export class AnalyticsTracker {
       }
     });
 
-    // Send queued events on page unload
-    window.addEventListener('beforeunload', () => {
+    // Send queued events when the page goes away (pagehide also covers the
+    // back/forward cache, which beforeunload misses)
+    window.addEventListener('pagehide', () => {
+      this.trackBlockDwell();
       this.flush(true);
     });
 
+    // Retry straight away when the connection comes back
+    window.addEventListener('online', () => {
+      this.retryAt = 0;
+      this.flush();
+    });
+
     // Also flush on visibility change (mobile)
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'hidden') {
+        this.trackBlockDwell();
         this.flush(true);
+      } else {
+        this.resumeBlockDwell();
+      }
+    });
+
+    // Clicks and interactions inside tracked blocks. Blocks report their own
+    // interactions by dispatching a bubbling `block-interaction` CustomEvent
+    // with `{ action, label }` as its detail.
+    const main = document.querySelector('main');
+    main?.addEventListener('click', (e) => {
+      const block = e.target.closest('.block');
+      if (block && this.blocks.has(block)) this.trackBlockClick(block, e.target);
+    });
+
+    main?.addEventListener('block-interaction', (e) => {
+      const block = e.target.closest('.block');
+      const { action, label } = e.detail || {};
+      if (block && action) this.trackBlockInteraction(block, action, label);
+    });
+  }
+
+  /**
+   * Watch blocks in main as they finish loading
+   */
+  setupBlockTracking() {
+    const main = document.querySelector('main');
+    if (!main || !('IntersectionObserver' in window)) return;
+
+    this.blockObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => this.handleBlockVisibility(entry));
+    }, { threshold: BLOCK_VISIBLE_RATIO });
+
+    // Blocks are loaded progressively (and generated pages stream in), so
+    // pick them up when aem.js marks them loaded
+    const observeLoaded = (root) => {
+      root.querySelectorAll('.block[data-block-status="loaded"]').forEach((block) => this.observeBlock(block));
+    };
+    this.mutationObserver = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        if (mutation.type === 'attributes') {
+          if (mutation.target.dataset.blockStatus === 'loaded') this.observeBlock(mutation.target);
+        } else {
+          mutation.addedNodes.forEach((node) => {
+            if (node.nodeType === Node.ELEMENT_NODE) observeLoaded(node);
+          });
+        }
+      });
+    });
+    this.mutationObserver.observe(main, { subtree: true, childList: true, attributeFilter: ['data-block-status'] });
+    observeLoaded(main);
+  }
+
+  /**
+   * Start tracking a rendered block
+   * @param {Element} block
+   */
+  observeBlock(block) {
+    if (this.blocks.has(block) || !block.dataset.blockName) return;
+
+    // Generated sections carry their selection index; authored pages use DOM order
+    const indexed = block.closest('[data-block-index]');
+    const position = indexed
+      ? Number(indexed.dataset.blockIndex)
+      : [...document.querySelectorAll('main .block')].indexOf(block);
+
+    this.blocks.set(block, {
+      blockType: block.dataset.blockName,
+      position,
+      seen: false,
+      visibleSince: 0,
+      dwellMs: 0,
+      clicked: false,
+    });
+    this.blockObserver.observe(block);
+  }
+
+  /**
+   * Track the first impression of a block and accumulate its time in view
+   * @param {IntersectionObserverEntry} entry
+   */
+  handleBlockVisibility(entry) {
+    const state = this.blocks.get(entry.target);
+    if (!state) return;
+
+    const visible = entry.isIntersecting && entry.intersectionRatio >= BLOCK_VISIBLE_RATIO;
+    if (visible && !state.visibleSince) {
+      state.visibleSince = Date.now();
+      if (!state.seen) {
+        state.seen = true;
+        this.queueBlockEvent(state, 'impression');
+      }
+    } else if (!visible && state.visibleSince) {
+      state.dwellMs += Date.now() - state.visibleSince;
+      state.visibleSince = 0;
+    }
+  }
+
+  /**
+   * Track a click anywhere inside a block
+   * @param {Element} block
+   * @param {Element} target - The clicked element
+   */
+  trackBlockClick(block, target) {
+    const state = this.blocks.get(block);
+    const control = target.closest('a, button, [role="button"]') || target;
+
+    this.queueBlockEvent(state, 'click', {
+      label: (control.textContent || '').trim().slice(0, 100),
+      // CTR counts each rendered block once, however often it is clicked
+      firstClick: !state.clicked,
+    });
+    state.clicked = true;
+  }
+
+  /**
+   * Track a block-specific interaction (follow-up chip click, comparison
+   * selection, quick-view open, ...)
+   * @param {Element} block
+   * @param {string} action
+   * @param {string} [label]
+   */
+  trackBlockInteraction(block, action, label) {
+    const state = this.blocks.get(block) || {
+      blockType: block.dataset.blockName || '',
+      position: -1,
+    };
+    this.queueBlockEvent(state, action, { label: (label || '').slice(0, 100) });
+  }
+
+  /**
+   * Report time in view accrued since the last report. Called when the page
+   * is hidden or unloaded; blocks still in view keep counting from now.
+   */
+  trackBlockDwell() {
+    const now = Date.now();
+    this.blocks.forEach((state, block) => {
+      if (state.visibleSince) {
+        state.dwellMs += now - state.visibleSince;
+        state.visibleSince = now;
       }
+      if (state.dwellMs > 0) {
+        this.queueBlockEvent(state, 'dwell', { dwellMs: Math.round(state.dwellMs) });
+        state.dwellMs = 0;
+      }
+      if (!block.isConnected) this.blocks.delete(block);
+    });
+  }
+
+  /**
+   * Restart dwell timers for blocks in view when the page is shown again
+   */
+  resumeBlockDwell() {
+    const now = Date.now();
+    this.blocks.forEach((state) => {
+      if (state.visibleSince) state.visibleSince = now;
+    });
+  }
+
+  /**
+   * Queue a block_engagement event
+   * @param {Pick<BlockState, 'blockType' | 'position'>} state
+   * @param {string} action - impression, click, dwell or a block-specific interaction
+   * @param {Object} [details]
+   */
+  queueBlockEvent(state, action, details = {}) {
+    if (!this.session) return;
+
+    this.queueEvent({
+      sessionId: this.session.sessionId,
+      timestamp: Date.now(),
+      eventType: 'block_engagement',
+      data: {
+        blockType: state.blockType,
+        position: state.position,
+        action,
+        ...details,
+        sourceQuery: this.session.lastQuery,
+      },
     });
   }
 
@@ -166,6 +564,11 @@ export class AnalyticsTracker {
    * @param {string} queryData.query - The user's query text
    * @param {string} [queryData.intent] - Query intent classification
    * @param {string} [queryData.journeyStage] - User's journey stage
+   * @param {string} [queryData.generationId] - Generation id from generation-complete; the
+   *   recommender Worker reports the generation's model usage under it
+   * @param {string[]} [queryData.blockTypes] - Block types on the generated page
+   * @param {Object} [queryData.entities] - Entities the intent classifier found (for clustering)
+   * @param {Object} [queryData.retrieval] - Products/recipes the RAG context found
    */
   trackQuery(queryData) {
     if (!this.initialized || !this.session) return;
@@ -184,6 +587,10 @@ export class AnalyticsTracker {
         intent: queryData.intent || '',
         journeyStage: queryData.journeyStage || '',
         consecutiveQueryNumber: this.session.queryCount,
+        ...(queryData.blockTypes && { blockTypes: queryData.blockTypes }),
+        ...(queryData.entities && { entities: queryData.entities }),
+        ...(queryData.retrieval && { retrieval: queryData.retrieval }),
+        ...(queryData.generationId && { generationId: queryData.generationId }),
       },
     });
 
@@ -215,6 +622,30 @@ export class AnalyticsTracker {
     console.log('[Analytics] Tracked page published:', url);
   }
 
+  /**
+   * Track a click on a CTA that doesn't leave for vitamix.com
+   * (those are tracked as conversions)
+   * @param {string} ctaUrl - The URL clicked
+   * @param {string} [ctaText] - The CTA text
+   */
+  trackCtaClick(ctaUrl, ctaText) {
+    if (!this.initialized || !this.session) return;
+
+    this.queueEvent({
+      sessionId: this.session.sessionId,
+      timestamp: Date.now(),
+      eventType: 'cta_click',
+      data: {
+        ctaUrl: ctaUrl || '',
+        ctaText: ctaText || '',
+        sourceQuery: this.session.lastQuery,
+      },
+    });
+
+    // The click may navigate away
+    this.flush(true);
+  }
+
   /**
    * Track a CTA conversion (click to vitamix.com)
    * @param {string} ctaUrl - The URL clicked
@@ -246,46 +677,126 @@ export class AnalyticsTracker {
    * @param {TrackingEvent} event
    */
   queueEvent(event) {
-    this.eventQueue.push(event);
+    if (!this.initialized) return;
+
+    this.updateQueue((queue) => [
+      ...queue,
+      { eventId: crypto.randomUUID(), accessKey: this.session?.accessKey, ...event },
+    ]);
+    this.scheduleFlush(FLUSH_DELAY_MS);
+  }
 
-    // Debounce flush
+  /**
+   * Read the persisted queue, dropping expired events
+   * @returns {TrackingEvent[]}
+   */
+  readQueue() {
+    let queue = this.eventQueue;
+    try {
+      const stored = localStorage.getItem(ANALYTICS_QUEUE_KEY);
+      queue = stored ? JSON.parse(stored) : [];
+    } catch (e) {
+      // Storage unavailable or corrupt; fall back to memory
+    }
+
+    const cutoff = Date.now() - MAX_EVENT_AGE_MS;
+    return queue.filter((event) => event && event.eventId && event.timestamp > cutoff);
+  }
+
+  /**
+   * Read, change and write back the persisted queue. Other tabs share it, so
+   * it is re-read for every change rather than cached.
+   * @param {function(TrackingEvent[]): TrackingEvent[]} update
+   */
+  updateQueue(update) {
+    const queue = update(this.readQueue()).slice(-MAX_QUEUED_EVENTS);
+    this.eventQueue = queue;
+    try {
+      localStorage.setItem(ANALYTICS_QUEUE_KEY, JSON.stringify(queue));
+    } catch (e) {
+      // Quota exceeded or storage disabled; the in-memory copy still works
+    }
+  }
+
+  /**
+   * Remove acknowledged events from the queue
+   * @param {string[]} eventIds
+   */
+  removeEvents(eventIds) {
+    const sent = new Set(eventIds);
+    this.updateQueue((queue) => queue.filter((event) => !sent.has(event.eventId)));
+  }
+
+  /**
+   * Flush after a delay, or once the current backoff has passed
+   * @param {number} delay - Milliseconds to wait
+   */
+  scheduleFlush(delay) {
     if (this.flushTimeout) {
       clearTimeout(this.flushTimeout);
     }
-    this.flushTimeout = setTimeout(() => this.flush(), 2000);
+    const wait = Math.max(delay, this.retryAt - Date.now());
+    this.flushTimeout = setTimeout(() => {
+      this.flushTimeout = null;
+      this.flush();
+    }, wait);
   }
 
   /**
    * Flush queued events to the server
-   * @param {boolean} [useBeacon=false] - Use sendBeacon for reliability
+   * @param {boolean} [useBeacon=false] - Use sendBeacon, for when the page is going away
    */
   flush(useBeacon = false) {
-    if (this.eventQueue.length === 0) return;
-
-    const events = [...this.eventQueue];
-    this.eventQueue = [];
+    const pending = this.readQueue().filter((event) => !this.inFlight.has(event.eventId));
+    if (pending.length === 0) return;
 
-    const payload = JSON.stringify({ events });
+    const url = `${this.endpoint}/api/track`;
 
     if (useBeacon && navigator.sendBeacon) {
-      // Use sendBeacon for page unload
-      const blob = new Blob([payload], { type: 'application/json' });
-      navigator.sendBeacon(`${this.endpoint}/api/track`, blob);
-      console.log('[Analytics] Sent', events.length, 'events via beacon');
-    } else {
-      // Use fetch for normal operation
-      fetch(`${this.endpoint}/api/track`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: payload,
-        keepalive: true,
-      }).catch((err) => {
-        console.warn('[Analytics] Failed to send events:', err);
-        // Re-queue failed events
-        this.eventQueue.push(...events);
-      });
-      console.log('[Analytics] Sent', events.length, 'events via fetch');
+      // The browser delivers beacons after the page is gone but never reports
+      // the result, so accepted events are treated as sent. A text/plain body
+      // keeps the request CORS-simple.
+      const accepted = [];
+      for (let i = 0; i < pending.length; i += MAX_BATCH_EVENTS) {
+        const events = pending.slice(i, i + MAX_BATCH_EVENTS);
+        const blob = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+        if (!navigator.sendBeacon(url, blob)) break;
+        accepted.push(...events.map((event) => event.eventId));
+      }
+      this.removeEvents(accepted);
+      console.log('[Analytics] Sent', accepted.length, 'events via beacon');
+      return;
     }
+
+    const events = pending.slice(0, MAX_BATCH_EVENTS);
+    const eventIds = events.map((event) => event.eventId);
+    eventIds.forEach((id) => this.inFlight.add(id));
+
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ events }),
+      keepalive: true,
+    }).then((response) => {
+      // Other 4xx responses will never succeed, so those events are dropped
+      const { status } = response;
+      if (status >= 500 || status === 408 || status === 429) throw new Error(`HTTP ${status}`);
+
+      this.removeEvents(eventIds);
+      this.retryCount = 0;
+      this.retryAt = 0;
+      if (pending.length > events.length) this.scheduleFlush(0);
+    }).catch((err) => {
+      // Events stay queued; back off exponentially with jitter
+      this.retryCount += 1;
+      const backoff = Math.min(RETRY_BASE_MS * (2 ** (this.retryCount - 1)), RETRY_MAX_MS);
+      this.retryAt = Date.now() + backoff * (0.5 + Math.random() / 2);
+      console.warn('[Analytics] Failed to send events, retry', this.retryCount, err);
+      this.scheduleFlush(0);
+    }).finally(() => {
+      eventIds.forEach((id) => this.inFlight.delete(id));
+    });
+    console.log('[Analytics] Sent', events.length, 'events via fetch');
   }
 }
 
@@ -13,6 +13,7 @@ import {
   loadCSS,
 } from './aem.js';
 import { SessionContextManager } from './session-context.js';
+import { persistPage, describePersistStep } from './persist-client.js';
 
 // Cerebras worker URL
 const CEREBRAS_WORKER_URL = 'https://vitamix-generative-cerebras.paolo-moz.workers.dev';
@@ -706,15 +707,15 @@ async function publishToDA() {
       return { ...block, html };
     });
 
-    // Call worker API to persist (worker will classify and generate path)
-    const response = await fetch(`${CEREBRAS_WORKER_URL}/api/persist`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query, blocks: blocksToPublish }),
+    // Call worker API to persist (worker will classify and generate path),
+    // polling the persist job until the page is live
+    const result = await persistPage(CEREBRAS_WORKER_URL, { query, blocks: blocksToPublish }, {
+      onProgress: (job) => {
+        const label = publishBtn.querySelector('span');
+        if (label) label.textContent = `${describePersistStep(job)}...`;
+      },
     });
 
-    const result = await response.json();
-
     if (!result.success) {
       throw new Error(result.error || 'Failed to publish');
     }
@@ -0,0 +1,111 @@
+/**
+ * Collection Picker
+ *
+ * "Save to collection" dialog used by the blocks that save recipes. Each
+ * collection is a checkbox, applied as soon as it changes; a new collection
+ * can be created from the dialog, with the recipe already in it.
+ */
+
+import { loadCSS } from './aem.js';
+import {
+  getCollections,
+  getRecipeCollections,
+  addToCollection,
+  removeFromCollection,
+  createCollection,
+} from './collections.js';
+
+let dialog = null;
+
+// Also escapes quotes, since the result goes into attribute values too
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function buildDialog() {
+  const el = document.createElement('dialog');
+  el.className = 'collection-picker';
+  el.setAttribute('aria-labelledby', 'collection-picker-title');
+  el.innerHTML = `
+    <form method="dialog" class="collection-picker-inner">
+      <h2 id="collection-picker-title" class="collection-picker-title">Save to collection</h2>
+      <p class="collection-picker-recipe"></p>
+      <ul class="collection-picker-list"></ul>
+      <div class="collection-picker-create">
+        <input type="text" name="name" maxlength="80" placeholder="New collection, e.g. Weekday breakfasts" aria-label="New collection name">
+        <button type="button" class="collection-picker-add">Create</button>
+      </div>
+      <button type="submit" class="collection-picker-done">Done</button>
+    </form>
+  `;
+  document.body.appendChild(el);
+
+  // Close when clicking the backdrop
+  el.addEventListener('click', (e) => {
+    if (e.target === el) el.close();
+  });
+
+  return el;
+}
+
+function renderList(recipe) {
+  const saved = getRecipeCollections(recipe);
+  const list = dialog.querySelector('.collection-picker-list');
+  list.innerHTML = getCollections().map((collection) => `
+    <li>
+      <label>
+        <input type="checkbox" value="${escapeHtml(collection.id)}" ${saved.includes(collection.id) ? 'checked' : ''}>
+        <span class="collection-name">${escapeHtml(collection.name)}</span>
+        <span class="collection-count">${collection.recipes.length}</span>
+      </label>
+    </li>
+  `).join('');
+
+  list.querySelectorAll('input').forEach((input) => {
+    input.addEventListener('change', () => {
+      if (input.checked) {
+        addToCollection(input.value, recipe);
+      } else {
+        removeFromCollection(input.value, recipe);
+      }
+      renderList(recipe);
+      list.querySelector(`input[value="${CSS.escape(input.value)}"]`)?.focus();
+    });
+  });
+}
+
+/**
+ * Open the picker for a recipe
+ * @param {Object} recipe - { title, url, image }
+ */
+export default async function openCollectionPicker(recipe) {
+  await loadCSS(`${window.hlx?.codeBasePath || ''}/styles/collections.css`);
+  if (!dialog) dialog = buildDialog();
+
+  dialog.querySelector('.collection-picker-recipe').textContent = recipe.title;
+  renderList(recipe);
+
+  // Rebind create for this recipe
+  const input = dialog.querySelector('.collection-picker-create input');
+  const add = dialog.querySelector('.collection-picker-add');
+  input.value = '';
+
+  const create = () => {
+    if (!input.value.trim()) return;
+    const collection = createCollection(input.value);
+    addToCollection(collection.id, recipe);
+    input.value = '';
+    renderList(recipe);
+  };
+  add.onclick = create;
+  input.onkeydown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      create();
+    }
+  };
+
+  dialog.showModal();
+}
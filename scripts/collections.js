@@ -0,0 +1,393 @@
+/**
+ * Recipe Collections
+ *
+ * Favorites and named recipe collections ("Weekday breakfasts"), stored in
+ * localStorage and shared by every block that saves recipes: recipe-grid,
+ * recipe-cards, quick-view-modal, recipe-sidebar and recipe-collections.
+ * Favorites is a built-in collection that can't be renamed or deleted.
+ *
+ * Recipes are keyed by their URL (see recipeKey), so the same recipe saved
+ * from different pages is one entry. Every change dispatches a
+ * `collections-change` event on document.
+ *
+ * Sync across devices is optional. Turning it on creates an anonymous
+ * account token; entering that token as a sync code on another device links
+ * it. Changes are pushed to the recommender's /api/collections, which merges
+ * them recipe by recipe and returns the result. While syncing, removed
+ * recipes and deleted collections are recorded so the merge keeps them gone.
+ */
+
+const STORAGE_KEY = 'vitamix-collections';
+const SYNC_TOKEN_KEY = 'vitamix-collections-sync';
+const WORKER_URL = 'https://vitamix-recommender.paolo-moz.workers.dev';
+
+export const FAVORITES_ID = 'favorites';
+
+const SYNC_DELAY_MS = 2000;
+
+let store = null;
+let syncTimer = null;
+
+// ============================================
+// Storage
+// ============================================
+
+function now() {
+  return Date.now();
+}
+
+// Never edited, so any synced version of Favorites wins over it
+function favoritesCollection() {
+  return {
+    id: FAVORITES_ID,
+    name: 'Favorites',
+    recipes: [],
+    createdAt: now(),
+    updatedAt: 0,
+  };
+}
+
+function load() {
+  if (store) return store;
+
+  try {
+    store = JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    store = null;
+  }
+  if (!store || !Array.isArray(store.collections)) {
+    store = { collections: [], updatedAt: 0 };
+  }
+  if (!store.collections.some((c) => c.id === FAVORITES_ID)) {
+    store.collections.unshift(favoritesCollection());
+  }
+
+  return store;
+}
+
+function emitChange() {
+  document.dispatchEvent(new CustomEvent('collections-change', {
+    detail: { collections: load().collections.filter((c) => !c.deleted) },
+  }));
+}
+
+function save() {
+  store.updatedAt = Math.max(0, ...store.collections.map((c) => c.updatedAt));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+  emitChange();
+}
+
+export function getSyncToken() {
+  return localStorage.getItem(SYNC_TOKEN_KEY);
+}
+
+function touch(collection) {
+  // Strictly increasing, so an edit always wins over the version it replaced
+  collection.updatedAt = Math.max(now(), collection.updatedAt + 1);
+}
+
+// Other tabs
+window.addEventListener('storage', (e) => {
+  if (e.key !== STORAGE_KEY) return;
+  store = null;
+  load();
+  emitChange();
+});
+
+// ============================================
+// Sync
+// ============================================
+
+function createToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Push local collections and adopt the merged result. A local change made
+ * while the request was in flight is pushed again instead of overwritten.
+ * @returns {Promise<boolean>} Whether the sync succeeded
+ */
+export async function syncCollections() {
+  const token = getSyncToken();
+  if (!token) return false;
+
+  const sent = load();
+  const sentVersion = sent.updatedAt;
+
+  try {
+    const response = await fetch(`${WORKER_URL}/api/collections`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ collections: sent.collections }),
+    });
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new Error(error || `HTTP ${response.status}`);
+    }
+    const merged = await response.json();
+
+    if (load().updatedAt !== sentVersion) {
+      clearTimeout(syncTimer);
+      syncTimer = setTimeout(() => syncCollections(), SYNC_DELAY_MS);
+      return true;
+    }
+
+    store = { collections: merged.collections, updatedAt: merged.updatedAt };
+    if (!store.collections.some((c) => c.id === FAVORITES_ID)) {
+      store.collections.unshift(favoritesCollection());
+    }
+    save();
+    return true;
+  } catch (error) {
+    console.warn('[collections] Sync failed:', error.message);
+    return false;
+  }
+}
+
+function scheduleSync() {
+  if (!getSyncToken()) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncCollections(), SYNC_DELAY_MS);
+}
+
+/**
+ * Save a local change and push it when syncing
+ */
+function commit() {
+  save();
+  scheduleSync();
+}
+
+// ============================================
+// Recipes
+// ============================================
+
+/**
+ * Stable key for a recipe: host and path of its URL, without query, hash or
+ * trailing slash, or its title when it has no URL
+ * @param {Object} recipe - { title, url }
+ * @returns {string}
+ */
+export function recipeKey(recipe) {
+  if (recipe.url) {
+    try {
+      const url = new URL(recipe.url, window.location.origin);
+      return `${url.host}${url.pathname.replace(/\/+$/, '')}`;
+    } catch {
+      // Fall through to the title
+    }
+  }
+  return `title:${(recipe.title || '').trim().toLowerCase()}`;
+}
+
+/**
+ * A recipe link or image URL resolved against this page, if it is http(s).
+ * Synced collections can hold anything, e.g. javascript: URLs.
+ * @param {string} [url]
+ * @returns {string} The resolved URL, or '' when missing or not http(s)
+ */
+export function safeRecipeUrl(url) {
+  if (!url) return '';
+  try {
+    const resolved = new URL(url, window.location.href);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * The entry stored for a recipe
+ * @param {Object} recipe - { title, url, image }
+ * @param {Object} collection - The collection it's added to
+ * @returns {Object} { id, title, url, image, addedAt }
+ */
+function savedRecipe(recipe, collection) {
+  const id = recipeKey(recipe);
+  return {
+    id,
+    title: recipe.title,
+    url: recipe.url || undefined,
+    image: recipe.image || undefined,
+    // Later than its last removal, or the merge would drop it again
+    addedAt: Math.max(now(), (collection.removed?.[id] || 0) + 1),
+  };
+}
+
+// ============================================
+// Collections
+// ============================================
+
+/**
+ * All collections, Favorites first
+ * @returns {Object[]} { id, name, recipes, createdAt, updatedAt }
+ */
+export function getCollections() {
+  const collections = load().collections.filter((c) => !c.deleted);
+  return [
+    ...collections.filter((c) => c.id === FAVORITES_ID),
+    ...collections.filter((c) => c.id !== FAVORITES_ID),
+  ];
+}
+
+export function getCollection(id) {
+  return getCollections().find((c) => c.id === id) || null;
+}
+
+/**
+ * Create a named collection
+ * @param {string} name
+ * @returns {Object} The new collection
+ */
+export function createCollection(name) {
+  const trimmed = name.trim().slice(0, 80);
+  if (!trimmed) throw new Error('Collection name is required');
+
+  const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  const collection = {
+    id: `${slug || 'collection'}-${now().toString(36)}`,
+    name: trimmed,
+    recipes: [],
+    createdAt: now(),
+    updatedAt: now(),
+  };
+  load().collections.push(collection);
+  commit();
+  return collection;
+}
+
+export function renameCollection(id, name) {
+  const collection = getCollection(id);
+  const trimmed = name.trim().slice(0, 80);
+  if (!collection || id === FAVORITES_ID || !trimmed) return;
+
+  collection.name = trimmed;
+  touch(collection);
+  commit();
+}
+
+/**
+ * Delete a collection. While syncing it's kept as a tombstone so other
+ * devices delete it too.
+ */
+export function deleteCollection(id) {
+  const collection = getCollection(id);
+  if (!collection || id === FAVORITES_ID) return;
+
+  if (getSyncToken()) {
+    collection.deleted = true;
+    collection.recipes = [];
+    touch(collection);
+  } else {
+    store.collections = store.collections.filter((c) => c !== collection);
+  }
+  commit();
+}
+
+export function isInCollection(id, recipe) {
+  const key = recipeKey(recipe);
+  return !!getCollection(id)?.recipes.some((r) => r.id === key);
+}
+
+/**
+ * Ids of the collections a recipe is saved in
+ * @param {Object} recipe - { title, url }
+ * @returns {string[]}
+ */
+export function getRecipeCollections(recipe) {
+  const key = recipeKey(recipe);
+  return getCollections()
+    .filter((c) => c.recipes.some((r) => r.id === key))
+    .map((c) => c.id);
+}
+
+export function addToCollection(id, recipe) {
+  const collection = getCollection(id);
+  if (!collection || isInCollection(id, recipe)) return;
+
+  collection.recipes.push(savedRecipe(recipe, collection));
+  touch(collection);
+  commit();
+}
+
+export function removeFromCollection(id, recipe) {
+  const collection = getCollection(id);
+  const key = recipeKey(recipe);
+  if (!collection || !collection.recipes.some((r) => r.id === key)) return;
+
+  collection.recipes = collection.recipes.filter((r) => r.id !== key);
+  if (getSyncToken()) collection.removed = { ...collection.removed, [key]: now() };
+  touch(collection);
+  commit();
+}
+
+/**
+ * Add a recipe to Favorites, or remove it
+ * @param {Object} recipe - { title, url, image }
+ * @returns {boolean} Whether the recipe is now a favorite
+ */
+export function toggleFavorite(recipe) {
+  if (isInCollection(FAVORITES_ID, recipe)) {
+    removeFromCollection(FAVORITES_ID, recipe);
+    return false;
+  }
+  addToCollection(FAVORITES_ID, recipe);
+  return true;
+}
+
+export function isFavorite(recipe) {
+  return isInCollection(FAVORITES_ID, recipe);
+}
+
+// ============================================
+// Sync Settings
+// ============================================
+
+/**
+ * Turn on sync with a new anonymous account
+ * @returns {Promise<string>} The sync code to enter on other devices
+ */
+export async function enableSync() {
+  const token = getSyncToken() || createToken();
+  localStorage.setItem(SYNC_TOKEN_KEY, token);
+  await syncCollections();
+  return token;
+}
+
+/**
+ * Link this device to the account behind another device's sync code;
+ * collections on both are merged
+ * @param {string} code
+ * @returns {Promise<boolean>} Whether the first sync succeeded
+ */
+export async function linkSync(code) {
+  const token = code.trim();
+  if (!/^[A-Za-z0-9_-]{32,128}$/.test(token)) {
+    throw new Error('That sync code is not valid');
+  }
+  localStorage.setItem(SYNC_TOKEN_KEY, token);
+  return syncCollections();
+}
+
+/**
+ * Stop syncing this device; its collections stay on it
+ */
+export function disableSync() {
+  clearTimeout(syncTimer);
+  localStorage.removeItem(SYNC_TOKEN_KEY);
+  const current = load();
+  current.collections = current.collections
+    .filter((c) => !c.deleted)
+    .map(({ removed, ...collection }) => collection);
+  save();
+}
+
+// Pick up changes other devices synced
+if (getSyncToken()) setTimeout(() => syncCollections(), 0);
@@ -0,0 +1,91 @@
+/**
+ * Consent
+ *
+ * Visitor consent by category, stored in localStorage so it applies across
+ * tabs and visits:
+ * - analytics: usage tracking by AnalyticsTracker
+ * - personalization: query history kept by SessionContextManager and the
+ *   recommender's server-side session memory
+ *
+ * Nothing is granted until the visitor decides (the consent-banner block asks).
+ * Changes are broadcast as a `consent-change` event on window.
+ */
+
+const CONSENT_KEY = 'vitamix-consent';
+
+// Bump to ask everyone again when the categories or their meaning change
+const CONSENT_VERSION = 1;
+
+export const CONSENT_CATEGORIES = ['analytics', 'personalization'];
+
+/**
+ * @typedef {Object} ConsentState
+ * @property {number} version - CONSENT_VERSION the visitor answered
+ * @property {boolean} analytics
+ * @property {boolean} personalization
+ * @property {number} updatedAt - When the visitor last decided
+ */
+
+/**
+ * Get the stored decision, or null if the visitor hasn't decided (or decided
+ * on an older version)
+ * @returns {ConsentState|null}
+ */
+export function getConsent() {
+  try {
+    const consent = JSON.parse(localStorage.getItem(CONSENT_KEY));
+    if (consent && consent.version === CONSENT_VERSION) return consent;
+  } catch (e) {
+    // Ignore parse errors and unavailable storage
+  }
+  return null;
+}
+
+/**
+ * @returns {boolean} Whether the visitor has made a choice
+ */
+export function hasDecided() {
+  return getConsent() !== null;
+}
+
+/**
+ * Check consent for one category
+ * @param {'analytics' | 'personalization'} category
+ * @returns {boolean}
+ */
+export function hasConsent(category) {
+  return getConsent()?.[category] === true;
+}
+
+/**
+ * Record the visitor's choice and notify listeners
+ * @param {Partial<Record<'analytics' | 'personalization', boolean>>} choices
+ * @returns {ConsentState}
+ */
+export function setConsent(choices) {
+  const previous = getConsent();
+  const consent = { version: CONSENT_VERSION, updatedAt: Date.now() };
+  CONSENT_CATEGORIES.forEach((category) => {
+    consent[category] = choices[category] === true;
+  });
+
+  try {
+    localStorage.setItem(CONSENT_KEY, JSON.stringify(consent));
+  } catch (e) {
+    console.warn('[Consent] Failed to save consent:', e);
+  }
+
+  window.dispatchEvent(new CustomEvent('consent-change', { detail: { consent, previous } }));
+  return consent;
+}
+
+/**
+ * Call back whenever consent changes
+ * @param {function(ConsentState, ConsentState|null): void} callback - New and previous state
+ * @returns {function(): void} Unsubscribe
+ */
+export function onConsentChange(callback) {
+  const listener = (e) => callback(e.detail.consent, e.detail.previous);
+  window.addEventListener('consent-change', listener);
+  return () => window.removeEventListener('consent-change', listener);
+}
@@ -162,7 +162,7 @@ export function decorateLinkWithIcon(link, type) {
 }
 
 /**
- * Fully decorate a CTA link: classify, sanitize text, add icon, track conversions
+ * Fully decorate a CTA link: classify, sanitize text, add icon, track clicks and conversions
  * @param {HTMLAnchorElement} link - The link element
  * @returns {'external' | 'ai-generated' | 'internal'} - The classified type
  */
@@ -189,27 +189,34 @@ export function decorateCTA(link) {
     decorateLinkWithIcon(link, type);
   }
 
-  // Track conversions for vitamix.com links
-  if (type === 'external' && link.href.includes('vitamix.com')) {
-    link.addEventListener('click', () => {
-      // Try window.analyticsTracker first (set by delayed.js)
-      // Then try importing the tracker directly
-      if (window.analyticsTracker) {
-        window.analyticsTracker.trackConversion(link.href, link.textContent?.trim());
+  // Track CTA clicks; vitamix.com links count as conversions
+  link.addEventListener('click', () => {
+    const isConversion = type === 'external' && link.href.includes('vitamix.com');
+    const track = (tracker) => {
+      if (isConversion) {
+        tracker.trackConversion(link.href, link.textContent?.trim());
       } else {
-        // Dynamic import as fallback
-        import('./analytics-tracker.js').then(({ getAnalyticsTracker }) => {
-          const tracker = getAnalyticsTracker({
-            endpoint: 'https://vitamix-analytics.paolo-moz.workers.dev',
-          });
-          if (!tracker.initialized) tracker.init();
-          tracker.trackConversion(link.href, link.textContent?.trim());
-        }).catch(() => {
-          // Silently fail if analytics module not available
-        });
+        tracker.trackCtaClick(link.href, link.textContent?.trim());
       }
-    });
-  }
+    };
+
+    // Try window.analyticsTracker first (set by delayed.js)
+    // Then try importing the tracker directly
+    if (window.analyticsTracker) {
+      track(window.analyticsTracker);
+    } else {
+      // Dynamic import as fallback
+      import('./analytics-tracker.js').then(({ getAnalyticsTracker }) => {
+        const tracker = getAnalyticsTracker({
+          endpoint: 'https://vitamix-analytics.paolo-moz.workers.dev',
+        });
+        if (!tracker.initialized) tracker.init();
+        track(tracker);
+      }).catch(() => {
+        // Silently fail if analytics module not available
+      });
+    }
+  });
 
   return type;
 }
@@ -4,7 +4,7 @@
  * This module initializes non-critical features like analytics tracking.
  */
 
-import { AnalyticsTracker } from './analytics-tracker.js';
+import { getAnalyticsTracker } from './analytics-tracker.js';
 
 // Analytics worker URL
 const ANALYTICS_ENDPOINT = 'https://vitamix-analytics.paolo-moz.workers.dev';
@@ -14,7 +14,8 @@ const ANALYTICS_ENDPOINT = 'https://vitamix-analytics.paolo-moz.workers.dev';
  */
 function initAnalytics() {
   try {
-    const tracker = new AnalyticsTracker({
+    // Shared with scripts.js so blocks and events are only tracked once
+    const tracker = getAnalyticsTracker({
       endpoint: ANALYTICS_ENDPOINT,
     });
 
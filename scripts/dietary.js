@@ -0,0 +1,74 @@
+/**
+ * Dietary Utilities
+ *
+ * Dietary and allergen facets shared by recipe-filter-bar and recipe-grid.
+ * Mirrors the constraints the recommender applies to generated pages
+ * (workers/vitamix-recommender/src/content/dietary-filters.ts): diets come
+ * from a recipe's dietary tags, and recipes without an allergen tag are
+ * checked for nut and dairy ingredients.
+ */
+
+export const DIETARY_FACETS = [
+  { id: 'vegan', label: 'Vegan' },
+  { id: 'vegetarian', label: 'Vegetarian' },
+  { id: 'gluten-free', label: 'Gluten-free' },
+  { id: 'dairy-free', label: 'Dairy-free' },
+  { id: 'nut-free', label: 'Nut-free' },
+  { id: 'keto-friendly', label: 'Keto' },
+];
+
+// Tags a tag implies; vegan recipes are also vegetarian and dairy-free
+const TAG_IMPLIES = {
+  vegan: ['vegetarian', 'dairy-free'],
+  keto: ['keto-friendly'],
+};
+
+const ALLERGEN_PATTERNS = {
+  'nut-free': /\b(?:almonds?|cashews?|walnuts?|pecans?|pistachios?|hazelnuts?|macadamias?|pine nuts?|peanuts?|nuts|nut butters?|praline|marzipan)\b/,
+  'dairy-free': /(?<!(?:almond|oat|soy|coconut|rice|cashew|hemp|nut)\s)\b(?:milk|cheese|yogh?urt|cream|butter|buttermilk|ghee|whey|kefir|ricotta|parmesan|mozzarella|cheddar|feta)\b/,
+};
+
+// Non-dairy "butter" and "cream" that the lookbehind can't see
+const DAIRY_FALSE_POSITIVES = /\b(?:peanut|almond|cashew|sunflower|seed|nut|apple|pumpkin|cocoa) butter\b|\bnice cream\b|\bcream of tartar\b/g;
+
+/**
+ * Normalize a tag: "Gluten Free" -> "gluten-free"
+ * @param {string} tag
+ * @returns {string}
+ */
+export function normalizeDietaryTag(tag) {
+  return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Parse a cell of dietary tags ("Vegan, Gluten-free")
+ * @param {string} text
+ * @returns {string[]|null} Normalized tags, or null if any entry isn't a known tag
+ */
+export function parseDietaryTags(text) {
+  const known = [...DIETARY_FACETS.map((facet) => facet.id), ...Object.keys(TAG_IMPLIES)];
+  const tags = text.split(',').map(normalizeDietaryTag).filter(Boolean);
+  if (tags.length === 0 || !tags.every((tag) => known.includes(tag))) return null;
+  return tags;
+}
+
+/**
+ * Every facet a recipe meets: its tags, what they imply, and the allergen
+ * facets its ingredients pass
+ * @param {string[]} tags Normalized dietary tags
+ * @param {string[]} ingredients
+ * @returns {string[]}
+ */
+export function resolveDietaryFacets(tags, ingredients = []) {
+  const facets = new Set(tags.flatMap((tag) => [tag, ...(TAG_IMPLIES[tag] || [])]));
+
+  if (ingredients.length > 0) {
+    const text = ingredients.join('\n').toLowerCase();
+    Object.entries(ALLERGEN_PATTERNS).forEach(([facet, pattern]) => {
+      const scanned = facet === 'dairy-free' ? text.replace(DAIRY_FALSE_POSITIVES, ' ') : text;
+      if (!pattern.test(scanned)) facets.add(facet);
+    });
+  }
+
+  return [...facets];
+}
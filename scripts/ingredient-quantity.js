@@ -0,0 +1,335 @@
+/**
+ * Ingredient Quantity Utility
+ *
+ * Parses ingredient quantities ("1 1/2 cups", "½ tsp", "3-4", "1 cup plus
+ * 2 tablespoons"), scales them to a number of servings and converts them
+ * between US and metric units. Shared by the recipe blocks so a recipe reads
+ * the same everywhere, and used by recipe-sidebar to warn when a scaled
+ * recipe no longer fits the selected container.
+ *
+ * Ingredients come either as structured recipes.json entries
+ * ({ item, quantity, unit, notes }) or as display text ("2 cups spinach").
+ */
+
+const UNIT_SYSTEM_KEY = 'vitamix-unit-system';
+
+const UNICODE_FRACTIONS = {
+  '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125, '⅜': 0.375, '⅝': 0.625, '⅞': 0.875,
+};
+
+// Fractions US amounts are rounded to when displayed
+const DISPLAY_FRACTIONS = [
+  [0, ''], [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [1 / 2, '1/2'],
+  [2 / 3, '2/3'], [3 / 4, '3/4'], [1, ''],
+];
+
+// Measurable units, in millilitres (volume) or grams (mass). "oz" is weight;
+// fluid ounces are "fl oz".
+const UNITS = {
+  tsp: { kind: 'volume', factor: 4.92892, system: 'us' },
+  tbsp: { kind: 'volume', factor: 14.7868, system: 'us' },
+  'fl oz': { kind: 'volume', factor: 29.5735, system: 'us' },
+  cup: { kind: 'volume', factor: 236.588, system: 'us' },
+  pint: { kind: 'volume', factor: 473.176, system: 'us' },
+  quart: { kind: 'volume', factor: 946.353, system: 'us' },
+  gallon: { kind: 'volume', factor: 3785.41, system: 'us' },
+  ml: { kind: 'volume', factor: 1, system: 'metric' },
+  l: { kind: 'volume', factor: 1000, system: 'metric' },
+  oz: { kind: 'mass', factor: 28.3495, system: 'us' },
+  lb: { kind: 'mass', factor: 453.592, system: 'us' },
+  g: { kind: 'mass', factor: 1, system: 'metric' },
+  kg: { kind: 'mass', factor: 1000, system: 'metric' },
+};
+
+// Spellings recognized for each unit
+const UNIT_ALIASES = {
+  tsp: ['tsp', 'teaspoon', 'teaspoons', 't'],
+  tbsp: ['tbsp', 'tablespoon', 'tablespoons', 'tbs', 'tbl', 'T'],
+  'fl oz': ['fl oz', 'fl. oz.', 'fluid ounce', 'fluid ounces'],
+  cup: ['cup', 'cups', 'c'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  ml: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+  l: ['l', 'liter', 'liters', 'litre', 'litres'],
+  oz: ['oz', 'ounce', 'ounces'],
+  lb: ['lb', 'lbs', 'pound', 'pounds'],
+  g: ['g', 'gram', 'grams', 'gr'],
+  kg: ['kg', 'kilogram', 'kilograms'],
+};
+
+// Units picked when converting, largest first; an amount uses the largest
+// unit it fills at least `min` of
+const TARGET_UNITS = {
+  us: {
+    volume: [['gallon', 1], ['quart', 1], ['cup', 1 / 4], ['tbsp', 1], ['tsp', 0]],
+    mass: [['lb', 1], ['oz', 0]],
+  },
+  metric: {
+    volume: [['l', 1], ['ml', 0]],
+    mass: [['kg', 1], ['g', 0]],
+  },
+};
+
+const UNIT_LOOKUP = new Map(
+  Object.entries(UNIT_ALIASES).flatMap(([unit, aliases]) => aliases.map((alias) => [alias, unit])),
+);
+
+const NUMBER = '\\d*\\s*[¼½¾⅓⅔⅛⅜⅝⅞]|\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?';
+const QUANTITY_PATTERN = new RegExp(`^\\s*(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*`);
+const UNIT_NAMES = [...UNIT_LOOKUP.keys()]
+  .sort((a, b) => b.length - a.length)
+  .map((alias) => alias.replace(/\./g, '\\.'));
+const UNIT_PATTERN = new RegExp(`^(${UNIT_NAMES.join('|')})\\.?(?=\\s|$|\\))\\s*`, 'i');
+
+/**
+ * Parse a single quantity: "2", "1.5", "1/2", "1 1/2", "½", "1½"
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+export function parseQuantity(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  let total = 0;
+  let found = false;
+  text.split(/\s+/).forEach((part) => {
+    const unicode = part.match(/^(\d*)([¼½¾⅓⅔⅛⅜⅝⅞])$/);
+    const fraction = part.match(/^(\d+)\/(\d+)$/);
+    if (unicode) {
+      total += (parseInt(unicode[1] || '0', 10)) + UNICODE_FRACTIONS[unicode[2]];
+      found = true;
+    } else if (fraction && Number(fraction[2]) > 0) {
+      total += Number(fraction[1]) / Number(fraction[2]);
+      found = true;
+    } else if (/^\d+(\.\d+)?$/.test(part)) {
+      total += parseFloat(part);
+      found = true;
+    }
+  });
+  return found ? total : null;
+}
+
+function normalizeUnit(unit) {
+  const text = String(unit ?? '').trim();
+  if (!text) return null;
+  // "T" is tablespoon and "t" teaspoon; everything else is case-insensitive
+  return UNIT_LOOKUP.get(text) || UNIT_LOOKUP.get(text.toLowerCase()) || null;
+}
+
+/**
+ * Parse the leading amount of ingredient text into { quantity, maxQuantity,
+ * unit, rest }. Same-kind amounts joined with "plus"/"+" are added up, e.g.
+ * "1 cup plus 2 tablespoons" is 1.125 cups.
+ */
+function parseAmount(text) {
+  const match = text.match(QUANTITY_PATTERN);
+  if (!match) {
+    return {
+      quantity: null, maxQuantity: null, unit: null, rest: text.trim(),
+    };
+  }
+
+  let quantity = parseQuantity(match[1]);
+  const maxQuantity = match[2] ? parseQuantity(match[2]) : null;
+  let rest = text.slice(match[0].length);
+
+  const unitMatch = rest.match(UNIT_PATTERN);
+  const unit = unitMatch ? normalizeUnit(unitMatch[1]) : null;
+  if (unitMatch) rest = rest.slice(unitMatch[0].length);
+
+  // "1 cup plus 2 tablespoons"
+  const plus = unit && rest.match(/^(?:plus|\+)\s+/i);
+  if (plus) {
+    const extra = parseAmount(rest.slice(plus[0].length));
+    if (extra.unit && UNITS[extra.unit].kind === UNITS[unit].kind && extra.quantity !== null) {
+      quantity += (extra.quantity * UNITS[extra.unit].factor) / UNITS[unit].factor;
+      ({ rest } = extra);
+    }
+  }
+
+  return {
+    quantity, maxQuantity, unit, rest: rest.replace(/^of\s+/i, '').trim(),
+  };
+}
+
+/**
+ * Parse an ingredient from recipes.json or from display text
+ * @param {string|Object} ingredient - "1 1/2 cups frozen strawberries", or
+ *   { item, quantity, unit, notes }
+ * @returns {{quantity: number|null, maxQuantity: number|null, unit: string|null,
+ *   unitLabel: string, item: string, notes: string}}
+ */
+export function parseIngredient(ingredient) {
+  if (ingredient && typeof ingredient === 'object') {
+    const amount = parseAmount(`${ingredient.quantity ?? ''} ${ingredient.unit ?? ''}`);
+    const unit = normalizeUnit(ingredient.unit) || amount.unit;
+    return {
+      quantity: amount.quantity,
+      maxQuantity: amount.maxQuantity,
+      unit,
+      // Units we can't measure ("clove", "head") are kept as written
+      unitLabel: unit ? '' : String(ingredient.unit ?? '').trim(),
+      item: String(ingredient.item ?? '').trim(),
+      notes: String(ingredient.notes ?? '').trim(),
+    };
+  }
+
+  const text = String(ingredient ?? '').trim();
+  const amount = parseAmount(text);
+  return {
+    quantity: amount.quantity,
+    maxQuantity: amount.maxQuantity,
+    unit: amount.unit,
+    unitLabel: '',
+    item: amount.rest,
+    notes: '',
+  };
+}
+
+/**
+ * Scale an ingredient by a factor, e.g. servings / original servings
+ */
+export function scaleIngredient(ingredient, factor) {
+  return {
+    ...ingredient,
+    quantity: ingredient.quantity === null ? null : ingredient.quantity * factor,
+    maxQuantity: ingredient.maxQuantity === null ? null : ingredient.maxQuantity * factor,
+  };
+}
+
+/**
+ * Convert an ingredient to US or metric units; unmeasured ingredients
+ * ("2 bananas") are returned as is
+ * @param {Object} ingredient - Parsed ingredient
+ * @param {'us'|'metric'} system
+ */
+export function convertIngredient(ingredient, system) {
+  const unit = UNITS[ingredient.unit];
+  if (!unit || ingredient.quantity === null || unit.system === system) return ingredient;
+
+  const base = ingredient.quantity * unit.factor;
+  const [target] = TARGET_UNITS[system][unit.kind]
+    .find(([name, min]) => base >= UNITS[name].factor * min);
+  const ratio = unit.factor / UNITS[target].factor;
+
+  return {
+    ...ingredient,
+    unit: target,
+    quantity: ingredient.quantity * ratio,
+    maxQuantity: ingredient.maxQuantity === null ? null : ingredient.maxQuantity * ratio,
+  };
+}
+
+/**
+ * Format a quantity for display: fractions for US units ("1 1/2"), rounded
+ * decimals for metric ("350", "1.2")
+ */
+export function formatQuantity(value, unit = null) {
+  if (value === null || value === undefined) return '';
+
+  if (UNITS[unit]?.system === 'metric') {
+    if (value >= 100) return String(Math.round(value / 5) * 5);
+    if (value >= 10) return String(Math.round(value));
+    return String(Math.round(value * 10) / 10);
+  }
+
+  let whole = Math.floor(value);
+  const remainder = value - whole;
+  const [fraction, label] = DISPLAY_FRACTIONS.reduce((best, candidate) => (
+    Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+  ));
+  if (fraction === 1) whole += 1;
+  if (whole === 0 && !label) return String(Math.round(value * 100) / 100);
+  return [whole || '', label].filter(Boolean).join(' ');
+}
+
+// Abbreviated units stay singular; the rest are pluralized past one
+function unitLabel(unit, displayedQuantity) {
+  if (!unit) return '';
+  if (!['cup', 'pint', 'quart', 'gallon'].includes(unit)) return unit;
+  return parseQuantity(displayedQuantity) > 1 ? `${unit}s` : unit;
+}
+
+/**
+ * Format a parsed ingredient as display text: "1 1/2 cups frozen strawberries"
+ */
+export function formatIngredient(ingredient) {
+  const quantity = formatQuantity(ingredient.quantity, ingredient.unit);
+  const maxQuantity = formatQuantity(ingredient.maxQuantity, ingredient.unit);
+  const amount = quantity && maxQuantity ? `${quantity}–${maxQuantity}` : quantity;
+  const unit = unitLabel(ingredient.unit, maxQuantity || quantity) || ingredient.unitLabel;
+  const notes = ingredient.notes ? `, ${ingredient.notes}` : '';
+  return [amount, unit, ingredient.item].filter(Boolean).join(' ') + notes;
+}
+
+/**
+ * Approximate volume of a set of ingredients in millilitres. Weighed
+ * ingredients count as water (1 g = 1 ml) and unmeasured ones are skipped,
+ * so this is a lower bound good enough for a container check.
+ */
+export function totalVolumeMl(ingredients) {
+  return ingredients.reduce((total, ingredient) => {
+    const unit = UNITS[ingredient.unit];
+    if (!unit || ingredient.quantity === null) return total;
+    return total + (ingredient.maxQuantity ?? ingredient.quantity) * unit.factor;
+  }, 0);
+}
+
+/**
+ * Capacity of a container from its label, in millilitres:
+ * "64-ounce Classic", "48 oz", "1.4 L"
+ * @returns {number|null}
+ */
+export function parseContainerCapacityMl(label) {
+  const match = String(label ?? '').match(/(\d+(?:\.\d+)?)\s*-?\s*(ounces?|oz|l|liters?|litres?)\b/i);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  return /^l/i.test(match[2]) ? amount * 1000 : amount * UNITS['fl oz'].factor;
+}
+
+/**
+ * Scale a nutrition value such as "7G" or "300mg", keeping its unit
+ */
+export function scaleNutritionValue(value, factor) {
+  const match = String(value ?? '').match(/^\s*(\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!match) return value;
+  const scaled = parseFloat(match[1]) * factor;
+  const rounded = scaled >= 10 ? Math.round(scaled) : Math.round(scaled * 10) / 10;
+  return `${rounded}${match[2]}`;
+}
+
+/**
+ * The visitor's preferred unit system, remembered across recipes
+ * @returns {'us'|'metric'}
+ */
+export function getUnitSystem() {
+  try {
+    return localStorage.getItem(UNIT_SYSTEM_KEY) === 'metric' ? 'metric' : 'us';
+  } catch (error) {
+    return 'us';
+  }
+}
+
+export function setUnitSystem(system) {
+  try {
+    localStorage.setItem(UNIT_SYSTEM_KEY, system);
+  } catch (error) {
+    // Storage unavailable (private mode); the choice applies to this page only
+  }
+}
+
+export default {
+  parseQuantity,
+  parseIngredient,
+  scaleIngredient,
+  convertIngredient,
+  formatQuantity,
+  formatIngredient,
+  totalVolumeMl,
+  parseContainerCapacityMl,
+  scaleNutritionValue,
+  getUnitSystem,
+  setUnitSystem,
+};
@@ -0,0 +1,75 @@
+/**
+ * Persist Client
+ *
+ * Saves a generated page through a worker's /api/persist endpoint. Workers
+ * that run persistence as a job answer with a jobId right away; the job is
+ * then polled at /api/persist/:jobId until it succeeds or fails, reporting
+ * each step (images, create, preview, publish, purge) as it goes. Workers
+ * that still persist inline answer with the final result, which is returned
+ * as is.
+ *
+ * Persisting the same page twice returns the same job, so retrying after a
+ * failure resumes it instead of publishing a second copy.
+ */
+
+const POLL_INTERVAL_MS = 1500;
+const POLL_TIMEOUT_MS = 3 * 60 * 1000;
+
+const STEP_LABELS = {
+  images: 'Saving images',
+  create: 'Creating page',
+  preview: 'Previewing',
+  publish: 'Publishing',
+  purge: 'Refreshing cache',
+};
+
+/**
+ * Human-readable label for the step a job is on
+ * @param {Object} job - Job status from /api/persist/:jobId
+ * @returns {string}
+ */
+export function describePersistStep(job) {
+  if (job.status === 'queued') return 'Queued';
+  const steps = Object.entries(job.steps || {});
+  const [current] = steps.find(([, step]) => step.status !== 'done') || [];
+  return STEP_LABELS[current] || 'Saving';
+}
+
+/**
+ * Persist a page and wait for it to be published
+ * @param {string} workerUrl - Worker origin, e.g. https://vitamix-recommender...
+ * @param {Object} body - /api/persist request body
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with each job status while polling
+ * @returns {Promise<Object>} Final result: { success, path, urls, error, ... }
+ */
+export async function persistPage(workerUrl, body, { onProgress } = {}) {
+  const response = await fetch(`${workerUrl}/api/persist`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  let result = await response.json();
+
+  // Inline persistence: the response is already the outcome
+  if (!result.jobId) return result;
+
+  const deadline = Date.now() + POLL_TIMEOUT_MS;
+  while (result.success && result.status !== 'succeeded') {
+    if (onProgress) onProgress(result);
+    if (Date.now() > deadline) {
+      return { ...result, success: false, error: 'Timed out waiting for the page to publish' };
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => { setTimeout(resolve, POLL_INTERVAL_MS); });
+    // eslint-disable-next-line no-await-in-loop
+    const statusResponse = await fetch(result.statusUrl || `${workerUrl}/api/persist/${result.jobId}`, {
+      cache: 'no-store',
+    });
+    // eslint-disable-next-line no-await-in-loop
+    result = await statusResponse.json();
+  }
+
+  return result;
+}
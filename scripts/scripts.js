@@ -24,6 +24,15 @@ import { SessionContextManager } from './session-context.js';
 // Analytics tracker
 import { getAnalyticsTracker } from './analytics-tracker.js';
 
+// Consent banner until the visitor decides
+import { hasDecided } from './consent.js';
+
+// Token-level block previews for the recommender stream
+import { applyBlockDelta, replaceStreamingSection } from './stream-renderer.js';
+
+// Persist jobs: save a page and poll until it is published
+import { persistPage, describePersistStep } from './persist-client.js';
+
 // Initialize analytics tracker globally for conversion tracking in cta-utils.js
 const analyticsTracker = getAnalyticsTracker({
   endpoint: 'https://vitamix-analytics.paolo-moz.workers.dev',
@@ -44,14 +53,13 @@ async function persistToDA(query, blocks, intent) {
     // eslint-disable-next-line no-console
     console.log('[Recommender] Persisting page to DA...');
 
-    const response = await fetch(`${VITAMIX_RECOMMENDER_URL}/api/persist`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ query, blocks, intent }),
+    const result = await persistPage(VITAMIX_RECOMMENDER_URL, { query, blocks, intent }, {
+      onProgress: (job) => {
+        // eslint-disable-next-line no-console
+        console.log(`[Recommender] Persist job ${job.jobId}: ${describePersistStep(job)}`);
+      },
     });
 
-    const result = await response.json();
-
     if (result.success && result.urls) {
       // eslint-disable-next-line no-console
       console.log('[Recommender] Page published:', result.urls.live);
@@ -364,18 +372,16 @@ async function renderGenerativePage() {
           return sectionHtml;
         });
 
-        const response = await fetch(`${GENERATIVE_WORKER_URL}/api/persist`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            slug,
-            query,
-            html: htmlForPersistence,
-          }),
+        const result = await persistPage(GENERATIVE_WORKER_URL, {
+          slug,
+          query,
+          html: htmlForPersistence,
+        }, {
+          onProgress: (job) => {
+            saveBtn.textContent = `${describePersistStep(job)}...`;
+          },
         });
 
-        const result = await response.json();
-
         if (result.success) {
           const permanentUrl = `${window.location.origin}/discover/${slug}`;
           saveSection.innerHTML = `
@@ -624,18 +630,16 @@ async function renderFastGenerativePage() {
           return sectionHtml;
         });
 
-        const response = await fetch(`${FAST_WORKER_URL}/api/persist`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            slug,
-            query,
-            html: htmlForPersistence,
-          }),
+        const result = await persistPage(FAST_WORKER_URL, {
+          slug,
+          query,
+          html: htmlForPersistence,
+        }, {
+          onProgress: (job) => {
+            saveBtn.textContent = `${describePersistStep(job)}...`;
+          },
         });
 
-        const result = await response.json();
-
         if (result.success) {
           const permanentUrl = `${window.location.origin}/discover/${slug}`;
           saveSection.innerHTML = `
@@ -708,9 +712,20 @@ async function renderVitamixRecommenderPage() {
   const loadingState = main.querySelector('.generating-container');
   const content = main.querySelector('#generation-content');
 
-  // Connect to SSE stream with preset parameter and session context
-  const contextParam = SessionContextManager.buildEncodedContextParam();
-  const streamUrl = `${VITAMIX_RECOMMENDER_URL}/generate?query=${encodeURIComponent(query)}&slug=${encodeURIComponent(slug)}&preset=${encodeURIComponent(preset)}&ctx=${contextParam}`;
+  // Connect to SSE stream with preset parameter, session id and session key
+  // (the worker keeps the conversation history server-side; they are only
+  // sent with personalization consent, see consent.js)
+  const sessionId = SessionContextManager.getSessionId();
+  const streamParams = new URLSearchParams({ query, slug, preset });
+  if (sessionId) {
+    streamParams.set('session', sessionId);
+    streamParams.set('sessionKey', SessionContextManager.getSessionKey());
+  }
+  // Pass per-role model overrides through (e.g. ?model.reasoning=claude-sonnet-4-5-20250929)
+  params.forEach((value, key) => {
+    if (key.startsWith('model.')) streamParams.set(key, value);
+  });
+  const streamUrl = `${VITAMIX_RECOMMENDER_URL}/generate?${streamParams}`;
   const eventSource = new EventSource(streamUrl);
   let blockCount = 0;
   const generatedBlocks = [];
@@ -725,8 +740,13 @@ async function renderVitamixRecommenderPage() {
     }
     blockCount += 1;
 
-    // Store for persistence
-    generatedBlocks.push({ html: data.html, sectionStyle: data.sectionStyle });
+    // Store for persistence (in selection order)
+    const storedBlock = { html: data.html, sectionStyle: data.sectionStyle };
+    if (Number.isInteger(data.index)) {
+      generatedBlocks[data.index] = storedBlock;
+    } else {
+      generatedBlocks.push(storedBlock);
+    }
 
     // Create section and add content
     const section = document.createElement('div');
@@ -757,7 +777,14 @@ async function renderVitamixRecommenderPage() {
     decorateButtons(section);
     decorateIcons(section);
 
-    content.appendChild(section);
+    // Slot the section by its selection index (blocks are generated in parallel)
+    const nextSection = Number.isInteger(data.index)
+      ? [...content.children].find((el) => Number(el.dataset.blockIndex) > data.index)
+      : null;
+    if (Number.isInteger(data.index)) section.dataset.blockIndex = data.index;
+    if (!replaceStreamingSection(content, data.index, section)) {
+      content.insertBefore(section, nextSection || null);
+    }
 
     // Load the block (CSS + JS)
     const block = section.querySelector('.block');
@@ -769,12 +796,37 @@ async function renderVitamixRecommenderPage() {
     section.style.display = null;
   });
 
+  // Streamed text blocks show a plain-text preview until block-content arrives
+  eventSource.addEventListener('block-delta', (e) => {
+    const data = JSON.parse(e.data);
+    loadingState.classList.add('done');
+    applyBlockDelta(content, data);
+  });
+
   eventSource.addEventListener('block-rationale', (e) => {
     const data = JSON.parse(e.data);
     // eslint-disable-next-line no-console
     console.log(`[Recommender] Block rationale for ${data.blockType}:`, data.rationale);
   });
 
+  eventSource.addEventListener('block-repaired', (e) => {
+    const data = JSON.parse(e.data);
+    // eslint-disable-next-line no-console
+    console.warn(`[Recommender] Block ${data.blockType} repaired (${data.method}):`, data.errors);
+  });
+
+  eventSource.addEventListener('model-fallback', (e) => {
+    const data = JSON.parse(e.data);
+    // eslint-disable-next-line no-console
+    console.warn(`[Recommender] ${data.role} served by ${data.provider}/${data.model} (fallback from ${data.primaryModel})`);
+  });
+
+  eventSource.addEventListener('block-fact-check', (e) => {
+    const data = JSON.parse(e.data);
+    // eslint-disable-next-line no-console
+    console.warn(`[Recommender] Fact check for ${data.blockType}:`, data.issues);
+  });
+
   eventSource.addEventListener('image-ready', (e) => {
     const data = JSON.parse(e.data);
     const { imageId, url } = data;
@@ -859,6 +911,10 @@ async function renderVitamixRecommenderPage() {
         query,
         intent: data.intent?.intentType || 'general',
         journeyStage: data.reasoning?.journeyStage || 'exploring',
+        blockTypes: data.recommendations?.blockTypes,
+        entities: data.intent?.entities,
+        retrieval: data.retrieval,
+        generationId: data.generationId,
       });
     } catch (e) {
       // Analytics tracking failure should not break the app
@@ -873,8 +929,9 @@ async function renderVitamixRecommenderPage() {
     });
 
     // Auto-persist to DA
-    if (generatedBlocks.length > 0) {
-      persistToDA(query, generatedBlocks, data.intent);
+    const orderedBlocks = generatedBlocks.filter(Boolean);
+    if (orderedBlocks.length > 0) {
+      persistToDA(query, orderedBlocks, data.intent);
     }
   });
 
@@ -1148,7 +1205,24 @@ function loadDelayed() {
   // load anything that can be postponed to the latest here
 }
 
+/**
+ * Shows the floating consent banner until the visitor has decided
+ * @returns {Promise}
+ */
+async function loadConsentBanner() {
+  if (hasDecided()) return;
+
+  const wrapper = document.createElement('div');
+  const banner = buildBlock('consent-banner', '');
+  wrapper.append(banner);
+  document.body.append(wrapper);
+  decorateBlock(banner);
+  await loadBlock(banner);
+}
+
 async function loadPage() {
+  loadConsentBanner();
+
   // Check if this is a Cerebras request (?cerebras=query) - handled by cerebras-scripts.js
   if (isCerebrasRequest()) {
     // Dynamically import and run cerebras-scripts.js
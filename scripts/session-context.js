@@ -3,8 +3,23 @@
  *
  * Manages query history for contextual browsing within a browser tab session.
  * Uses sessionStorage - context resets when tab closes.
+ *
+ * The vitamix-recommender worker stores the authoritative history per session
+ * id, so requests to it only carry getSessionId() and getSessionKey(); the
+ * key proves the session is ours when reading or erasing it. The local
+ * history is kept for analytics and for workers that still take the full
+ * `ctx` parameter.
+ *
+ * History is only kept with personalization consent (scripts/consent.js).
+ * Without it the context is always empty and getSessionId() returns null, so
+ * the recommender keeps no memory either; withdrawing consent clears it here
+ * and erases the recommender's copy.
  */
 
+import { hasConsent, onConsentChange } from './consent.js';
+
+const RECOMMENDER_URL = 'https://vitamix-recommender.paolo-moz.workers.dev';
+
 const CONTEXT_KEY = 'vitamix-session-context';
 const MAX_HISTORY = 10;
 
@@ -31,7 +46,8 @@ const MAX_HISTORY = 10;
  * @property {QueryHistoryEntry[]} queries - Array of query history entries
  * @property {number} sessionStart - Timestamp when session started
  * @property {number} lastUpdated - Timestamp of last update
- * @property {string} sessionId - Unique session identifier for analytics
+ * @property {string|null} sessionId - Unique session identifier (null without consent)
+ * @property {string|null} sessionKey - Secret that owns the server session (null without consent)
  */
 
 /**
@@ -43,13 +59,24 @@ export class SessionContextManager {
    * @returns {SessionContext}
    */
   static getContext() {
+    if (!hasConsent('personalization')) {
+      return {
+        queries: [],
+        sessionStart: Date.now(),
+        lastUpdated: Date.now(),
+        sessionId: null,
+        sessionKey: null,
+      };
+    }
+
     try {
       const stored = sessionStorage.getItem(CONTEXT_KEY);
       if (stored) {
         const context = JSON.parse(stored);
-        // Ensure sessionId exists for older sessions
-        if (!context.sessionId) {
+        // Older sessions have no id or no key; a new id goes with the new key
+        if (!context.sessionId || !context.sessionKey) {
           context.sessionId = crypto.randomUUID();
+          context.sessionKey = crypto.randomUUID();
           sessionStorage.setItem(CONTEXT_KEY, JSON.stringify(context));
         }
         return context;
@@ -57,12 +84,21 @@ export class SessionContextManager {
     } catch (e) {
       // Ignore parse errors, return fresh context
     }
-    return {
+
+    const context = {
       queries: [],
       sessionStart: Date.now(),
       lastUpdated: Date.now(),
       sessionId: crypto.randomUUID(),
+      sessionKey: crypto.randomUUID(),
     };
+    // Store it right away so the id and key sent with the first query stick
+    try {
+      sessionStorage.setItem(CONTEXT_KEY, JSON.stringify(context));
+    } catch (e) {
+      // Storage unavailable; the session just won't outlive this call
+    }
+    return context;
   }
 
   /**
@@ -70,6 +106,8 @@ export class SessionContextManager {
    * @param {QueryHistoryEntry} entry - The query entry to add
    */
   static addQuery(entry) {
+    if (!hasConsent('personalization')) return;
+
     const context = this.getContext();
 
     // Ensure entry has required fields + enriched context fields
@@ -127,6 +165,7 @@ export class SessionContextManager {
 
   /**
    * Build a URL-safe encoded context parameter string
+   * Only needed for workers without server-side session memory.
    * @returns {string} URL-encoded JSON string
    */
   static buildEncodedContextParam() {
@@ -144,14 +183,23 @@ export class SessionContextManager {
   }
 
   /**
-   * Get the session ID for analytics tracking
-   * @returns {string}
+   * Get the session ID for analytics tracking and server-side session memory
+   * @returns {string|null} null without personalization consent
    */
   static getSessionId() {
     const context = this.getContext();
     return context.sessionId;
   }
 
+  /**
+   * Get the secret that owns the recommender's server-side session
+   * @returns {string|null} null without personalization consent
+   */
+  static getSessionKey() {
+    const context = this.getContext();
+    return context.sessionKey;
+  }
+
   /**
    * Get the consecutive query count for this session
    * @returns {number}
@@ -198,7 +246,35 @@ export class SessionContextManager {
   }
 
   /**
-   * Clear the session context (useful for testing)
+   * Erase the recommender's server-side memory of this tab's session (and the
+   * cached responses it used). Reads the stored id and key directly, so it
+   * still works after personalization consent is withdrawn.
+   * @returns {Promise<boolean>} Whether the recommender confirmed the deletion
+   */
+  static async deleteServerSession() {
+    let stored = null;
+    try {
+      stored = JSON.parse(sessionStorage.getItem(CONTEXT_KEY));
+    } catch (e) {
+      // Ignore parse errors; there is nothing to delete
+    }
+    if (!stored?.sessionId || !stored.sessionKey) return true;
+
+    try {
+      const response = await fetch(`${RECOMMENDER_URL}/api/session/${encodeURIComponent(stored.sessionId)}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${stored.sessionKey}` },
+        keepalive: true,
+      });
+      return response.ok;
+    } catch (e) {
+      console.warn('[SessionContext] Failed to delete server-side session:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Clear the session context (on consent withdrawal, and useful for testing)
    */
   static clear() {
     sessionStorage.removeItem(CONTEXT_KEY);
@@ -219,5 +295,12 @@ export class SessionContextManager {
   }
 }
 
+onConsentChange((consent) => {
+  if (!consent.personalization) {
+    SessionContextManager.deleteServerSession();
+    SessionContextManager.clear();
+  }
+});
+
 // Export for use in other scripts
 export default SessionContextManager;
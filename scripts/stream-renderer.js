@@ -455,6 +455,72 @@ function handleConnectionError(streamUrl, state, container, eventSource) {
   }
 }
 
+// Raw streamed text per preview section
+const streamedText = new WeakMap();
+
+// Prices stay hidden until the block has been fact-checked server-side
+const PRICE_PATTERN = /[$€£]\s?\d[\d,.]*/g;
+const PRICE_PLACEHOLDER = '$…';
+
+/**
+ * Turn partial block HTML into plain text to show while it streams.
+ * The raw model output has not been sanitized or fact-checked yet, so
+ * markup is stripped (never parsed) and prices are masked until the
+ * final block-content event replaces the preview.
+ */
+function toPreviewText(text) {
+  return text
+    .replace(/^\s*```(?:html)?\s*/i, '')
+    .replace(/```\s*$/, '')
+    .replace(/<\/(p|h[1-6]|li|div)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>?/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(PRICE_PATTERN, PRICE_PLACEHOLDER)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Apply a block-delta event from the recommender worker, creating a preview
+ * section at the block's index on the first delta
+ */
+export function applyBlockDelta(container, {
+  index, blockType, delta, reset,
+}) {
+  let section = container.querySelector(`.section[data-block-index="${index}"]`);
+  if (section && !section.dataset.streaming) return;
+
+  if (!section) {
+    section = document.createElement('div');
+    section.className = 'section streaming';
+    section.dataset.blockIndex = index;
+    section.dataset.streaming = 'true';
+    const preview = document.createElement('div');
+    preview.className = blockType;
+    preview.style.whiteSpace = 'pre-line';
+    section.append(preview);
+    const nextSection = [...container.children].find((el) => Number(el.dataset.blockIndex) > index);
+    container.insertBefore(section, nextSection || null);
+  }
+
+  const text = (reset ? '' : streamedText.get(section) || '') + (delta || '');
+  streamedText.set(section, text);
+  section.firstElementChild.textContent = toPreviewText(text);
+}
+
+/**
+ * Swap a streaming preview for the fully decorated section
+ * @returns {boolean} true if a preview was replaced
+ */
+export function replaceStreamingSection(container, index, section) {
+  const preview = container.querySelector(`.section[data-block-index="${index}"][data-streaming]`);
+  if (!preview) return false;
+  preview.replaceWith(section);
+  return true;
+}
+
 /**
  * Check if current page is a generative page
  */
@@ -16,6 +16,7 @@ import {
   loadCSS,
 } from './aem.js';
 import { SessionContextManager } from './session-context.js';
+import { persistPage } from './persist-client.js';
 
 // Vitamix recommender worker URL
 const VITAMIX_WORKER_URL = 'https://vitamix-recommender.paolo-moz.workers.dev';
@@ -327,18 +328,13 @@ async function persistToDA(query, blocks, intent) {
   try {
     console.log('[Vitamix] Persisting page to DA...');
 
-    const response = await fetch(VITAMIX_WORKER_URL + '/api/persist', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        query: query,
-        blocks: blocks,
-        intent: intent,
-      }),
+    // Queues a persist job and polls it until the page is live
+    const result = await persistPage(VITAMIX_WORKER_URL, {
+      query: query,
+      blocks: blocks,
+      intent: intent,
     });
 
-    const result = await response.json();
-
     if (result.success && result.urls) {
       publishedPageUrl = result.urls.live;
       console.log('[Vitamix] Page published: ' + publishedPageUrl);
@@ -0,0 +1,52 @@
+-- Analytics event store
+-- Apply with: npm run db:migrate (or db:migrate:local for the local SQLite copy)
+
+-- Every tracked event, as received
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  data TEXT NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_session ON events (session_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_events_type ON events (event_type, timestamp);
+
+-- One row per browser session
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id TEXT PRIMARY KEY,
+  start_time INTEGER NOT NULL,
+  last_updated INTEGER NOT NULL,
+  query_count INTEGER NOT NULL DEFAULT 0,
+  converted INTEGER NOT NULL DEFAULT 0,
+  conversion_url TEXT,
+  referrer TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_last_updated ON sessions (last_updated);
+
+-- One row per query event, with the page it produced and its model cost
+CREATE TABLE IF NOT EXISTS queries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  query TEXT NOT NULL,
+  normalized_query TEXT NOT NULL,
+  intent TEXT,
+  journey_stage TEXT,
+  preset TEXT,
+  cost_usd REAL,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  cached INTEGER,
+  generated_page_url TEXT,
+  generated_page_path TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_queries_timestamp ON queries (timestamp);
+CREATE INDEX IF NOT EXISTS idx_queries_session ON queries (session_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_queries_normalized ON queries (normalized_query);
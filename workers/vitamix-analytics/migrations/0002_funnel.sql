@@ -0,0 +1,5 @@
+-- Funnel and attribution reports
+-- Block types generated for each query, as a JSON array
+ALTER TABLE queries ADD COLUMN block_types TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_events_type_session ON events (event_type, session_id, timestamp);
@@ -0,0 +1,18 @@
+-- Block-level engagement
+-- One row per block_engagement event: impressions, clicks, dwell reports and
+-- block-specific interactions (follow_up_click, compare_select, quick_view_open, ...)
+CREATE TABLE IF NOT EXISTS block_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  block_type TEXT NOT NULL,
+  position INTEGER,
+  action TEXT NOT NULL,
+  dwell_ms INTEGER,
+  first_click INTEGER,
+  label TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_block_events_timestamp ON block_events (timestamp, block_type);
+CREATE INDEX IF NOT EXISTS idx_block_events_session ON block_events (session_id);
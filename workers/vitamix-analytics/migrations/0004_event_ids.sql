@@ -0,0 +1,4 @@
+-- Client event ids, so retried and re-sent events are only recorded once
+ALTER TABLE events ADD COLUMN event_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_events_event_id ON events (event_id);
@@ -0,0 +1,17 @@
+-- Dated history of site analysis runs (manual and scheduled)
+CREATE TABLE IF NOT EXISTS analysis_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp INTEGER NOT NULL,
+  date TEXT NOT NULL,
+  source TEXT NOT NULL,
+  pages_analyzed INTEGER NOT NULL,
+  overall_score INTEGER,
+  content_score INTEGER,
+  layout_score INTEGER,
+  conversion_score INTEGER,
+  -- Full AnalysisResult and the AnalysisDiff against the previous run, as JSON
+  result TEXT NOT NULL,
+  diff TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_runs_timestamp ON analysis_runs (timestamp);
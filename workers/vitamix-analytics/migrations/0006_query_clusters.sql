@@ -0,0 +1,13 @@
+-- Query clusters and content gaps
+-- Entities the intent classifier found in each query, as JSON
+ALTER TABLE queries ADD COLUMN entities TEXT;
+-- How many products and recipes the RAG context found (NULL when not reported)
+ALTER TABLE queries ADD COLUMN rag_products INTEGER;
+ALTER TABLE queries ADD COLUMN rag_recipes INTEGER;
+
+-- Latest single-page analysis score per generated page
+CREATE TABLE IF NOT EXISTS page_scores (
+  url TEXT PRIMARY KEY,
+  timestamp INTEGER NOT NULL,
+  overall_score INTEGER NOT NULL
+);
@@ -0,0 +1,4 @@
+-- Per-session access keys for data-subject requests
+-- SHA-256 of the secret the client registers with its first events; only the
+-- first key sent for a session is kept
+ALTER TABLE sessions ADD COLUMN access_key_hash TEXT;
@@ -0,0 +1,19 @@
+-- Model usage per generation, reported by the recommender Worker rather than
+-- the page so cost figures can't be forged. Query events carry the generation
+-- id; whichever of the two arrives second copies the usage onto the query.
+CREATE TABLE IF NOT EXISTS generation_usage (
+  generation_id TEXT PRIMARY KEY,
+  timestamp INTEGER NOT NULL,
+  preset TEXT,
+  cost_usd REAL,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  cached INTEGER,
+  -- JSON list of models with no price; cost_usd leaves their calls out
+  unpriced_models TEXT
+);
+
+ALTER TABLE queries ADD COLUMN generation_id TEXT;
+ALTER TABLE queries ADD COLUMN unpriced_models TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_queries_generation ON queries (generation_id);
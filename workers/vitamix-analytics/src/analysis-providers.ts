@@ -0,0 +1,366 @@
+/**
+ * Analysis Providers - The AI models and page fetcher behind site analysis
+ *
+ * Analysis runs the same prompt through Claude, Gemini and GPT in parallel,
+ * then has Claude synthesize the answers into one. Everything that leaves the
+ * Worker goes through an `AnalysisProviders` object, so scheduled runs and
+ * the analyze endpoints can be exercised offline: set ANALYSIS_PROVIDERS to
+ * "mock" (e.g. in .dev.vars) for deterministic stand-ins, or pass your own
+ * providers to runSiteAnalysis().
+ */
+
+import type { Env } from './types';
+
+// ============================================
+// Types
+// ============================================
+
+export interface ModelAnalysis {
+  model: string;
+  success: boolean;
+  analysis?: unknown;
+  error?: string;
+}
+
+export interface AnalysisProvider {
+  name: string;
+  // Whether credentials are present; unconfigured providers are skipped
+  configured: boolean;
+  // Raw completion text for a prompt
+  complete(prompt: string, maxTokens: number): Promise<string>;
+}
+
+export interface AnalysisProviders {
+  analysts: AnalysisProvider[];
+  synthesizer: AnalysisProvider;
+  // Text content of a generated page, or null if it can't be fetched
+  fetchPage(url: string): Promise<string | null>;
+}
+
+// ============================================
+// Live Providers
+// ============================================
+
+function anthropicProvider(env: Env): AnalysisProvider {
+  return {
+    name: 'claude',
+    configured: !!env.ANTHROPIC_API_KEY,
+    async complete(prompt, maxTokens) {
+      const response = await fetch('https://api.anthropic.com/v1/messages', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': env.ANTHROPIC_API_KEY || '',
+          'anthropic-version': '2023-06-01',
+        },
+        body: JSON.stringify({
+          model: 'claude-sonnet-4-20250514',
+          max_tokens: maxTokens,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        console.error('[Claude] API error:', await response.text());
+        throw new Error('API request failed');
+      }
+
+      const result = await response.json() as { content: { type: string; text: string }[] };
+      return result.content[0]?.text || '';
+    },
+  };
+}
+
+function geminiProvider(env: Env): AnalysisProvider {
+  return {
+    name: 'gemini',
+    configured: !!env.GOOGLE_API_KEY,
+    async complete(prompt, maxTokens) {
+      const response = await fetch(
+        `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${env.GOOGLE_API_KEY}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              temperature: 0.7,
+              maxOutputTokens: maxTokens,
+            },
+          }),
+        }
+      );
+
+      if (!response.ok) {
+        console.error('[Gemini] API error:', await response.text());
+        throw new Error('API request failed');
+      }
+
+      const result = await response.json() as {
+        candidates?: { content?: { parts?: { text?: string }[] } }[];
+      };
+      return result.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    },
+  };
+}
+
+function openAIProvider(env: Env): AnalysisProvider {
+  return {
+    name: 'gpt',
+    configured: !!env.OPENAI_API_KEY,
+    async complete(prompt, maxTokens) {
+      const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${env.OPENAI_API_KEY}`,
+        },
+        body: JSON.stringify({
+          model: 'gpt-4o',
+          max_tokens: maxTokens,
+          messages: [{ role: 'user', content: prompt }],
+        }),
+      });
+
+      if (!response.ok) {
+        console.error('[OpenAI] API error:', await response.text());
+        throw new Error('API request failed');
+      }
+
+      const result = await response.json() as {
+        choices?: { message?: { content?: string } }[];
+      };
+      return result.choices?.[0]?.message?.content || '';
+    },
+  };
+}
+
+/**
+ * Extract main content from HTML, removing scripts, styles, and nav
+ */
+export function extractMainContent(html: string): string {
+  // Remove script tags
+  let content = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
+  // Remove style tags
+  content = content.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
+  // Remove nav, header, footer
+  content = content.replace(/<(nav|header|footer)[^>]*>[\s\S]*?<\/\1>/gi, '');
+  // Remove HTML tags
+  content = content.replace(/<[^>]+>/g, ' ');
+  // Clean up whitespace
+  content = content.replace(/\s+/g, ' ').trim();
+  return content;
+}
+
+async function fetchPageContent(url: string): Promise<string | null> {
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'Vitamix-Analytics/1.0' },
+  });
+  if (!response.ok) {
+    console.error(`[Fetch] ${url} returned ${response.status}`);
+    return null;
+  }
+  return extractMainContent(await response.text());
+}
+
+// ============================================
+// Mock Providers
+// ============================================
+
+const MOCK_ISSUES = [
+  'Product recommendations are not tied to the stated use case',
+  'Primary CTA sits below the fold on mobile',
+  'Recipe pages lack nutrition information',
+  'Comparison tables omit price differences',
+  'Follow-up suggestions repeat the original query',
+  'Hero copy is generic across intents',
+];
+
+const MOCK_SUGGESTIONS: Record<'content' | 'layout' | 'conversion', string[]> = {
+  content: ['Reference the container size the query implies', 'Add prep time to every recipe card'],
+  layout: ['Move the verdict above the comparison table', 'Collapse long FAQ answers'],
+  conversion: ['Link each recommended product to its vitamix.com page', 'Add a price anchor next to the CTA'],
+};
+
+function hash(text: string): number {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * A plausible answer in the shape the prompt asks for, derived from a hash of
+ * the prompt so the same data always gets the same analysis
+ */
+function mockCompletion(prompt: string): string {
+  const seed = hash(prompt);
+  const score = (offset: number) => 50 + ((seed >>> offset) % 45);
+  const scores = {
+    overallScore: score(0),
+    contentScore: score(3),
+    layoutScore: score(6),
+    conversionScore: score(9),
+  };
+  const pick = <T>(items: T[], count: number, offset: number) => (
+    items.map((item, i) => ({ item, rank: (seed >>> ((offset + i) % 24)) % 97 }))
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, count)
+      .map(({ item }) => item)
+  );
+
+  if (!prompt.includes('"topIssues"')) {
+    return JSON.stringify({
+      ...scores,
+      summary: 'Mock analysis: the page answers the query with room to tighten its calls to action.',
+      strengths: pick(MOCK_SUGGESTIONS.content, 2, 1),
+      improvements: pick(MOCK_ISSUES, 3, 2),
+    });
+  }
+
+  const suggestions = Object.fromEntries(Object.entries(MOCK_SUGGESTIONS).map(([category, texts], i) => [
+    category,
+    pick(texts, 1 + ((seed >>> i) % 2), i).map((text, j) => ({
+      text,
+      impact: ['low', 'medium', 'high'][(seed >>> (i + j)) % 3],
+      effort: ['low', 'medium', 'high'][(seed >>> (i + j + 5)) % 3],
+    })),
+  ]));
+
+  return JSON.stringify({
+    ...scores,
+    topIssues: pick(MOCK_ISSUES, 3, 4),
+    suggestions,
+    exemplaryPages: [],
+    problematicPages: [],
+  });
+}
+
+/**
+ * Offline stand-ins for the three analysts, the synthesizer and page fetches
+ */
+export function createMockProviders(): AnalysisProviders {
+  const mock = (name: string): AnalysisProvider => ({
+    name,
+    configured: true,
+    complete: async (prompt) => mockCompletion(`${name}\n${prompt}`),
+  });
+
+  return {
+    analysts: [mock('claude'), mock('gemini'), mock('gpt')],
+    synthesizer: mock('synthesis'),
+    fetchPage: async (url) => `Mock content for ${url}. `.repeat(8),
+  };
+}
+
+export function createAnalysisProviders(env: Env): AnalysisProviders {
+  if (env.ANALYSIS_PROVIDERS === 'mock') {
+    return createMockProviders();
+  }
+
+  const claude = anthropicProvider(env);
+  return {
+    analysts: [claude, geminiProvider(env), openAIProvider(env)],
+    synthesizer: claude,
+    fetchPage: fetchPageContent,
+  };
+}
+
+// ============================================
+// Multi-Agent Analysis
+// ============================================
+
+async function analyzeWith(provider: AnalysisProvider, prompt: string, maxTokens: number): Promise<ModelAnalysis> {
+  if (!provider.configured) {
+    return { model: provider.name, success: false, error: `${provider.name} not configured` };
+  }
+
+  try {
+    const text = await provider.complete(prompt, maxTokens);
+
+    // Parse JSON from response
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return { model: provider.name, success: true, analysis: JSON.parse(jsonMatch[0]) };
+    }
+    return { model: provider.name, success: false, error: 'No JSON in response' };
+  } catch (e) {
+    console.error(`[${provider.name}] Error:`, e);
+    return { model: provider.name, success: false, error: (e as Error).message };
+  }
+}
+
+/**
+ * Run multi-agent analysis in parallel (Claude, Gemini, GPT)
+ */
+export async function runMultiAgentAnalysis(
+  prompt: string,
+  providers: AnalysisProviders
+): Promise<{ analyses: ModelAnalysis[]; successCount: number }> {
+  const { analysts } = providers;
+  console.log(`[MultiAgent] Starting parallel analysis with ${analysts.length} models...`);
+
+  const results = await Promise.all(analysts.map((provider) => analyzeWith(provider, prompt, 2048)));
+
+  const successCount = results.filter((r) => r.success).length;
+  console.log(`[MultiAgent] Completed: ${successCount}/${analysts.length} models succeeded`);
+
+  return { analyses: results, successCount };
+}
+
+/**
+ * Synthesize multiple analyses into a unified result
+ */
+export async function synthesizeAnalyses(
+  analyses: ModelAnalysis[],
+  originalPromptContext: string,
+  providers: AnalysisProviders
+): Promise<{ success: boolean; synthesis?: unknown; error?: string }> {
+  const { synthesizer } = providers;
+  if (!synthesizer.configured) {
+    return { success: false, error: `${synthesizer.name} not configured for synthesis` };
+  }
+
+  const successfulAnalyses = analyses.filter((a) => a.success && a.analysis);
+
+  if (successfulAnalyses.length === 0) {
+    return { success: false, error: 'No successful analyses to synthesize' };
+  }
+
+  // If only one succeeded, return it directly (already synthesized)
+  if (successfulAnalyses.length === 1) {
+    return { success: true, synthesis: successfulAnalyses[0].analysis };
+  }
+
+  // Build synthesis prompt
+  const analysesJson = successfulAnalyses
+    .map((a, i) => `Analysis ${i + 1}:\n${JSON.stringify(a.analysis, null, 2)}`)
+    .join('\n\n');
+
+  const synthesisPrompt = `You are synthesizing ${successfulAnalyses.length} independent AI analyses of the same content into a single unified analysis.
+
+ORIGINAL CONTEXT:
+${originalPromptContext}
+
+INDEPENDENT ANALYSES TO SYNTHESIZE:
+${analysesJson}
+
+SYNTHESIS INSTRUCTIONS:
+1. Create a unified analysis that represents the consensus of all ${successfulAnalyses.length} analyses
+2. For scores: Calculate weighted averages, but use your judgment to adjust based on reasoning quality
+3. For lists (strengths, improvements, suggestions, issues): Merge and deduplicate items, keeping the most actionable and specific ones
+4. For text summaries: Write a new synthesis that captures key insights from all analyses
+5. IMPORTANT: Do NOT mention or reference which analysis said what - present as a single unified view
+6. Maintain the exact same JSON structure as the input analyses
+
+Return ONLY valid JSON with the synthesized result (no markdown, no code blocks, no explanation).`;
+
+  const result = await analyzeWith(synthesizer, synthesisPrompt, 2048);
+  if (!result.success) {
+    return { success: false, error: result.error === 'No JSON in response' ? 'No JSON in synthesis response' : result.error };
+  }
+
+  console.log('[Synthesis] Successfully synthesized analyses');
+  return { success: true, synthesis: result.analysis };
+}
@@ -0,0 +1,167 @@
+/**
+ * Block Report - Per-block-type CTR and engagement
+ *
+ * Built from the tracker's block_engagement events: an impression when half a
+ * block is first in view, a click (flagged `firstClick` once per rendered
+ * block), dwell time reported when the page is hidden, and block-specific
+ * interactions such as follow-up chip clicks, comparison selections and recipe
+ * quick-view opens.
+ *
+ * `selectionWeight` condenses CTR and dwell into one number for tuning block
+ * selection: 1 is the average block, 2 engages twice as well. It is shrunk
+ * towards 1 by `WEIGHT_PRIOR_IMPRESSIONS` so a block type seen a handful of
+ * times can't swing the selection.
+ */
+
+import type {
+  AnalyticsFilter,
+  BlockEngagementReport,
+  BlockEngagementRow,
+  PositionEngagementRow,
+} from './types';
+import { bind, buildScope } from './event-store';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Actions recorded for every block; anything else is a block-specific interaction
+const BASE_ACTIONS = ['impression', 'click', 'dwell'];
+
+const WEIGHT_PRIOR_IMPRESSIONS = 50;
+
+// ============================================
+// Helpers
+// ============================================
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0;
+}
+
+function ratio(part: number, whole: number): number {
+  return whole > 0 ? part / whole : 0;
+}
+
+interface EngagementCounts {
+  impressions: number;
+  clicks: number;
+  clicked: number;
+  dwellMs: number;
+}
+
+/**
+ * Average of the block's CTR and dwell relative to the whole page, shrunk
+ * towards 1 for block types with few impressions
+ */
+function selectionWeight(counts: EngagementCounts, overall: EngagementCounts): number {
+  const lifts: number[] = [];
+  if (overall.clicked > 0) {
+    lifts.push(ratio(ratio(counts.clicked, counts.impressions), ratio(overall.clicked, overall.impressions)));
+  }
+  if (overall.dwellMs > 0) {
+    lifts.push(ratio(ratio(counts.dwellMs, counts.impressions), ratio(overall.dwellMs, overall.impressions)));
+  }
+  const raw = lifts.length ? lifts.reduce((sum, lift) => sum + lift, 0) / lifts.length : 1;
+
+  const n = counts.impressions;
+  return Number(((n * raw + WEIGHT_PRIOR_IMPRESSIONS) / (n + WEIGHT_PRIOR_IMPRESSIONS)).toFixed(2));
+}
+
+// ============================================
+// Report
+// ============================================
+
+export async function getBlockEngagementReport(
+  db: D1Database,
+  filter: AnalyticsFilter
+): Promise<BlockEngagementReport> {
+  const { cte, params } = buildScope(filter);
+  const scope = `FROM block_events b
+    WHERE b.timestamp BETWEEN ? AND ? AND b.session_id IN (SELECT session_id FROM s)`;
+  const baseActions = BASE_ACTIONS.map((action) => `'${action}'`).join(', ');
+  const counts = `
+    SUM(action = 'impression') AS impressions,
+    SUM(action = 'click') AS clicks,
+    SUM(action = 'click' AND first_click = 1) AS clicked,
+    COALESCE(SUM(dwell_ms), 0) AS dwellMs`;
+
+  const [byType, byAction, byPosition] = await db.batch([
+    bind(
+      db,
+      `${cte}
+        SELECT block_type AS blockType, ${counts},
+          AVG(CASE WHEN action = 'impression' THEN position END) AS avgPosition
+        ${scope}
+        GROUP BY block_type
+        ORDER BY impressions DESC, blockType`,
+      ...params, filter.from, filter.to
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT block_type AS blockType, action, COUNT(*) AS count
+        ${scope} AND action NOT IN (${baseActions})
+        GROUP BY block_type, action`,
+      ...params, filter.from, filter.to
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT position, ${counts}
+        ${scope} AND position >= 0
+        GROUP BY position
+        ORDER BY position`,
+      ...params, filter.from, filter.to
+    ),
+  ]);
+
+  const typeRows = byType.results as (EngagementCounts & { blockType: string; avgPosition: number | null })[];
+  const overall = typeRows.reduce<EngagementCounts>((sum, row) => ({
+    impressions: sum.impressions + row.impressions,
+    clicks: sum.clicks + row.clicks,
+    clicked: sum.clicked + row.clicked,
+    dwellMs: sum.dwellMs + row.dwellMs,
+  }), {
+    impressions: 0, clicks: 0, clicked: 0, dwellMs: 0,
+  });
+
+  const interactions = new Map<string, Record<string, number>>();
+  for (const row of byAction.results as { blockType: string; action: string; count: number }[]) {
+    interactions.set(row.blockType, { ...interactions.get(row.blockType), [row.action]: row.count });
+  }
+
+  const blocks: BlockEngagementRow[] = typeRows.map((row) => {
+    const blockInteractions = interactions.get(row.blockType) || {};
+    const interactionCount = Object.values(blockInteractions).reduce((sum, count) => sum + count, 0);
+    return {
+      blockType: row.blockType,
+      impressions: row.impressions,
+      clicks: row.clicks,
+      ctr: percent(row.clicked, row.impressions),
+      avgDwellMs: Math.round(ratio(row.dwellMs, row.impressions)),
+      avgPosition: row.avgPosition === null ? null : Number(row.avgPosition.toFixed(1)),
+      interactions: blockInteractions,
+      interactionRate: percent(interactionCount, row.impressions),
+      selectionWeight: selectionWeight(row, overall),
+    };
+  });
+
+  const positions = (byPosition.results as (EngagementCounts & { position: number })[])
+    .map((row): PositionEngagementRow => ({
+      position: row.position,
+      impressions: row.impressions,
+      ctr: percent(row.clicked, row.impressions),
+      avgDwellMs: Math.round(ratio(row.dwellMs, row.impressions)),
+    }));
+
+  return {
+    blocks,
+    byPosition: positions,
+    totals: {
+      impressions: overall.impressions,
+      clicks: overall.clicks,
+      ctr: percent(overall.clicked, overall.impressions),
+      avgDwellMs: Math.round(ratio(overall.dwellMs, overall.impressions)),
+    },
+  };
+}
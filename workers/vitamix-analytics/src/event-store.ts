@@ -0,0 +1,735 @@
+/**
+ * Event Store - D1/SQLite storage and aggregation for analytics events
+ *
+ * Tracked events are written to the raw `events` log (see migrations/), plus
+ * one `sessions` row per session, one `queries` row per query and one
+ * `block_events` row per block engagement event. CTA clicks (`cta_click`) only
+ * go to the events log. Model usage comes from the recommender Worker's reports
+ * (`generation_usage`) and is copied onto the query with the same generation
+ * id. Free text is scrubbed of emails, phone numbers and names before it is
+ * written (see pii.ts). Reports are answered with SQL over those tables, so
+ * any date range and filter combination costs one round trip instead of a KV
+ * scan per day and per session. `wrangler dev` runs the same schema against a
+ * local SQLite file (`npm run db:migrate:local`).
+ */
+
+import type {
+  TrackingEvent,
+  SessionData,
+  QueryRecord,
+  RecentQuery,
+  DailyStats,
+  PresetCostTotals,
+  SummaryStats,
+  AnalyticsFilter,
+  SessionExport,
+  UsageReport,
+} from './types';
+import { scrubEventData } from './pii';
+
+// ============================================
+// Configuration
+// ============================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_RANGE_DAYS = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MAX_EVENT_ID_LENGTH = 64;
+
+// Client access keys are crypto.randomUUID() values
+const ACCESS_KEY_PATTERN = /^[A-Za-z0-9-]{16,128}$/;
+
+// Client session ids are crypto.randomUUID() values
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// The recommender's generation ids are crypto.randomUUID() values
+const GENERATION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Every table keyed by session, children before the sessions row
+const SESSION_TABLES = ['events', 'queries', 'block_events', 'sessions'] as const;
+
+// D1 allows at most 100 bound parameters per statement
+const MAX_BOUND_PARAMS = 100;
+
+export class FilterError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+export type SqlValue = string | number | null;
+
+// D1 rejects undefined and booleans as bind values
+function toSqlValue(value: unknown): SqlValue {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  return String(value);
+}
+
+export function isValidSessionId(sessionId: string): boolean {
+  return SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * SHA-256 of a session access key; only the hash is stored
+ */
+export async function hashAccessKey(accessKey: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(accessKey));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export function bind(db: D1Database, sql: string, ...values: unknown[]): D1PreparedStatement {
+  return db.prepare(sql).bind(...values.map(toSqlValue));
+}
+
+export function toDate(timestamp: number): string {
+  return new Date(timestamp).toISOString().split('T')[0];
+}
+
+export function normalizeQuery(query: string): string {
+  return query.toLowerCase().trim();
+}
+
+/**
+ * Drop SQL NULLs so optional fields are simply absent in JSON responses
+ */
+function withoutNulls<T extends object>(record: T): T {
+  return Object.fromEntries(Object.entries(record).filter(([, v]) => v !== null)) as T;
+}
+
+// ============================================
+// Filters
+// ============================================
+
+function parseBoundary(value: string, endOfDay: boolean): number {
+  if (DATE_PATTERN.test(value)) {
+    const start = Date.parse(`${value}T00:00:00Z`);
+    if (!Number.isNaN(start)) return endOfDay ? start + DAY_MS - 1 : start;
+  } else if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  throw new FilterError(`Invalid date "${value}"; use YYYY-MM-DD or a timestamp in ms`);
+}
+
+function parseBoolean(value: string | null): boolean | undefined {
+  if (value === null || value === '') return undefined;
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Read the date range and filters from a report request.
+ * `from`/`to` take dates (YYYY-MM-DD, inclusive) or timestamps; without
+ * `from`, the range is the last `days` days (default `defaultDays`).
+ */
+export function parseAnalyticsFilter(url: URL, defaultDays: number): AnalyticsFilter {
+  const params = url.searchParams;
+  const to = params.get('to') ? parseBoundary(params.get('to')!, true) : Date.now();
+
+  let from: number;
+  if (params.get('from')) {
+    from = parseBoundary(params.get('from')!, false);
+  } else {
+    const days = parseInt(params.get('days') || `${defaultDays}`, 10);
+    if (!Number.isInteger(days) || days < 1) {
+      throw new FilterError('days must be a positive integer');
+    }
+    from = to - days * DAY_MS;
+  }
+
+  if (from > to) {
+    throw new FilterError('from must not be after to');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new FilterError(`Date range is limited to ${MAX_RANGE_DAYS} days`);
+  }
+
+  return {
+    from,
+    to,
+    preset: params.get('preset') || undefined,
+    intent: params.get('intent') || undefined,
+    journeyStage: params.get('journeyStage') || undefined,
+    search: params.get('q') || undefined,
+    converted: parseBoolean(params.get('converted')),
+    hasPage: parseBoolean(params.get('hasPage')),
+  };
+}
+
+/**
+ * Common table expressions every report starts from:
+ * `q` - queries in range matching the filters,
+ * `s` - sessions active in range (with a matching query, if query filters are set)
+ */
+export function buildScope(filter: AnalyticsFilter): { cte: string; params: SqlValue[] } {
+  const queryConditions = ['timestamp BETWEEN ? AND ?'];
+  const queryParams: SqlValue[] = [filter.from, filter.to];
+  const hasQueryFilter = !!(filter.preset || filter.intent || filter.journeyStage || filter.search
+    || filter.hasPage !== undefined);
+
+  if (filter.preset) {
+    queryConditions.push('preset = ?');
+    queryParams.push(filter.preset);
+  }
+  if (filter.intent) {
+    queryConditions.push('intent = ?');
+    queryParams.push(filter.intent);
+  }
+  if (filter.journeyStage) {
+    queryConditions.push('journey_stage = ?');
+    queryParams.push(filter.journeyStage);
+  }
+  if (filter.search) {
+    queryConditions.push("normalized_query LIKE ? ESCAPE '\\'");
+    queryParams.push(`%${normalizeQuery(filter.search).replace(/[%_\\]/g, '\\$&')}%`);
+  }
+  if (filter.hasPage !== undefined) {
+    queryConditions.push(filter.hasPage ? 'generated_page_url IS NOT NULL' : 'generated_page_url IS NULL');
+  }
+
+  const sessionConditions = ['e.timestamp BETWEEN ? AND ?'];
+  const sessionParams: SqlValue[] = [filter.from, filter.to];
+
+  if (filter.converted !== undefined) {
+    const converted = 'session_id IN (SELECT session_id FROM sessions WHERE converted = ?)';
+    queryConditions.push(converted);
+    queryParams.push(filter.converted ? 1 : 0);
+    sessionConditions.push(`e.${converted}`);
+    sessionParams.push(filter.converted ? 1 : 0);
+  }
+  if (hasQueryFilter) {
+    sessionConditions.push('e.session_id IN (SELECT session_id FROM q)');
+  }
+
+  return {
+    cte: `WITH q AS (SELECT * FROM queries WHERE ${queryConditions.join(' AND ')}),
+      s AS (SELECT DISTINCT e.session_id FROM events e WHERE ${sessionConditions.join(' AND ')})`,
+    params: [...queryParams, ...sessionParams],
+  };
+}
+
+// ============================================
+// Writes
+// ============================================
+
+/**
+ * Copy a generation's reported usage onto the first query event that claimed
+ * it; a no-op until both the report and the query event have arrived
+ */
+function claimUsageStatement(db: D1Database, generationId: string): D1PreparedStatement {
+  return bind(
+    db,
+    `UPDATE queries SET (preset, cost_usd, input_tokens, output_tokens, cached, unpriced_models) = (
+        SELECT preset, cost_usd, input_tokens, output_tokens, cached, unpriced_models
+        FROM generation_usage WHERE generation_id = ?1)
+      WHERE id = (SELECT MIN(id) FROM queries WHERE generation_id = ?1)
+        AND EXISTS (SELECT 1 FROM generation_usage WHERE generation_id = ?1)`,
+    generationId
+  );
+}
+
+function eventStatements(
+  db: D1Database,
+  event: TrackingEvent,
+  accessKeyHash: string | undefined
+): D1PreparedStatement[] {
+  const { sessionId, eventType } = event;
+  const data = scrubEventData(event.data || {});
+  const timestamp = Number.isFinite(event.timestamp) ? event.timestamp : Date.now();
+  const date = toDate(timestamp);
+
+  const statements = [
+    bind(
+      db,
+      'INSERT INTO events (event_id, session_id, event_type, timestamp, date, data) VALUES (?, ?, ?, ?, ?, ?)',
+      eventIdOf(event), sessionId, eventType, timestamp, date, JSON.stringify(data)
+    ),
+    bind(
+      db,
+      `INSERT INTO sessions (session_id, start_time, last_updated, referrer, access_key_hash) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (session_id) DO UPDATE SET
+          start_time = MIN(start_time, excluded.start_time),
+          last_updated = MAX(last_updated, excluded.last_updated),
+          referrer = COALESCE(referrer, excluded.referrer),
+          access_key_hash = COALESCE(access_key_hash, excluded.access_key_hash)`,
+      sessionId, timestamp, timestamp, data.referrer, accessKeyHash
+    ),
+  ];
+
+  switch (eventType) {
+    case 'query': {
+      // Usage comes only from the recommender's report, never from the page
+      const generationId = typeof data.generationId === 'string' && GENERATION_ID_PATTERN.test(data.generationId)
+        ? data.generationId
+        : null;
+      statements.push(
+        bind(
+          db,
+          `INSERT INTO queries (session_id, timestamp, date, query, normalized_query, intent, journey_stage,
+            generation_id, block_types, entities, rag_products, rag_recipes)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          sessionId, timestamp, date, data.query || '', normalizeQuery(data.query || ''), data.intent,
+          data.journeyStage, generationId,
+          Array.isArray(data.blockTypes) ? JSON.stringify(data.blockTypes.map(String)) : null,
+          data.entities && typeof data.entities === 'object' ? JSON.stringify(data.entities) : null,
+          data.retrieval?.products, data.retrieval?.recipes
+        ),
+        bind(
+          db,
+          'UPDATE sessions SET query_count = COALESCE(?, query_count + 1) WHERE session_id = ?',
+          data.consecutiveQueryNumber, sessionId
+        )
+      );
+      if (generationId) statements.push(claimUsageStatement(db, generationId));
+      break;
+    }
+
+    case 'page_published':
+      // The page belongs to the session's latest query
+      statements.push(bind(
+        db,
+        `UPDATE queries SET generated_page_url = ?, generated_page_path = ?
+          WHERE id = (SELECT id FROM queries WHERE session_id = ? ORDER BY timestamp DESC, id DESC LIMIT 1)`,
+        data.generatedPageUrl, data.generatedPagePath, sessionId
+      ));
+      break;
+
+    case 'conversion':
+      statements.push(bind(
+        db,
+        'UPDATE sessions SET converted = 1, conversion_url = ? WHERE session_id = ?',
+        data.ctaUrl, sessionId
+      ));
+      break;
+
+    case 'block_engagement':
+      if (!data.blockType || !data.action) break;
+      statements.push(bind(
+        db,
+        `INSERT INTO block_events (session_id, timestamp, date, block_type, position, action, dwell_ms,
+          first_click, label) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        sessionId, timestamp, date, data.blockType, data.position, data.action,
+        Number.isFinite(data.dwellMs) ? Math.max(0, Math.round(data.dwellMs as number)) : null,
+        data.firstClick, data.label
+      ));
+      break;
+  }
+
+  return statements;
+}
+
+function eventIdOf(event: TrackingEvent): string | null {
+  const { eventId } = event;
+  return typeof eventId === 'string' && eventId && eventId.length <= MAX_EVENT_ID_LENGTH ? eventId : null;
+}
+
+/**
+ * Drop events whose id was already recorded, or repeats an earlier event in
+ * the same batch. Events without an id are always kept.
+ */
+async function withoutRecorded(db: D1Database, events: TrackingEvent[]): Promise<TrackingEvent[]> {
+  const ids = [...new Set(events.map(eventIdOf).filter((id): id is string => id !== null))];
+  const recorded = new Set<string>();
+
+  for (let i = 0; i < ids.length; i += MAX_BOUND_PARAMS) {
+    const chunk = ids.slice(i, i + MAX_BOUND_PARAMS);
+    const { results } = await bind(
+      db,
+      `SELECT event_id FROM events WHERE event_id IN (${chunk.map(() => '?').join(', ')})`,
+      ...chunk
+    ).all<{ event_id: string }>();
+    results.forEach((row) => recorded.add(row.event_id));
+  }
+
+  return events.filter((event) => {
+    const id = eventIdOf(event);
+    if (id === null) return true;
+    if (recorded.has(id)) return false;
+    recorded.add(id);
+    return true;
+  });
+}
+
+function isDuplicateEventId(error: unknown): boolean {
+  return error instanceof Error && /UNIQUE constraint failed: events\.event_id/.test(error.message);
+}
+
+/**
+ * Hash of the access key sent for each session in the batch
+ */
+async function accessKeyHashes(events: TrackingEvent[]): Promise<Map<string, string>> {
+  const hashes = new Map<string, string>();
+  for (const { sessionId, accessKey } of events) {
+    if (typeof accessKey === 'string' && ACCESS_KEY_PATTERN.test(accessKey) && !hashes.has(sessionId)) {
+      hashes.set(sessionId, await hashAccessKey(accessKey));
+    }
+  }
+  return hashes;
+}
+
+/**
+ * Store a batch of tracking events in a single transaction, skipping events
+ * whose id was already recorded so that retries and re-sent beacons are
+ * harmless. A concurrent request recording the same ids fails the unique
+ * index and rolls the batch back; it is then retried once without them.
+ *
+ * The first access key sent for a session is kept (as a hash); later keys are
+ * ignored, so nobody who merely learns a session id can claim its data.
+ */
+export async function recordEvents(
+  db: D1Database,
+  events: TrackingEvent[]
+): Promise<{ recorded: number; duplicates: number }> {
+  const keyHashes = await accessKeyHashes(events);
+
+  for (let attempt = 0; ; attempt += 1) {
+    const fresh = await withoutRecorded(db, events);
+    const statements = fresh.flatMap((event) => eventStatements(db, event, keyHashes.get(event.sessionId)));
+
+    try {
+      if (statements.length > 0) {
+        await db.batch(statements);
+      }
+      return { recorded: fresh.length, duplicates: events.length - fresh.length };
+    } catch (error) {
+      if (attempt > 0 || !isDuplicateEventId(error)) throw error;
+    }
+  }
+}
+
+/**
+ * Parse a usage report from the recommender Worker; null when malformed
+ */
+export function parseUsageReport(body: unknown): UsageReport | null {
+  const report = body as Partial<UsageReport> | null;
+  const usage = report?.usage;
+  const isCount = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (!report || typeof report.generationId !== 'string' || !GENERATION_ID_PATTERN.test(report.generationId)
+    || !usage || !isCount(usage.costUsd) || !isCount(usage.inputTokens) || !isCount(usage.outputTokens)) {
+    return null;
+  }
+  return {
+    generationId: report.generationId,
+    cached: !!report.cached,
+    usage: {
+      preset: String(usage.preset || 'unknown').slice(0, 100),
+      costUsd: usage.costUsd,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      unpricedModels: Array.isArray(usage.unpricedModels)
+        ? usage.unpricedModels.map((model) => String(model).slice(0, 100)).slice(0, 20)
+        : [],
+    },
+  };
+}
+
+/**
+ * Store a generation's usage (the first report per generation wins) and copy
+ * it onto the query event that claimed it, if that has arrived already
+ */
+export async function recordUsageReport(db: D1Database, report: UsageReport): Promise<void> {
+  const { generationId, cached, usage } = report;
+  await db.batch([
+    bind(
+      db,
+      `INSERT INTO generation_usage (generation_id, timestamp, preset, cost_usd, input_tokens, output_tokens,
+        cached, unpriced_models) VALUES (?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (generation_id) DO NOTHING`,
+      generationId, Date.now(), usage.preset, usage.costUsd, usage.inputTokens, usage.outputTokens, cached,
+      usage.unpricedModels.length > 0 ? JSON.stringify(usage.unpricedModels) : null
+    ),
+    claimUsageStatement(db, generationId),
+  ]);
+}
+
+// ============================================
+// Reports
+// ============================================
+
+interface QueryRow {
+  session_id: string;
+  timestamp: number;
+  query: string;
+  intent: string | null;
+  journey_stage: string | null;
+  preset: string | null;
+  cost_usd: number | null;
+  generated_page_url: string | null;
+  generated_page_path: string | null;
+}
+
+interface SessionRow {
+  session_id: string;
+  start_time: number;
+  last_updated: number;
+  query_count: number;
+  converted: number;
+  conversion_url: string | null;
+  referrer: string | null;
+  queries: string;
+}
+
+function rowToQuery(row: QueryRow): RecentQuery {
+  return withoutNulls({
+    sessionId: row.session_id,
+    query: row.query,
+    timestamp: row.timestamp,
+    intent: row.intent,
+    journeyStage: row.journey_stage,
+    preset: row.preset,
+    costUsd: row.cost_usd,
+    generatedPageUrl: row.generated_page_url,
+    generatedPagePath: row.generated_page_path,
+  }) as RecentQuery;
+}
+
+function rowToSession(row: SessionRow): SessionData {
+  return withoutNulls({
+    sessionId: row.session_id,
+    startTime: row.start_time,
+    lastUpdated: row.last_updated,
+    queryCount: row.query_count,
+    converted: row.converted === 1,
+    conversionUrl: row.conversion_url,
+    referrer: row.referrer,
+    queries: (JSON.parse(row.queries) as QueryRecord[]).map((q) => withoutNulls(q)),
+  }) as SessionData;
+}
+
+// Per-day sessions, queries, conversions and cost, oldest first
+function dailyTrendStatement(db: D1Database, filter: AnalyticsFilter): D1PreparedStatement {
+  const { cte, params } = buildScope(filter);
+  return bind(
+    db,
+    `${cte}
+      SELECT e.date AS date,
+        COUNT(DISTINCT e.session_id) AS sessions,
+        (SELECT COUNT(*) FROM q WHERE q.date = e.date) AS queries,
+        SUM(e.event_type = 'conversion') AS conversions,
+        (SELECT ROUND(COALESCE(SUM(cost_usd), 0), 6) FROM q WHERE q.date = e.date) AS costUsd
+      FROM events e
+      WHERE e.timestamp BETWEEN ? AND ? AND e.session_id IN (SELECT session_id FROM s)
+      GROUP BY e.date
+      ORDER BY e.date`,
+    ...params, filter.from, filter.to
+  );
+}
+
+/**
+ * Everything the summary report needs, in one batch
+ */
+export async function getSummaryStats(db: D1Database, filter: AnalyticsFilter): Promise<SummaryStats> {
+  const { cte, params } = buildScope(filter);
+
+  const [totals, stages, topQueries, trend, costs, unpriced] = await db.batch([
+    bind(
+      db,
+      `${cte}
+        SELECT
+          (SELECT COUNT(*) FROM s) AS sessions,
+          (SELECT COUNT(*) FROM q) AS queries,
+          (SELECT COUNT(*) FROM events e WHERE e.event_type = 'conversion' AND e.timestamp BETWEEN ? AND ?
+            AND e.session_id IN (SELECT session_id FROM s)) AS conversions,
+          (SELECT COUNT(*) FROM (SELECT session_id FROM q GROUP BY session_id HAVING COUNT(*) >= 2))
+            AS multiQuerySessions`,
+      ...params, filter.from, filter.to
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT journey_stage AS stage, COUNT(*) AS count FROM q
+        WHERE journey_stage IS NOT NULL GROUP BY journey_stage`,
+      ...params
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT normalized_query AS query, COUNT(*) AS count FROM q
+        WHERE normalized_query != '' GROUP BY normalized_query ORDER BY count DESC, MAX(timestamp) DESC LIMIT 10`,
+      ...params
+    ),
+    dailyTrendStatement(db, filter),
+    bind(
+      db,
+      `${cte}
+        SELECT COALESCE(preset, 'unknown') AS preset, COUNT(*) AS pages,
+          SUM(cost_usd) AS costUsd, COALESCE(SUM(input_tokens), 0) AS inputTokens,
+          COALESCE(SUM(output_tokens), 0) AS outputTokens
+        FROM q WHERE cost_usd IS NOT NULL GROUP BY COALESCE(preset, 'unknown')`,
+      ...params
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT DISTINCT model.value AS model FROM q, json_each(q.unpriced_models) AS model
+        WHERE q.unpriced_models IS NOT NULL ORDER BY model`,
+      ...params
+    ),
+  ]);
+
+  const total = totals.results[0] as Record<string, number>;
+  const journeyStageBreakdown: Record<string, number> = { exploring: 0, comparing: 0, deciding: 0 };
+  for (const row of stages.results as { stage: string; count: number }[]) {
+    journeyStageBreakdown[row.stage] = row.count;
+  }
+
+  return {
+    totalSessions: total.sessions,
+    totalQueries: total.queries,
+    totalConversions: total.conversions,
+    sessionsWithMultipleQueries: total.multiQuerySessions,
+    journeyStageBreakdown,
+    topQueries: topQueries.results as SummaryStats['topQueries'],
+    dailyTrend: trend.results as unknown as DailyStats[],
+    costByPreset: costs.results as unknown as PresetCostTotals[],
+    unpricedModels: (unpriced.results as { model: string }[]).map((row) => row.model),
+  };
+}
+
+export async function getDailyTrend(db: D1Database, filter: AnalyticsFilter): Promise<DailyStats[]> {
+  const { results } = await dailyTrendStatement(db, filter).all<DailyStats>();
+  return results;
+}
+
+/**
+ * Sessions active in range, most recently updated first, with all their queries
+ */
+export async function listSessions(
+  db: D1Database,
+  filter: AnalyticsFilter,
+  limit: number,
+  offset = 0
+): Promise<{ sessions: SessionData[]; total: number }> {
+  const { cte, params } = buildScope(filter);
+
+  const [count, page] = await db.batch([
+    bind(db, `${cte} SELECT COUNT(*) AS total FROM s`, ...params),
+    bind(
+      db,
+      `${cte}
+        SELECT ss.*, (
+          SELECT json_group_array(json_object(
+            'query', query, 'intent', intent, 'journeyStage', journey_stage, 'timestamp', timestamp,
+            'generatedPageUrl', generated_page_url, 'generatedPagePath', generated_page_path,
+            'preset', preset, 'costUsd', cost_usd
+          ))
+          FROM (SELECT * FROM queries WHERE session_id = ss.session_id ORDER BY timestamp, id)
+        ) AS queries
+        FROM sessions ss
+        WHERE ss.session_id IN (SELECT session_id FROM s)
+        ORDER BY ss.last_updated DESC
+        LIMIT ? OFFSET ?`,
+      ...params, limit, offset
+    ),
+  ]);
+
+  return {
+    sessions: (page.results as unknown as SessionRow[]).map(rowToSession),
+    total: (count.results[0] as { total: number }).total,
+  };
+}
+
+/**
+ * Queries in range matching the filters, most recent first
+ */
+export async function listQueries(
+  db: D1Database,
+  filter: AnalyticsFilter,
+  limit: number,
+  offset = 0
+): Promise<{ queries: RecentQuery[]; total: number }> {
+  const { cte, params } = buildScope(filter);
+
+  const [count, page] = await db.batch([
+    bind(db, `${cte} SELECT COUNT(*) AS total FROM q`, ...params),
+    bind(db, `${cte} SELECT * FROM q ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`, ...params, limit, offset),
+  ]);
+
+  return {
+    queries: (page.results as unknown as QueryRow[]).map(rowToQuery),
+    total: (count.results[0] as { total: number }).total,
+  };
+}
+
+// ============================================
+// Data-Subject Requests
+// ============================================
+
+/**
+ * Everything stored for a session, in the order it was recorded
+ */
+export async function exportSessionData(db: D1Database, sessionId: string): Promise<SessionExport> {
+  const [session, events, blockEvents] = await db.batch([
+    bind(
+      db,
+      `SELECT ss.*, (
+        SELECT json_group_array(json_object(
+          'query', query, 'intent', intent, 'journeyStage', journey_stage, 'timestamp', timestamp,
+          'generatedPageUrl', generated_page_url, 'generatedPagePath', generated_page_path,
+          'preset', preset, 'costUsd', cost_usd
+        ))
+        FROM (SELECT * FROM queries WHERE session_id = ss.session_id ORDER BY timestamp, id)
+      ) AS queries
+      FROM sessions ss WHERE ss.session_id = ?`,
+      sessionId
+    ),
+    bind(
+      db,
+      'SELECT event_type, timestamp, data FROM events WHERE session_id = ? ORDER BY timestamp, id',
+      sessionId
+    ),
+    bind(
+      db,
+      `SELECT block_type AS blockType, position, action, timestamp, dwell_ms AS dwellMs, label
+        FROM block_events WHERE session_id = ? ORDER BY timestamp, id`,
+      sessionId
+    ),
+  ]);
+
+  const sessionRow = session.results[0] as SessionRow | undefined;
+  return {
+    session: sessionRow ? rowToSession(sessionRow) : null,
+    events: (events.results as { event_type: string; timestamp: number; data: string }[]).map((row) => ({
+      eventType: row.event_type,
+      timestamp: row.timestamp,
+      data: JSON.parse(row.data),
+    })),
+    blockEvents: blockEvents.results as SessionExport['blockEvents'],
+  };
+}
+
+/**
+ * Stored access key hash for a session (null when it never registered one),
+ * or undefined when the session is unknown
+ */
+export async function getAccessKeyHash(db: D1Database, sessionId: string): Promise<string | null | undefined> {
+  const row = await bind(db, 'SELECT access_key_hash FROM sessions WHERE session_id = ?', sessionId)
+    .first<{ access_key_hash: string | null }>();
+  return row ? row.access_key_hash : undefined;
+}
+
+/**
+ * Delete every row stored for a session, returning how many were removed per table
+ */
+export async function deleteSessionData(
+  db: D1Database,
+  sessionId: string
+): Promise<Record<(typeof SESSION_TABLES)[number], number>> {
+  const results = await db.batch(
+    SESSION_TABLES.map((table) => bind(db, `DELETE FROM ${table} WHERE session_id = ?`, sessionId))
+  );
+
+  return Object.fromEntries(
+    SESSION_TABLES.map((table, i) => [table, results[i].meta.changes])
+  ) as Record<(typeof SESSION_TABLES)[number], number>;
+}
@@ -0,0 +1,150 @@
+/**
+ * Funnel Report - Conversion funnel and last-touch attribution
+ *
+ * The funnel counts sessions that went session → query → page_published →
+ * CTA click → conversion, each step requiring the ones before it. A
+ * vitamix.com conversion is itself a CTA click.
+ *
+ * Each conversion is attributed to the latest query in the same session at or
+ * before the conversion: its intent, journey stage, preset and every block
+ * type on its generated page get the credit. Only queries in the report's
+ * range and filters are considered, so with `intent=discovery` a conversion
+ * is credited to the last discovery query before it.
+ */
+
+import type {
+  AnalyticsFilter,
+  AttributionDimension,
+  AttributionRow,
+  FunnelReport,
+  FunnelStage,
+} from './types';
+import { bind, buildScope } from './event-store';
+
+// ============================================
+// Configuration
+// ============================================
+
+const FUNNEL_STAGES: FunnelStage[] = ['session', 'query', 'page_published', 'cta_click', 'conversion'];
+
+// Column (or JSON array, for block types) each dimension is read from
+const DIMENSION_SOURCES: Record<AttributionDimension, string> = {
+  intent: "COALESCE(NULLIF(qq.intent, ''), 'unknown')",
+  journeyStage: "COALESCE(NULLIF(qq.journey_stage, ''), 'unknown')",
+  preset: "COALESCE(qq.preset, 'unknown')",
+  blockType: 'bt.value',
+};
+
+// ============================================
+// Helpers
+// ============================================
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0;
+}
+
+/**
+ * Values of one dimension over a set of queries aliased `qq`
+ * (one row per block type for blockType)
+ */
+function dimensionValues(dimension: AttributionDimension, from: string): string {
+  const blockJoin = dimension === 'blockType' ? ", json_each(COALESCE(qq.block_types, '[]')) bt" : '';
+  return `SELECT ${DIMENSION_SOURCES[dimension]} AS value FROM ${from}${blockJoin}`;
+}
+
+// ============================================
+// Report
+// ============================================
+
+export async function getFunnelReport(db: D1Database, filter: AnalyticsFilter): Promise<FunnelReport> {
+  const { cte, params } = buildScope(filter);
+  const dimensions = Object.keys(DIMENSION_SOURCES) as AttributionDimension[];
+
+  // Latest matching query at or before each conversion, within the same session
+  const conversions = `conv AS (
+    SELECT e.id, (
+      SELECT id FROM q WHERE session_id = e.session_id AND timestamp <= e.timestamp
+      ORDER BY timestamp DESC, id DESC LIMIT 1
+    ) AS query_id
+    FROM events e
+    WHERE e.event_type = 'conversion' AND e.timestamp BETWEEN ? AND ?
+      AND e.session_id IN (SELECT session_id FROM s)
+  )`;
+
+  const [steps, totals, ...byDimension] = await db.batch([
+    bind(
+      db,
+      `${cte},
+        reached AS (
+          SELECT
+            EXISTS (SELECT 1 FROM q WHERE q.session_id = s.session_id) AS query,
+            EXISTS (SELECT 1 FROM q WHERE q.session_id = s.session_id AND q.generated_page_url IS NOT NULL)
+              AS page_published,
+            EXISTS (SELECT 1 FROM events e WHERE e.session_id = s.session_id
+              AND e.event_type IN ('cta_click', 'conversion') AND e.timestamp BETWEEN ? AND ?) AS cta_click,
+            EXISTS (SELECT 1 FROM events e WHERE e.session_id = s.session_id
+              AND e.event_type = 'conversion' AND e.timestamp BETWEEN ? AND ?) AS conversion
+          FROM s
+        )
+        SELECT
+          COUNT(*) AS session,
+          COALESCE(SUM(query), 0) AS query,
+          COALESCE(SUM(query AND page_published), 0) AS page_published,
+          COALESCE(SUM(query AND page_published AND cta_click), 0) AS cta_click,
+          COALESCE(SUM(query AND page_published AND cta_click AND conversion), 0) AS conversion
+        FROM reached`,
+      ...params, filter.from, filter.to, filter.from, filter.to
+    ),
+    bind(
+      db,
+      `${cte}, ${conversions}
+        SELECT COUNT(*) AS total, COALESCE(SUM(query_id IS NULL), 0) AS unattributed FROM conv`,
+      ...params, filter.from, filter.to
+    ),
+    // One statement per dimension; D1 caps the number of terms in a compound SELECT
+    ...dimensions.map((dimension) => bind(
+      db,
+      `${cte}, ${conversions},
+        attributed AS (
+          SELECT value, COUNT(*) AS conversions
+          FROM (${dimensionValues(dimension, 'conv JOIN queries qq ON qq.id = conv.query_id')})
+          GROUP BY value
+        ),
+        queried AS (
+          SELECT value, COUNT(*) AS queries FROM (${dimensionValues(dimension, 'q qq')}) GROUP BY value
+        )
+        SELECT a.value, a.conversions, COALESCE(qd.queries, 0) AS queries
+        FROM attributed a LEFT JOIN queried qd ON qd.value = a.value
+        ORDER BY a.conversions DESC`,
+      ...params, filter.from, filter.to
+    )),
+  ]);
+
+  const stepCounts = steps.results[0] as Record<FunnelStage, number>;
+  const { total: totalConversions, unattributed } = totals.results[0] as { total: number; unattributed: number };
+
+  const attribution = {} as Record<AttributionDimension, AttributionRow[]>;
+  dimensions.forEach((dimension, i) => {
+    const rows = byDimension[i].results as { value: string; conversions: number; queries: number }[];
+    attribution[dimension] = rows.map((row) => ({
+      ...row,
+      conversionRate: percent(row.conversions, row.queries),
+      share: percent(row.conversions, totalConversions - unattributed),
+    }));
+  });
+
+  return {
+    steps: FUNNEL_STAGES.map((stage, i) => {
+      const previous = i > 0 ? stepCounts[FUNNEL_STAGES[i - 1]] : stepCounts[stage];
+      return {
+        stage,
+        sessions: stepCounts[stage],
+        rate: percent(stepCounts[stage], stepCounts.session),
+        dropOff: percent(previous - stepCounts[stage], previous),
+      };
+    }),
+    totalConversions,
+    unattributed,
+    attribution,
+  };
+}
@@ -2,94 +2,68 @@
  * Vitamix Analytics Worker
  *
  * Handles analytics tracking, aggregation, and AI-powered analysis.
+ *
+ * Events are stored in D1 (see event-store.ts). The report endpoints
+ * (summary, sessions, export, funnel, blocks, clusters, queries/recent)
+ * accept `from`/`to` dates or `days`, plus `preset`, `intent`,
+ * `journeyStage`, `q`, `converted` and `hasPage` filters.
+ *
+ * GET and DELETE /api/analytics/session/:id export or erase everything stored
+ * for one session (data-subject requests). They need `Authorization: Bearer`
+ * with the access key the client registered for the session, or ADMIN_TOKEN.
+ *
+ * POST /api/usage takes each generation's model usage from the recommender
+ * Worker (Bearer USAGE_REPORT_TOKEN); query events only carry its generation
+ * id, so the page can't forge cost figures.
+ *
+ * Site analysis runs on POST /api/analytics/analyze and on the cron trigger in
+ * wrangler.toml; GET /api/analytics/analysis/history lists the dated runs with
+ * their diffs (see site-analysis.ts).
  */
 
-interface Env {
-  ANALYTICS: KVNamespace;
-  ANTHROPIC_API_KEY?: string;
-  OPENAI_API_KEY?: string;
-  GOOGLE_API_KEY?: string;
-  DEBUG?: string;
-}
-
-interface TrackingEvent {
-  sessionId: string;
-  timestamp: number;
-  eventType: 'session_start' | 'query' | 'page_published' | 'conversion';
-  data: {
-    query?: string;
-    intent?: string;
-    journeyStage?: string;
-    consecutiveQueryNumber?: number;
-    generatedPageUrl?: string;
-    generatedPagePath?: string;
-    ctaUrl?: string;
-    ctaText?: string;
-    sourceQuery?: string;
-    queryCountAtConversion?: number;
-    referrer?: string;
-    userAgent?: string;
-    url?: string;
-  };
-}
-
-interface SessionData {
-  sessionId: string;
-  startTime: number;
-  lastUpdated: number;
-  queryCount: number;
-  converted: boolean;
-  conversionUrl?: string;
-  queries: {
-    query: string;
-    intent?: string;
-    journeyStage?: string;
-    timestamp: number;
-    generatedPageUrl?: string;
-    generatedPagePath?: string;
-  }[];
-  referrer?: string;
-}
-
-interface DailyStats {
-  date: string;
-  sessions: number;
-  queries: number;
-  conversions: number;
-  sessionIds: string[];
-}
-
-interface Suggestion {
-  text: string;
-  impact: 'low' | 'medium' | 'high';
-  effort: 'low' | 'medium' | 'high';
-}
-
-interface AnalysisResult {
-  timestamp: number;
-  overallScore: number;
-  contentScore: number;
-  layoutScore: number;
-  conversionScore: number;
-  topIssues: string[];
-  suggestions: {
-    content: Suggestion[];
-    layout: Suggestion[];
-    conversion: Suggestion[];
-  };
-  exemplaryPages: { url: string; query: string; reason: string }[];
-  problematicPages: { url: string; query: string; reason: string }[];
-  pagesAnalyzed: number;
-}
+import type {
+  Env,
+  TrackingEvent,
+  RecentQuery,
+  CostTotals,
+  PresetCostTotals,
+  AnalyticsFilter,
+  AnalysisResult,
+} from './types';
+import {
+  recordEvents,
+  getSummaryStats,
+  getDailyTrend,
+  listSessions,
+  listQueries,
+  exportSessionData,
+  deleteSessionData,
+  isValidSessionId,
+  getAccessKeyHash,
+  hashAccessKey,
+  parseUsageReport,
+  recordUsageReport,
+  parseAnalyticsFilter,
+  FilterError,
+} from './event-store';
+import { getFunnelReport } from './funnel-report';
+import { getBlockEngagementReport } from './block-report';
+import { getQueryClusterReport, recordPageScore } from './query-clusters';
+import { createAnalysisProviders, runMultiAgentAnalysis, synthesizeAnalyses } from './analysis-providers';
+import { runSiteAnalysis, listAnalysisRuns } from './site-analysis';
 
 // CORS headers
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
 export default {
+  async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    ctx.waitUntil(runScheduledAnalysis(env, controller.cron));
+  },
+
   async fetch(request: Request, env: Env): Promise<Response> {
     const url = new URL(request.url);
 
@@ -99,34 +73,59 @@ export default {
     }
 
     try {
-      // Route requests
+      // Route requests (handlers are awaited so their errors reach the catch below)
       if (url.pathname === '/api/track' && request.method === 'POST') {
-        return handleTrack(request, env);
+        return await handleTrack(request, env);
+      }
+
+      if (url.pathname === '/api/usage' && request.method === 'POST') {
+        return await handleUsageReport(request, env);
       }
 
       if (url.pathname === '/api/analytics/summary' && request.method === 'GET') {
-        return handleSummary(env);
+        return await handleSummary(env, url);
       }
 
       if (url.pathname === '/api/analytics/sessions' && request.method === 'GET') {
-        return handleSessions(env, url);
+        return await handleSessions(env, url);
       }
 
       if (url.pathname === '/api/analytics/export' && request.method === 'GET') {
-        return handleExport(env);
+        return await handleExport(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/funnel' && request.method === 'GET') {
+        return await handleFunnel(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/blocks' && request.method === 'GET') {
+        return await handleBlocks(env, url);
+      }
+
+      if (url.pathname === '/api/analytics/clusters' && request.method === 'GET') {
+        return await handleClusters(env, url);
+      }
+
+      const sessionMatch = url.pathname.match(/^\/api\/analytics\/session\/([^/]+)$/);
+      if (sessionMatch && (request.method === 'GET' || request.method === 'DELETE')) {
+        return await handleSessionData(request, env, decodeURIComponent(sessionMatch[1]));
       }
 
       if (url.pathname === '/api/analytics/analyze' && request.method === 'POST') {
         const force = url.searchParams.get('force') === 'true';
-        return handleAnalyze(env, force);
+        return await handleAnalyze(env, force);
+      }
+
+      if (url.pathname === '/api/analytics/analysis/history' && request.method === 'GET') {
+        return await handleAnalysisHistory(env, url);
       }
 
       if (url.pathname === '/api/analytics/queries/recent' && request.method === 'GET') {
-        return handleRecentQueries(env, url);
+        return await handleRecentQueries(env, url);
       }
 
       if (url.pathname === '/api/analytics/analyze-page' && request.method === 'POST') {
-        return handleAnalyzePage(request, env);
+        return await handleAnalyzePage(request, env);
       }
 
       // Health check
@@ -136,6 +135,9 @@ export default {
 
       return jsonResponse({ error: 'Not found' }, 404);
     } catch (error) {
+      if (error instanceof FilterError) {
+        return jsonResponse({ error: error.message }, 400);
+      }
       console.error('Worker error:', error);
       return jsonResponse({ error: 'Internal server error' }, 500);
     }
@@ -153,207 +155,100 @@ async function handleTrack(request: Request, env: Env): Promise<Response> {
     return jsonResponse({ error: 'Invalid events array' }, 400);
   }
 
-  const today = new Date().toISOString().split('T')[0];
+  // Session ids key exports and erasure, so malformed ones are never stored
+  const valid = events.filter((event) => event && event.eventType
+    && typeof event.sessionId === 'string' && isValidSessionId(event.sessionId));
 
-  for (const event of events) {
-    await processEvent(event, env, today);
-  }
+  // Idempotent per eventId: re-sent events are acknowledged but not recorded again
+  const { recorded, duplicates } = await recordEvents(env.DB, valid);
 
-  return jsonResponse({ success: true, processed: events.length });
+  return jsonResponse({
+    success: true,
+    processed: events.length,
+    recorded,
+    duplicates,
+    rejected: events.length - valid.length,
+  });
 }
 
 /**
- * Process a single tracking event
+ * Record a generation's model usage, sent by the recommender Worker
  */
-async function processEvent(event: TrackingEvent, env: Env, today: string): Promise<void> {
-  const { sessionId, eventType, timestamp, data } = event;
-
-  // Get or create session
-  const sessionKey = `sessions:${sessionId}`;
-  let session: SessionData | null = await env.ANALYTICS.get(sessionKey, 'json');
-
-  if (!session) {
-    session = {
-      sessionId,
-      startTime: timestamp,
-      lastUpdated: timestamp,
-      queryCount: 0,
-      converted: false,
-      queries: [],
-      referrer: data.referrer,
-    };
+async function handleUsageReport(request: Request, env: Env): Promise<Response> {
+  const token = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!env.USAGE_REPORT_TOKEN || !token
+    || await hashAccessKey(token) !== await hashAccessKey(env.USAGE_REPORT_TOKEN)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
   }
 
-  session.lastUpdated = timestamp;
-
-  // Process event by type
-  switch (eventType) {
-    case 'session_start':
-      // Session already created above
-      break;
-
-    case 'query':
-      session.queryCount = data.consecutiveQueryNumber || session.queryCount + 1;
-      session.queries.push({
-        query: data.query || '',
-        intent: data.intent,
-        journeyStage: data.journeyStage,
-        timestamp,
-      });
-      // Keep only last 20 queries per session
-      if (session.queries.length > 20) {
-        session.queries = session.queries.slice(-20);
-      }
-      break;
-
-    case 'page_published':
-      // Update the last query with the generated page URL
-      if (session.queries.length > 0) {
-        const lastQuery = session.queries[session.queries.length - 1];
-        lastQuery.generatedPageUrl = data.generatedPageUrl;
-        lastQuery.generatedPagePath = data.generatedPagePath;
-      }
-      break;
-
-    case 'conversion':
-      session.converted = true;
-      session.conversionUrl = data.ctaUrl;
-      break;
+  const report = parseUsageReport(await request.json());
+  if (!report) {
+    return jsonResponse({ error: 'Invalid usage report' }, 400);
   }
 
-  // Save session with 30-day TTL
-  await env.ANALYTICS.put(sessionKey, JSON.stringify(session), {
-    expirationTtl: 30 * 24 * 60 * 60,
-  });
-
-  // Update daily stats
-  await updateDailyStats(env, today, sessionId, eventType);
+  await recordUsageReport(env.DB, report);
+  return jsonResponse({ success: true });
 }
 
 /**
- * Update daily aggregate statistics
+ * Total model cost, with average cost per page overall and per preset.
+ * Calls to unpriced models aren't in the totals; they're listed instead.
  */
-async function updateDailyStats(
-  env: Env,
-  date: string,
-  sessionId: string,
-  eventType: string
-): Promise<void> {
-  const dailyKey = `daily:${date}`;
-  let daily: DailyStats | null = await env.ANALYTICS.get(dailyKey, 'json');
-
-  if (!daily) {
-    daily = {
-      date,
-      sessions: 0,
-      queries: 0,
-      conversions: 0,
-      sessionIds: [],
-    };
-  }
-
-  // Track unique sessions
-  if (!daily.sessionIds.includes(sessionId)) {
-    daily.sessionIds.push(sessionId);
-    daily.sessions = daily.sessionIds.length;
-  }
-
-  // Update counts
-  if (eventType === 'query') {
-    daily.queries += 1;
-  } else if (eventType === 'conversion') {
-    daily.conversions += 1;
-  }
-
-  // Keep only last 1000 session IDs to avoid value size limits
-  if (daily.sessionIds.length > 1000) {
-    daily.sessionIds = daily.sessionIds.slice(-1000);
-  }
+function summarizeCosts(byPreset: PresetCostTotals[], unpricedModels: string[]) {
+  const total: CostTotals = { pages: 0, costUsd: 0, inputTokens: 0, outputTokens: 0 };
+  for (const cost of byPreset) {
+    total.pages += cost.pages;
+    total.costUsd += cost.costUsd;
+    total.inputTokens += cost.inputTokens;
+    total.outputTokens += cost.outputTokens;
+  }
+
+  const perPage = (cost: CostTotals) => (cost.pages > 0 ? cost.costUsd / cost.pages : 0);
+
+  return {
+    totalUsd: Number(total.costUsd.toFixed(4)),
+    pages: total.pages,
+    avgCostPerPage: Number(perPage(total).toFixed(4)),
+    inputTokens: total.inputTokens,
+    outputTokens: total.outputTokens,
+    byPreset: byPreset
+      .map((cost) => ({
+        preset: cost.preset,
+        pages: cost.pages,
+        totalUsd: Number(cost.costUsd.toFixed(4)),
+        avgCostPerPage: Number(perPage(cost).toFixed(4)),
+      }))
+      .sort((a, b) => b.pages - a.pages),
+    unpricedModels,
+  };
+}
 
-  // Save with 90-day TTL
-  await env.ANALYTICS.put(dailyKey, JSON.stringify(daily), {
-    expirationTtl: 90 * 24 * 60 * 60,
-  });
+function describePeriod(filter: AnalyticsFilter) {
+  return {
+    from: new Date(filter.from).toISOString(),
+    to: new Date(filter.to).toISOString(),
+  };
 }
 
 /**
- * Get analytics summary
+ * Get analytics summary (last 30 days unless a range is given)
  */
-async function handleSummary(env: Env): Promise<Response> {
-  // Get last 30 days of stats
-  const days: DailyStats[] = [];
-  const now = new Date();
-
-  for (let i = 0; i < 30; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    const dailyKey = `daily:${dateStr}`;
-    const daily: DailyStats | null = await env.ANALYTICS.get(dailyKey, 'json');
-    if (daily) {
-      days.push(daily);
-    }
-  }
-
-  // Calculate aggregates
-  const totalSessions = days.reduce((sum, d) => sum + d.sessions, 0);
-  const totalQueries = days.reduce((sum, d) => sum + d.queries, 0);
-  const totalConversions = days.reduce((sum, d) => sum + d.conversions, 0);
+async function handleSummary(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 30);
+  const stats = await getSummaryStats(env.DB, filter);
 
+  const {
+    totalSessions, totalQueries, totalConversions, sessionsWithMultipleQueries,
+  } = stats;
   const avgQueriesPerSession = totalSessions > 0 ? totalQueries / totalSessions : 0;
   const conversionRate = totalSessions > 0 ? (totalConversions / totalSessions) * 100 : 0;
-
-  // Get session details for engagement metrics
-  let sessionsWithMultipleQueries = 0;
-  let journeyStageBreakdown: Record<string, number> = {
-    exploring: 0,
-    comparing: 0,
-    deciding: 0,
-  };
-
-  // Sample recent sessions for detailed metrics (last 100)
-  const allSessionIds = days.flatMap((d) => d.sessionIds).slice(0, 100);
-  for (const sessionId of allSessionIds) {
-    const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-    if (session) {
-      if (session.queryCount >= 2) {
-        sessionsWithMultipleQueries++;
-      }
-      // Count journey stages from queries
-      for (const query of session.queries) {
-        if (query.journeyStage && journeyStageBreakdown[query.journeyStage] !== undefined) {
-          journeyStageBreakdown[query.journeyStage]++;
-        }
-      }
-    }
-  }
-
-  const engagementRate = allSessionIds.length > 0
-    ? (sessionsWithMultipleQueries / allSessionIds.length) * 100
-    : 0;
-
-  // Get top queries
-  const queryFrequency: Record<string, number> = {};
-  for (const sessionId of allSessionIds) {
-    const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-    if (session) {
-      for (const q of session.queries) {
-        const normalized = q.query.toLowerCase().trim();
-        queryFrequency[normalized] = (queryFrequency[normalized] || 0) + 1;
-      }
-    }
-  }
-
-  const topQueries = Object.entries(queryFrequency)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
-    .map(([query, count]) => ({ query, count }));
+  const engagementRate = totalSessions > 0 ? (sessionsWithMultipleQueries / totalSessions) * 100 : 0;
 
   // Get last analysis result (return full analysis for persistence)
   const lastAnalysis: AnalysisResult | null = await env.ANALYTICS.get('analysis:latest', 'json');
 
   return jsonResponse({
-    period: '30d',
+    period: describePeriod(filter),
     totalSessions,
     totalQueries,
     totalConversions,
@@ -361,337 +256,147 @@ async function handleSummary(env: Env): Promise<Response> {
     conversionRate: Number(conversionRate.toFixed(2)),
     engagementRate: Number(engagementRate.toFixed(2)),
     sessionsWithMultipleQueries,
-    journeyStageBreakdown,
-    topQueries,
-    dailyTrend: days.slice(0, 7).reverse(),
+    journeyStageBreakdown: stats.journeyStageBreakdown,
+    topQueries: stats.topQueries,
+    dailyTrend: stats.dailyTrend,
+    costs: summarizeCosts(stats.costByPreset, stats.unpricedModels),
     lastAnalysis: lastAnalysis || null,
   });
 }
 
+function parseLimit(url: URL, fallback: number, max: number): number {
+  const limit = parseInt(url.searchParams.get('limit') || `${fallback}`, 10);
+  return Number.isInteger(limit) && limit > 0 ? Math.min(limit, max) : fallback;
+}
+
+function parseOffset(url: URL): number {
+  const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+  return Number.isInteger(offset) && offset > 0 ? offset : 0;
+}
+
 /**
- * Get list of recent sessions
+ * Get list of recent sessions (last 7 days unless a range is given)
  */
 async function handleSessions(env: Env, url: URL): Promise<Response> {
-  const limit = parseInt(url.searchParams.get('limit') || '50');
-  const offset = parseInt(url.searchParams.get('offset') || '0');
-
-  // Get recent daily stats to find session IDs
-  const now = new Date();
-  const allSessionIds: string[] = [];
-
-  for (let i = 0; i < 7 && allSessionIds.length < limit + offset; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    const daily: DailyStats | null = await env.ANALYTICS.get(`daily:${dateStr}`, 'json');
-    if (daily) {
-      allSessionIds.push(...daily.sessionIds);
-    }
-  }
-
-  // Get session details
-  const sessions: SessionData[] = [];
-  const targetIds = allSessionIds.slice(offset, offset + limit);
+  const filter = parseAnalyticsFilter(url, 7);
+  const limit = parseLimit(url, 50, 500);
+  const offset = parseOffset(url);
 
-  for (const sessionId of targetIds) {
-    const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-    if (session) {
-      sessions.push(session);
-    }
-  }
-
-  // Sort by lastUpdated descending
-  sessions.sort((a, b) => b.lastUpdated - a.lastUpdated);
+  const { sessions, total } = await listSessions(env.DB, filter, limit, offset);
 
   return jsonResponse({
+    period: describePeriod(filter),
     sessions,
-    total: allSessionIds.length,
+    total,
     limit,
     offset,
   });
 }
 
 /**
- * Export all analytics data
+ * Export analytics data (last 30 days unless a range is given)
  */
-async function handleExport(env: Env): Promise<Response> {
-  const days: DailyStats[] = [];
-  const sessions: SessionData[] = [];
-  const now = new Date();
-
-  // Get 30 days of data
-  for (let i = 0; i < 30; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    const daily: DailyStats | null = await env.ANALYTICS.get(`daily:${dateStr}`, 'json');
-    if (daily) {
-      days.push(daily);
-      // Get sessions for this day
-      for (const sessionId of daily.sessionIds.slice(0, 50)) {
-        const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-        if (session) {
-          sessions.push(session);
-        }
-      }
-    }
-  }
+async function handleExport(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 30);
+  const limit = parseLimit(url, 1000, 5000);
+
+  const [dailyStats, { sessions, total }] = await Promise.all([
+    getDailyTrend(env.DB, filter),
+    listSessions(env.DB, filter, limit),
+  ]);
 
   return jsonResponse({
     exportedAt: new Date().toISOString(),
-    dailyStats: days,
+    period: describePeriod(filter),
+    dailyStats,
     sessions,
+    totalSessions: total,
   });
 }
 
-// =============================================================================
-// MULTI-AGENT ANALYSIS FUNCTIONS
-// =============================================================================
-
-interface ModelAnalysis {
-  model: string;
-  success: boolean;
-  analysis?: unknown;
-  error?: string;
-}
-
 /**
- * Call Claude API for analysis
+ * Conversion funnel and attribution (last 30 days unless a range is given)
  */
-async function callClaude(prompt: string, env: Env, maxTokens = 2048): Promise<ModelAnalysis> {
-  if (!env.ANTHROPIC_API_KEY) {
-    return { model: 'claude', success: false, error: 'ANTHROPIC_API_KEY not configured' };
-  }
-
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: maxTokens,
-        messages: [{ role: 'user', content: prompt }],
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[Claude] API error:', error);
-      return { model: 'claude', success: false, error: 'API request failed' };
-    }
+async function handleFunnel(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 30);
+  const report = await getFunnelReport(env.DB, filter);
 
-    const result = await response.json() as { content: { type: string; text: string }[] };
-    const text = result.content[0]?.text || '';
-
-    // Parse JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return { model: 'claude', success: true, analysis: JSON.parse(jsonMatch[0]) };
-    }
-    return { model: 'claude', success: false, error: 'No JSON in response' };
-  } catch (e) {
-    console.error('[Claude] Error:', e);
-    return { model: 'claude', success: false, error: (e as Error).message };
-  }
+  return jsonResponse({
+    period: describePeriod(filter),
+    ...report,
+  });
 }
 
 /**
- * Call Gemini API for analysis
+ * Per-block-type CTR and engagement (last 30 days unless a range is given)
  */
-async function callGemini(prompt: string, env: Env): Promise<ModelAnalysis> {
-  if (!env.GOOGLE_API_KEY) {
-    return { model: 'gemini', success: false, error: 'GOOGLE_API_KEY not configured' };
-  }
-
-  try {
-    const response = await fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-pro:generateContent?key=${env.GOOGLE_API_KEY}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.7,
-            maxOutputTokens: 2048,
-          },
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[Gemini] API error:', error);
-      return { model: 'gemini', success: false, error: 'API request failed' };
-    }
-
-    const result = await response.json() as {
-      candidates?: { content?: { parts?: { text?: string }[] } }[];
-    };
-    const text = result.candidates?.[0]?.content?.parts?.[0]?.text || '';
+async function handleBlocks(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 30);
+  const report = await getBlockEngagementReport(env.DB, filter);
 
-    // Parse JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return { model: 'gemini', success: true, analysis: JSON.parse(jsonMatch[0]) };
-    }
-    return { model: 'gemini', success: false, error: 'No JSON in response' };
-  } catch (e) {
-    console.error('[Gemini] Error:', e);
-    return { model: 'gemini', success: false, error: (e as Error).message };
-  }
+  return jsonResponse({
+    period: describePeriod(filter),
+    ...report,
+  });
 }
 
 /**
- * Call OpenAI API for analysis
+ * Queries clustered by topic, with volume, conversion, page scores and content
+ * gaps (last 30 days unless a range is given)
  */
-async function callOpenAI(prompt: string, env: Env): Promise<ModelAnalysis> {
-  if (!env.OPENAI_API_KEY) {
-    return { model: 'gpt', success: false, error: 'OPENAI_API_KEY not configured' };
-  }
-
-  try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o',
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: prompt }],
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[OpenAI] API error:', error);
-      return { model: 'gpt', success: false, error: 'API request failed' };
-    }
+async function handleClusters(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 30);
+  const report = await getQueryClusterReport(env.DB, filter, parseLimit(url, 20, 100));
 
-    const result = await response.json() as {
-      choices?: { message?: { content?: string } }[];
-    };
-    const text = result.choices?.[0]?.message?.content || '';
-
-    // Parse JSON from response
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return { model: 'gpt', success: true, analysis: JSON.parse(jsonMatch[0]) };
-    }
-    return { model: 'gpt', success: false, error: 'No JSON in response' };
-  } catch (e) {
-    console.error('[OpenAI] Error:', e);
-    return { model: 'gpt', success: false, error: (e as Error).message };
-  }
+  return jsonResponse({
+    period: describePeriod(filter),
+    ...report,
+  });
 }
 
 /**
- * Run multi-agent analysis in parallel (Claude, Gemini, GPT)
+ * Whether a bearer token is ADMIN_TOKEN or the given stored access key hash.
+ * Tokens are compared as hashes, so the comparison doesn't leak how much of
+ * a guess was right.
  */
-async function runMultiAgentAnalysis(
-  prompt: string,
-  env: Env
-): Promise<{ analyses: ModelAnalysis[]; successCount: number }> {
-  console.log('[MultiAgent] Starting parallel analysis with 3 models...');
-
-  const results = await Promise.all([
-    callClaude(prompt, env),
-    callGemini(prompt, env),
-    callOpenAI(prompt, env),
-  ]);
+async function isAuthorized(request: Request, env: Env, accessKeyHash: string | null): Promise<boolean> {
+  const token = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  if (!token) return false;
 
-  const successCount = results.filter((r) => r.success).length;
-  console.log(`[MultiAgent] Completed: ${successCount}/3 models succeeded`);
-
-  return { analyses: results, successCount };
+  const tokenHash = await hashAccessKey(token);
+  if (env.ADMIN_TOKEN && tokenHash === await hashAccessKey(env.ADMIN_TOKEN)) return true;
+  return tokenHash === accessKeyHash;
 }
 
 /**
- * Synthesize multiple analyses into a unified result using Claude
+ * Data-subject requests: GET exports everything stored for a session, DELETE
+ * erases it. Session ids are listed by the reports, so the caller must also
+ * hold the session's access key (or be an admin).
  */
-async function synthesizeAnalyses(
-  analyses: ModelAnalysis[],
-  originalPromptContext: string,
-  env: Env
-): Promise<{ success: boolean; synthesis?: unknown; error?: string }> {
-  if (!env.ANTHROPIC_API_KEY) {
-    return { success: false, error: 'ANTHROPIC_API_KEY not configured for synthesis' };
+async function handleSessionData(request: Request, env: Env, sessionId: string): Promise<Response> {
+  if (!isValidSessionId(sessionId)) {
+    return jsonResponse({ error: 'Invalid session id' }, 400);
   }
 
-  const successfulAnalyses = analyses.filter((a) => a.success && a.analysis);
-
-  if (successfulAnalyses.length === 0) {
-    return { success: false, error: 'No successful analyses to synthesize' };
+  const accessKeyHash = await getAccessKeyHash(env.DB, sessionId);
+  if (accessKeyHash === undefined) {
+    return jsonResponse({ error: 'Session not found' }, 404);
   }
-
-  // If only one succeeded, return it directly (already synthesized)
-  if (successfulAnalyses.length === 1) {
-    return { success: true, synthesis: successfulAnalyses[0].analysis };
+  if (!(await isAuthorized(request, env, accessKeyHash))) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
   }
 
-  // Build synthesis prompt
-  const analysesJson = successfulAnalyses
-    .map((a, i) => `Analysis ${i + 1}:\n${JSON.stringify(a.analysis, null, 2)}`)
-    .join('\n\n');
-
-  const synthesisPrompt = `You are synthesizing ${successfulAnalyses.length} independent AI analyses of the same content into a single unified analysis.
-
-ORIGINAL CONTEXT:
-${originalPromptContext}
-
-INDEPENDENT ANALYSES TO SYNTHESIZE:
-${analysesJson}
-
-SYNTHESIS INSTRUCTIONS:
-1. Create a unified analysis that represents the consensus of all ${successfulAnalyses.length} analyses
-2. For scores: Calculate weighted averages, but use your judgment to adjust based on reasoning quality
-3. For lists (strengths, improvements, suggestions, issues): Merge and deduplicate items, keeping the most actionable and specific ones
-4. For text summaries: Write a new synthesis that captures key insights from all analyses
-5. IMPORTANT: Do NOT mention or reference which analysis said what - present as a single unified view
-6. Maintain the exact same JSON structure as the input analyses
-
-Return ONLY valid JSON with the synthesized result (no markdown, no code blocks, no explanation).`;
-
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: synthesisPrompt }],
-      }),
-    });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[Synthesis] API error:', error);
-      return { success: false, error: 'Synthesis API request failed' };
-    }
-
-    const result = await response.json() as { content: { type: string; text: string }[] };
-    const text = result.content[0]?.text || '';
+  if (request.method === 'DELETE') {
+    const deleted = await deleteSessionData(env.DB, sessionId);
+    return jsonResponse({ success: true, sessionId, deleted });
+  }
 
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      console.log('[Synthesis] Successfully synthesized analyses');
-      return { success: true, synthesis: JSON.parse(jsonMatch[0]) };
-    }
-    return { success: false, error: 'No JSON in synthesis response' };
-  } catch (e) {
-    console.error('[Synthesis] Error:', e);
-    return { success: false, error: (e as Error).message };
+  const data = await exportSessionData(env.DB, sessionId);
+  if (!data.session && data.events.length === 0) {
+    return jsonResponse({ error: 'Session not found' }, 404);
   }
+
+  return jsonResponse({ sessionId, exportedAt: new Date().toISOString(), ...data });
 }
 
 // =============================================================================
@@ -714,229 +419,53 @@ async function handleAnalyze(env: Env, force = false): Promise<Response> {
     });
   }
 
-  if (!env.ANTHROPIC_API_KEY) {
+  const providers = createAnalysisProviders(env);
+  if (!providers.synthesizer.configured) {
     return jsonResponse({ error: 'ANTHROPIC_API_KEY not configured' }, 500);
   }
 
-  // Collect queries with page URLs
-  const queriesWithPages: { query: string; url: string; intent?: string }[] = [];
-  const now = new Date();
-
-  for (let i = 0; i < 7 && queriesWithPages.length < 100; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    const daily: DailyStats | null = await env.ANALYTICS.get(`daily:${dateStr}`, 'json');
-
-    if (daily) {
-      for (const sessionId of daily.sessionIds) {
-        if (queriesWithPages.length >= 100) break;
-
-        const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-        if (session) {
-          for (const q of session.queries) {
-            if (q.generatedPageUrl && queriesWithPages.length < 100) {
-              queriesWithPages.push({
-                query: q.query,
-                url: q.generatedPageUrl,
-                intent: q.intent,
-              });
-            }
-          }
-        }
-      }
-    }
-  }
-
-  if (queriesWithPages.length === 0) {
-    return jsonResponse({
-      error: 'No pages with URLs found for analysis',
-      suggestion: 'Generate some pages first to build up analytics data',
-    }, 400);
-  }
-
-  // Fetch page content (sample up to 20 pages to stay within limits)
-  const sampled = queriesWithPages.slice(0, 20);
-  const pageContents: { query: string; url: string; content: string }[] = [];
-
-  for (const item of sampled) {
-    try {
-      const response = await fetch(item.url, {
-        headers: { 'User-Agent': 'Vitamix-Analytics/1.0' },
-      });
-      if (response.ok) {
-        const html = await response.text();
-        // Extract main content, strip scripts/styles
-        const content = extractMainContent(html);
-        pageContents.push({
-          query: item.query,
-          url: item.url,
-          content: content.slice(0, 5000), // Limit content size
-        });
-      }
-    } catch (e) {
-      console.error('Failed to fetch page:', item.url, e);
-    }
-  }
-
-  if (pageContents.length === 0) {
-    return jsonResponse({
-      error: 'Could not fetch any page content for analysis',
-    }, 500);
-  }
-
-  // Build analysis prompt
-  const pagesDescription = pageContents
-    .map((p, i) => `Page ${i + 1}:\nQuery: "${p.query}"\nURL: ${p.url}\nContent:\n${p.content}\n---`)
-    .join('\n\n');
-
-  const analysisPrompt = `Analyze these ${pageContents.length} generated pages from a Vitamix AI recommender application.
-
-For each page, you have:
-- The user's original query
-- The generated page content (HTML stripped to text)
-
-Provide a summary assessment and actionable suggestions for:
-
-A. CONTENT IMPROVEMENTS
-- Is the content relevant to the query?
-- Are product recommendations appropriate?
-- Are recipes/use cases helpful?
-- What content gaps exist?
-
-B. LAYOUT IMPROVEMENTS
-- Is the information hierarchy clear?
-- Are CTAs prominently placed?
-- Is the page easy to scan?
-- What layout patterns work well/poorly?
-
-C. CONVERSION OPTIMIZATION
-- Are links to vitamix.com visible and compelling?
-- Do CTAs have clear value propositions?
-- Is there a clear path to purchase?
-- What friction points exist?
-
-${pagesDescription}
-
-For each suggestion, evaluate:
-- IMPACT: How much will this improvement affect user experience/conversions? (low/medium/high)
-- EFFORT: How much development work is needed to implement? (low/medium/high)
-
-Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
-{
-  "overallScore": <0-100>,
-  "contentScore": <0-100>,
-  "layoutScore": <0-100>,
-  "conversionScore": <0-100>,
-  "topIssues": ["issue1", "issue2", "issue3"],
-  "suggestions": {
-    "content": [
-      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
-    ],
-    "layout": [
-      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
-    ],
-    "conversion": [
-      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
-    ]
-  },
-  "exemplaryPages": [{"url": "...", "query": "...", "reason": "..."}],
-  "problematicPages": [{"url": "...", "query": "...", "reason": "..."}]
-}`;
-
-  // Run multi-agent analysis (Claude, Gemini, GPT in parallel)
-  const { analyses, successCount } = await runMultiAgentAnalysis(analysisPrompt, env);
-
-  if (successCount === 0) {
-    const errors = analyses.map((a) => `${a.model}: ${a.error}`).join('; ');
-    console.error('[Analyze] All models failed:', errors);
-    return jsonResponse({ error: 'All AI models failed to analyze' }, 500);
-  }
-
-  // Synthesize analyses into unified result
-  const promptContext = `Batch analysis of ${pageContents.length} generated pages from Vitamix AI recommender`;
-  const synthesisResult = await synthesizeAnalyses(analyses, promptContext, env);
-
-  if (!synthesisResult.success || !synthesisResult.synthesis) {
-    console.error('[Analyze] Synthesis failed:', synthesisResult.error);
-    return jsonResponse({ error: 'Failed to synthesize analyses' }, 500);
+  const outcome = await runSiteAnalysis(env, providers, 'manual');
+  if ('error' in outcome) {
+    const { status, ...error } = outcome;
+    return jsonResponse(error, status);
   }
 
-  const analysis = synthesisResult.synthesis as Omit<AnalysisResult, 'timestamp' | 'pagesAnalyzed'>;
-
-  // Store result
-  const result: AnalysisResult = {
-    ...analysis,
-    timestamp: Date.now(),
-    pagesAnalyzed: pageContents.length,
-  };
-
-  await env.ANALYTICS.put('analysis:latest', JSON.stringify(result), {
-    expirationTtl: 7 * 24 * 60 * 60, // 7 days
-  });
-
   return jsonResponse({
     cached: false,
-    analysis: result,
+    analysis: outcome.result,
+    diff: outcome.run.diff,
     nextAvailable: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
   });
 }
 
 /**
- * Get recent queries with generated page URLs and cached analysis
+ * Dated history of analysis runs, newest first, each with its diff against the run before
  */
-async function handleRecentQueries(env: Env, url: URL): Promise<Response> {
-  const limit = Math.min(parseInt(url.searchParams.get('limit') || '10'), 50);
-  const queries: {
-    query: string;
-    timestamp: number;
-    generatedPageUrl?: string;
-    generatedPagePath?: string;
-    intent?: string;
-    journeyStage?: string;
-    sessionId: string;
-    analysis?: SinglePageAnalysis;
-  }[] = [];
-
-  const now = new Date();
-
-  // Look through recent days to find queries
-  for (let i = 0; i < 7 && queries.length < limit; i++) {
-    const date = new Date(now);
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-    const daily: DailyStats | null = await env.ANALYTICS.get(`daily:${dateStr}`, 'json');
-
-    if (daily) {
-      // Reverse to get most recent first
-      const sessionIds = [...daily.sessionIds].reverse();
-      for (const sessionId of sessionIds) {
-        if (queries.length >= limit) break;
-
-        const session: SessionData | null = await env.ANALYTICS.get(`sessions:${sessionId}`, 'json');
-        if (session && session.queries.length > 0) {
-          // Reverse queries to get most recent first
-          const sessionQueries = [...session.queries].reverse();
-          for (const q of sessionQueries) {
-            if (queries.length >= limit) break;
-            queries.push({
-              query: q.query,
-              timestamp: q.timestamp,
-              generatedPageUrl: q.generatedPageUrl,
-              generatedPagePath: q.generatedPagePath,
-              intent: q.intent,
-              journeyStage: q.journeyStage,
-              sessionId: session.sessionId,
-            });
-          }
-        }
-      }
-    }
+async function handleAnalysisHistory(env: Env, url: URL): Promise<Response> {
+  const runs = await listAnalysisRuns(env.DB, parseLimit(url, 10, 100));
+  return jsonResponse({ runs });
+}
+
+/**
+ * Run the scheduled analysis (see [triggers] in wrangler.toml)
+ */
+async function runScheduledAnalysis(env: Env, cron: string): Promise<void> {
+  const outcome = await runSiteAnalysis(env, createAnalysisProviders(env), cron);
+  if ('error' in outcome) {
+    console.error(`[Scheduled] Analysis skipped (${cron}):`, outcome.error);
+    return;
   }
+  console.log(`[Scheduled] Recorded analysis run ${outcome.run.id}: ${outcome.result.pagesAnalyzed} pages`);
+}
 
-  // Sort by timestamp descending (most recent first)
-  queries.sort((a, b) => b.timestamp - a.timestamp);
-  const limitedQueries = queries.slice(0, limit);
+/**
+ * Get recent queries with generated page URLs and cached analysis
+ */
+async function handleRecentQueries(env: Env, url: URL): Promise<Response> {
+  const filter = parseAnalyticsFilter(url, 7);
+  const limit = parseLimit(url, 10, 50);
+  const { queries, total } = await listQueries(env.DB, filter, limit, parseOffset(url));
+  const limitedQueries: (RecentQuery & { analysis?: SinglePageAnalysis })[] = queries;
 
   // Fetch cached analysis for queries with page URLs
   for (const q of limitedQueries) {
@@ -954,7 +483,7 @@ async function handleRecentQueries(env: Env, url: URL): Promise<Response> {
 
   return jsonResponse({
     queries: limitedQueries,
-    total: queries.length,
+    total,
   });
 }
 
@@ -962,7 +491,8 @@ async function handleRecentQueries(env: Env, url: URL): Promise<Response> {
  * Analyze a single page
  */
 async function handleAnalyzePage(request: Request, env: Env): Promise<Response> {
-  if (!env.ANTHROPIC_API_KEY) {
+  const providers = createAnalysisProviders(env);
+  if (!providers.synthesizer.configured) {
     return jsonResponse({ error: 'ANTHROPIC_API_KEY not configured' }, 500);
   }
 
@@ -988,23 +518,19 @@ async function handleAnalyzePage(request: Request, env: Env): Promise<Response>
   }
 
   // Fetch page content
-  let content: string;
+  let content: string | null;
   try {
-    const response = await fetch(pageUrl, {
-      headers: { 'User-Agent': 'Vitamix-Analytics/1.0' },
-    });
-    if (!response.ok) {
-      return jsonResponse({ error: `Failed to fetch page: ${response.status}` }, 400);
-    }
-    const html = await response.text();
-    content = extractMainContent(html);
-    if (content.length < 100) {
-      return jsonResponse({ error: 'Page content too short for analysis' }, 400);
-    }
-    content = content.slice(0, 8000); // Limit content size
+    content = await providers.fetchPage(pageUrl);
   } catch (e) {
     return jsonResponse({ error: `Failed to fetch page: ${(e as Error).message}` }, 500);
   }
+  if (content === null) {
+    return jsonResponse({ error: 'Failed to fetch page' }, 400);
+  }
+  if (content.length < 100) {
+    return jsonResponse({ error: 'Page content too short for analysis' }, 400);
+  }
+  content = content.slice(0, 8000); // Limit content size
 
   // Build analysis prompt for single page
   const analysisPrompt = `Analyze this generated page from a Vitamix AI recommender application.
@@ -1045,7 +571,7 @@ Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
 }`;
 
   // Run multi-agent analysis (Claude, Gemini, GPT in parallel)
-  const { analyses, successCount } = await runMultiAgentAnalysis(analysisPrompt, env);
+  const { analyses, successCount } = await runMultiAgentAnalysis(analysisPrompt, providers);
 
   if (successCount === 0) {
     const errors = analyses.map((a) => `${a.model}: ${a.error}`).join('; ');
@@ -1055,7 +581,7 @@ Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
 
   // Synthesize analyses into unified result
   const promptContext = `Single page analysis for query: "${query}" at URL: ${pageUrl}`;
-  const synthesisResult = await synthesizeAnalyses(analyses, promptContext, env);
+  const synthesisResult = await synthesizeAnalyses(analyses, promptContext, providers);
 
   if (!synthesisResult.success || !synthesisResult.synthesis) {
     console.error('[AnalyzePage] Synthesis failed:', synthesisResult.error);
@@ -1063,6 +589,9 @@ Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
   }
 
   const analysis = synthesisResult.synthesis as SinglePageAnalysis;
+  if (typeof analysis.overallScore === 'number') {
+    await recordPageScore(env.DB, pageUrl, analysis.overallScore);
+  }
 
   // Cache the result
   await env.ANALYTICS.put(cacheKey, JSON.stringify({
@@ -1088,23 +617,6 @@ interface SinglePageAnalysis {
   improvements: string[];
 }
 
-/**
- * Extract main content from HTML, removing scripts, styles, and nav
- */
-function extractMainContent(html: string): string {
-  // Remove script tags
-  let content = html.replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '');
-  // Remove style tags
-  content = content.replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '');
-  // Remove nav, header, footer
-  content = content.replace(/<(nav|header|footer)[^>]*>[\s\S]*?<\/\1>/gi, '');
-  // Remove HTML tags
-  content = content.replace(/<[^>]+>/g, ' ');
-  // Clean up whitespace
-  content = content.replace(/\s+/g, ' ').trim();
-  return content;
-}
-
 /**
  * Helper to create JSON responses with CORS headers
  */
@@ -0,0 +1,98 @@
+/**
+ * PII Scrubbing - Remove personal data from free text before it is stored
+ *
+ * Emails and phone numbers are matched by shape. Names are only caught where
+ * the visitor introduces one ("my name is ...", "call me ...", "I'm Jane
+ * Smith", "Mrs. Smith"), which keeps ingredient and product words intact.
+ * Matches are replaced with a placeholder so queries still read naturally.
+ */
+
+import type { TrackingEvent } from './types';
+
+// ============================================
+// Patterns
+// ============================================
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+
+// Runs of digits and separators; only runs with 9+ digits count as phone
+// numbers, so model numbers (A3500, E310) and quantities survive
+const PHONE_CANDIDATE_PATTERN = /\+?\(?\d[\d\s().-]{7,}\d/g;
+const MIN_PHONE_DIGITS = 9;
+
+// An introduction followed by up to two words that may be a name
+const NAME_PATTERN = /\b(my name is|my name's|name is|name:|call me|signed|i am|i'm|mrs?\.?|ms\.?|miss|dr\.?)\s+([\p{L}\d'-]+)(?:\s+([\p{L}\d'-]+))?/giu;
+
+// Titles only count before a capitalized word, and "I am"/"I'm" only before
+// two ("I'm Jane Smith", not "I'm Vegan")
+const TITLE_PATTERN = /^(mrs?|ms|miss|dr)\.?$/i;
+const SELF_INTRO_PATTERN = /^(i am|i'm)$/i;
+
+// Fields of tracked events that may carry visitor input (URLs can hold it in
+// their query strings)
+const FREE_TEXT_FIELDS = ['query', 'sourceQuery', 'label', 'ctaText', 'url', 'referrer', 'ctaUrl'] as const;
+
+// Generated page paths are slugs of the query ("/discover/my-name-is-jane-...")
+const SLUG_FIELDS = ['generatedPagePath'] as const;
+
+// ============================================
+// Scrubbing
+// ============================================
+
+function isNameWord(word: string | undefined): word is string {
+  return !!word && /^[\p{L}'-]+$/u.test(word) && word[0] !== word[0].toLowerCase();
+}
+
+function scrubName(match: string, intro: string, first: string, second: string | undefined): string {
+  const selfIntro = SELF_INTRO_PATTERN.test(intro);
+  const firstIsName = selfIntro || TITLE_PATTERN.test(intro) ? isNameWord(first) : true;
+  const secondIsName = firstIsName && isNameWord(first) && isNameWord(second);
+
+  if (!firstIsName || (selfIntro && !secondIsName)) return match;
+  return `${intro} [name]${second && !secondIsName ? ` ${second}` : ''}`;
+}
+
+/**
+ * Replace emails, phone numbers and introduced names with placeholders
+ */
+export function scrubPii(text: string): string {
+  if (!text) return text;
+
+  return text
+    .replace(EMAIL_PATTERN, '[email]')
+    .replace(PHONE_CANDIDATE_PATTERN, (match) => (
+      match.replace(/\D/g, '').length >= MIN_PHONE_DIGITS ? '[phone]' : match
+    ))
+    .replace(NAME_PATTERN, scrubName);
+}
+
+/**
+ * Copy of an event's data with every free-text field, and the entity lists
+ * extracted from the query, scrubbed
+ */
+export function scrubEventData(data: TrackingEvent['data']): TrackingEvent['data'] {
+  const scrubbed = { ...data };
+  for (const field of FREE_TEXT_FIELDS) {
+    const value = scrubbed[field];
+    if (typeof value === 'string') {
+      scrubbed[field] = scrubPii(value);
+    }
+  }
+  for (const field of SLUG_FIELDS) {
+    const value = scrubbed[field];
+    if (typeof value === 'string') {
+      scrubbed[field] = scrubPii(value.replace(/-/g, ' ')).replace(/ /g, '-');
+    }
+  }
+  if (scrubbed.entities && typeof scrubbed.entities === 'object') {
+    scrubbed.entities = Object.fromEntries(
+      Object.entries(scrubbed.entities).map(([kind, values]) => [
+        kind,
+        Array.isArray(values)
+          ? values.map((value) => (typeof value === 'string' ? scrubPii(value) : value))
+          : values,
+      ])
+    );
+  }
+  return scrubbed;
+}
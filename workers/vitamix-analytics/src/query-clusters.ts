@@ -0,0 +1,344 @@
+/**
+ * Query Clusters - Group queries that ask about the same thing
+ *
+ * Exact-match counts split "best blender for soup" and "which vitamix makes
+ * hot soup" into two rows. Here every distinct query gets a set of topic
+ * terms: the entities the intent classifier found (use cases, ingredients,
+ * products, features) plus the query's own words, stemmed, with stop words
+ * and words every query shares ("vitamix", "blender", "best") removed.
+ * Queries are then clustered greedily, most frequent first: a query joins the
+ * first cluster whose seed shares enough of its terms (all of them when the
+ * intents differ), otherwise it seeds a new cluster.
+ *
+ * Each cluster reports volume, session conversion rate, the average
+ * single-page analysis score of its generated pages, and content gaps: kinds
+ * of content (products, recipes) the RAG context found nothing for in most of
+ * the cluster's queries.
+ */
+
+import type {
+  AnalyticsFilter,
+  ClusterQuery,
+  ContentGapKind,
+  QueryCluster,
+  QueryClusterReport,
+  QueryEntities,
+} from './types';
+import { bind, buildScope } from './event-store';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Most recent (query, session) pairs considered per report
+const MAX_ROWS = 5000;
+
+// Share of a query's terms the cluster seed must share (same intent)
+const CLUSTER_OVERLAP = 0.5;
+
+// Share of a cluster's queries with an empty retrieval that makes a content gap
+const GAP_SHARE = 0.5;
+
+const MAX_MEMBERS = 25;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'with', 'at', 'by', 'from', 'vs', 'versus',
+  'is', 'are', 'be', 'do', 'does', 'can', 'could', 'should', 'would', 'will', 'i', 'me', 'my', 'we', 'our',
+  'you', 'your', 'it', 'its', 'this', 'that', 'these', 'those', 'what', 'which', 'who', 'how', 'why',
+  'when', 'where', 'there', 'any', 'some', 'about', 'into', 'than', 'too', 'very', 'so', 'if', 'not', 'no',
+  // Words nearly every query here shares
+  'vitamix', 'blender', 'blend', 'blending', 'best', 'good', 'great', 'top', 'make', 'made', 'making',
+  'use', 'using', 'want', 'need', 'recommend', 'recommendation', 'get', 'buy', 'like', 'one', 'model',
+]);
+
+interface ClusterRow {
+  query: string;
+  sessionId: string;
+  count: number;
+  intent: string;
+  entities: string | null;
+  withRetrieval: number;
+  noProducts: number;
+  noRecipes: number;
+  pageUrl: string | null;
+  converted: number;
+}
+
+interface QueryStats {
+  query: string;
+  count: number;
+  intents: Map<string, number>;
+  terms: Set<string>;
+  sessions: Set<string>;
+  convertedSessions: Set<string>;
+  pageUrls: Set<string>;
+  withRetrieval: number;
+  noProducts: number;
+  noRecipes: number;
+}
+
+// ============================================
+// Terms
+// ============================================
+
+/**
+ * Crude singular form, so "soups"/"soup" and "smoothies"/"smoothie" match
+ */
+function stem(word: string): string {
+  let stemmed = word;
+  if (stemmed.length > 3 && stemmed.endsWith('s') && !stemmed.endsWith('ss')) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  if (stemmed.endsWith('ie')) return `${stemmed.slice(0, -2)}y`;
+  if (stemmed.endsWith('oe')) return stemmed.slice(0, -1);
+  return stemmed;
+}
+
+function terms(text: string): string[] {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem)
+    .filter((word) => !STOP_WORDS.has(word));
+}
+
+function entityTerms(json: string | null): string[] {
+  if (!json) return [];
+  try {
+    const entities = JSON.parse(json) as QueryEntities;
+    return [entities.useCases, entities.ingredients, entities.products, entities.features]
+      .flatMap((values) => (Array.isArray(values) ? values : []))
+      .flatMap((value) => terms(String(value)));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Share of the smaller term set found in the other (1 when one contains the other)
+ */
+function overlap(a: Set<string>, b: Set<string>): number {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared += 1;
+  }
+  return shared / Math.min(a.size, b.size);
+}
+
+function topKey<K>(counts: Map<K, number>): K | undefined {
+  let best: K | undefined;
+  let bestCount = -1;
+  for (const [key, count] of counts) {
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// ============================================
+// Aggregation
+// ============================================
+
+function percent(part: number, whole: number): number {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0;
+}
+
+function averageScore(urls: Iterable<string>, scores: Map<string, number>): { avg: number | null; pages: number } {
+  const values = [...urls].filter((url) => scores.has(url)).map((url) => scores.get(url)!);
+  if (values.length === 0) return { avg: null, pages: 0 };
+  return {
+    avg: Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1)),
+    pages: values.length,
+  };
+}
+
+function collectQueries(rows: ClusterRow[]): QueryStats[] {
+  const byQuery = new Map<string, QueryStats>();
+
+  for (const row of rows) {
+    let stats = byQuery.get(row.query);
+    if (!stats) {
+      stats = {
+        query: row.query,
+        count: 0,
+        intents: new Map(),
+        terms: new Set(terms(row.query)),
+        sessions: new Set(),
+        convertedSessions: new Set(),
+        pageUrls: new Set(),
+        withRetrieval: 0,
+        noProducts: 0,
+        noRecipes: 0,
+      };
+      byQuery.set(row.query, stats);
+    }
+
+    stats.count += row.count;
+    stats.intents.set(row.intent, (stats.intents.get(row.intent) || 0) + row.count);
+    entityTerms(row.entities).forEach((term) => stats!.terms.add(term));
+    stats.sessions.add(row.sessionId);
+    if (row.converted) stats.convertedSessions.add(row.sessionId);
+    if (row.pageUrl) stats.pageUrls.add(row.pageUrl);
+    stats.withRetrieval += row.withRetrieval;
+    stats.noProducts += row.noProducts;
+    stats.noRecipes += row.noRecipes;
+  }
+
+  return [...byQuery.values()].sort((a, b) => b.count - a.count || a.query.localeCompare(b.query));
+}
+
+/**
+ * Greedy clustering, most frequent queries first so they become the seeds
+ */
+function clusterQueries(queries: QueryStats[]): { id: string; seed: QueryStats; members: QueryStats[] }[] {
+  const clusters: { id: string; seed: QueryStats; intent: string; members: QueryStats[] }[] = [];
+
+  for (const query of queries) {
+    const intent = topKey(query.intents) || 'unknown';
+    const match = clusters.find((cluster) => {
+      if (query.terms.size === 0 || cluster.seed.terms.size === 0) {
+        return query.terms.size === 0 && cluster.seed.terms.size === 0 && cluster.intent === intent;
+      }
+      const required = cluster.intent === intent ? CLUSTER_OVERLAP : 1;
+      return overlap(query.terms, cluster.seed.terms) >= required;
+    });
+
+    if (match) {
+      match.members.push(query);
+    } else {
+      const id = query.terms.size > 0 ? [...query.terms].sort().join('+') : `intent:${intent}`;
+      clusters.push({
+        id, seed: query, intent, members: [query],
+      });
+    }
+  }
+
+  return clusters;
+}
+
+function toCluster(
+  { id, seed, members }: { id: string; seed: QueryStats; members: QueryStats[] },
+  scores: Map<string, number>
+): QueryCluster {
+  const sessions = new Set<string>();
+  const converted = new Set<string>();
+  const pageUrls = new Set<string>();
+  const intents: Record<string, number> = {};
+  let queries = 0;
+  let withRetrieval = 0;
+  let noProducts = 0;
+  let noRecipes = 0;
+
+  for (const member of members) {
+    queries += member.count;
+    member.sessions.forEach((session) => sessions.add(session));
+    member.convertedSessions.forEach((session) => converted.add(session));
+    member.pageUrls.forEach((url) => pageUrls.add(url));
+    member.intents.forEach((count, intent) => {
+      intents[intent] = (intents[intent] || 0) + count;
+    });
+    withRetrieval += member.withRetrieval;
+    noProducts += member.noProducts;
+    noRecipes += member.noRecipes;
+  }
+
+  const contentGaps: ContentGapKind[] = [];
+  if (withRetrieval > 0 && noProducts / withRetrieval >= GAP_SHARE) contentGaps.push('products');
+  if (withRetrieval > 0 && noRecipes / withRetrieval >= GAP_SHARE) contentGaps.push('recipes');
+
+  const { avg, pages } = averageScore(pageUrls, scores);
+
+  return {
+    id,
+    label: seed.query,
+    terms: [...seed.terms].sort(),
+    intents,
+    queries,
+    sessions: sessions.size,
+    conversionRate: percent(converted.size, sessions.size),
+    avgAnalysisScore: avg,
+    analyzedPages: pages,
+    contentGaps,
+    members: members.slice(0, MAX_MEMBERS).map((member): ClusterQuery => ({
+      query: member.query,
+      count: member.count,
+      intent: topKey(member.intents) || 'unknown',
+      sessions: member.sessions.size,
+      conversionRate: percent(member.convertedSessions.size, member.sessions.size),
+      avgAnalysisScore: averageScore(member.pageUrls, scores).avg,
+      generatedPageUrl: [...member.pageUrls][0] || null,
+    })),
+  };
+}
+
+// ============================================
+// Report
+// ============================================
+
+export async function getQueryClusterReport(
+  db: D1Database,
+  filter: AnalyticsFilter,
+  limit: number
+): Promise<QueryClusterReport> {
+  const { cte, params } = buildScope(filter);
+
+  const [rows, pageScores] = await db.batch([
+    bind(
+      db,
+      `${cte}
+        SELECT q.normalized_query AS query, q.session_id AS sessionId, COUNT(*) AS count,
+          MAX(COALESCE(NULLIF(q.intent, ''), 'unknown')) AS intent,
+          MAX(q.entities) AS entities,
+          SUM(q.rag_products IS NOT NULL) AS withRetrieval,
+          SUM(q.rag_products = 0) AS noProducts,
+          SUM(q.rag_recipes = 0) AS noRecipes,
+          MAX(q.generated_page_url) AS pageUrl,
+          COALESCE(MAX(ss.converted), 0) AS converted
+        FROM q LEFT JOIN sessions ss ON ss.session_id = q.session_id
+        WHERE q.normalized_query != ''
+        GROUP BY q.normalized_query, q.session_id
+        ORDER BY MAX(q.timestamp) DESC
+        LIMIT ?`,
+      ...params, MAX_ROWS
+    ),
+    bind(
+      db,
+      `${cte}
+        SELECT url, overall_score AS score FROM page_scores
+        WHERE url IN (SELECT generated_page_url FROM q WHERE generated_page_url IS NOT NULL)`,
+      ...params
+    ),
+  ]);
+
+  const scores = new Map(
+    (pageScores.results as { url: string; score: number }[]).map(({ url, score }) => [url, score])
+  );
+  const clusters = clusterQueries(collectQueries(rows.results as ClusterRow[]))
+    .map((cluster) => toCluster(cluster, scores))
+    .sort((a, b) => b.queries - a.queries || b.sessions - a.sessions);
+
+  return {
+    clusters: clusters.slice(0, limit),
+    totals: {
+      queries: clusters.reduce((sum, cluster) => sum + cluster.queries, 0),
+      clusters: clusters.length,
+      contentGaps: clusters.filter((cluster) => cluster.contentGaps.length > 0).length,
+    },
+  };
+}
+
+/**
+ * Remember a page's latest single-page analysis score for the cluster report
+ */
+export async function recordPageScore(db: D1Database, url: string, overallScore: number): Promise<void> {
+  await bind(
+    db,
+    `INSERT INTO page_scores (url, timestamp, overall_score) VALUES (?, ?, ?)
+      ON CONFLICT (url) DO UPDATE SET timestamp = excluded.timestamp, overall_score = excluded.overall_score`,
+    url, Date.now(), Math.round(overallScore)
+  ).run();
+}
@@ -0,0 +1,368 @@
+/**
+ * Site Analysis - Multi-agent analysis of generated pages, with run history
+ *
+ * A run samples pages generated in the last 7 days, has the analysis
+ * providers score them, and stores the result both as `analysis:latest` in KV
+ * (what the dashboard shows) and as a dated row in D1's analysis_runs table.
+ * Runs come from POST /api/analytics/analyze or the cron trigger in
+ * wrangler.toml.
+ *
+ * Each stored run carries a diff against the run before it: score deltas,
+ * issues that are new, recurring (with how many runs in a row raised them) or
+ * resolved, and suggestions that appeared or went away. Models rarely word
+ * the same finding identically twice, so issues and suggestions are matched
+ * by word overlap rather than exact text.
+ */
+
+import type {
+  AnalysisDiff,
+  AnalysisResult,
+  AnalysisRun,
+  AnalysisScore,
+  Env,
+  Suggestion,
+  SuggestionCategory,
+} from './types';
+import type { AnalysisProviders } from './analysis-providers';
+import { runMultiAgentAnalysis, synthesizeAnalyses } from './analysis-providers';
+import { bind, listQueries, toDate } from './event-store';
+
+// ============================================
+// Configuration
+// ============================================
+
+const ANALYSIS_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Pages sampled per run, to stay within model context limits
+const MAX_PAGES = 20;
+const MAX_PAGE_CONTENT = 5000;
+
+const SCORES: AnalysisScore[] = ['overallScore', 'contentScore', 'layoutScore', 'conversionScore'];
+const SUGGESTION_CATEGORIES: SuggestionCategory[] = ['content', 'layout', 'conversion'];
+
+// Share of distinct words two findings must have in common to be the same one
+const MATCH_THRESHOLD = 0.5;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'not', 'with', 'that', 'this', 'from', 'into', 'too', 'has', 'have',
+  'its', 'their', 'there', 'they', 'them', 'was', 'were', 'can', 'should', 'more', 'less', 'all',
+]);
+
+export type SiteAnalysisOutcome =
+  | { result: AnalysisResult; run: AnalysisRun }
+  | { error: string; status: number; suggestion?: string };
+
+interface AnalysisRunRow {
+  id: number;
+  timestamp: number;
+  source: string;
+  pages_analyzed: number;
+  overall_score: number | null;
+  content_score: number | null;
+  layout_score: number | null;
+  conversion_score: number | null;
+  result: string;
+  diff: string;
+}
+
+// ============================================
+// Prompt
+// ============================================
+
+function buildAnalysisPrompt(pageContents: { query: string; url: string; content: string }[]): string {
+  const pagesDescription = pageContents
+    .map((p, i) => `Page ${i + 1}:\nQuery: "${p.query}"\nURL: ${p.url}\nContent:\n${p.content}\n---`)
+    .join('\n\n');
+
+  return `Analyze these ${pageContents.length} generated pages from a Vitamix AI recommender application.
+
+For each page, you have:
+- The user's original query
+- The generated page content (HTML stripped to text)
+
+Provide a summary assessment and actionable suggestions for:
+
+A. CONTENT IMPROVEMENTS
+- Is the content relevant to the query?
+- Are product recommendations appropriate?
+- Are recipes/use cases helpful?
+- What content gaps exist?
+
+B. LAYOUT IMPROVEMENTS
+- Is the information hierarchy clear?
+- Are CTAs prominently placed?
+- Is the page easy to scan?
+- What layout patterns work well/poorly?
+
+C. CONVERSION OPTIMIZATION
+- Are links to vitamix.com visible and compelling?
+- Do CTAs have clear value propositions?
+- Is there a clear path to purchase?
+- What friction points exist?
+
+${pagesDescription}
+
+For each suggestion, evaluate:
+- IMPACT: How much will this improvement affect user experience/conversions? (low/medium/high)
+- EFFORT: How much development work is needed to implement? (low/medium/high)
+
+Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
+{
+  "overallScore": <0-100>,
+  "contentScore": <0-100>,
+  "layoutScore": <0-100>,
+  "conversionScore": <0-100>,
+  "topIssues": ["issue1", "issue2", "issue3"],
+  "suggestions": {
+    "content": [
+      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
+    ],
+    "layout": [
+      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
+    ],
+    "conversion": [
+      {"text": "suggestion text", "impact": "low|medium|high", "effort": "low|medium|high"}
+    ]
+  },
+  "exemplaryPages": [{"url": "...", "query": "...", "reason": "..."}],
+  "problematicPages": [{"url": "...", "query": "...", "reason": "..."}]
+}`;
+}
+
+// ============================================
+// Diffing
+// ============================================
+
+function words(text: string): Set<string> {
+  return new Set(
+    text.toLowerCase().split(/[^a-z0-9]+/).filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Whether two findings say the same thing (Jaccard similarity of their words)
+ */
+function sameFinding(a: string, b: string): boolean {
+  const wordsA = words(a);
+  const wordsB = words(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  let shared = 0;
+  for (const word of wordsA) {
+    if (wordsB.has(word)) shared += 1;
+  }
+  return shared / (wordsA.size + wordsB.size - shared) >= MATCH_THRESHOLD;
+}
+
+function flattenSuggestions(result: AnalysisResult): (Suggestion & { category: SuggestionCategory })[] {
+  return SUGGESTION_CATEGORIES.flatMap((category) => (
+    (result.suggestions?.[category] || []).map((suggestion) => ({ ...suggestion, category }))
+  ));
+}
+
+/**
+ * Compare a run with the one before it. `previousDiff` is the previous run's
+ * own diff, which carries how long its recurring issues have been around.
+ */
+export function diffAnalyses(
+  current: AnalysisResult,
+  previous: { id: number; result: AnalysisResult; diff: AnalysisDiff } | null
+): AnalysisDiff {
+  const scoreChanges = {} as AnalysisDiff['scoreChanges'];
+  for (const score of SCORES) {
+    const before = previous ? previous.result[score] ?? null : null;
+    scoreChanges[score] = {
+      previous: before,
+      current: current[score],
+      delta: before === null ? null : current[score] - before,
+    };
+  }
+
+  const issues = current.topIssues || [];
+  const previousIssues = previous?.result.topIssues || [];
+  const previousStreaks = previous?.diff.recurringIssues || [];
+
+  const newIssues: string[] = [];
+  const recurringIssues: AnalysisDiff['recurringIssues'] = [];
+  for (const issue of issues) {
+    const earlier = previousIssues.find((text) => sameFinding(text, issue));
+    if (earlier) {
+      const streak = previousStreaks.find(({ text }) => sameFinding(text, earlier));
+      recurringIssues.push({ text: issue, runs: (streak?.runs ?? 1) + 1 });
+    } else {
+      newIssues.push(issue);
+    }
+  }
+
+  const suggestions = flattenSuggestions(current);
+  const previousSuggestions = previous ? flattenSuggestions(previous.result) : [];
+
+  return {
+    previousRunId: previous?.id ?? null,
+    scoreChanges,
+    newIssues: previous ? newIssues : [],
+    recurringIssues,
+    resolvedIssues: previousIssues.filter((text) => !issues.some((issue) => sameFinding(text, issue))),
+    newSuggestions: previous
+      ? suggestions.filter((s) => !previousSuggestions.some((p) => sameFinding(p.text, s.text)))
+      : [],
+    resolvedSuggestions: previousSuggestions.filter((p) => !suggestions.some((s) => sameFinding(p.text, s.text))),
+  };
+}
+
+// ============================================
+// Run History
+// ============================================
+
+function toRun(row: AnalysisRunRow): AnalysisRun {
+  const result = JSON.parse(row.result) as AnalysisResult;
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    trigger: row.source,
+    pagesAnalyzed: row.pages_analyzed,
+    scores: {
+      overallScore: row.overall_score ?? 0,
+      contentScore: row.content_score ?? 0,
+      layoutScore: row.layout_score ?? 0,
+      conversionScore: row.conversion_score ?? 0,
+    },
+    topIssues: result.topIssues || [],
+    diff: JSON.parse(row.diff) as AnalysisDiff,
+  };
+}
+
+/**
+ * Store a finished analysis as a dated run, diffed against the latest one
+ */
+export async function recordAnalysisRun(
+  db: D1Database,
+  result: AnalysisResult,
+  trigger: string
+): Promise<AnalysisRun> {
+  const previousRow = await db
+    .prepare('SELECT * FROM analysis_runs ORDER BY timestamp DESC, id DESC LIMIT 1')
+    .first<AnalysisRunRow>();
+  const previous = previousRow && {
+    id: previousRow.id,
+    result: JSON.parse(previousRow.result) as AnalysisResult,
+    diff: JSON.parse(previousRow.diff) as AnalysisDiff,
+  };
+
+  const diff = diffAnalyses(result, previous);
+  const { meta } = await bind(
+    db,
+    `INSERT INTO analysis_runs (timestamp, date, source, pages_analyzed, overall_score, content_score,
+      layout_score, conversion_score, result, diff) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    result.timestamp, toDate(result.timestamp), trigger, result.pagesAnalyzed,
+    result.overallScore, result.contentScore, result.layoutScore, result.conversionScore,
+    JSON.stringify(result), JSON.stringify(diff)
+  ).run();
+
+  return {
+    id: meta.last_row_id,
+    timestamp: result.timestamp,
+    trigger,
+    pagesAnalyzed: result.pagesAnalyzed,
+    scores: {
+      overallScore: result.overallScore,
+      contentScore: result.contentScore,
+      layoutScore: result.layoutScore,
+      conversionScore: result.conversionScore,
+    },
+    topIssues: result.topIssues || [],
+    diff,
+  };
+}
+
+/**
+ * Most recent runs first
+ */
+export async function listAnalysisRuns(db: D1Database, limit: number): Promise<AnalysisRun[]> {
+  const { results } = await bind(
+    db,
+    'SELECT * FROM analysis_runs ORDER BY timestamp DESC, id DESC LIMIT ?',
+    limit
+  ).all<AnalysisRunRow>();
+  return results.map(toRun);
+}
+
+// ============================================
+// Analysis
+// ============================================
+
+/**
+ * Analyze recently generated pages and record the run
+ * @param trigger - 'manual', or the cron expression for scheduled runs
+ */
+export async function runSiteAnalysis(
+  env: Env,
+  providers: AnalysisProviders,
+  trigger: string
+): Promise<SiteAnalysisOutcome> {
+  // Collect queries with page URLs from the last 7 days
+  const { queries } = await listQueries(env.DB, {
+    from: Date.now() - ANALYSIS_WINDOW_MS,
+    to: Date.now(),
+    hasPage: true,
+  }, 100);
+
+  if (queries.length === 0) {
+    return {
+      error: 'No pages with URLs found for analysis',
+      suggestion: 'Generate some pages first to build up analytics data',
+      status: 400,
+    };
+  }
+
+  // Fetch page content (sample up to 20 pages to stay within limits)
+  const pageContents: { query: string; url: string; content: string }[] = [];
+  for (const item of queries.slice(0, MAX_PAGES)) {
+    const url = item.generatedPageUrl!;
+    try {
+      const content = await providers.fetchPage(url);
+      if (content) {
+        pageContents.push({ query: item.query, url, content: content.slice(0, MAX_PAGE_CONTENT) });
+      }
+    } catch (e) {
+      console.error('Failed to fetch page:', url, e);
+    }
+  }
+
+  if (pageContents.length === 0) {
+    return { error: 'Could not fetch any page content for analysis', status: 500 };
+  }
+
+  // Run multi-agent analysis (Claude, Gemini, GPT in parallel)
+  const { analyses, successCount } = await runMultiAgentAnalysis(buildAnalysisPrompt(pageContents), providers);
+
+  if (successCount === 0) {
+    const errors = analyses.map((a) => `${a.model}: ${a.error}`).join('; ');
+    console.error('[Analyze] All models failed:', errors);
+    return { error: 'All AI models failed to analyze', status: 500 };
+  }
+
+  // Synthesize analyses into unified result
+  const promptContext = `Batch analysis of ${pageContents.length} generated pages from Vitamix AI recommender`;
+  const synthesisResult = await synthesizeAnalyses(analyses, promptContext, providers);
+
+  if (!synthesisResult.success || !synthesisResult.synthesis) {
+    console.error('[Analyze] Synthesis failed:', synthesisResult.error);
+    return { error: 'Failed to synthesize analyses', status: 500 };
+  }
+
+  const analysis = synthesisResult.synthesis as Omit<AnalysisResult, 'timestamp' | 'pagesAnalyzed'>;
+  const result: AnalysisResult = {
+    ...analysis,
+    timestamp: Date.now(),
+    pagesAnalyzed: pageContents.length,
+  };
+
+  await env.ANALYTICS.put('analysis:latest', JSON.stringify(result), {
+    expirationTtl: 7 * 24 * 60 * 60, // 7 days
+  });
+  const run = await recordAnalysisRun(env.DB, result, trigger);
+
+  return { result, run };
+}
@@ -0,0 +1,348 @@
+/**
+ * Type definitions for the Vitamix Analytics Worker
+ */
+
+// ============================================
+// Environment Bindings
+// ============================================
+
+export interface Env {
+  // Event store (schema in migrations/)
+  DB: D1Database;
+  // Analysis results and page-analysis cache
+  ANALYTICS: KVNamespace;
+  ANTHROPIC_API_KEY?: string;
+  OPENAI_API_KEY?: string;
+  GOOGLE_API_KEY?: string;
+  // "mock" swaps the AI providers and page fetches for offline stand-ins
+  ANALYSIS_PROVIDERS?: string;
+  // Bearer token that may export or erase any session (wrangler secret put ADMIN_TOKEN)
+  ADMIN_TOKEN?: string;
+  // Bearer token the recommender Worker sends with usage reports
+  USAGE_REPORT_TOKEN?: string;
+  DEBUG?: string;
+}
+
+// ============================================
+// Tracking
+// ============================================
+
+export interface TrackingEvent {
+  // Client-generated id; events already recorded under the same id are skipped
+  eventId?: string;
+  sessionId: string;
+  // Client secret for data-subject requests on this session (only its hash is stored)
+  accessKey?: string;
+  timestamp: number;
+  // conversion: a click through to vitamix.com; cta_click: any other CTA on a generated page
+  eventType: 'session_start' | 'query' | 'page_published' | 'cta_click' | 'conversion' | 'block_engagement';
+  data: {
+    query?: string;
+    intent?: string;
+    journeyStage?: string;
+    consecutiveQueryNumber?: number;
+    generatedPageUrl?: string;
+    generatedPagePath?: string;
+    ctaUrl?: string;
+    ctaText?: string;
+    sourceQuery?: string;
+    queryCountAtConversion?: number;
+    referrer?: string;
+    userAgent?: string;
+    url?: string;
+    // Links a query event to the usage the recommender Worker reported for it
+    generationId?: string;
+    // Block types on the generated page (query events)
+    blockTypes?: string[];
+    // Entities the intent classifier found and what the RAG context retrieved (query events)
+    entities?: QueryEntities;
+    retrieval?: { products: number; recipes: number; useCases?: number };
+    // Block engagement: impression, click, dwell or a block-specific interaction
+    blockType?: string;
+    position?: number;
+    action?: string;
+    dwellMs?: number;
+    firstClick?: boolean;
+    label?: string;
+  };
+}
+
+export interface QueryEntities {
+  products?: string[];
+  useCases?: string[];
+  features?: string[];
+  ingredients?: string[];
+}
+
+// ============================================
+// Stored Records
+// ============================================
+
+export interface QueryRecord {
+  query: string;
+  intent?: string;
+  journeyStage?: string;
+  timestamp: number;
+  generatedPageUrl?: string;
+  generatedPagePath?: string;
+  preset?: string;
+  costUsd?: number;
+}
+
+export interface SessionData {
+  sessionId: string;
+  startTime: number;
+  lastUpdated: number;
+  queryCount: number;
+  converted: boolean;
+  conversionUrl?: string;
+  queries: QueryRecord[];
+  referrer?: string;
+}
+
+export interface RecentQuery extends QueryRecord {
+  sessionId: string;
+}
+
+/**
+ * Everything stored for one session, for data-subject export requests
+ */
+export interface SessionExport {
+  session: SessionData | null;
+  events: { eventType: string; timestamp: number; data: TrackingEvent['data'] }[];
+  blockEvents: {
+    blockType: string;
+    position: number | null;
+    action: string;
+    timestamp: number;
+    dwellMs: number | null;
+    label: string | null;
+  }[];
+}
+
+// ============================================
+// Aggregates
+// ============================================
+
+export interface CostTotals {
+  pages: number;
+  costUsd: number;
+  inputTokens: number;
+  outputTokens: number;
+}
+
+export interface PresetCostTotals extends CostTotals {
+  preset: string;
+}
+
+export interface DailyStats {
+  date: string;
+  sessions: number;
+  queries: number;
+  conversions: number;
+  costUsd: number;
+}
+
+/**
+ * Model usage for one generation, as reported by the recommender Worker
+ */
+export interface UsageReport {
+  generationId: string;
+  cached: boolean;
+  usage: {
+    preset: string;
+    costUsd: number;
+    inputTokens: number;
+    outputTokens: number;
+    // Models with no price; costUsd leaves their calls out
+    unpricedModels: string[];
+  };
+}
+
+export interface SummaryStats {
+  totalSessions: number;
+  totalQueries: number;
+  totalConversions: number;
+  sessionsWithMultipleQueries: number;
+  journeyStageBreakdown: Record<string, number>;
+  topQueries: { query: string; count: number }[];
+  dailyTrend: DailyStats[];
+  costByPreset: PresetCostTotals[];
+  // Models whose calls the cost figures leave out
+  unpricedModels: string[];
+}
+
+/**
+ * Date range and filters shared by the reporting endpoints. Query-level
+ * filters (preset, intent, journeyStage, search, hasPage) also narrow sessions to
+ * those with at least one matching query.
+ */
+export interface AnalyticsFilter {
+  from: number;
+  to: number;
+  preset?: string;
+  intent?: string;
+  journeyStage?: string;
+  search?: string;
+  converted?: boolean;
+  // Only queries that did (or did not) produce a published page
+  hasPage?: boolean;
+}
+
+// ============================================
+// Funnel
+// ============================================
+
+export type FunnelStage = 'session' | 'query' | 'page_published' | 'cta_click' | 'conversion';
+
+export interface FunnelStep {
+  stage: FunnelStage;
+  sessions: number;
+  // Share of all sessions that reached this step
+  rate: number;
+  // Share of the previous step's sessions lost before this step
+  dropOff: number;
+}
+
+export interface AttributionRow {
+  value: string;
+  conversions: number;
+  // Queries with this value in range, and conversions per query
+  queries: number;
+  conversionRate: number;
+  // Share of all attributed conversions
+  share: number;
+}
+
+export type AttributionDimension = 'intent' | 'journeyStage' | 'blockType' | 'preset';
+
+export interface FunnelReport {
+  steps: FunnelStep[];
+  totalConversions: number;
+  // Conversions with no earlier matching query in the same session
+  unattributed: number;
+  attribution: Record<AttributionDimension, AttributionRow[]>;
+}
+
+// ============================================
+// Block Engagement
+// ============================================
+
+export interface BlockEngagementRow {
+  blockType: string;
+  impressions: number;
+  clicks: number;
+  // Share of impressions that got at least one click
+  ctr: number;
+  avgDwellMs: number;
+  avgPosition: number | null;
+  // Block-specific interactions (follow_up_click, compare_select, ...) by action
+  interactions: Record<string, number>;
+  // Interactions per impression
+  interactionRate: number;
+  // Relative engagement for block selection; 1 is average, low-traffic types stay near 1
+  selectionWeight: number;
+}
+
+export interface PositionEngagementRow {
+  position: number;
+  impressions: number;
+  ctr: number;
+  avgDwellMs: number;
+}
+
+export interface BlockEngagementReport {
+  blocks: BlockEngagementRow[];
+  byPosition: PositionEngagementRow[];
+  totals: { impressions: number; clicks: number; ctr: number; avgDwellMs: number };
+}
+
+// ============================================
+// Query Clusters
+// ============================================
+
+export type ContentGapKind = 'products' | 'recipes';
+
+export interface ClusterQuery {
+  query: string;
+  count: number;
+  intent: string;
+  sessions: number;
+  conversionRate: number;
+  // Average single-page analysis score of the query's generated pages
+  avgAnalysisScore: number | null;
+  generatedPageUrl: string | null;
+}
+
+export interface QueryCluster {
+  // Stable key: the cluster's topic terms joined with '+', or intent:<intent> for queries without any
+  id: string;
+  // Most frequent query in the cluster
+  label: string;
+  terms: string[];
+  intents: Record<string, number>;
+  queries: number;
+  sessions: number;
+  conversionRate: number;
+  avgAnalysisScore: number | null;
+  analyzedPages: number;
+  // Content the RAG context found nothing for in most of the cluster's queries
+  contentGaps: ContentGapKind[];
+  members: ClusterQuery[];
+}
+
+export interface QueryClusterReport {
+  clusters: QueryCluster[];
+  totals: { queries: number; clusters: number; contentGaps: number };
+}
+
+// ============================================
+// Site Analysis
+// ============================================
+
+export interface Suggestion {
+  text: string;
+  impact: 'low' | 'medium' | 'high';
+  effort: 'low' | 'medium' | 'high';
+}
+
+export type SuggestionCategory = 'content' | 'layout' | 'conversion';
+
+export interface AnalysisResult {
+  timestamp: number;
+  overallScore: number;
+  contentScore: number;
+  layoutScore: number;
+  conversionScore: number;
+  topIssues: string[];
+  suggestions: Record<SuggestionCategory, Suggestion[]>;
+  exemplaryPages: { url: string; query: string; reason: string }[];
+  problematicPages: { url: string; query: string; reason: string }[];
+  pagesAnalyzed: number;
+}
+
+export type AnalysisScore = 'overallScore' | 'contentScore' | 'layoutScore' | 'conversionScore';
+
+export interface AnalysisDiff {
+  // Run this one is compared with (null for the first run)
+  previousRunId: number | null;
+  scoreChanges: Record<AnalysisScore, { previous: number | null; current: number; delta: number | null }>;
+  newIssues: string[];
+  // Issues also raised by the previous run, with how many runs in a row raised them
+  recurringIssues: { text: string; runs: number }[];
+  resolvedIssues: string[];
+  newSuggestions: (Suggestion & { category: SuggestionCategory })[];
+  // Previous suggestions that no longer appear
+  resolvedSuggestions: (Suggestion & { category: SuggestionCategory })[];
+}
+
+export interface AnalysisRun {
+  id: number;
+  timestamp: number;
+  // 'manual' for POST /api/analytics/analyze, otherwise the cron expression
+  trigger: string;
+  pagesAnalyzed: number;
+  scores: Record<AnalysisScore, number>;
+  topIssues: string[];
+  diff: AnalysisDiff;
+}
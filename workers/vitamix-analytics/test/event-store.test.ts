@@ -0,0 +1,236 @@
+/**
+ * Tracking and reports against the local SQLite D1 that Miniflare (and
+ * wrangler dev) provide, with the schema built from migrations/
+ *
+ * Runs under Node after being bundled by esbuild (see the "test" script).
+ */
+
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { Miniflare } from 'miniflare';
+import worker from '../src/index';
+import type { Env, TrackingEvent } from '../src/types';
+
+// Paths are relative to the worker root, where npm runs scripts
+const MIGRATIONS_DIR = path.resolve('migrations');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const USAGE_REPORT_TOKEN = 'test-usage-token';
+const GENERATION_ID = '6f1c2e3a-4b5d-4e6f-8a9b-0c1d2e3f4a5b';
+const ACCESS_KEY = 'a1b2c3d4-e5f6-4789-9abc-def012345678';
+
+let mf: Miniflare;
+let env: Env;
+
+/**
+ * Apply every migration in order, one statement at a time
+ */
+async function migrate(db: D1Database): Promise<void> {
+  const files = (await fs.readdir(MIGRATIONS_DIR)).filter((file) => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    const sql = (await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf-8'))
+      .split('\n')
+      .filter((line) => !line.trim().startsWith('--'))
+      .join('\n');
+    for (const statement of sql.split(';').map((s) => s.trim()).filter(Boolean)) {
+      await db.prepare(statement).run();
+    }
+  }
+}
+
+function request(pathname: string, init?: RequestInit): Promise<Response> {
+  return worker.fetch(new Request(`http://localhost${pathname}`, init), env);
+}
+
+function track(events: Partial<TrackingEvent>[]): Promise<Response> {
+  return request('/api/track', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ events }),
+  });
+}
+
+// Reports cover up to now, so the session happened a minute ago
+function reportUsage(report: object, token = USAGE_REPORT_TOKEN): Promise<Response> {
+  return request('/api/usage', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(report),
+  });
+}
+
+const usageReport = {
+  generationId: GENERATION_ID,
+  cached: false,
+  usage: {
+    preset: 'production', costUsd: 0.02, inputTokens: 1200, outputTokens: 800, unpricedModels: [],
+  },
+};
+
+interface CostSummary {
+  costs: { totalUsd: number; pages: number; byPreset: { preset: string }[]; unpricedModels: string[] };
+}
+
+function sessionEvents(sessionId: string, start = Date.now() - 60000): Partial<TrackingEvent>[] {
+  return [
+    {
+      eventId: `${sessionId}-1`, sessionId, accessKey: ACCESS_KEY, timestamp: start,
+      eventType: 'session_start', data: { referrer: 'https://www.google.com/' },
+    },
+    {
+      eventId: `${sessionId}-2`, sessionId, timestamp: start + 1000, eventType: 'query',
+      data: {
+        query: 'Best blender for smoothies, my name is Jane Smith',
+        intent: 'product_recommendation',
+        journeyStage: 'exploring',
+        consecutiveQueryNumber: 1,
+        generationId: GENERATION_ID,
+      },
+    },
+    {
+      eventId: `${sessionId}-3`, sessionId, timestamp: start + 2000, eventType: 'conversion',
+      data: { ctaUrl: 'https://www.vitamix.com/a3500', ctaText: 'Shop A3500' },
+    },
+  ];
+}
+
+before(async () => {
+  mf = new Miniflare({
+    modules: true,
+    script: 'export default { fetch: () => new Response(null) };',
+    d1Databases: ['DB'],
+    kvNamespaces: ['ANALYTICS'],
+  });
+  env = {
+    DB: await mf.getD1Database('DB'),
+    ANALYTICS: await mf.getKVNamespace('ANALYTICS'),
+    ADMIN_TOKEN,
+    USAGE_REPORT_TOKEN,
+  } as unknown as Env;
+  await migrate(env.DB);
+});
+
+beforeEach(async () => {
+  await env.DB.batch(['events', 'queries', 'block_events', 'sessions', 'generation_usage'].map((table) => (
+    env.DB.prepare(`DELETE FROM ${table}`)
+  )));
+});
+
+after(async () => {
+  await mf.dispose();
+});
+
+test('records events and reports them in the summary', async () => {
+  await reportUsage(usageReport);
+  const response = await track(sessionEvents('session-one'));
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { success: true, processed: 3, recorded: 3, duplicates: 0, rejected: 0 });
+
+  const summary = await (await request('/api/analytics/summary?days=7')).json() as {
+    totalSessions: number;
+    totalQueries: number;
+    totalConversions: number;
+    costs: { totalUsd: number; pages: number };
+  };
+  assert.equal(summary.totalSessions, 1);
+  assert.equal(summary.totalQueries, 1);
+  assert.equal(summary.totalConversions, 1);
+  assert.equal(summary.costs.totalUsd, 0.02);
+  assert.equal(summary.costs.pages, 1);
+});
+
+test('skips events whose id was already recorded', async () => {
+  await track(sessionEvents('session-one'));
+  const response = await track(sessionEvents('session-one'));
+
+  assert.deepEqual(await response.json(), { success: true, processed: 3, recorded: 0, duplicates: 3, rejected: 0 });
+  const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM events').first<{ count: number }>() ?? {};
+  assert.equal(count, 3);
+});
+
+test('rejects events with a malformed session id', async () => {
+  const events = [...sessionEvents('session-one'), ...sessionEvents('bad id!'), ...sessionEvents('x')];
+  const response = await track(events);
+
+  assert.deepEqual(await response.json(), { success: true, processed: 9, recorded: 3, duplicates: 0, rejected: 6 });
+  const { count } = await env.DB.prepare('SELECT COUNT(*) AS count FROM sessions').first<{ count: number }>() ?? {};
+  assert.equal(count, 1);
+});
+
+test('scrubs personal data from stored queries', async () => {
+  await track(sessionEvents('session-one'));
+
+  const row = await env.DB.prepare('SELECT query FROM queries').first<{ query: string }>();
+  assert.equal(row?.query, 'Best blender for smoothies, my name is [name]');
+});
+
+test('filters reports and rejects invalid filters', async () => {
+  await track(sessionEvents('session-one'));
+  await track(sessionEvents('session-two').filter((event) => event.eventType !== 'conversion'));
+
+  const converted = await (await request('/api/analytics/sessions?converted=true')).json() as {
+    sessions: { sessionId: string }[];
+  };
+  assert.deepEqual(converted.sessions.map((session) => session.sessionId), ['session-one']);
+
+  const invalid = await request('/api/analytics/sessions?from=yesterday');
+  assert.equal(invalid.status, 400);
+});
+
+test('answers a malformed tracking request with an error response', async () => {
+  const response = await request('/api/track', { method: 'POST', body: '{"events": [' });
+  assert.equal(response.status, 500);
+  assert.deepEqual(await response.json(), { error: 'Internal server error' });
+});
+
+test('exports and erases a session only for its access key or the admin token', async () => {
+  await track(sessionEvents('session-one'));
+  const auth = (token: string) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  assert.equal((await request('/api/analytics/session/session-one')).status, 401);
+  assert.equal((await request('/api/analytics/session/session-one', auth('wrong-key-0123456789'))).status, 401);
+
+  const exported = await (await request('/api/analytics/session/session-one', auth(ACCESS_KEY))).json() as {
+    events: unknown[];
+  };
+  assert.equal(exported.events.length, 3);
+
+  const deleted = await request('/api/analytics/session/session-one', { method: 'DELETE', ...auth(ADMIN_TOKEN) });
+  assert.equal(deleted.status, 200);
+  assert.equal((await request('/api/analytics/session/session-one', auth(ADMIN_TOKEN))).status, 404);
+});
+
+test('takes model usage only from the recommender Worker\'s report', async () => {
+  const forged = sessionEvents('session-one').map((event) => (
+    event.eventType === 'query' ? { ...event, data: { ...event.data, costUsd: 99, preset: 'forged' } } : event
+  ));
+  await track(forged);
+  assert.equal((await reportUsage(usageReport, 'wrong-token')).status, 401);
+
+  let summary = await (await request('/api/analytics/summary?days=7')).json() as CostSummary;
+  assert.equal(summary.costs.pages, 0);
+
+  // The report may arrive after the query event
+  assert.equal((await reportUsage(usageReport)).status, 200);
+  summary = await (await request('/api/analytics/summary?days=7')).json() as CostSummary;
+  assert.equal(summary.costs.totalUsd, 0.02);
+  assert.deepEqual(summary.costs.byPreset.map((cost) => cost.preset), ['production']);
+});
+
+test('lists models that had no price', async () => {
+  await reportUsage({
+    ...usageReport,
+    usage: { ...usageReport.usage, unpricedModels: ['gemini-2.5-flash'] },
+  });
+  await track(sessionEvents('session-one'));
+
+  const summary = await (await request('/api/analytics/summary?days=7')).json() as CostSummary;
+  assert.deepEqual(summary.costs.unpricedModels, ['gemini-2.5-flash']);
+});
+
+test('rejects malformed usage reports', async () => {
+  assert.equal((await reportUsage({ generationId: 'not-a-uuid', usage: usageReport.usage })).status, 400);
+  assert.equal((await reportUsage({ ...usageReport, usage: { ...usageReport.usage, costUsd: -1 } })).status, 400);
+});
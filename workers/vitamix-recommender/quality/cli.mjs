@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Quality suite CLI - generate and score the fixed query set, or diff two reports
+ *
+ * Usage:
+ *   npm run quality -- run [--preset=name] [--label=name] [--record | --replay]
+ *                          [--recording=file] [--only=id,id]
+ *   npm run quality -- diff <base.json> <head.json>
+ *
+ * Options:
+ *   --preset     Model preset to generate with (default: MODEL_PRESET or the registry default)
+ *   --label      Report name (default: <preset>-<git short sha>)
+ *   --record     Call the models and save every response to the recording
+ *   --replay     Answer every model call from the recording, no network or API keys needed
+ *   --recording  Recording file (default: quality/recordings/<preset>.json)
+ *   --only       Comma-separated case ids from quality/queries.json
+ *
+ * Reports are written to quality/reports/<label>.json and .md. Live and record
+ * runs read API keys from the environment (ANTHROPIC_API_KEY, CEREBRAS_API_KEY,
+ * GOOGLE_API_KEY). Replay exits non-zero when a model call had no recording.
+ *
+ * Runs under Node after being bundled by esbuild (see the "quality" script).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { execSync } from 'child_process';
+import { resolvePreset } from '../src/ai-clients/preset-registry';
+import { createModelCallRecorder, emptyRecording } from '../src/quality/recorder';
+import { runQualitySuite } from '../src/quality/suite';
+import {
+  diffQualityReports,
+  renderQualityDiff,
+  renderQualityReport,
+} from '../src/quality/report';
+
+// Paths are relative to the worker root, where npm runs scripts
+const QUALITY_DIR = path.resolve('quality');
+const QUERIES_PATH = path.join(QUALITY_DIR, 'queries.json');
+const REPORTS_DIR = path.join(QUALITY_DIR, 'reports');
+const RECORDINGS_DIR = path.join(QUALITY_DIR, 'recordings');
+
+function option(args, name) {
+  const arg = args.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+function gitCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+  } catch {
+    return undefined;
+  }
+}
+
+async function readJson(file) {
+  return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+async function writeFile(file, content) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, content);
+}
+
+async function run(args) {
+  const preset = resolvePreset(option(args, 'preset') || process.env.MODEL_PRESET);
+  let mode = 'live';
+  if (args.includes('--record')) mode = 'record';
+  if (args.includes('--replay')) mode = 'replay';
+  const commit = gitCommit();
+  const label = option(args, 'label') || [preset.key, commit].filter(Boolean).join('-');
+  const recordingPath = path.resolve(option(args, 'recording') || path.join(RECORDINGS_DIR, `${preset.key}.json`));
+
+  let cases = await readJson(QUERIES_PATH);
+  const only = option(args, 'only');
+  if (only) {
+    const ids = new Set(only.split(','));
+    cases = cases.filter((c) => ids.has(c.id));
+  }
+
+  let recording = emptyRecording();
+  if (mode === 'replay') {
+    try {
+      recording = await readJson(recordingPath);
+    } catch {
+      console.error(`No recording at ${recordingPath}; run with --record first`);
+      process.exit(1);
+    }
+  }
+  const recorder = createModelCallRecorder(mode, recording);
+
+  const env = {
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
+    CEREBRAS_API_KEY: process.env.CEREBRAS_API_KEY,
+    GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
+    DA_ORG: process.env.DA_ORG || '',
+    DA_REPO: process.env.DA_REPO || '',
+    BLOCK_CONCURRENCY: process.env.BLOCK_CONCURRENCY,
+    BLOCK_TIMEOUT_MS: process.env.BLOCK_TIMEOUT_MS,
+    DEBUG: process.env.DEBUG,
+  };
+
+  console.log(`Quality suite: ${cases.length} queries, preset ${preset.key}, ${mode}`);
+  if (!process.env.DEBUG) {
+    // The pipeline logs every step; keep the suite's own progress readable
+    console.log = () => {};
+  }
+
+  const report = await runQualitySuite(cases, {
+    env,
+    preset,
+    recorder,
+    label,
+    commit,
+    onCase: (result, index) => {
+      const score = result.scores ? result.scores.overallScore : 'failed';
+      const detail = result.error ? ` (${result.error})` : '';
+      process.stdout.write(`[${index + 1}/${cases.length}] ${result.id}: ${score}${detail}\n`);
+    },
+  });
+
+  const reportPath = path.join(REPORTS_DIR, `${label}.json`);
+  await writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+  await writeFile(reportPath.replace(/\.json$/, '.md'), renderQualityReport(report));
+  if (mode === 'record') {
+    await writeFile(recordingPath, `${JSON.stringify(recorder.recording, null, 2)}\n`);
+    process.stdout.write(`Recording: ${recordingPath}\n`);
+  }
+  process.stdout.write(`Report: ${reportPath}\n`);
+  process.stdout.write(`Average overall score: ${report.averages.overallScore ?? '–'}, failures: ${report.failures}\n`);
+
+  const misses = Object.keys(report.replayMisses).length;
+  if (misses > 0) {
+    process.stderr.write(`Replay misses: ${JSON.stringify(report.replayMisses)}\n`);
+    process.exit(1);
+  }
+}
+
+async function diff(args) {
+  const [basePath, headPath] = args.filter((a) => !a.startsWith('--'));
+  if (!basePath || !headPath) {
+    console.error('Usage: npm run quality -- diff <base.json> <head.json>');
+    process.exit(1);
+  }
+  const [base, head] = await Promise.all([readJson(basePath), readJson(headPath)]);
+  process.stdout.write(renderQualityDiff(diffQualityReports(base, head)));
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === 'run') {
+    await run(args);
+  } else if (command === 'diff') {
+    await diff(args);
+  } else {
+    console.error('Usage: npm run quality -- run [options] | diff <base.json> <head.json>');
+    process.exit(1);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -5,100 +5,44 @@
  * - reasoning: Claude Opus for high-quality intent analysis and block selection
  * - content: Cerebras for fast content generation
  * - classification: Fast models for intent classification
+ * - validation: Re-prompts for blocks that fail schema validation (regenerates
+ *   the whole block, so it needs the same output budget as content)
+ *
+ * Each role can declare an ordered list of fallbacks. A call tries the primary
+ * model, retrying transient errors with jittered backoff, then moves down the
+ * list. Providers with an open circuit breaker are skipped entirely.
+ *
+ * Presets (which model serves each role) come from the preset registry.
  */
 
-import type { Env, ModelRole, ModelConfig, ModelPreset } from '../types';
+import type { Env, ModelRole, ModelConfig, ModelProvider, ResolvedPreset } from '../types';
+import type { UsageTracker } from '../lib/usage-tracker';
+import { resolvePreset, getPresetNames } from './preset-registry';
+import { getCircuitBreaker } from '../lib/circuit-breaker';
+import { withTimeout, sleep, jitteredBackoff, TimeoutError } from '../lib/async-utils';
 
 // ============================================
-// Model Presets
+// Model Pricing
 // ============================================
 
-const MODEL_PRESETS: Record<string, ModelPreset> = {
-  // Production preset: Opus reasoning, Cerebras content
-  production: {
-    reasoning: {
-      provider: 'anthropic',
-      model: 'claude-opus-4-5-20251101',
-      maxTokens: 4096,
-      temperature: 0.7,
-    },
-    content: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 4096,
-      temperature: 0.8,
-    },
-    classification: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 500,
-      temperature: 0.3,
-    },
-    validation: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 300,
-      temperature: 0.2,
-    },
-  },
-
-  // Fast preset: Sonnet reasoning for faster response
-  fast: {
-    reasoning: {
-      provider: 'anthropic',
-      model: 'claude-sonnet-4-5-20250929',
-      maxTokens: 2048,
-      temperature: 0.7,
-    },
-    content: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 4096,
-      temperature: 0.8,
-    },
-    classification: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 500,
-      temperature: 0.3,
-    },
-    validation: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 300,
-      temperature: 0.2,
-    },
-  },
-
-  // All-Cerebras preset for cost optimization
-  'all-cerebras': {
-    reasoning: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 4096,
-      temperature: 0.7,
-    },
-    content: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 4096,
-      temperature: 0.8,
-    },
-    classification: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 500,
-      temperature: 0.3,
-    },
-    validation: {
-      provider: 'cerebras',
-      model: 'gpt-oss-120b',
-      maxTokens: 300,
-      temperature: 0.2,
-    },
-  },
+// USD per million tokens, used for cost estimates only
+const MODEL_PRICING: Record<string, { input: number; output: number }> = {
+  'claude-opus-4-5-20251101': { input: 5, output: 25 },
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+  'claude-haiku-4-5-20251001': { input: 1, output: 5 },
+  'gpt-oss-120b': { input: 0.35, output: 0.75 },
+  'llama-3.3-70b': { input: 0.85, output: 1.2 },
 };
 
+/**
+ * Estimate the cost of a call; undefined for models missing from MODEL_PRICING
+ */
+export function estimateCost(model: string, inputTokens: number, outputTokens: number): number | undefined {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return undefined;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1_000_000;
+}
+
 // ============================================
 // Message Types
 // ============================================
@@ -116,6 +60,118 @@ export interface ModelResponse {
     outputTokens: number;
   };
   duration?: number;
+  // Provider that actually served the call, and whether it was a fallback
+  provider?: ModelProvider;
+  fallback?: boolean;
+}
+
+// ============================================
+// Provider Calls
+// ============================================
+
+// Receives generated text as it streams in
+export type DeltaHandler = (delta: string) => void;
+
+export type ProviderCall = (
+  config: ModelConfig,
+  messages: Message[],
+  env: Env,
+  onDelta?: DeltaHandler,
+  signal?: AbortSignal
+) => Promise<ModelResponse>;
+
+export interface CallOptions {
+  // Stream the response; deltas from a failed attempt are abandoned
+  onDelta?: DeltaHandler;
+  // Called before a retry or fallback starts over after deltas were already sent
+  onRestart?: () => void;
+  // Cancels the in-flight request and stops further retries and fallbacks
+  signal?: AbortSignal;
+}
+
+// Wraps each provider call, e.g. to record responses or replay recorded ones
+export type ProviderInterceptor = (provider: ModelProvider, call: ProviderCall) => ProviderCall;
+
+export interface ModelFactoryOptions {
+  usageTracker?: UsageTracker;
+  // Replace provider implementations, e.g. with stand-ins that fail on demand
+  providers?: Partial<Record<ModelProvider, ProviderCall>>;
+  intercept?: ProviderInterceptor;
+}
+
+/**
+ * Error from a provider API, carrying the HTTP status for retry decisions
+ */
+export class ProviderError extends Error {
+  constructor(readonly provider: ModelProvider, readonly status: number, message: string) {
+    super(message);
+    this.name = 'ProviderError';
+  }
+}
+
+// Per-attempt defaults; ModelConfig.timeoutMs / retries override them.
+// Content timeouts stay well under BLOCK_TIMEOUT_MS so a fallback still has time to run.
+const DEFAULT_TIMEOUTS_MS: Record<ModelRole, number> = {
+  reasoning: 60000,
+  content: 12000,
+  classification: 8000,
+  validation: 12000,
+};
+const DEFAULT_RETRIES = 1;
+
+/**
+ * Rate limits, server errors, timeouts and network failures are worth retrying;
+ * other client errors (bad key, bad request) won't fix themselves
+ */
+function isRetryable(error: unknown): boolean {
+  if (error instanceof ProviderError) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  return error instanceof TimeoutError || error instanceof TypeError;
+}
+
+/**
+ * Server errors, rate limits and timeouts count against a provider's circuit;
+ * other client errors are about the request, not the provider
+ */
+function isProviderFailure(error: unknown): boolean {
+  if (error instanceof ProviderError) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  return error instanceof TimeoutError;
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Read a server-sent event stream, passing each `data:` payload to onData
+ */
+async function readEventStream(
+  body: ReadableStream<Uint8Array>,
+  onData: (data: string) => void
+): Promise<void> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let newline = buffer.indexOf('\n');
+    while (newline >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line.startsWith('data:')) {
+        const data = line.slice(5).trim();
+        if (data && data !== '[DONE]') onData(data);
+      }
+      newline = buffer.indexOf('\n');
+    }
+  }
 }
 
 // ============================================
@@ -123,50 +179,179 @@ export interface ModelResponse {
 // ============================================
 
 export class ModelFactory {
-  private preset: ModelPreset;
-  private presetName: string;
+  private preset: ResolvedPreset;
+  private usageTracker?: UsageTracker;
+  private providers: Record<ModelProvider, ProviderCall>;
 
-  constructor(presetName: string = 'production') {
-    this.presetName = presetName;
-    this.preset = MODEL_PRESETS[presetName] || MODEL_PRESETS.production;
+  constructor(preset: ResolvedPreset | string = 'production', options: ModelFactoryOptions = {}) {
+    this.preset = typeof preset === 'string' ? resolvePreset(preset) : preset;
+    this.usageTracker = options.usageTracker;
+    this.providers = {
+      anthropic: (config, messages, env, onDelta, signal) => this.callAnthropic(config, messages, env, onDelta, signal),
+      cerebras: (config, messages, env, onDelta, signal) => this.callCerebras(config, messages, env, onDelta, signal),
+      google: (config, messages, env) => this.callGoogle(config, messages, env),
+      ...options.providers,
+    };
+    if (options.intercept) {
+      for (const provider of Object.keys(this.providers) as ModelProvider[]) {
+        this.providers[provider] = options.intercept(provider, this.providers[provider]);
+      }
+    }
   }
 
   /**
    * Get the configuration for a specific role
    */
   getConfig(role: ModelRole): ModelConfig {
-    return this.preset[role];
+    return this.preset.roles[role];
   }
 
   /**
-   * Call a model for a specific role
+   * The primary model for a role followed by its fallbacks. Fallbacks inherit
+   * the primary's token and temperature settings unless they set their own.
+   */
+  getChain(role: ModelRole): ModelConfig[] {
+    const { fallbacks = [], ...primary } = this.preset.roles[role];
+    return [primary, ...fallbacks.map((fallback) => ({ ...primary, ...fallback }))];
+  }
+
+  /**
+   * Call a model for a specific role, falling back down the chain on failure
    */
   async call(
     role: ModelRole,
     messages: Message[],
-    env: Env
+    env: Env,
+    options: CallOptions = {}
   ): Promise<ModelResponse> {
-    const config = this.preset[role];
-    const startTime = Date.now();
-
-    let response: ModelResponse;
-
-    switch (config.provider) {
-      case 'anthropic':
-        response = await this.callAnthropic(config, messages, env);
-        break;
-      case 'cerebras':
-        response = await this.callCerebras(config, messages, env);
-        break;
-      case 'google':
-        response = await this.callGoogle(config, messages, env);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${config.provider}`);
+    const chain = this.getChain(role);
+    const primary = chain[0];
+    const failures: string[] = [];
+
+    // An attempt that failed mid-stream may still deliver deltas; only the current one may emit
+    let currentAttempt = 0;
+    let streamed = false;
+    const deltaHandlerFor = (attemptId: number): DeltaHandler | undefined => options.onDelta && ((delta) => {
+      if (attemptId !== currentAttempt) return;
+      streamed = true;
+      options.onDelta!(delta);
+    });
+
+    for (const [index, config] of chain.entries()) {
+      const breaker = getCircuitBreaker(config.provider);
+      const retries = config.retries ?? DEFAULT_RETRIES;
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        if (options.signal?.aborted) {
+          currentAttempt++;
+          throw options.signal.reason;
+        }
+        if (!breaker.canRequest()) {
+          failures.push(`${config.provider}/${config.model}: circuit open`);
+          break;
+        }
+
+        const attemptId = ++currentAttempt;
+        if (streamed) {
+          streamed = false;
+          options.onRestart?.();
+        }
+
+        // Aborted by the attempt's own timeout or by the caller
+        const attemptController = new AbortController();
+        const signal = options.signal
+          ? AbortSignal.any([options.signal, attemptController.signal])
+          : attemptController.signal;
+
+        const startTime = Date.now();
+        try {
+          const response = await withTimeout(
+            this.callProvider(config, messages, env, deltaHandlerFor(attemptId), signal),
+            config.timeoutMs ?? DEFAULT_TIMEOUTS_MS[role],
+            `${config.provider} ${role} call`,
+            attemptController
+          );
+          breaker.recordSuccess();
+
+          response.duration = Date.now() - startTime;
+          response.provider = config.provider;
+          response.fallback = index > 0;
+          this.recordUsage(role, config, response, response.duration, index > 0 ? primary : undefined);
+
+          if (index > 0) {
+            console.warn(`[ModelFactory] ${role} served by fallback ${config.provider}/${config.model}`);
+          }
+          return response;
+        } catch (error) {
+          if (options.signal?.aborted) {
+            // The caller gave up; that says nothing about the provider
+            breaker.recordNeutral();
+            this.recordUsage(role, config, undefined, Date.now() - startTime);
+            currentAttempt++;
+            throw options.signal.reason;
+          }
+          if (isProviderFailure(error)) {
+            breaker.recordFailure();
+          } else {
+            breaker.recordNeutral();
+          }
+          this.recordUsage(role, config, undefined, Date.now() - startTime);
+          failures.push(`${config.provider}/${config.model}: ${errorMessage(error)}`);
+          console.error(`[ModelFactory] ${role} call to ${config.provider}/${config.model} failed (attempt ${attempt + 1}):`, errorMessage(error));
+
+          if (!isRetryable(error) || attempt === retries) break;
+          await sleep(jitteredBackoff(attempt));
+        }
+      }
     }
 
-    response.duration = Date.now() - startTime;
-    return response;
+    currentAttempt++;
+    throw new Error(`All models failed for ${role}: ${failures.join('; ')}`);
+  }
+
+  private callProvider(
+    config: ModelConfig,
+    messages: Message[],
+    env: Env,
+    onDelta?: DeltaHandler,
+    signal?: AbortSignal
+  ): Promise<ModelResponse> {
+    const provider = this.providers[config.provider];
+    if (!provider) {
+      return Promise.reject(new Error(`Unknown provider: ${config.provider}`));
+    }
+    return provider(config, messages, env, onDelta, signal);
+  }
+
+  /**
+   * Record a call with the usage tracker, if one is attached
+   */
+  private recordUsage(
+    role: ModelRole,
+    config: ModelConfig,
+    response: ModelResponse | undefined,
+    durationMs: number,
+    fallbackFrom?: ModelConfig
+  ): void {
+    if (!this.usageTracker) return;
+
+    const inputTokens = response?.usage?.inputTokens || 0;
+    const outputTokens = response?.usage?.outputTokens || 0;
+    const costUsd = estimateCost(config.model, inputTokens, outputTokens);
+
+    this.usageTracker.record({
+      role,
+      provider: config.provider,
+      model: config.model,
+      preset: this.preset.name,
+      inputTokens,
+      outputTokens,
+      durationMs,
+      costUsd: costUsd ?? 0,
+      unpriced: !!response && costUsd === undefined,
+      failed: !response,
+      fallbackFrom: fallbackFrom && { provider: fallbackFrom.provider, model: fallbackFrom.model },
+    });
   }
 
   /**
@@ -175,7 +360,9 @@ export class ModelFactory {
   private async callAnthropic(
     config: ModelConfig,
     messages: Message[],
-    env: Env
+    env: Env,
+    onDelta?: DeltaHandler,
+    signal?: AbortSignal
   ): Promise<ModelResponse> {
     const systemMessage = messages.find((m) => m.role === 'system');
     const otherMessages = messages.filter((m) => m.role !== 'system');
@@ -196,12 +383,18 @@ export class ModelFactory {
           role: m.role,
           content: m.content,
         })),
+        stream: !!onDelta,
       }),
+      signal,
     });
 
     if (!response.ok) {
       const error = await response.text();
-      throw new Error(`Anthropic API error: ${response.status} - ${error}`);
+      throw new ProviderError('anthropic', response.status, `Anthropic API error: ${response.status} - ${error}`);
+    }
+
+    if (onDelta && response.body) {
+      return this.readAnthropicStream(response.body, config, onDelta);
     }
 
     const data = (await response.json()) as {
@@ -220,13 +413,54 @@ export class ModelFactory {
     };
   }
 
+  /**
+   * Collect an Anthropic message stream (message_start → content_block_delta* → message_delta)
+   */
+  private async readAnthropicStream(
+    body: ReadableStream<Uint8Array>,
+    config: ModelConfig,
+    onDelta: DeltaHandler
+  ): Promise<ModelResponse> {
+    let content = '';
+    let model = config.model;
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    await readEventStream(body, (data) => {
+      const event = JSON.parse(data) as {
+        type: string;
+        message?: { model: string; usage: { input_tokens: number } };
+        delta?: { type?: string; text?: string };
+        usage?: { output_tokens: number };
+        error?: { type: string; message: string };
+      };
+
+      if (event.type === 'message_start' && event.message) {
+        model = event.message.model;
+        inputTokens = event.message.usage.input_tokens;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta' && event.delta.text) {
+        content += event.delta.text;
+        onDelta(event.delta.text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        outputTokens = event.usage.output_tokens;
+      } else if (event.type === 'error') {
+        // Mid-stream errors (e.g. overloaded) arrive as events after a 200
+        throw new ProviderError('anthropic', 529, `Anthropic stream error: ${event.error?.message}`);
+      }
+    });
+
+    return { content, model, usage: { inputTokens, outputTokens } };
+  }
+
   /**
    * Call Cerebras API
    */
   private async callCerebras(
     config: ModelConfig,
     messages: Message[],
-    env: Env
+    env: Env,
+    onDelta?: DeltaHandler,
+    signal?: AbortSignal
   ): Promise<ModelResponse> {
     const response = await fetch(
       'https://api.cerebras.ai/v1/chat/completions',
@@ -244,14 +478,20 @@ export class ModelFactory {
             role: m.role,
             content: m.content,
           })),
+          stream: !!onDelta,
         }),
+        signal,
       }
     );
 
     if (!response.ok) {
       const error = await response.text();
       console.error(`[Cerebras] API error ${response.status}:`, error);
-      throw new Error(`Cerebras API error: ${response.status} - ${error}`);
+      throw new ProviderError('cerebras', response.status, `Cerebras API error: ${response.status} - ${error}`);
+    }
+
+    if (onDelta && response.body) {
+      return this.readCerebrasStream(response.body, config, onDelta);
     }
 
     const data = (await response.json()) as {
@@ -270,6 +510,39 @@ export class ModelFactory {
     };
   }
 
+  /**
+   * Collect an OpenAI-style chunk stream; usage arrives on the final chunk
+   */
+  private async readCerebrasStream(
+    body: ReadableStream<Uint8Array>,
+    config: ModelConfig,
+    onDelta: DeltaHandler
+  ): Promise<ModelResponse> {
+    let content = '';
+    let model = config.model;
+    let usage: ModelResponse['usage'];
+
+    await readEventStream(body, (data) => {
+      const chunk = JSON.parse(data) as {
+        model?: string;
+        choices?: { delta?: { content?: string } }[];
+        usage?: { prompt_tokens: number; completion_tokens: number };
+      };
+
+      model = chunk.model || model;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+      if (chunk.usage) {
+        usage = { inputTokens: chunk.usage.prompt_tokens, outputTokens: chunk.usage.completion_tokens };
+      }
+    });
+
+    return { content, model, usage };
+  }
+
   /**
    * Call Google Gemini API (placeholder)
    */
@@ -286,23 +559,30 @@ export class ModelFactory {
    * Get the current preset name
    */
   getPresetName(): string {
-    return this.presetName;
+    return this.preset.name;
   }
 
   /**
    * Get available presets
    */
   static getAvailablePresets(): string[] {
-    return Object.keys(MODEL_PRESETS);
+    return getPresetNames();
   }
 }
 
 /**
  * Create a ModelFactory instance from environment
  * @param env - Environment bindings
- * @param presetOverride - Optional preset override from query parameter (allows runtime switching)
+ * @param preset - Preset resolved for this request (defaults to env.MODEL_PRESET)
+ * @param usageTracker - Optional tracker that records tokens, latency and cost of every call
  */
-export function createModelFactory(env: Env, presetOverride?: string): ModelFactory {
-  const preset = presetOverride || env.MODEL_PRESET || 'production';
-  return new ModelFactory(preset);
+export function createModelFactory(
+  env: Env,
+  preset?: ResolvedPreset,
+  usageTracker?: UsageTracker
+): ModelFactory {
+  return new ModelFactory(preset || resolvePreset(env.MODEL_PRESET), {
+    usageTracker,
+    intercept: env.MODEL_CALL_INTERCEPTOR,
+  });
 }
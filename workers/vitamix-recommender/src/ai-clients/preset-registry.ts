@@ -0,0 +1,282 @@
+/**
+ * Preset Registry - Model presets loaded from configuration
+ *
+ * Presets live in src/config/model-presets.json, which is bundled with the
+ * Worker and validated when this module loads, so a broken file fails the
+ * deploy instead of the first request. A `config:model-presets` entry in the
+ * CONFIG KV namespace (SESSIONS when no dedicated namespace is bound) can add
+ * or replace presets without a deploy; it is re-read at most once a minute and
+ * invalid presets in it are logged and ignored.
+ *
+ * A request picks a preset by name and can replace the primary model of any
+ * role with `?model.<role>=<model>` or `?model.<role>=<provider>:<model>`.
+ * Only models that already appear somewhere in the registry are accepted.
+ */
+
+import type {
+  Env,
+  ModelRole,
+  ModelProvider,
+  ModelConfig,
+  ModelPreset,
+  ModelOverrides,
+  ResolvedPreset,
+} from '../types';
+import presetsConfig from '../config/model-presets.json';
+
+// ============================================
+// Configuration
+// ============================================
+
+const CONFIG_KEY = 'config:model-presets';
+
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_PRESET = 'production';
+
+const MODEL_ROLES: ModelRole[] = ['reasoning', 'content', 'classification', 'validation'];
+
+const MODEL_PROVIDERS: ModelProvider[] = ['anthropic', 'cerebras', 'google'];
+
+const OVERRIDE_PARAM_PREFIX = 'model.';
+
+export class PresetConfigError extends Error {
+  constructor(readonly errors: string[]) {
+    super(`Invalid model preset configuration: ${errors.join('; ')}`);
+    this.name = 'PresetConfigError';
+  }
+}
+
+export class ModelOverrideError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ModelOverrideError';
+  }
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateModelConfig(config: unknown, path: string, errors: string[], allowFallbacks: boolean): void {
+  if (!isObject(config)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const {
+    provider, model, maxTokens, temperature, timeoutMs, retries, fallbacks,
+  } = config;
+
+  if (!MODEL_PROVIDERS.includes(provider as ModelProvider)) {
+    errors.push(`${path}.provider must be one of ${MODEL_PROVIDERS.join(', ')}`);
+  }
+  if (typeof model !== 'string' || !model.trim()) {
+    errors.push(`${path}.model must be a non-empty string`);
+  }
+  if (maxTokens !== undefined && !(Number.isInteger(maxTokens) && (maxTokens as number) > 0)) {
+    errors.push(`${path}.maxTokens must be a positive integer`);
+  }
+  if (temperature !== undefined && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    errors.push(`${path}.temperature must be a number between 0 and 2`);
+  }
+  if (timeoutMs !== undefined && !(Number.isInteger(timeoutMs) && (timeoutMs as number) > 0)) {
+    errors.push(`${path}.timeoutMs must be a positive integer`);
+  }
+  if (retries !== undefined && !(Number.isInteger(retries) && (retries as number) >= 0)) {
+    errors.push(`${path}.retries must be a non-negative integer`);
+  }
+
+  if (fallbacks === undefined) return;
+  if (!allowFallbacks) {
+    errors.push(`${path}.fallbacks is only allowed on a role's primary model`);
+  } else if (!Array.isArray(fallbacks)) {
+    errors.push(`${path}.fallbacks must be an array`);
+  } else {
+    fallbacks.forEach((fallback, i) => validateModelConfig(fallback, `${path}.fallbacks[${i}]`, errors, false));
+  }
+}
+
+/**
+ * Check a single preset, returning one message per problem
+ */
+export function validatePreset(name: string, preset: unknown): string[] {
+  const errors: string[] = [];
+
+  if (!isObject(preset)) {
+    return [`${name} must be an object`];
+  }
+  if (preset.description !== undefined && typeof preset.description !== 'string') {
+    errors.push(`${name}.description must be a string`);
+  }
+  for (const role of MODEL_ROLES) {
+    if (preset[role] === undefined) {
+      errors.push(`${name}.${role} is missing`);
+    } else {
+      validateModelConfig(preset[role], `${name}.${role}`, errors, true);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a `{ presets: { [name]: ModelPreset } }` config, keeping the
+ * presets that pass
+ */
+export function validatePresetConfig(config: unknown): {
+  presets: Record<string, ModelPreset>;
+  errors: string[];
+} {
+  if (!isObject(config) || !isObject(config.presets)) {
+    return { presets: {}, errors: ['config must have a "presets" object'] };
+  }
+
+  const presets: Record<string, ModelPreset> = {};
+  const errors: string[] = [];
+
+  for (const [name, preset] of Object.entries(config.presets)) {
+    const presetErrors = validatePreset(name, preset);
+    if (presetErrors.length) {
+      errors.push(...presetErrors);
+    } else {
+      presets[name] = preset as unknown as ModelPreset;
+    }
+  }
+
+  return { presets, errors };
+}
+
+// ============================================
+// Registry
+// ============================================
+
+const bundled = validatePresetConfig(presetsConfig);
+if (bundled.errors.length) {
+  throw new PresetConfigError(bundled.errors);
+}
+if (!bundled.presets[DEFAULT_PRESET]) {
+  throw new PresetConfigError([`default preset "${DEFAULT_PRESET}" is missing`]);
+}
+
+let presets: Record<string, ModelPreset> = bundled.presets;
+let loadedAt = 0;
+
+/**
+ * Merge presets from KV over the bundled ones. Cheap to call on every
+ * request; KV is only read once per refresh interval.
+ */
+export async function loadPresetRegistry(env: Env): Promise<void> {
+  const kv = env.CONFIG || env.SESSIONS;
+  if (!kv || Date.now() - loadedAt < REFRESH_INTERVAL_MS) return;
+  loadedAt = Date.now();
+
+  try {
+    const config = await kv.get(CONFIG_KEY, 'json');
+    if (!config) {
+      presets = bundled.presets;
+      return;
+    }
+
+    const { presets: fromKV, errors } = validatePresetConfig(config);
+    if (errors.length) {
+      console.error('[PresetRegistry] Ignoring invalid presets from KV:', errors);
+    }
+    presets = { ...bundled.presets, ...fromKV };
+  } catch (error) {
+    console.error('[PresetRegistry] Failed to load presets from KV:', error);
+  }
+}
+
+export function getPresetNames(): string[] {
+  return Object.keys(presets);
+}
+
+/**
+ * Every model the registry knows, as primary or fallback, with its provider
+ */
+function getKnownModels(): Array<Pick<ModelConfig, 'provider' | 'model'>> {
+  const known = new Map<string, Pick<ModelConfig, 'provider' | 'model'>>();
+  for (const preset of Object.values(presets)) {
+    for (const role of MODEL_ROLES) {
+      for (const { provider, model } of [preset[role], ...(preset[role].fallbacks || [])]) {
+        known.set(`${provider}:${model}`, { provider, model });
+      }
+    }
+  }
+  return [...known.values()];
+}
+
+// ============================================
+// Overrides & Resolution
+// ============================================
+
+/**
+ * Read `model.<role>` parameters from a request
+ * @throws ModelOverrideError for unknown roles or models
+ */
+export function parseModelOverrides(params: URLSearchParams): ModelOverrides {
+  const overrides: ModelOverrides = {};
+  const known = getKnownModels();
+
+  for (const [param, value] of params) {
+    if (!param.startsWith(OVERRIDE_PARAM_PREFIX) || !value) continue;
+
+    const role = param.slice(OVERRIDE_PARAM_PREFIX.length) as ModelRole;
+    if (!MODEL_ROLES.includes(role)) {
+      throw new ModelOverrideError(`Unknown model role "${role}"; expected one of ${MODEL_ROLES.join(', ')}`);
+    }
+
+    const separator = value.indexOf(':');
+    const provider = separator > 0 ? value.slice(0, separator) : undefined;
+    const model = separator > 0 ? value.slice(separator + 1) : value;
+    const match = known.find((m) => m.model === model && (!provider || m.provider === provider));
+    if (!match) {
+      throw new ModelOverrideError(`Unknown model "${value}" for ${role}`);
+    }
+
+    overrides[role] = match;
+  }
+
+  return overrides;
+}
+
+/**
+ * Look up a preset and apply overrides. Unknown names fall back to the
+ * default preset, and the result always reports the preset actually used.
+ */
+export function resolvePreset(name?: string, overrides: ModelOverrides = {}): ResolvedPreset {
+  let presetName = name || DEFAULT_PRESET;
+  if (!presets[presetName]) {
+    console.warn(`[PresetRegistry] Unknown preset "${presetName}", using ${DEFAULT_PRESET}`);
+    presetName = DEFAULT_PRESET;
+  }
+
+  const roles: ModelPreset = { ...presets[presetName] };
+  const keyParts = [presetName];
+
+  for (const role of MODEL_ROLES) {
+    const override = overrides[role];
+    if (!override) continue;
+
+    // The overriding model replaces the primary; the preset's fallbacks still apply
+    const { fallbacks = [], ...primary } = roles[role];
+    roles[role] = {
+      ...primary,
+      ...override,
+      fallbacks: fallbacks.filter((f) => f.provider !== override.provider || f.model !== override.model),
+    };
+    keyParts.push(`${role}=${override.provider}:${override.model}`);
+  }
+
+  return {
+    name: presetName,
+    roles,
+    overrides,
+    key: keyParts.join('+'),
+  };
+}
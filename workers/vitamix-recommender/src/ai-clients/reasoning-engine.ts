@@ -17,9 +17,12 @@ import type {
   BlockSelection,
   BlockType,
   UserJourneyPlan,
+  ResolvedPreset,
 } from '../types';
 import type { RAGContext } from '../content/content-service';
-import { ModelFactory, type Message } from './model-factory';
+import { describeDietaryConstraints } from '../content/dietary-filters';
+import { createModelFactory, type Message } from './model-factory';
+import type { UsageTracker } from '../lib/usage-tracker';
 
 // ============================================
 // Reasoning System Prompt
@@ -369,6 +372,7 @@ function buildReasoningPrompt(
 - Products Shown: ${lastQuery.recommendedProducts?.join(', ') || 'None'}
 - Recipes Shown: ${lastQuery.recommendedRecipes?.join(', ') || 'None'}
 - Blocks Used: ${lastQuery.blockTypes?.join(', ') || 'None'}
+- Follow-ups Offered: ${lastQuery.suggestedFollowUps?.join(' | ') || 'None'}
 - Next Best Action Suggested: ${lastQuery.nextBestAction || 'None'}` : '';
 
   return `## User Query
@@ -393,7 +397,10 @@ ${useCaseContext || 'No specific use cases matched'}
 
 ## Available Recipes (${ragContext.contentSummary.recipeCount} total)
 ${recipeContext || 'No recipes matched'}
-
+${ragContext.dietaryConstraints.length > 0 ? `
+${describeDietaryConstraints(ragContext.dietaryConstraints)}
+- If no listed recipe fits, say so rather than recommending one that doesn't
+` : ''}
 ## Session History
 ${sessionHistory}
 ${lastQueryContext}
@@ -529,9 +536,10 @@ export async function analyzeAndSelectBlocks(
   ragContext: RAGContext,
   env: Env,
   sessionContext?: SessionContext,
-  preset?: string
+  preset?: ResolvedPreset,
+  usageTracker?: UsageTracker
 ): Promise<ReasoningResult> {
-  const modelFactory = new ModelFactory(preset || env.MODEL_PRESET || 'production');
+  const modelFactory = createModelFactory(env, preset, usageTracker);
 
   // Debug: Log session context
   const lastQuery = sessionContext?.previousQueries?.slice(-1)[0];
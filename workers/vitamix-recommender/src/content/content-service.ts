@@ -18,6 +18,12 @@ import type {
   ProductProfile,
   Accessory,
 } from '../types';
+import {
+  detectDietaryConstraints,
+  meetsDietaryConstraints,
+  stripDietaryPhrases,
+  type DietaryConstraint,
+} from './dietary-filters';
 
 // Import content at build time
 import productsData from '../../../../content/products/products.json';
@@ -439,6 +445,39 @@ export function getContentSummary(): ContentSummary {
   };
 }
 
+// ============================================
+// Content Version
+// ============================================
+
+let contentVersion: string | null = null;
+
+/**
+ * Fingerprint of the bundled content/*.json files.
+ * Changes whenever any content file changes, so it can be used to
+ * invalidate anything derived from the content (e.g. cached responses).
+ */
+export function getContentVersion(): string {
+  if (contentVersion) return contentVersion;
+
+  const sources = [
+    productsData, recipesData, accessoriesData, useCasesData, featuresData,
+    reviewsData, personasData, productProfilesData, recipeAssociationsData, faqsData,
+  ];
+
+  // FNV-1a 32-bit over the serialized content
+  let hash = 0x811c9dc5;
+  for (const source of sources) {
+    const text = JSON.stringify(source);
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+  }
+
+  contentVersion = (hash >>> 0).toString(36);
+  return contentVersion;
+}
+
 // ============================================
 // Recipe-Product Associations
 // ============================================
@@ -562,6 +601,8 @@ export interface RAGContext {
   relevantUseCases: UseCase[];
   detectedPersona: UserPersona | null;
   contentSummary: ContentSummary;
+  // Constraints every relevant recipe meets (see dietary-filters)
+  dietaryConstraints: DietaryConstraint[];
 }
 
 // Common ingredient keywords for detection in user queries
@@ -669,10 +710,21 @@ export function buildRAGContext(
   query: string,
   intent?: string,
   maxProducts = 5,
-  maxRecipes = 6
+  maxRecipes = 6,
+  dietaryConstraints: DietaryConstraint[] = []
 ): RAGContext {
   const lowerQuery = query.toLowerCase();
 
+  // Dietary constraints from the query plus any the caller already knows of
+  // (e.g. stated earlier in the session). They are hard filters: every
+  // candidate recipe below must pass `allowed`.
+  const constraints = [...new Set([...dietaryConstraints, ...detectDietaryConstraints(query)])];
+  const allowed = (recipe: Recipe) => meetsDietaryConstraints(recipe, constraints);
+  // Filtering drops candidates, so search a wider pool when constrained
+  const searchLimit = constraints.length > 0 ? maxRecipes * 4 : maxRecipes;
+  // "nut-free smoothies" searches recipes for "smoothies"
+  const recipeQuery = constraints.length > 0 ? stripDietaryPhrases(query) : query;
+
   // Detect user persona
   const detectedPersona = detectPersona(query);
 
@@ -801,15 +853,15 @@ export function buildRAGContext(
   // PRIORITY 1: If ingredients detected, use ingredient-based search (NEW)
   if (detectedIngredients.length > 0) {
     const ingredientQuery = detectedIngredients.join(' ');
-    const ingredientRecipes = searchRecipes(ingredientQuery, maxRecipes * 2);
-    relevantRecipes = [...ingredientRecipes];
+    const ingredientRecipes = searchRecipes(ingredientQuery, searchLimit * 2);
+    relevantRecipes = ingredientRecipes.filter(allowed);
   }
 
   // PRIORITY 2: Also search using the full query (searches name, description, AND ingredients)
   if (relevantRecipes.length < maxRecipes) {
-    const queryRecipes = searchRecipes(query, maxRecipes);
+    const queryRecipes = searchRecipes(recipeQuery, searchLimit);
     // Add unique recipes not already found
-    for (const r of queryRecipes) {
+    for (const r of queryRecipes.filter(allowed)) {
       if (!relevantRecipes.some(existing => existing.name === r.name)) {
         relevantRecipes.push(r);
       }
@@ -824,7 +876,7 @@ export function buildRAGContext(
         r.name.toLowerCase().includes(keyword) ||
         r.description?.toLowerCase().includes(keyword)
       );
-      for (const r of categoryRecipes) {
+      for (const r of categoryRecipes.filter(allowed)) {
         if (!relevantRecipes.some(existing => existing.name === r.name)) {
           relevantRecipes.push(r);
         }
@@ -836,14 +888,15 @@ export function buildRAGContext(
   if (relevantRecipes.length === 0 && relevantUseCases.length > 0) {
     for (const uc of relevantUseCases) {
       const categoryRecipes = getRecipesByCategory(uc.id);
-      relevantRecipes = [...relevantRecipes, ...categoryRecipes];
+      relevantRecipes = [...relevantRecipes, ...categoryRecipes.filter(allowed)];
     }
   }
 
   // PRIORITY 5: Last resort - search by query words in name/category
   if (relevantRecipes.length === 0) {
-    const queryWords = lowerQuery.split(/\s+/).filter(w => w.length > 3);
+    const queryWords = recipeQuery.toLowerCase().split(/\s+/).filter(w => w.length > 3);
     relevantRecipes = recipes.filter(r =>
+      allowed(r) &&
       queryWords.some(word =>
         r.name.toLowerCase().includes(word) ||
         r.category?.toLowerCase().includes(word)
@@ -853,7 +906,7 @@ export function buildRAGContext(
 
   // Final fallback: provide some recipes
   if (relevantRecipes.length === 0) {
-    relevantRecipes = recipes.slice(0, maxRecipes);
+    relevantRecipes = recipes.filter(allowed).slice(0, maxRecipes);
   }
 
   // Dedupe by name (not id, since many recipes have empty id) and limit
@@ -927,6 +980,7 @@ export function buildRAGContext(
     relevantUseCases,
     detectedPersona,
     contentSummary: getContentSummary(),
+    dietaryConstraints: constraints,
   };
 }
 
@@ -997,5 +1051,6 @@ export default {
 
   // Utilities
   getContentSummary,
+  getContentVersion,
   buildRAGContext,
 };
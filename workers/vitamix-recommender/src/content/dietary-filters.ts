@@ -0,0 +1,162 @@
+/**
+ * Dietary Filters
+ *
+ * Dietary and allergen constraints for recipe retrieval. Constraints stated
+ * in a query ("nut-free smoothies for my kid", "I'm lactose intolerant") are
+ * detected here and applied by buildRAGContext as hard filters: a recipe
+ * that doesn't meet every constraint never reaches the reasoning or content
+ * models.
+ *
+ * Diets (vegan, gluten-free, ...) are read from the recipe's dietaryTags.
+ * recipes.json has no allergen tags, so nut-free and dairy-free are decided
+ * by scanning the recipe's name, description, ingredients and instructions
+ * for allergen terms; vegan recipes count as dairy-free.
+ */
+
+import type { Recipe } from '../types';
+
+// ============================================
+// Constraints
+// ============================================
+
+export const DIETARY_CONSTRAINTS = [
+  'vegan',
+  'vegetarian',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'keto-friendly',
+  'paleo',
+  'low-sodium',
+] as const;
+
+export type DietaryConstraint = typeof DIETARY_CONSTRAINTS[number];
+
+// Tree nuts and peanuts, shared by query detection and the recipe text scan
+const NUT_TERMS = 'almonds?|cashews?|walnuts?|pecans?|pistachios?|hazelnuts?|macadamias?|brazil nuts?|pine nuts?|peanuts?';
+
+// How each constraint is phrased in queries; a named nut counts as a nut
+// allergy ("allergic to cashews", "almond allergy", "peanut-free")
+const CONSTRAINT_PATTERNS: Record<DietaryConstraint, RegExp> = {
+  vegan: /\bvegan\b|\bplant[- ]based\b/,
+  vegetarian: /\bvegetarian\b|\bmeatless\b|\bno meat\b/,
+  'gluten-free': /\bgluten[- ]free\b|\b(?:no|without) gluten\b|\bc(?:o)?eliac\b|\bgluten (?:allerg|intoleran|sensitiv)/,
+  'dairy-free': /\bdairy[- ]free\b|\bnon[- ]dairy\b|\b(?:no|without) dairy\b|\blactose\b|\b(?:milk|dairy) allerg|\ballergic to (?:milk|dairy)/,
+  'nut-free': new RegExp(
+    `\\b(?:${NUT_TERMS}|nut)[- ]free\\b|\\b(?:no|without) (?:pea)?nuts\\b`
+    + `|\\b(?:tree[- ])?(?:${NUT_TERMS}|nut) allerg|\\ballergic to (?:tree )?(?:${NUT_TERMS}|nuts)\\b`
+  ),
+  'keto-friendly': /\bketo(?:genic)?\b/,
+  paleo: /\bpaleo\b/,
+  'low-sodium': /\blow[- ](?:sodium|salt)\b|\bsalt[- ]free\b|\bno salt\b/,
+};
+
+// Constraints a tag satisfies; vegan recipes are also vegetarian and dairy-free
+const TAG_IMPLIES: Record<string, DietaryConstraint[]> = {
+  vegan: ['vegan', 'vegetarian', 'dairy-free'],
+  vegetarian: ['vegetarian'],
+  'gluten-free': ['gluten-free'],
+  'dairy-free': ['dairy-free'],
+  'nut-free': ['nut-free'],
+  'keto-friendly': ['keto-friendly'],
+  keto: ['keto-friendly'],
+  paleo: ['paleo'],
+  'paleo-friendly': ['paleo'],
+  'low-sodium': ['low-sodium'],
+};
+
+// Allergen terms found by text scan. Plant milks, nut butters and the like
+// are excluded by the negative lookbehinds; "nutmeg", "coconut" and
+// "butternut" don't match the word-bounded nut terms.
+const ALLERGEN_PATTERNS: Partial<Record<DietaryConstraint, RegExp>> = {
+  'nut-free': new RegExp(`\\b(?:${NUT_TERMS}|nuts|nut butters?|nut milks?|praline|marzipan|nutella)\\b`),
+  'dairy-free': /(?<!(?:almond|oat|soy|coconut|rice|cashew|hemp|plant|nut|non-dairy|dairy-free)\s)\b(?:milk|cheese|yogh?urt|cream|heavy cream|sour cream|butter)\b(?!\s*(?:substitute|alternative))|\b(?:buttermilk|ghee|whey|kefir|casein|half-and-half|cream cheese|ricotta|mascarpone|parmesan|mozzarella|cheddar|feta)\b/,
+};
+
+// Non-dairy "butter", "cream" and "milk" that the lookbehind can't see
+const DAIRY_FALSE_POSITIVES = /\b(?:peanut|almond|cashew|sunflower|seed|nut|apple|pumpkin|cocoa|cacao|shea) butter\b|\bnice cream\b|\bcoconut (?:milk|cream)\b|\bcream of tartar\b/g;
+
+export function normalizeDietaryTag(tag: string): string {
+  return tag.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+export function isDietaryConstraint(value: string): value is DietaryConstraint {
+  return (DIETARY_CONSTRAINTS as readonly string[]).includes(value);
+}
+
+/**
+ * Dietary constraints stated in a query, in DIETARY_CONSTRAINTS order
+ */
+export function detectDietaryConstraints(query: string): DietaryConstraint[] {
+  const text = query.toLowerCase();
+  return DIETARY_CONSTRAINTS.filter((constraint) => CONSTRAINT_PATTERNS[constraint].test(text));
+}
+
+/**
+ * The query without its dietary phrases, for keyword search: "nut-free
+ * smoothies" should search smoothies, not recipes mentioning nuts
+ */
+export function stripDietaryPhrases(query: string): string {
+  const stripped = Object.values(CONSTRAINT_PATTERNS)
+    .reduce((text, pattern) => text.replace(new RegExp(pattern.source, 'g'), ' '), query.toLowerCase())
+    .replace(/\b(?:intolerant|intolerance|allergy|allergies|allergic|friendly)\b/g, ' ')
+    .replace(/[^\w\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return stripped || query;
+}
+
+/**
+ * All text that describes what goes into a recipe
+ */
+function recipeText(recipe: Recipe): string {
+  // A few recipes.json entries have a placeholder string instead of a list
+  const list = <T>(value: T[] | string | undefined): (T | string)[] => (
+    Array.isArray(value) ? value : [value || '']
+  );
+  const ingredients = list(recipe.ingredients)
+    .map((i) => (typeof i === 'string' ? i : `${i.item || ''} ${i.notes || ''}`));
+  return [
+    recipe.name,
+    recipe.description,
+    recipe.category,
+    recipe.subcategory,
+    ...ingredients,
+    ...list(recipe.instructions),
+  ]
+    .filter((part): part is string => typeof part === 'string')
+    .join(' \n ')
+    .toLowerCase();
+}
+
+/**
+ * Whether a recipe meets one constraint: by tag, or for allergens by tag or
+ * by a text scan that finds none of the allergen's terms
+ */
+export function meetsDietaryConstraint(recipe: Recipe, constraint: DietaryConstraint): boolean {
+  const tags = (recipe.dietaryTags || []).map(normalizeDietaryTag);
+  if (tags.some((tag) => TAG_IMPLIES[tag]?.includes(constraint))) return true;
+
+  const allergen = ALLERGEN_PATTERNS[constraint];
+  if (!allergen) return false;
+
+  let text = recipeText(recipe);
+  if (constraint === 'dairy-free') text = text.replace(DAIRY_FALSE_POSITIVES, ' ');
+  return !allergen.test(text);
+}
+
+export function meetsDietaryConstraints(recipe: Recipe, constraints: DietaryConstraint[]): boolean {
+  return constraints.every((constraint) => meetsDietaryConstraint(recipe, constraint));
+}
+
+/**
+ * Prompt section telling a model which constraints are hard filters
+ */
+export function describeDietaryConstraints(constraints: DietaryConstraint[]): string {
+  if (constraints.length === 0) return '';
+  return `## Dietary Constraints (HARD REQUIREMENTS)
+The user needs recipes that are: ${constraints.join(', ')}.
+- Every recipe listed in this context already meets these; recommend ONLY those recipes
+- NEVER recommend, name or link any other recipe, even a well-known one
+- Do not suggest ingredients, swaps or add-ins that would break these constraints`;
+}
@@ -0,0 +1,462 @@
+/**
+ * Semantic Search
+ *
+ * Hybrid retrieval for the RAG context: embeds the query, pulls the top-k
+ * recipes/products from the VECTORIZE index (populated by the embed-recipes
+ * worker) and fuses them with the keyword hits from buildRAGContext.
+ *
+ * When Workers AI or Vectorize are not reachable (wrangler dev, tests), an
+ * in-memory index over the bundled content is used instead. It embeds text
+ * with a deterministic hashed bag-of-words, so results are lexical rather
+ * than truly semantic, but the retrieval path is exercised end to end.
+ */
+
+import type { Env, Product, Recipe } from '../types';
+import {
+  buildRAGContext,
+  getAllProducts,
+  getAllRecipes,
+  type RAGContext,
+} from './content-service';
+import { meetsDietaryConstraints, type DietaryConstraint } from './dietary-filters';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Must match the model used by the embed-recipes worker
+const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
+
+const LOCAL_EMBEDDING_DIMENSIONS = 256;
+
+// Number of vector matches to pull before fusion
+const SEMANTIC_TOP_K = 20;
+
+// Matches below these cosine scores are treated as noise
+const MIN_VECTORIZE_SCORE = 0.6;
+const MIN_LOCAL_SCORE = 0.15;
+
+// Reciprocal Rank Fusion constant (standard value from the RRF paper)
+const RRF_K = 60;
+
+// Keyword hits come from exact matches, so they win ties
+const KEYWORD_WEIGHT = 1.0;
+const SEMANTIC_WEIGHT = 0.8;
+
+// ============================================
+// Types
+// ============================================
+
+/**
+ * Minimal subset of the VectorizeIndex binding used for retrieval.
+ * Implemented by the real binding and by InMemoryVectorIndex.
+ */
+export interface VectorQueryIndex {
+  query(vector: number[], options?: VectorizeQueryOptions): Promise<VectorizeMatches>;
+}
+
+export type Embedder = (texts: string[]) => Promise<number[][]>;
+
+export interface SemanticMatch {
+  kind: 'recipe' | 'product';
+  item: Recipe | Product;
+  score: number;
+}
+
+export interface HybridRAGOptions {
+  maxProducts?: number;
+  maxRecipes?: number;
+  topK?: number;
+  // Applied on top of those detected in the query
+  dietaryConstraints?: DietaryConstraint[];
+}
+
+// ============================================
+// Local Embedding (stand-in for Workers AI)
+// ============================================
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'something', 'that',
+  'the', 'this', 'to', 'want', 'what', 'with', 'you', 'your',
+]);
+
+// Lightweight concept expansion so the local index can bridge obvious
+// vocabulary gaps (e.g. "warm" queries should reach "hot soup" recipes)
+const CONCEPT_EXPANSIONS: Record<string, string[]> = {
+  warm: ['hot', 'soup'],
+  hot: ['warm', 'soup'],
+  creamy: ['cream', 'smooth', 'bisque'],
+  dairy: ['milk', 'cream', 'cheese', 'vegan'],
+  cold: ['frozen', 'chilled'],
+  frozen: ['cold', 'ice'],
+  sweet: ['dessert'],
+  healthy: ['nutritarian', 'fiber'],
+  breakfast: ['smoothie', 'bowl'],
+};
+
+function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .filter((w) => w.length > 1 && !STOP_WORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+function hashToken(token: string): number {
+  // FNV-1a 32-bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic hashed bag-of-words embedding, L2-normalized.
+ */
+export function localEmbed(text: string): number[] {
+  const vector = new Array<number>(LOCAL_EMBEDDING_DIMENSIONS).fill(0);
+  const tokens = tokenize(text);
+
+  const addToken = (token: string, weight: number) => {
+    const hash = hashToken(token);
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % LOCAL_EMBEDDING_DIMENSIONS] += sign * weight;
+  };
+
+  for (const token of tokens) {
+    addToken(token, 1);
+    for (const related of CONCEPT_EXPANSIONS[token] || []) {
+      addToken(related, 0.5);
+    }
+  }
+
+  const norm = Math.sqrt(vector.reduce((acc, v) => acc + v * v, 0));
+  return norm > 0 ? vector.map((v) => v / norm) : vector;
+}
+
+function cosineSimilarity(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// ============================================
+// In-Memory Vector Index (stand-in for Vectorize)
+// ============================================
+
+/**
+ * Brute-force cosine index with the same query/upsert surface as Vectorize.
+ * Metadata filters support equality on top-level keys only.
+ */
+export class InMemoryVectorIndex implements VectorQueryIndex {
+  private vectors = new Map<string, VectorizeVector>();
+
+  async upsert(vectors: VectorizeVector[]): Promise<void> {
+    for (const vector of vectors) {
+      this.vectors.set(vector.id, vector);
+    }
+  }
+
+  async query(vector: number[], options: VectorizeQueryOptions = {}): Promise<VectorizeMatches> {
+    const topK = options.topK ?? 5;
+    const filter = (options.filter || {}) as Record<string, unknown>;
+
+    const matches: VectorizeMatch[] = [];
+    for (const stored of this.vectors.values()) {
+      const metadata = (stored.metadata || {}) as Record<string, unknown>;
+      const passesFilter = Object.entries(filter).every(([key, value]) => metadata[key] === value);
+      if (!passesFilter) continue;
+
+      matches.push({
+        id: stored.id,
+        score: cosineSimilarity(vector, Array.from(stored.values)),
+        metadata: options.returnMetadata ? stored.metadata : undefined,
+      });
+    }
+
+    matches.sort((a, b) => b.score - a.score);
+    const top = matches.slice(0, topK);
+    return { matches: top, count: top.length };
+  }
+
+  get size(): number {
+    return this.vectors.size;
+  }
+}
+
+/**
+ * Searchable text for a recipe - mirrors createSearchableText in the
+ * embed-recipes worker so local and Vectorize results stay comparable
+ */
+function recipeSearchableText(recipe: Recipe): string {
+  const parts: string[] = [recipe.name];
+  if (recipe.description) parts.push(recipe.description);
+  if (recipe.category) parts.push(`Category: ${recipe.category}`);
+  if (recipe.subcategory) parts.push(`Type: ${recipe.subcategory}`);
+  // A few crawled recipes have a placeholder string instead of an ingredient list
+  if (Array.isArray(recipe.ingredients) && recipe.ingredients.length) {
+    parts.push(`Ingredients: ${recipe.ingredients.map((i) => i.item).filter(Boolean).join(', ')}`);
+  }
+  if (recipe.dietaryTags?.length) parts.push(`Dietary: ${recipe.dietaryTags.join(', ')}`);
+  return parts.join('. ');
+}
+
+function productSearchableText(product: Product): string {
+  const parts: string[] = [product.name, product.series];
+  if (product.tagline) parts.push(product.tagline);
+  if (product.description) parts.push(product.description);
+  if (product.features?.length) parts.push(`Features: ${product.features.join(', ')}`);
+  if (product.bestFor?.length) parts.push(`Best for: ${product.bestFor.join(', ')}`);
+  return parts.join('. ');
+}
+
+let localIndex: InMemoryVectorIndex | null = null;
+
+/**
+ * Get the in-memory index over bundled recipes and products (built lazily
+ * once per isolate)
+ */
+export function getLocalVectorIndex(): InMemoryVectorIndex {
+  if (localIndex) return localIndex;
+
+  const index = new InMemoryVectorIndex();
+  const vectors: VectorizeVector[] = [
+    ...getAllRecipes().map((recipe, i) => ({
+      id: `recipe-${recipe.id || i}`,
+      values: localEmbed(recipeSearchableText(recipe)),
+      metadata: {
+        content_type: 'recipe',
+        page_title: recipe.name,
+        source_url: recipe.url || '',
+      },
+    })),
+    ...getAllProducts().map((product) => ({
+      id: `product-${product.id}`,
+      values: localEmbed(productSearchableText(product)),
+      metadata: {
+        content_type: 'product',
+        page_title: product.name,
+        source_url: product.url,
+      },
+    })),
+  ];
+  // upsert on the in-memory index resolves synchronously
+  void index.upsert(vectors);
+
+  localIndex = index;
+  return index;
+}
+
+// ============================================
+// Backend Selection
+// ============================================
+
+function createWorkersAIEmbedder(ai: Ai): Embedder {
+  return async (texts: string[]) => {
+    const result = (await ai.run(EMBEDDING_MODEL, { text: texts })) as { data: number[][] };
+    return result.data;
+  };
+}
+
+const localEmbedder: Embedder = async (texts: string[]) => texts.map(localEmbed);
+
+// ============================================
+// Match Resolution
+// ============================================
+
+let recipesByTitle: Map<string, Recipe> | null = null;
+let recipesByUrl: Map<string, Recipe> | null = null;
+
+function resolveRecipe(match: VectorizeMatch): Recipe | undefined {
+  if (!recipesByTitle || !recipesByUrl) {
+    recipesByTitle = new Map();
+    recipesByUrl = new Map();
+    for (const recipe of getAllRecipes()) {
+      recipesByTitle.set(recipe.name.toLowerCase(), recipe);
+      if (recipe.url) recipesByUrl.set(recipe.url, recipe);
+    }
+  }
+
+  const metadata = (match.metadata || {}) as Record<string, string>;
+  // Recipe ids are often empty in the crawl, so the title is the reliable key
+  return (
+    (metadata.page_title && recipesByTitle.get(metadata.page_title.toLowerCase())) ||
+    (metadata.source_url && recipesByUrl.get(metadata.source_url)) ||
+    undefined
+  );
+}
+
+function resolveProduct(match: VectorizeMatch): Product | undefined {
+  const metadata = (match.metadata || {}) as Record<string, string>;
+  const productId = match.id.replace(/^product-/, '');
+  return getAllProducts().find(
+    (p) => p.id === productId || (!!metadata.page_title && p.name === metadata.page_title)
+  );
+}
+
+function resolveMatches(matches: VectorizeMatch[], minScore: number): SemanticMatch[] {
+  const resolved: SemanticMatch[] = [];
+
+  for (const match of matches) {
+    if (match.score < minScore) continue;
+
+    const metadata = (match.metadata || {}) as Record<string, string>;
+    const contentType = metadata.content_type || (match.id.startsWith('product-') ? 'product' : 'recipe');
+
+    if (contentType === 'product') {
+      const product = resolveProduct(match);
+      if (product) resolved.push({ kind: 'product', item: product, score: match.score });
+    } else if (contentType === 'recipe') {
+      const recipe = resolveRecipe(match);
+      if (recipe) resolved.push({ kind: 'recipe', item: recipe, score: match.score });
+    }
+  }
+
+  return resolved;
+}
+
+// ============================================
+// Semantic Retrieval
+// ============================================
+
+/**
+ * Query a vector index with an embedder and resolve matches to content
+ */
+export async function semanticSearch(
+  query: string,
+  index: VectorQueryIndex,
+  embed: Embedder,
+  topK = SEMANTIC_TOP_K,
+  minScore = MIN_LOCAL_SCORE
+): Promise<SemanticMatch[]> {
+  const [vector] = await embed([query]);
+  if (!vector?.length) return [];
+
+  const results = await index.query(vector, { topK, returnMetadata: 'all' });
+  return resolveMatches(results.matches, minScore);
+}
+
+/**
+ * Run semantic search against Vectorize, falling back to the local index
+ * when the bindings are missing or unreachable
+ */
+export async function semanticSearchWithEnv(
+  query: string,
+  env: Env,
+  topK = SEMANTIC_TOP_K
+): Promise<{ matches: SemanticMatch[]; backend: 'vectorize' | 'local' }> {
+  if (env.AI && env.VECTORIZE) {
+    try {
+      const matches = await semanticSearch(
+        query,
+        env.VECTORIZE,
+        createWorkersAIEmbedder(env.AI),
+        topK,
+        MIN_VECTORIZE_SCORE
+      );
+      return { matches, backend: 'vectorize' };
+    } catch (error) {
+      console.warn('[SemanticSearch] Vectorize unavailable, using local index:', error instanceof Error ? error.message : error);
+    }
+  }
+
+  const matches = await semanticSearch(query, getLocalVectorIndex(), localEmbedder, topK, MIN_LOCAL_SCORE);
+  return { matches, backend: 'local' };
+}
+
+// ============================================
+// Fusion & Re-ranking
+// ============================================
+
+/**
+ * Merge keyword and semantic rankings with weighted Reciprocal Rank Fusion.
+ * Items found by both retrievers rise to the top.
+ */
+export function fuseRankings<T>(
+  keywordResults: T[],
+  semanticResults: T[],
+  getKey: (item: T) => string,
+  limit: number
+): T[] {
+  const scores = new Map<string, { item: T; score: number }>();
+
+  const addRanking = (items: T[], weight: number) => {
+    items.forEach((item, rank) => {
+      const key = getKey(item);
+      const entry = scores.get(key) || { item, score: 0 };
+      entry.score += weight / (RRF_K + rank + 1);
+      scores.set(key, entry);
+    });
+  };
+
+  addRanking(keywordResults, KEYWORD_WEIGHT);
+  addRanking(semanticResults, SEMANTIC_WEIGHT);
+
+  return [...scores.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((entry) => entry.item);
+}
+
+/**
+ * Build the RAG context using keyword and vector retrieval together
+ */
+export async function buildHybridRAGContext(
+  query: string,
+  intent: string | undefined,
+  env: Env,
+  options: HybridRAGOptions = {}
+): Promise<RAGContext> {
+  const maxProducts = options.maxProducts ?? 5;
+  const maxRecipes = options.maxRecipes ?? 6;
+
+  // Pull a wider keyword pool so fusion has room to re-rank
+  const keywordContext = buildRAGContext(
+    query,
+    intent,
+    maxProducts * 2,
+    maxRecipes * 2,
+    options.dietaryConstraints
+  );
+
+  let semantic: Awaited<ReturnType<typeof semanticSearchWithEnv>>;
+  try {
+    semantic = await semanticSearchWithEnv(query, env, options.topK ?? SEMANTIC_TOP_K);
+  } catch (error) {
+    console.error('[SemanticSearch] Error, using keyword results only:', error instanceof Error ? error.message : error);
+    return {
+      ...keywordContext,
+      relevantProducts: keywordContext.relevantProducts.slice(0, maxProducts),
+      relevantRecipes: keywordContext.relevantRecipes.slice(0, maxRecipes),
+    };
+  }
+
+  // Vector matches ignore dietary constraints, so they get the same hard filter
+  const semanticRecipes = semantic.matches
+    .filter((m) => m.kind === 'recipe')
+    .map((m) => m.item as Recipe)
+    .filter((r) => meetsDietaryConstraints(r, keywordContext.dietaryConstraints));
+  const semanticProducts = semantic.matches
+    .filter((m) => m.kind === 'product')
+    .map((m) => m.item as Product);
+
+  console.log(`[SemanticSearch] ${semantic.backend}: ${semanticRecipes.length} recipes, ${semanticProducts.length} products`);
+
+  return {
+    ...keywordContext,
+    relevantProducts: fuseRankings(keywordContext.relevantProducts, semanticProducts, (p) => p.id, maxProducts),
+    relevantRecipes: fuseRankings(keywordContext.relevantRecipes, semanticRecipes, (r) => r.name, maxRecipes),
+  };
+}
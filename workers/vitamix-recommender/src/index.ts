@@ -5,14 +5,64 @@
  * AI-driven Vitamix Blender Recommender.
  *
  * Endpoints:
- * - GET /generate?query=...&slug=...&ctx=... - Stream page generation via SSE
+ * - GET /generate?query=...&slug=...&session=...&sessionKey=... - Stream page
+ *   generation via SSE (session history is loaded from the SESSIONS KV
+ *   namespace when the key matches the session's; `nocache=1` skips the
+ *   response cache; `preset=...` picks a model preset and
+ *   `model.<role>=[provider:]model` overrides a single role)
+ * - POST /api/persist - Queue a job that saves a generated page to DA and
+ *   publishes it (external images are copied into IMAGE_BUCKET first); the
+ *   same page always maps to the same job, run by a PERSIST_JOBS Durable Object
+ * - GET /api/persist/:jobId - Persist job status, step by step
+ * - DELETE /api/session/:id - Erase the server-side session memory and the
+ *   response cache entries it used (consent withdrawal, data-subject requests);
+ *   needs the session key in `Authorization: Bearer <key>`
+ * - GET /images/<key> - Serve an image stored for a persisted page
+ * - POST /api/ingredient-match - Recipes ranked by coverage of { ingredients }
+ * - GET|PUT|DELETE /api/collections - Synced recipe collections for the
+ *   anonymous account token in `Authorization: Bearer <token>`; PUT merges
+ *   the device's { collections } and returns the merged document
  * - GET /health - Health check
  */
 
-import type { Env, SessionContext, SSEEvent, IntentClassification } from './types';
+import type { Env, SSEEvent, IntentClassification, ResolvedPreset } from './types';
 import { orchestrate } from './lib/orchestrator';
-import { persistAndPublish, buildPageHtml, unescapeHtml } from './lib/da-client';
+import { buildPageHtml, unescapeHtml } from './lib/da-client';
+import {
+  enqueuePersistJob,
+  getPersistJob,
+  PersistJobError,
+  type PersistJobView,
+} from './lib/persist-jobs';
+import { IMAGE_ROUTE_PREFIX, getImageBaseUrl, serveImage } from './lib/image-store';
+import { findIngredientMatches } from './lib/ingredient-match';
+import {
+  getCollections,
+  syncCollections,
+  deleteCollections,
+  parseCollectionsDocument,
+  getRequestToken,
+  isValidToken,
+  CollectionsError,
+  MAX_BODY_BYTES,
+} from './lib/collections-store';
+import { factCheckBlock, summarizeFactCheckIssues } from './lib/fact-checker';
 import { classifyCategory, generateSemanticSlug, buildCategorizedPath } from './lib/category-classifier';
+import {
+  isValidSessionId,
+  loadSessionContext,
+  appendSessionTurn,
+  deleteSession,
+  SessionError,
+} from './lib/session-store';
+import { reportUsage } from './lib/usage-tracker';
+import {
+  loadPresetRegistry,
+  parseModelOverrides,
+  resolvePreset,
+  getPresetNames,
+  ModelOverrideError,
+} from './ai-clients/preset-registry';
 
 // ============================================
 // CORS Headers
@@ -20,8 +70,8 @@ import { classifyCategory, generateSemanticSlug, buildCategorizedPath } from './
 
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
 };
 
 // ============================================
@@ -66,8 +116,11 @@ async function handleGenerate(request: Request, env: Env): Promise<Response> {
   const url = new URL(request.url);
   const query = url.searchParams.get('query');
   const slug = url.searchParams.get('slug');
-  const ctxParam = url.searchParams.get('ctx');
-  const preset = url.searchParams.get('preset') || undefined; // Optional preset override (e.g., 'all-cerebras')
+  const sessionParam = url.searchParams.get('session');
+  const sessionId = isValidSessionId(sessionParam) ? sessionParam : undefined;
+  const sessionKey = url.searchParams.get('sessionKey') || undefined;
+  const presetParam = url.searchParams.get('preset') || undefined; // Optional preset override (e.g., 'all-cerebras')
+  const bypassCache = url.searchParams.get('nocache') === '1'; // Force a fresh generation
 
   if (!query) {
     return new Response(JSON.stringify({ error: 'Missing query parameter' }), {
@@ -76,16 +129,21 @@ async function handleGenerate(request: Request, env: Env): Promise<Response> {
     });
   }
 
-  // Parse session context if provided
-  let sessionContext: SessionContext | undefined;
-  if (ctxParam) {
-    try {
-      sessionContext = JSON.parse(ctxParam);
-    } catch (e) {
-      console.error('Failed to parse session context:', e);
-    }
+  await loadPresetRegistry(env);
+  let preset: ResolvedPreset;
+  try {
+    preset = resolvePreset(presetParam || env.MODEL_PRESET, parseModelOverrides(url.searchParams));
+  } catch (error) {
+    if (!(error instanceof ModelOverrideError)) throw error;
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
   }
 
+  // Conversation history only ever comes from the server-side session
+  const sessionContext = sessionId ? await loadSessionContext(env, sessionId, sessionKey) : undefined;
+
   // Create SSE stream
   const { readable, write, close } = createSSEStream();
 
@@ -96,8 +154,15 @@ async function handleGenerate(request: Request, env: Env): Promise<Response> {
     env,
     write,
     sessionContext,
-    preset
+    preset,
+    { bypassCache }
   )
+    .then(async (result) => {
+      if (sessionId) {
+        await appendSessionTurn(env, sessionId, sessionKey, result.sessionTurn);
+      }
+      await reportUsage(env, result.usageReport);
+    })
     .catch((error) => {
       console.error('Orchestration error:', error);
       write({
@@ -125,6 +190,7 @@ function handleHealth(): Response {
     JSON.stringify({
       status: 'ok',
       service: 'vitamix-recommender',
+      presets: getPresetNames(),
       timestamp: new Date().toISOString(),
     }),
     {
@@ -145,6 +211,9 @@ interface PersistRequest {
 
 /**
  * Handle page persistence to DA
+ *
+ * Queues (or finds) the persist job for this page; its Durable Object runs
+ * it and clients poll handlePersistStatus for the outcome.
  */
 async function handlePersist(request: Request, env: Env): Promise<Response> {
   try {
@@ -187,39 +256,199 @@ async function handlePersist(request: Request, env: Env): Promise<Response> {
     // Build page description from query
     const pageDescription = `Personalized Vitamix content for: ${query}`;
 
-    // Build the HTML page
-    const html = buildPageHtml(pageTitle, pageDescription, blocks);
-
-    // Persist and publish
-    console.log(`[Persist] Saving page to ${path}`);
-    const result = await persistAndPublish(path, html, env);
+    // Re-run the fact check so the published page never carries a wrong
+    // price, whatever the client sends; unresolved claims go in metadata
+    const checkedBlocks = blocks.map((block) => {
+      const blockType = block.html.match(/^\s*<div[^>]*class="([^"\s]+)/)?.[1] || '';
+      const { html: checkedHtml, issues } = factCheckBlock(blockType, block.html);
+      return { ...block, html: checkedHtml, issues };
+    });
+    const factCheckIssues = checkedBlocks.flatMap((block) => block.issues);
+    const flagged = factCheckIssues.filter((issue) => issue.action === 'flagged');
 
-    if (!result.success) {
-      console.error(`[Persist] Failed: ${result.error}`);
-      return new Response(
-        JSON.stringify({ success: false, error: result.error }),
-        { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
-      );
+    const pageMetadata: Record<string, string> = {
+      'fact-check': flagged.length > 0 ? 'flagged' : 'passed',
+    };
+    if (factCheckIssues.length > 0) {
+      pageMetadata['fact-check-issues'] = summarizeFactCheckIssues(factCheckIssues);
     }
 
-    console.log(`[Persist] Success: ${result.urls?.live}`);
+    // Build the HTML page
+    const html = buildPageHtml(pageTitle, pageDescription, checkedBlocks, pageMetadata);
+
+    // Queue the persist job; the same page maps to the same job, which runs
+    // in its Durable Object rather than in this request
+    const job = await enqueuePersistJob(env, path, html, {
+      imageBaseUrl: getImageBaseUrl(env, request.url),
+      details: { factCheck: { status: pageMetadata['fact-check'], issues: factCheckIssues } },
+    });
+    console.log(`[Persist] Job ${job.jobId} for ${job.path} is ${job.status}`);
+
     return new Response(
       JSON.stringify({
         success: true,
-        path,
-        urls: result.urls,
+        ...persistStatusBody(job, request),
       }),
-      { headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      {
+        status: job.status === 'succeeded' ? 200 : 202,
+        headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+      },
     );
   } catch (error) {
     console.error('[Persist] Error:', error);
     return new Response(
       JSON.stringify({ success: false, error: (error as Error).message }),
+      {
+        status: error instanceof PersistJobError ? 503 : 500,
+        headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+      },
+    );
+  }
+}
+
+/**
+ * Status fields shared by the persist and status responses
+ */
+function persistStatusBody(job: PersistJobView, request: Request): Record<string, unknown> {
+  const { details, ...status } = job;
+  return {
+    ...status,
+    factCheck: details?.factCheck,
+    statusUrl: `${new URL(request.url).origin}/api/persist/${job.jobId}`,
+  };
+}
+
+/**
+ * Handle GET /api/persist/:jobId
+ *
+ * The job's Durable Object also reschedules a run that stalled.
+ */
+async function handlePersistStatus(request: Request, env: Env, jobId: string): Promise<Response> {
+  try {
+    const job = await getPersistJob(env, jobId);
+    if (!job) {
+      return new Response(
+        JSON.stringify({ success: false, error: 'Persist job not found' }),
+        { status: 404, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ success: job.status !== 'failed', ...persistStatusBody(job, request) }),
+      { headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS } },
+    );
+  } catch (error) {
+    console.error('[Persist] Status error:', error);
+    return new Response(
+      JSON.stringify({ success: false, error: (error as Error).message }),
+      {
+        status: error instanceof PersistJobError ? 503 : 500,
+        headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+      },
+    );
+  }
+}
+
+interface IngredientMatchRequest {
+  ingredients?: string | string[];
+  preset?: string;
+}
+
+/**
+ * Handle recipe matching for the ingredient-search block
+ */
+async function handleIngredientMatch(request: Request, env: Env): Promise<Response> {
+  try {
+    const { ingredients, preset }: IngredientMatchRequest = await request.json();
+
+    if (!ingredients || (Array.isArray(ingredients) && ingredients.length === 0)) {
+      return new Response(
+        JSON.stringify({ error: 'Missing ingredients' }),
+        { status: 400, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
+      );
+    }
+
+    await loadPresetRegistry(env);
+    const result = await findIngredientMatches(ingredients, env, resolvePreset(preset || env.MODEL_PRESET));
+
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json', ...CORS_HEADERS },
+    });
+  } catch (error) {
+    console.error('[IngredientMatch] Error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
       { status: 500, headers: { 'Content-Type': 'application/json', ...CORS_HEADERS } },
     );
   }
 }
 
+/**
+ * Handle DELETE /api/session/:id. The session id travels in URLs, so the
+ * caller must also hold the session key it was created with.
+ */
+async function handleSessionDelete(request: Request, env: Env, sessionId: string): Promise<Response> {
+  const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS };
+
+  if (!isValidSessionId(sessionId)) {
+    return new Response(JSON.stringify({ error: 'Invalid session id' }), { status: 400, headers });
+  }
+
+  try {
+    const deleted = await deleteSession(env, sessionId, getRequestToken(request) || undefined);
+    return new Response(JSON.stringify({ success: true, sessionId, deleted }), { headers });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return new Response(JSON.stringify({ error: error.message }), { status: error.status, headers });
+    }
+    console.error('[SessionStore] Delete failed:', error);
+    return new Response(JSON.stringify({ error: 'Failed to delete session' }), { status: 500, headers });
+  }
+}
+
+/**
+ * Handle GET, PUT and DELETE /api/collections
+ */
+async function handleCollections(request: Request, env: Env): Promise<Response> {
+  const headers = { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...CORS_HEADERS };
+
+  try {
+    const token = getRequestToken(request);
+    if (!isValidToken(token)) {
+      throw new CollectionsError('Missing or invalid sync token', 401);
+    }
+
+    if (request.method === 'DELETE') {
+      await deleteCollections(env, token);
+      return new Response(JSON.stringify({ success: true }), { headers });
+    }
+
+    if (request.method === 'PUT') {
+      const body = await request.text();
+      if (body.length > MAX_BODY_BYTES) {
+        throw new CollectionsError('Collections document too large', 413);
+      }
+      let parsed: unknown;
+      try {
+        parsed = JSON.parse(body);
+      } catch {
+        throw new CollectionsError('Invalid JSON');
+      }
+      const merged = await syncCollections(env, token, parseCollectionsDocument(parsed));
+      return new Response(JSON.stringify(merged), { headers });
+    }
+
+    return new Response(JSON.stringify(await getCollections(env, token)), { headers });
+  } catch (error) {
+    const status = error instanceof CollectionsError ? error.status : 500;
+    if (status === 500) console.error('[Collections] Error:', error);
+    return new Response(
+      JSON.stringify({ error: (error as Error).message }),
+      { status, headers },
+    );
+  }
+}
+
 function handleOptions(): Response {
   return new Response(null, {
     status: 204,
@@ -257,8 +486,11 @@ function generateSlug(query: string): string {
 // Main Handler
 // ============================================
 
+// Durable Object class for the PERSIST_JOBS binding
+export { PersistJobObject } from './lib/persist-jobs';
+
 export default {
-  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+  async fetch(request: Request, env: Env): Promise<Response> {
     const url = new URL(request.url);
     const path = url.pathname;
 
@@ -276,9 +508,28 @@ export default {
           return handlePersist(request, env);
         }
         return new Response('Method not allowed', { status: 405 });
+      case '/api/ingredient-match':
+        if (request.method === 'POST') {
+          return handleIngredientMatch(request, env);
+        }
+        return new Response('Method not allowed', { status: 405 });
+      case '/api/collections':
+        if (['GET', 'PUT', 'DELETE'].includes(request.method)) {
+          return handleCollections(request, env);
+        }
+        return new Response('Method not allowed', { status: 405 });
       case '/health':
         return handleHealth();
       default:
+        if (path.startsWith('/api/persist/') && request.method === 'GET') {
+          return handlePersistStatus(request, env, path.slice('/api/persist/'.length));
+        }
+        if (path.startsWith('/api/session/') && request.method === 'DELETE') {
+          return handleSessionDelete(request, env, decodeURIComponent(path.slice('/api/session/'.length)));
+        }
+        if (path.startsWith(IMAGE_ROUTE_PREFIX) && request.method === 'GET') {
+          return serveImage(path.slice(IMAGE_ROUTE_PREFIX.length), env, CORS_HEADERS);
+        }
         return new Response('Not Found', { status: 404 });
     }
   },
@@ -0,0 +1,89 @@
+/**
+ * Async Utilities - Concurrency limiting and timeouts for model calls
+ */
+
+export class TimeoutError extends Error {
+  constructor(label: string, timeoutMs: number) {
+    super(`${label} timed out after ${timeoutMs}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Reject with a TimeoutError if the promise doesn't settle in time.
+ * Pass the controller whose signal the work listens to (e.g. a fetch) so
+ * the timeout cancels it; without one the work runs on and is ignored.
+ */
+export function withTimeout<T>(
+  promise: Promise<T>,
+  timeoutMs: number,
+  label = 'Operation',
+  controller?: AbortController
+): Promise<T> {
+  if (!(timeoutMs > 0)) return promise;
+
+  let timer: ReturnType<typeof setTimeout>;
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new TimeoutError(label, timeoutMs);
+      controller?.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a task for every item with at most `concurrency` tasks in flight.
+ * Returns one promise per item (in input order) so callers can consume
+ * results in order while later items are still running.
+ */
+export function mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  task: (item: T, index: number) => Promise<R>
+): Promise<R>[] {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  let active = 0;
+  const waiting: (() => void)[] = [];
+
+  const acquire = async (): Promise<void> => {
+    if (active < limit) {
+      active++;
+      return;
+    }
+    await new Promise<void>((resolve) => waiting.push(resolve));
+  };
+
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiter
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  return items.map(async (item, index) => {
+    await acquire();
+    try {
+      return await task(item, index);
+    } finally {
+      release();
+    }
+  });
+}
+
+export function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * min(maxMs, baseMs * 2^attempt), so concurrent retries don't line up
+ */
+export function jitteredBackoff(attempt: number, baseMs = 250, maxMs = 4000): number {
+  return Math.floor(Math.random() * Math.min(maxMs, baseMs * 2 ** attempt));
+}
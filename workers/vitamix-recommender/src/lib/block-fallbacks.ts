@@ -0,0 +1,143 @@
+/**
+ * Block Fallbacks - Deterministic HTML for blocks the model failed to produce
+ *
+ * Used as the last repair step when a block still fails schema validation
+ * after a re-prompt. Each template is built only from content data (products,
+ * FAQs) and fixed copy, so it always satisfies the block's schema.
+ */
+
+import type { Product } from '../types';
+import { getFAQsForQuery, type RAGContext } from '../content/content-service';
+import { escapeHtml } from './da-client';
+
+type FallbackBuilder = (ragContext: RAGContext, query: string) => string[] | null;
+
+// ============================================
+// Helpers
+// ============================================
+
+function row(...cells: string[]): string {
+  return `<div>\n${cells.map((cell) => `  <div>${cell}</div>`).join('\n')}\n</div>`;
+}
+
+function list(items: string[], ordered = false): string {
+  const tag = ordered ? 'ol' : 'ul';
+  return `<${tag}>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`;
+}
+
+function productLink(product: Product): string {
+  return `<a href="${escapeHtml(product.url)}" target="_blank">${escapeHtml(product.name)}</a>`;
+}
+
+function priceTier(price: number): string {
+  if (price < 350) return 'Under $350';
+  if (price <= 500) return '$350-$500';
+  return 'Over $500';
+}
+
+// ============================================
+// Templates
+// ============================================
+
+const FALLBACK_BUILDERS: Record<string, FallbackBuilder> = {
+  'support-triage': () => [
+    row('Product Support'),
+    row("I'm sorry you're running into trouble. Let's get this sorted out."),
+    row('Most issues are covered by your Vitamix warranty. Our support team can walk you through troubleshooting or start a repair or replacement.'),
+    row('<a href="https://www.vitamix.com/support/warranty">Start Warranty Claim</a>'),
+    row('<a href="https://www.vitamix.com/contact">Contact Support</a>'),
+  ],
+
+  'budget-breakdown': ({ relevantProducts }) => {
+    if (!relevantProducts.length) return null;
+
+    const tiers = new Map<string, Product[]>();
+    [...relevantProducts]
+      .sort((a, b) => a.price - b.price)
+      .forEach((product) => {
+        const tier = priceTier(product.price);
+        tiers.set(tier, [...(tiers.get(tier) || []), product]);
+      });
+
+    return [
+      row('Your Options by Budget'),
+      ...[...tiers.entries()].map(([tier, products]) => row(
+        escapeHtml(tier),
+        `<ul>${products.map((p) => `<li>${productLink(p)}: $${p.price}</li>`).join('')}</ul>`
+      )),
+    ];
+  },
+
+  'allergen-safety': () => [
+    row('Allergen Safety Guide'),
+    row(list([
+      'Remove the blade assembly from the container',
+      'Wash with hot, soapy water',
+      'Rinse thoroughly',
+      'Sanitize and let air dry completely',
+    ], true)),
+    row(`<p>Dedicated container strategy:</p>${list([
+      'Container 1: Allergen-free only',
+      'Container 2: Contains allergens',
+      'Label containers clearly',
+    ])}`),
+    row(list([
+      'Vitamix containers are BPA-free',
+      'Inspect gaskets for wear regularly',
+    ])),
+  ],
+
+  'sustainability-info': () => [
+    row('Environmental Responsibility'),
+    row('Vitamix blenders are designed in Cleveland, Ohio and built for repairability with replaceable parts.'),
+    row('Containers are BPA-free, and packaging is designed to be recyclable.'),
+    row('Built to last for years with proper care, reducing how often you need a replacement.'),
+  ],
+
+  'engineering-specs': ({ relevantProducts }) => {
+    const product = relevantProducts.find((p) => p.specs);
+    if (!product?.specs) return null;
+
+    const { specs } = product;
+    const specRows: Array<[string, string | number | undefined]> = [
+      ['Motor Power', specs.motorHP],
+      ['Wattage', specs.watts ? `${specs.watts} W` : undefined],
+      ['Container Capacity', specs.capacity],
+      ['Programs', specs.programs],
+      ['Container Material', specs.containerMaterial],
+      ['Blade Type', specs.bladeType],
+      ['Dimensions', specs.dimensions],
+      ['Weight', specs.weight],
+      ['Warranty', product.warranty],
+    ];
+
+    return [
+      row(`Technical Specifications - ${escapeHtml(product.name)}`),
+      ...specRows
+        .filter(([, value]) => value !== undefined && value !== '')
+        .map(([label, value]) => row(escapeHtml(label), escapeHtml(String(value)), '')),
+    ];
+  },
+
+  faq: (_, query) => {
+    const faqs = getFAQsForQuery(query).slice(0, 5);
+    if (!faqs.length) return null;
+
+    return faqs.map((faq) => row(escapeHtml(faq.question), escapeHtml(faq.answer)));
+  },
+};
+
+/**
+ * Build fallback HTML for a block, or null when the block has no template
+ * or there isn't enough content data to fill one
+ */
+export function buildTemplateFallback(
+  blockType: string,
+  ragContext: RAGContext,
+  query = ''
+): string | null {
+  const rows = FALLBACK_BUILDERS[blockType]?.(ragContext, query);
+  if (!rows?.length) return null;
+
+  return `<div class="${blockType}">\n${rows.join('\n')}\n</div>`;
+}
@@ -0,0 +1,292 @@
+/**
+ * Block Validator - Structural checks for generated block HTML
+ *
+ * Each block decorator expects a specific row/cell layout (e.g. support-triage
+ * bails out with "Expected at least 5 rows"). These schemas mirror those
+ * expectations so malformed output can be caught before it is streamed and
+ * handed to the repair step in the orchestrator.
+ *
+ * Workers have no DOM, so a small tag parser builds just enough of a tree to
+ * count rows and cells and look up required elements.
+ *
+ * Inline event handlers (on*) and script-capable URLs (javascript:, vbscript:,
+ * data: other than raster images) are validation errors too, so a block that
+ * is structurally fine but unsafe still goes through sanitizeBlockHTML.
+ */
+
+// ============================================
+// Types
+// ============================================
+
+export interface BlockSchema {
+  // Direct children of the block element
+  minRows?: number;
+  // Rows from this index on are data rows (row 0 is usually a title)
+  dataRowsFrom?: number;
+  // Minimum cells (direct children) per data row
+  minCellsPerDataRow?: number;
+  // Elements that must appear somewhere in the block: tag names or .class selectors
+  requiredElements?: string[];
+  // Required elements per row index (e.g. CTA links)
+  requiredInRow?: Record<number, string[]>;
+}
+
+export interface ValidationResult {
+  valid: boolean;
+  errors: string[];
+}
+
+interface HtmlNode {
+  tag: string;
+  classes: string[];
+  children: HtmlNode[];
+}
+
+// ============================================
+// Schemas
+// ============================================
+
+export const BLOCK_SCHEMAS: Record<string, BlockSchema> = {
+  hero: { minRows: 1, requiredElements: ['h1'] },
+  'product-hero': { minRows: 1, requiredElements: ['h1'] },
+  'product-cards': { requiredElements: ['.product-card'] },
+  'recipe-cards': { requiredElements: ['.recipe-card'] },
+  'product-recommendation': { requiredElements: ['h2'] },
+  'best-pick': { requiredElements: ['.best-pick-headline'] },
+  'comparison-table': { minRows: 2, dataRowsFrom: 0, minCellsPerDataRow: 2 },
+  faq: { minRows: 1, dataRowsFrom: 0, minCellsPerDataRow: 2 },
+  testimonials: { minRows: 2 },
+  'quick-answer': { minRows: 2 },
+  'support-triage': { minRows: 5, requiredInRow: { 3: ['a'], 4: ['a'] } },
+  'budget-breakdown': { minRows: 2, dataRowsFrom: 1, minCellsPerDataRow: 2 },
+  'accessibility-specs': { minRows: 2, dataRowsFrom: 1, minCellsPerDataRow: 4 },
+  'empathy-hero': { minRows: 3 },
+  'sustainability-info': { minRows: 4 },
+  'smart-features': { minRows: 4 },
+  'engineering-specs': { minRows: 3, dataRowsFrom: 1, minCellsPerDataRow: 2 },
+  'noise-context': { minRows: 2, dataRowsFrom: 1, minCellsPerDataRow: 2 },
+  'allergen-safety': { minRows: 3 },
+};
+
+const ALLOWED_TAGS = new Set([
+  'div', 'p', 'span', 'a', 'strong', 'em', 'b', 'i', 'u', 'br', 'hr', 'small',
+  'sup', 'sub', 'code', 'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4',
+  'h5', 'h6', 'header', 'section', 'picture', 'source', 'img', 'figure',
+  'figcaption', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  'svg', 'path', 'polyline', 'polygon', 'circle', 'line', 'rect', 'g',
+]);
+
+// Removed together with their content
+const STRIPPED_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template'];
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'source', 'input', 'meta', 'link', 'area', 'base', 'col', 'wbr']);
+
+// Attributes whose value is loaded or navigated to
+const URL_ATTRIBUTES = new Set(['href', 'src', 'srcset', 'xlink:href', 'action', 'formaction', 'poster', 'background']);
+
+// Browsers ignore whitespace and control characters inside a URL scheme
+const UNSAFE_URL_PATTERN = /^(javascript|vbscript|data(?!:image\/(png|jpe?g|gif|webp|avif)[;,])):/i;
+
+// ============================================
+// Parsing
+// ============================================
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b([^>]*?)(\/?)>/g;
+
+const ATTRIBUTE_PATTERN = /([^\s"'=<>`/]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+
+interface HtmlAttribute {
+  name: string;
+  value: string;
+  // The attribute as written
+  source: string;
+}
+
+function parseAttributes(attrs: string): HtmlAttribute[] {
+  return [...attrs.matchAll(ATTRIBUTE_PATTERN)].map(([source, name, rawValue = '']) => ({
+    name: name.toLowerCase(),
+    value: rawValue.replace(/^(["'])([\s\S]*)\1$/, '$2'),
+    source,
+  }));
+}
+
+/**
+ * Decode the character references browsers decode before reading a URL
+ * scheme, and drop the whitespace and control characters they skip
+ */
+function normalizeUrl(value: string): string {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex: string) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec: string) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '')
+    .replace(/[\u0000-\u0020\u007f]/g, '');
+}
+
+/**
+ * Why an attribute is unsafe, or null when it isn't
+ */
+function unsafeAttributeReason({ name, value }: HtmlAttribute): string | null {
+  if (name.startsWith('on')) return `event handler attribute ${name}`;
+  if (URL_ATTRIBUTES.has(name)) {
+    // srcset is a list of "url width" candidates
+    const urls = name === 'srcset' ? value.split(',').map((c) => c.trim().split(/\s+/)[0]) : [value];
+    if (urls.some((url) => UNSAFE_URL_PATTERN.test(normalizeUrl(url)))) {
+      return `unsafe URL in ${name}`;
+    }
+  }
+  return null;
+}
+
+function parseClasses(attrs: string): string[] {
+  const match = attrs.match(/\bclass\s*=\s*["']([^"']*)["']/i);
+  return match ? match[1].split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Parse HTML into a lightweight element tree (text nodes are ignored).
+ * Tolerates unclosed and stray closing tags the way browsers mostly do.
+ */
+function parseHtml(html: string): { root: HtmlNode; tags: Set<string> } {
+  const root: HtmlNode = { tag: '#root', classes: [], children: [] };
+  const stack: HtmlNode[] = [root];
+  const tags = new Set<string>();
+
+  for (const match of html.matchAll(TAG_PATTERN)) {
+    const [full, closing, rawTag, attrs, selfClosing] = match;
+    if (full.startsWith('<!--')) continue;
+
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const openIndex = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (openIndex > 0) stack.length = openIndex;
+      continue;
+    }
+
+    tags.add(tag);
+    const node: HtmlNode = { tag, classes: parseClasses(attrs), children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing && !VOID_TAGS.has(tag)) {
+      stack.push(node);
+    }
+  }
+
+  return { root, tags };
+}
+
+function matchesSelector(node: HtmlNode, selector: string): boolean {
+  return selector.startsWith('.')
+    ? node.classes.includes(selector.slice(1))
+    : node.tag === selector;
+}
+
+function containsSelector(node: HtmlNode, selector: string): boolean {
+  return node.children.some((child) => matchesSelector(child, selector) || containsSelector(child, selector));
+}
+
+// ============================================
+// Validation
+// ============================================
+
+export function getBlockSchema(blockType: string): BlockSchema | undefined {
+  return BLOCK_SCHEMAS[blockType];
+}
+
+/**
+ * Check generated HTML against its block schema and the tag allow-list
+ */
+export function validateBlockHTML(blockType: string, html: string): ValidationResult {
+  const errors: string[] = [];
+  const { root, tags } = parseHtml(html);
+
+  for (const tag of tags) {
+    if (!ALLOWED_TAGS.has(tag)) {
+      errors.push(`Disallowed tag <${tag}>`);
+    }
+  }
+
+  for (const [full, closing, rawTag, attrs] of html.matchAll(TAG_PATTERN)) {
+    if (closing || full.startsWith('<!--')) continue;
+    for (const attribute of parseAttributes(attrs)) {
+      const reason = unsafeAttributeReason(attribute);
+      if (reason) errors.push(`Unsafe <${rawTag.toLowerCase()}>: ${reason}`);
+    }
+  }
+
+  const blockEl = root.children.find((child) => child.classes.includes(blockType));
+  if (!blockEl) {
+    errors.push(`Missing root <div class="${blockType}">`);
+    return { valid: false, errors };
+  }
+
+  const schema = BLOCK_SCHEMAS[blockType];
+  if (!schema) {
+    return { valid: errors.length === 0, errors };
+  }
+
+  const rows = blockEl.children;
+
+  if (schema.minRows && rows.length < schema.minRows) {
+    errors.push(`Expected at least ${schema.minRows} rows, got ${rows.length}`);
+  }
+
+  if (schema.minCellsPerDataRow) {
+    rows.slice(schema.dataRowsFrom ?? 0).forEach((row, i) => {
+      const rowIndex = i + (schema.dataRowsFrom ?? 0);
+      if (row.children.length < schema.minCellsPerDataRow!) {
+        errors.push(`Row ${rowIndex + 1} needs at least ${schema.minCellsPerDataRow} cells, got ${row.children.length}`);
+      }
+    });
+  }
+
+  for (const [rowIndex, selectors] of Object.entries(schema.requiredInRow || {})) {
+    const row = rows[Number(rowIndex)];
+    for (const selector of selectors) {
+      if (row && !matchesSelector(row, selector) && !containsSelector(row, selector)) {
+        errors.push(`Row ${Number(rowIndex) + 1} is missing <${selector}>`);
+      }
+    }
+  }
+
+  for (const selector of schema.requiredElements || []) {
+    if (!containsSelector(blockEl, selector)) {
+      errors.push(`Missing required element ${selector.startsWith('.') ? selector : `<${selector}>`}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ============================================
+// Sanitization
+// ============================================
+
+/**
+ * Remove disallowed tags, inline event handlers and javascript: URLs.
+ * Dangerous containers are dropped with their content; other unknown tags
+ * are unwrapped so their text survives.
+ */
+export function sanitizeBlockHTML(html: string): string {
+  let clean = html;
+
+  for (const tag of STRIPPED_WITH_CONTENT) {
+    clean = clean.replace(new RegExp(`<${tag}\\b[\\s\\S]*?<\\/${tag}\\s*>`, 'gi'), '');
+  }
+
+  clean = clean.replace(/<\/?([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*>/g, (tagHtml, tag: string) => (
+    ALLOWED_TAGS.has(tag.toLowerCase()) ? tagHtml : ''
+  ));
+
+  // Drop event handlers and neutralize unsafe URLs, leaving other attributes as written
+  return clean.replace(TAG_PATTERN, (full, closing: string, tag: string, attrs: string, selfClosing: string) => {
+    if (closing || full.startsWith('<!--')) return full;
+    const attributes = parseAttributes(attrs);
+    if (!attributes.some(unsafeAttributeReason)) return full;
+
+    const kept = attributes.flatMap((attribute) => {
+      if (!unsafeAttributeReason(attribute)) return [attribute.source];
+      return attribute.name.startsWith('on') ? [] : [`${attribute.name}="#"`];
+    });
+    return `<${tag}${kept.map((attr) => ` ${attr}`).join('')}${selfClosing}>`;
+  });
+}
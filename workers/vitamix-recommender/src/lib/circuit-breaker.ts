@@ -0,0 +1,96 @@
+/**
+ * Circuit Breaker - Skips model providers that keep failing
+ *
+ * State lives at module scope, so it is shared by every request handled by
+ * the same Worker isolate. After `failureThreshold` consecutive failures the
+ * circuit opens and the provider is skipped for `cooldownMs`; the first call
+ * after the cooldown is a trial (half-open) that closes the circuit again on
+ * success or re-opens it on failure. Only failures that point at the provider
+ * (server errors, rate limits, timeouts) count; a rejected request is neutral.
+ */
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+export interface CircuitBreakerOptions {
+  failureThreshold?: number;
+  cooldownMs?: number;
+}
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 30000;
+
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private readonly failureThreshold: number;
+  private readonly cooldownMs: number;
+
+  constructor(readonly name: string, options: CircuitBreakerOptions = {}) {
+    this.failureThreshold = options.failureThreshold ?? DEFAULT_FAILURE_THRESHOLD;
+    this.cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+  }
+
+  getState(): CircuitState {
+    if (this.failures < this.failureThreshold) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  /**
+   * Whether a call may go through; in half-open state only one trial call is let through
+   */
+  canRequest(): boolean {
+    const state = this.getState();
+    if (state === 'closed') return true;
+    if (state === 'open' || this.trialInFlight) return false;
+
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * End a call that says nothing about the provider's health, freeing the
+   * half-open trial without changing the failure count
+   */
+  recordNeutral(): void {
+    this.trialInFlight = false;
+  }
+
+  recordFailure(): void {
+    this.failures++;
+    this.trialInFlight = false;
+    if (this.failures >= this.failureThreshold) {
+      if (this.failures === this.failureThreshold) {
+        console.warn(`[CircuitBreaker] ${this.name} circuit opened after ${this.failures} failures`);
+      }
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+// ============================================
+// Registry
+// ============================================
+
+const breakers = new Map<string, CircuitBreaker>();
+
+export function getCircuitBreaker(name: string, options?: CircuitBreakerOptions): CircuitBreaker {
+  let breaker = breakers.get(name);
+  if (!breaker) {
+    breaker = new CircuitBreaker(name, options);
+    breakers.set(name, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Forget all breaker state (e.g. between runs with stand-in providers)
+ */
+export function resetCircuitBreakers(): void {
+  breakers.clear();
+}
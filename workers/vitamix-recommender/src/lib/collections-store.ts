@@ -0,0 +1,357 @@
+/**
+ * Collections Store - Cross-device sync for saved recipes
+ *
+ * Visitors keep favorites and named recipe collections ("Weekday
+ * breakfasts") in localStorage (scripts/collections.js). Sync is optional:
+ * a visitor who turns it on gets an anonymous account token, generated in
+ * the browser and shared with other devices as a sync code. There is no
+ * login; whoever holds the token can read and replace its collections.
+ *
+ * Documents are stored in the COLLECTIONS KV namespace, falling back to
+ * SESSIONS, under a hash of the token so KV never holds the token itself.
+ * With neither bound (e.g. running outside a Worker) an in-memory stand-in
+ * is used, which keeps data only as long as the isolate lives.
+ *
+ * Devices push their whole document and get the merged result back. A
+ * collection's name (and whether it was deleted) is last write wins by
+ * updatedAt; its recipes are merged one by one, so recipes saved on two
+ * devices both survive. Removed recipes and deleted collections are kept as
+ * removal times / tombstones for TOMBSTONE_TTL_MS, so a device that was
+ * offline doesn't bring them back.
+ */
+
+import type { Env } from '../types';
+
+// ============================================
+// Configuration
+// ============================================
+
+const COLLECTIONS_KEY_PREFIX = 'collections:';
+
+// Synced collections expire after a year without any device syncing
+const COLLECTIONS_TTL_SECONDS = 60 * 60 * 24 * 365;
+
+const TOMBSTONE_TTL_MS = 90 * 24 * 60 * 60 * 1000;
+
+const MAX_COLLECTIONS = 100;
+const MAX_RECIPES_PER_COLLECTION = 500;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 500;
+export const MAX_BODY_BYTES = 512 * 1024;
+
+// Tokens are 32 random bytes, base64url encoded by the client
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32,128}$/;
+
+const COLLECTION_ID_PATTERN = /^[a-z0-9-]{1,64}$/;
+
+// ============================================
+// Types
+// ============================================
+
+export interface SavedRecipe {
+  // Stable key: the recipe URL without query or trailing slash
+  id: string;
+  title: string;
+  url?: string;
+  image?: string;
+  addedAt: number;
+}
+
+export interface RecipeCollection {
+  id: string;
+  name: string;
+  recipes: SavedRecipe[];
+  // Recipe id -> when it was removed; beats any copy added before then
+  removed?: Record<string, number>;
+  createdAt: number;
+  updatedAt: number;
+  deleted?: boolean;
+}
+
+export interface CollectionsDocument {
+  collections: RecipeCollection[];
+  updatedAt: number;
+}
+
+export class CollectionsError extends Error {
+  constructor(message: string, public status = 400) {
+    super(message);
+    this.name = 'CollectionsError';
+  }
+}
+
+// ============================================
+// Storage
+// ============================================
+
+// The subset of KVNamespace the store uses
+interface CollectionsKV {
+  get(key: string): Promise<string | null>;
+  put(key: string, value: string, options?: { expirationTtl?: number }): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * In-memory stand-in for KV, for local runs without a namespace bound
+ */
+class MemoryKV implements CollectionsKV {
+  private entries = new Map<string, string>();
+
+  async get(key: string): Promise<string | null> {
+    return this.entries.get(key) ?? null;
+  }
+
+  async put(key: string, value: string): Promise<void> {
+    this.entries.set(key, value);
+  }
+
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+}
+
+let memoryStore: MemoryKV | null = null;
+
+function collectionsStore(env: Env): CollectionsKV {
+  const namespace = env.COLLECTIONS || env.SESSIONS;
+  if (namespace) return namespace;
+
+  if (!memoryStore) {
+    console.warn('[Collections] No KV namespace bound, keeping collections in memory');
+    memoryStore = new MemoryKV();
+  }
+  return memoryStore;
+}
+
+export function isValidToken(token: string | null | undefined): token is string {
+  return !!token && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Bearer token from the Authorization header
+ */
+export function getRequestToken(request: Request): string | null {
+  const match = request.headers.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+async function documentKey(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  const hash = Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+  return `${COLLECTIONS_KEY_PREFIX}${hash}`;
+}
+
+// ============================================
+// Validation
+// ============================================
+
+function text(value: unknown, maxLength: number): string {
+  return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+/**
+ * A recipe link or image: an http(s) URL or a path on this site. Anything
+ * else (javascript:, data:, ...) is dropped, since clients render it.
+ */
+function recipeUrl(value: unknown): string | undefined {
+  const url = text(value, MAX_TEXT_LENGTH);
+  if (/^\/(?![/\\])/.test(url)) return url;
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+function timestamp(value: unknown): number {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+}
+
+function sanitizeRecipe(value: unknown): SavedRecipe | null {
+  if (!value || typeof value !== 'object') return null;
+  const recipe = value as Record<string, unknown>;
+  const id = text(recipe.id, MAX_TEXT_LENGTH);
+  const title = text(recipe.title, MAX_TEXT_LENGTH);
+  if (!id || !title) return null;
+
+  return {
+    id,
+    title,
+    url: recipeUrl(recipe.url),
+    image: recipeUrl(recipe.image),
+    addedAt: timestamp(recipe.addedAt) || Date.now(),
+  };
+}
+
+function sanitizeCollection(value: unknown): RecipeCollection {
+  if (!value || typeof value !== 'object') {
+    throw new CollectionsError('Each collection must be an object');
+  }
+  const collection = value as Record<string, unknown>;
+
+  const id = text(collection.id, 64);
+  if (!COLLECTION_ID_PATTERN.test(id)) {
+    throw new CollectionsError(`Invalid collection id: ${JSON.stringify(collection.id)}`);
+  }
+  const name = text(collection.name, MAX_NAME_LENGTH);
+  if (!name) throw new CollectionsError(`Collection ${id} has no name`);
+
+  const recipes = Array.isArray(collection.recipes) ? collection.recipes : [];
+  if (recipes.length > MAX_RECIPES_PER_COLLECTION) {
+    throw new CollectionsError(`Collection ${id} has more than ${MAX_RECIPES_PER_COLLECTION} recipes`);
+  }
+
+  // One entry per recipe
+  const byId = new Map<string, SavedRecipe>();
+  recipes.map(sanitizeRecipe).forEach((recipe) => {
+    if (recipe && !byId.has(recipe.id)) byId.set(recipe.id, recipe);
+  });
+
+  const removed: Record<string, number> = {};
+  if (collection.removed && typeof collection.removed === 'object') {
+    Object.entries(collection.removed as Record<string, unknown>)
+      .slice(0, MAX_RECIPES_PER_COLLECTION * 2)
+      .forEach(([recipeId, removedAt]) => {
+        if (recipeId.length <= MAX_TEXT_LENGTH && timestamp(removedAt)) {
+          removed[recipeId] = timestamp(removedAt);
+        }
+      });
+  }
+
+  // A missing timestamp loses every merge rather than overwriting edits
+  const updatedAt = timestamp(collection.updatedAt);
+  return {
+    id,
+    name,
+    recipes: collection.deleted ? [] : [...byId.values()],
+    removed,
+    createdAt: timestamp(collection.createdAt) || updatedAt || Date.now(),
+    updatedAt,
+    ...(collection.deleted ? { deleted: true } : {}),
+  };
+}
+
+/**
+ * Validate a document pushed by a client, throwing CollectionsError on bad input
+ */
+export function parseCollectionsDocument(body: unknown): CollectionsDocument {
+  const collections = (body as { collections?: unknown } | null)?.collections;
+  if (!Array.isArray(collections)) {
+    throw new CollectionsError('Expected { collections: [...] }');
+  }
+
+  const parsed = collections.map(sanitizeCollection);
+  const ids = new Set(parsed.map((c) => c.id));
+  if (ids.size !== parsed.length) throw new CollectionsError('Duplicate collection ids');
+
+  return {
+    collections: parsed,
+    updatedAt: Math.max(0, ...parsed.map((c) => c.updatedAt)),
+  };
+}
+
+// ============================================
+// Merging
+// ============================================
+
+/**
+ * Merge two versions of a collection. The later one (`b` on ties) decides
+ * name and deletion; recipes are the union of both, minus any removed after
+ * they were added.
+ */
+function mergeCollection(a: RecipeCollection, b: RecipeCollection, cutoff: number): RecipeCollection {
+  const [older, newer] = a.updatedAt > b.updatedAt ? [b, a] : [a, b];
+
+  const removed: Record<string, number> = {};
+  for (const [recipeId, removedAt] of [
+    ...Object.entries(older.removed || {}),
+    ...Object.entries(newer.removed || {}),
+  ]) {
+    if (removedAt > cutoff) removed[recipeId] = Math.max(removed[recipeId] || 0, removedAt);
+  }
+
+  const recipes = new Map<string, SavedRecipe>();
+  for (const recipe of [...older.recipes, ...newer.recipes]) {
+    if ((removed[recipe.id] || 0) >= recipe.addedAt) continue;
+    const current = recipes.get(recipe.id);
+    if (!current || recipe.addedAt >= current.addedAt) recipes.set(recipe.id, recipe);
+  }
+
+  return {
+    ...newer,
+    recipes: newer.deleted ? [] : [...recipes.values()].sort((x, y) => x.addedAt - y.addedAt),
+    removed,
+  };
+}
+
+/**
+ * Merge two documents collection by collection, the incoming document
+ * winning ties. Tombstones past TOMBSTONE_TTL_MS are dropped, as are live
+ * collections over MAX_COLLECTIONS (oldest first).
+ */
+export function mergeCollections(
+  stored: CollectionsDocument | null,
+  incoming: CollectionsDocument
+): CollectionsDocument {
+  const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+  const merged = new Map<string, RecipeCollection>();
+  for (const collection of [...(stored?.collections || []), ...incoming.collections]) {
+    const current = merged.get(collection.id);
+    merged.set(collection.id, current ? mergeCollection(current, collection, cutoff) : collection);
+  }
+
+  const tombstones = [...merged.values()].filter((c) => c.deleted && c.updatedAt > cutoff);
+  const live = [...merged.values()]
+    .filter((c) => !c.deleted)
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .slice(-MAX_COLLECTIONS);
+
+  const collections = [...live, ...tombstones];
+  return {
+    collections,
+    updatedAt: Math.max(0, ...collections.map((c) => c.updatedAt)),
+  };
+}
+
+// ============================================
+// Collections Store
+// ============================================
+
+/**
+ * The token's synced document, or an empty one if nothing was synced yet
+ */
+export async function getCollections(env: Env, token: string): Promise<CollectionsDocument> {
+  const raw = await collectionsStore(env).get(await documentKey(token));
+  return raw ? JSON.parse(raw) as CollectionsDocument : { collections: [], updatedAt: 0 };
+}
+
+/**
+ * Merge a device's document into the stored one and save the result.
+ * KV has no transactions: two devices syncing in the same instant can lose
+ * one push, which that device repairs on its next sync.
+ */
+export async function syncCollections(
+  env: Env,
+  token: string,
+  incoming: CollectionsDocument
+): Promise<CollectionsDocument> {
+  const store = collectionsStore(env);
+  const key = await documentKey(token);
+
+  const raw = await store.get(key);
+  const merged = mergeCollections(raw ? JSON.parse(raw) as CollectionsDocument : null, incoming);
+
+  await store.put(key, JSON.stringify(merged), { expirationTtl: COLLECTIONS_TTL_SECONDS });
+  console.log(`[Collections] Synced ${merged.collections.length} collections`);
+  return merged;
+}
+
+/**
+ * Forget everything synced under a token
+ */
+export async function deleteCollections(env: Env, token: string): Promise<void> {
+  await collectionsStore(env).delete(await documentKey(token));
+}
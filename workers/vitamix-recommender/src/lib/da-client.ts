@@ -1,5 +1,16 @@
 import type { Env } from '../types';
 import { getDAToken, clearCachedToken } from './da-token-service';
+import { mapWithConcurrency } from './async-utils';
+import {
+  type ImageStore,
+  VARIANT_WIDTHS,
+  canResize,
+  createImageStore,
+  imageExtensionForType,
+  imageKey,
+  MAX_IMAGE_BYTES,
+  readImageBody,
+} from './image-store';
 
 /**
  * DA (Document Authoring) API Client
@@ -362,11 +373,15 @@ export function unescapeHtml(str: string): string {
 
 /**
  * Build HTML page from blocks for DA persistence
+ *
+ * Optional metadata is written as a trailing metadata block, which EDS
+ * turns into <meta> tags on the published page.
  */
 export function buildPageHtml(
   title: string,
   description: string,
   blocks: Array<{ html: string; sectionStyle?: string }>,
+  metadata: Record<string, string> = {},
 ): string {
   const sectionsHtml = blocks.map((block) => {
     let sectionContent = block.html;
@@ -387,6 +402,18 @@ ${sectionContent}
     </div>`;
   }).join('\n');
 
+  const metadataRows = Object.entries(metadata).map(([key, value]) => `
+        <div>
+          <div>${escapeHtml(key)}</div>
+          <div>${escapeHtml(value)}</div>
+        </div>`).join('');
+
+  const metadataHtml = metadataRows ? `
+    <div>
+      <div class="metadata">${metadataRows}
+      </div>
+    </div>` : '';
+
   return `<!DOCTYPE html>
 <html>
 <head>
@@ -396,7 +423,7 @@ ${sectionContent}
 <body>
   <header></header>
   <main>
-${sectionsHtml}
+${sectionsHtml}${metadataHtml}
   </main>
   <footer></footer>
 </body>
@@ -423,45 +450,38 @@ async function generateContentHash(buffer: ArrayBuffer): Promise<string> {
   return '1' + hashHex.substring(0, 39);
 }
 
-/**
- * Get file extension from URL or content-type
- */
-function getImageExtension(url: string, contentType?: string): string {
-  // Try to get from content-type first
-  if (contentType) {
-    const match = contentType.match(/image\/(\w+)/);
-    if (match) {
-      const ext = match[1].toLowerCase();
-      if (ext === 'jpeg') return 'jpg';
-      return ext;
-    }
-  }
+// vitamix.com rejects image requests that don't look like they come from a browser
+const IMAGE_FETCH_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Referer': 'https://www.vitamix.com/',
+};
+
+// Images downloaded at once while persisting a page
+const IMAGE_CONCURRENCY = 4;
 
-  // Fall back to URL
-  const urlPath = new URL(url).pathname;
-  const ext = urlPath.split('.').pop()?.toLowerCase() || 'jpg';
-  return ext.split('?')[0]; // Remove query params
+interface HostedImage {
+  src: string;
+  srcset?: string;
 }
 
 /**
- * Download an image and upload it to DA media folder
+ * Download an image and store it, with its responsive variants, in the image store
+ *
+ * Variants come from Cloudflare Image Resizing. Where it isn't available
+ * (wrangler dev, or a zone without resizing) the source comes back unresized
+ * and only the original is stored.
  */
 async function processExternalImage(
   imageUrl: string,
-  daClient: DAClient,
-  folderPath: string,
-): Promise<string | null> {
+  store: ImageStore,
+  imageBaseUrl: string,
+): Promise<HostedImage | null> {
   try {
     console.log(`[DAClient] Downloading image: ${imageUrl}`);
 
-    const response = await fetch(imageUrl, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Referer': 'https://www.vitamix.com/',
-      },
-    });
+    const response = await fetch(imageUrl, { headers: IMAGE_FETCH_HEADERS });
 
     console.log(`[DAClient] Download response: ${response.status} ${response.statusText}`);
 
@@ -470,28 +490,64 @@ async function processExternalImage(
       return null;
     }
 
-    const contentType = response.headers.get('content-type') || 'image/jpeg';
-    const buffer = await response.arrayBuffer();
+    // Only raster images are hosted: anything else (HTML, SVG, no type) would
+    // be served back from this Worker's origin
+    const contentType = response.headers.get('content-type');
+    const ext = imageExtensionForType(contentType);
+    if (!ext) {
+      console.error(`[DAClient] Rejected non-image content type "${contentType}" - URL: ${imageUrl}`);
+      await response.body?.cancel();
+      return null;
+    }
+
+    const buffer = await readImageBody(response);
+    if (!buffer) {
+      console.error(`[DAClient] Rejected image over ${MAX_IMAGE_BYTES} bytes - URL: ${imageUrl}`);
+      return null;
+    }
     console.log(`[DAClient] Downloaded ${buffer.byteLength} bytes, type: ${contentType}`);
 
-    const ext = getImageExtension(imageUrl, contentType);
     const hash = await generateContentHash(buffer);
+    const key = imageKey(hash, ext);
+
+    // Content-addressed: an existing key already holds these exact bytes
+    if (await store.has(key)) {
+      console.log(`[DAClient] Image already stored as: ${key}`);
+    } else {
+      console.log(`[DAClient] Storing image as: ${key} (${buffer.byteLength} bytes)`);
+      await store.put(key, buffer, contentType as string);
+    }
 
-    console.log(`[DAClient] Uploading image as: media_${hash}.${ext} (${buffer.byteLength} bytes)`);
-
-    const uploadResult = await daClient.uploadMedia(hash, ext, buffer, contentType, folderPath);
-
-    if (uploadResult.success && uploadResult.url) {
-      console.log(`[DAClient] Image uploaded successfully: ${uploadResult.url}`);
-
-      // Media files with media_ prefix are automatically served after page preview/publish
-      // No need to separately preview/publish the media file
-
-      return uploadResult.url;
+    const variants: string[] = [];
+    if (canResize(ext)) {
+      for (const width of VARIANT_WIDTHS) {
+        const variantKey = imageKey(hash, ext, width);
+        if (!(await store.has(variantKey))) {
+          const resized = await fetch(imageUrl, {
+            headers: IMAGE_FETCH_HEADERS,
+            cf: { image: { width, fit: 'scale-down' } },
+          });
+          if (!resized.ok || !resized.headers.has('cf-resized')) {
+            console.log(`[DAClient] Image resizing unavailable, skipping variants for ${key}`);
+            break;
+          }
+          // The variant is served with the type its key names, so it must match
+          const resizedType = resized.headers.get('content-type');
+          const resizedBody = imageExtensionForType(resizedType) === ext ? await readImageBody(resized) : null;
+          if (!resizedBody) {
+            console.log(`[DAClient] Unusable resized image, skipping variants for ${key}`);
+            break;
+          }
+          await store.put(variantKey, resizedBody, resizedType as string);
+        }
+        variants.push(`${imageBaseUrl}${variantKey} ${width}w`);
+      }
     }
 
-    console.error(`[DAClient] Failed to upload image: ${uploadResult.error}`);
-    return null;
+    return {
+      src: `${imageBaseUrl}${key}`,
+      srcset: variants.length > 0 ? variants.join(', ') : undefined,
+    };
   } catch (error) {
     console.error(`[DAClient] Image processing error:`, error);
     return null;
@@ -499,77 +555,62 @@ async function processExternalImage(
 }
 
 /**
- * Process HTML images - currently keeping external URLs as-is
- *
- * NOTE: DA media upload works (files go to source) but content delivery
- * from content.da.live doesn't serve the uploaded files. This requires
- * investigation into the proper DA media sync process.
- *
- * For now, external URLs are kept and will show as broken in DA preview.
- * A future solution could use Cloudflare R2/Images for reliable image hosting.
+ * Replace one attribute of an HTML tag, adding it when missing
  */
-async function processHtmlImages(html: string, _daClient: DAClient, pagePath: string): Promise<string> {
-  console.log(`[DAClient] Processing images for page: ${pagePath}`);
-  console.log(`[DAClient] NOTE: Image upload to DA source works but content delivery is not synced.`);
-  console.log(`[DAClient] Keeping external URLs as-is for now.`);
-
-  // For now, just return HTML unchanged - external images will be kept
-  // TODO: Implement Cloudflare R2 storage for reliable image hosting
-  return html;
+function setAttribute(tag: string, name: string, value: string): string {
+  const attribute = new RegExp(`\\s${escapeRegex(name)}\\s*=\\s*("[^"]*"|'[^']*'|[^\\s>]+)`, 'i');
+  const replacement = ` ${name}="${escapeHtml(value)}"`;
+  return attribute.test(tag) ? tag.replace(attribute, replacement) : tag.replace(/\s*\/?>$/, `${replacement}$&`);
 }
 
 /**
- * Complete persist and publish flow
+ * Move every external image on the page into the image store
+ *
+ * Each <img> with an absolute src is downloaded and stored once, its src is
+ * rewritten to the stored copy and a srcset of the responsive variants is
+ * added. Images that fail to download keep their original URL.
  */
-export async function persistAndPublish(
-  path: string,
-  html: string,
-  env: Env,
-): Promise<{ success: boolean; urls?: { preview: string; live: string }; error?: string }> {
-  const daClient = new DAClient(env);
-  const adminClient = new AEMAdminClient(env);
+export async function processHtmlImages(html: string, env: Env, pagePath: string, imageBaseUrl?: string): Promise<string> {
+  console.log(`[DAClient] Processing images for page: ${pagePath}`);
 
-  try {
-    // 0. Process external images - download and upload to DA media
-    console.log('[DAClient] Processing external images...');
-    const processedHtml = await processHtmlImages(html, daClient, path);
-    console.log('[DAClient] Image processing complete');
-
-    // 1. Create page in DA
-    const createResult = await daClient.createPage(path, processedHtml);
-    if (!createResult.success) {
-      return { success: false, error: createResult.error };
-    }
+  const store = createImageStore(env);
+  if (!store || !imageBaseUrl) {
+    console.log('[DAClient] No IMAGE_BUCKET bound, keeping external image URLs');
+    return html;
+  }
 
-    // 2. Trigger preview
-    const previewResult = await adminClient.preview(path);
-    if (!previewResult.success) {
-      return { success: false, error: previewResult.error };
+  const imgTags = html.match(/<img\b[^>]*>/gi) || [];
+  const sources = new Set<string>();
+  for (const tag of imgTags) {
+    const src = tag.match(/\ssrc\s*=\s*"([^"]*)"/i)?.[1];
+    if (src && /^(https?:)?\/\//i.test(src) && !src.startsWith(imageBaseUrl)) {
+      sources.add(unescapeHtml(src));
     }
+  }
 
-    // 3. Wait for preview to be available
-    const previewReady = await adminClient.waitForPreview(path);
-    if (!previewReady) {
-      console.warn('Preview not ready within timeout, continuing to publish');
-    }
+  if (sources.size === 0) {
+    return html;
+  }
 
-    // 4. Publish to live
-    const publishResult = await adminClient.publish(path);
-    if (!publishResult.success) {
-      return { success: false, error: publishResult.error };
+  const urls = [...sources];
+  const hosted = new Map<string, HostedImage>();
+  await Promise.all(mapWithConcurrency(urls, IMAGE_CONCURRENCY, async (url) => {
+    const absoluteUrl = url.startsWith('//') ? `https:${url}` : url;
+    const image = await processExternalImage(absoluteUrl, store, imageBaseUrl);
+    if (image) hosted.set(url, image);
+  }));
+  console.log(`[DAClient] Hosted ${hosted.size}/${urls.length} images`);
+
+  return html.replace(/<img\b[^>]*>/gi, (tag) => {
+    const src = tag.match(/\ssrc\s*=\s*"([^"]*)"/i)?.[1];
+    const image = src ? hosted.get(unescapeHtml(src)) : undefined;
+    if (!image) return tag;
+
+    let rewritten = setAttribute(tag, 'src', image.src);
+    if (image.srcset) {
+      rewritten = setAttribute(rewritten, 'srcset', image.srcset);
+      rewritten = setAttribute(rewritten, 'sizes', '100vw');
     }
-
-    // 5. Purge cache
-    await adminClient.purgeCache(path);
-
-    return {
-      success: true,
-      urls: {
-        preview: previewResult.url!,
-        live: publishResult.url!,
-      },
-    };
-  } catch (error) {
-    return { success: false, error: (error as Error).message };
-  }
+    return rewritten;
+  });
 }
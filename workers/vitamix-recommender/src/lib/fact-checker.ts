@@ -0,0 +1,394 @@
+/**
+ * Fact Checker - Verifies product claims in generated block HTML
+ *
+ * Finds product mentions (product page links and product names/model codes)
+ * and checks the prices, wattages and warranty terms quoted next to them
+ * against content/products/products.json. Price-tier wording ("budget",
+ * "premium") is checked against content/metadata/product-profiles.json.
+ *
+ * A claim is corrected in place when it can be tied to exactly one product in
+ * the same row (or table column) of the block. Anything less certain is only
+ * flagged, so nothing is rewritten on a guess.
+ */
+
+import type { Product, FactCheckIssue } from '../types';
+import { getAllProducts, getProductProfile } from '../content/content-service';
+
+// ============================================
+// Types
+// ============================================
+
+type FactCheckField = FactCheckIssue['field'];
+
+export interface FactCheckResult {
+  html: string;
+  issues: FactCheckIssue[];
+}
+
+interface Token {
+  value: string;
+  isTag: boolean;
+  row: number;
+  cell: number;
+}
+
+interface Mention {
+  tokenIndex: number;
+  offset: number;
+  candidates: Product[];
+  // Set when the mention identifies a single product
+  product?: Product;
+}
+
+interface ProductIndex {
+  byUrlSlug: Map<string, Product>;
+  byExactName: Map<string, Product>;
+  byAlias: Map<string, Product[]>;
+  pattern: RegExp;
+}
+
+// ============================================
+// Configuration
+// ============================================
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'source', 'input', 'meta', 'link', 'wbr']);
+
+// Prices that describe a range or discount rather than a product's price
+const PRICE_QUALIFIER_BEFORE = /(under|over|below|above|from|up to|less than|more than|starting at|save|savings of|[-–])\s*$/i;
+const PRICE_QUALIFIER_AFTER = /^\s*(off|savings|\+|\/\s*mo|[-–]\s*\$)/i;
+
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{2}))?/g;
+const WATTAGE_PATTERN = /\b(\d{1,2},\d{3}|\d{3,4})\s?-?\s?(?:W|watts?)\b/gi;
+const WARRANTY_PATTERNS = [
+  /\b(\d{1,2})[-\s](?:year|yr)s?(?:\s+(?:full|standard|limited))?\s+warranty/gi,
+  /\bwarranty[:\s]+(\d{1,2})[-\s]?(?:years?|yrs?)\b/gi,
+];
+const TIER_PATTERN = /\b(budget|premium)\b/gi;
+
+// ============================================
+// Product Index
+// ============================================
+
+let productIndex: ProductIndex | null = null;
+
+function normalizeName(name: string): string {
+  return name.replace(/[®™*]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function urlSlug(url: string): string {
+  return url.replace(/[?#].*$/, '').replace(/\/+$/, '').split('/').pop()?.toLowerCase() || '';
+}
+
+function escapeRegex(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getProductIndex(): ProductIndex {
+  if (productIndex) return productIndex;
+
+  const byUrlSlug = new Map<string, Product>();
+  const byExactName = new Map<string, Product>();
+  const byAlias = new Map<string, Product[]>();
+
+  const addAlias = (alias: string, product: Product) => {
+    const products = byAlias.get(alias) || [];
+    if (!products.includes(product)) products.push(product);
+    byAlias.set(alias, products);
+  };
+
+  for (const product of getAllProducts()) {
+    byUrlSlug.set(urlSlug(product.url), product);
+
+    const name = normalizeName(product.name);
+    byExactName.set(name, product);
+    addAlias(name, product);
+
+    // Model codes ("A2300", "X5", "E310") identify a product family
+    for (const code of name.match(/\b[a-z]\d{1,4}\b/g) || []) {
+      addAlias(code, product);
+    }
+  }
+
+  // Longest first so "a2300 family pack" wins over "a2300"
+  const alternatives = [...byAlias.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((alias) => alias.split(' ').map(escapeRegex).join('[®™*]*\\s+'));
+
+  productIndex = {
+    byUrlSlug,
+    byExactName,
+    byAlias,
+    pattern: new RegExp(`(?<![a-z0-9])(?:${alternatives.join('|')})[®™*]*(?![a-z0-9])`, 'gi'),
+  };
+  return productIndex;
+}
+
+// ============================================
+// Tokenizing
+// ============================================
+
+/**
+ * Split HTML into tag and text tokens, tagging each with the row (child of
+ * the block root) and cell (child of the row) it belongs to
+ */
+function tokenize(html: string): Token[] {
+  const tokens: Token[] = [];
+  let depth = 0;
+  let row = -1;
+  let cell = -1;
+
+  for (const value of html.split(/(<[^>]*>)/)) {
+    if (!value) continue;
+
+    const tagMatch = value.match(/^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)/);
+    if (!tagMatch) {
+      tokens.push({ value, isTag: value.startsWith('<'), row, cell });
+      continue;
+    }
+
+    const [, closing, tag] = tagMatch;
+    if (closing) {
+      depth = Math.max(0, depth - 1);
+    } else {
+      if (depth === 1) {
+        row++;
+        cell = -1;
+      } else if (depth === 2) {
+        cell++;
+      }
+      if (!VOID_TAGS.has(tag.toLowerCase()) && !value.endsWith('/>')) depth++;
+    }
+
+    tokens.push({ value, isTag: true, row, cell });
+  }
+
+  return tokens;
+}
+
+function findMentions(tokens: Token[]): Mention[] {
+  const index = getProductIndex();
+  const mentions: Mention[] = [];
+
+  tokens.forEach((token, tokenIndex) => {
+    if (token.isTag) {
+      const href = token.value.match(/\bhref\s*=\s*["']([^"']*\/products\/[^"']+)["']/i);
+      const product = href && index.byUrlSlug.get(urlSlug(href[1]));
+      if (product) {
+        mentions.push({ tokenIndex, offset: 0, candidates: [product], product });
+      }
+      return;
+    }
+
+    for (const match of token.value.matchAll(index.pattern)) {
+      const alias = normalizeName(match[0]);
+      const candidates = index.byAlias.get(alias) || [];
+      const product = index.byExactName.get(alias) || (candidates.length === 1 ? candidates[0] : undefined);
+      mentions.push({ tokenIndex, offset: match.index ?? 0, candidates, product });
+    }
+  });
+
+  return mentions;
+}
+
+/**
+ * Pick the mention a claim refers to. Comparison tables use the product in
+ * the header cell of the same column; everything else uses the closest
+ * preceding mention in the same row.
+ */
+function resolveMention(
+  blockType: string,
+  tokens: Token[],
+  mentions: Mention[],
+  tokenIndex: number,
+  offset: number
+): { mention?: Mention; sameRow: boolean } {
+  const { row, cell } = tokens[tokenIndex];
+
+  if (blockType === 'comparison-table' && row > 0 && cell > 0) {
+    const header = mentions.find((m) => tokens[m.tokenIndex].row === 0 && tokens[m.tokenIndex].cell === cell);
+    if (header) return { mention: header, sameRow: true };
+  }
+
+  const preceding = mentions.filter((m) => (
+    m.tokenIndex < tokenIndex || (m.tokenIndex === tokenIndex && m.offset < offset)
+  ));
+  const mention = preceding[preceding.length - 1];
+
+  return { mention, sameRow: !!mention && tokens[mention.tokenIndex].row === row };
+}
+
+// ============================================
+// Expected Values
+// ============================================
+
+function formatPrice(price: number): string {
+  return price.toLocaleString('en-US', {
+    minimumFractionDigits: Number.isInteger(price) ? 0 : 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function warrantyYears(product: Product): number[] {
+  return [...(product.warranty || '').matchAll(/(\d{1,2})[-\s]?year/gi)].map((m) => parseInt(m[1], 10));
+}
+
+function priceMatches(claimed: number, product: Product): boolean {
+  // Whole-dollar rounding ("$550" for $549.95) is fine
+  return [product.price, product.originalPrice]
+    .some((price) => typeof price === 'number' && Math.abs(price - claimed) < 1);
+}
+
+// ============================================
+// Fact Check
+// ============================================
+
+/**
+ * Check the product claims in a block's HTML, correcting what can be
+ * attributed with certainty and flagging the rest
+ */
+export function factCheckBlock(blockType: string, html: string): FactCheckResult {
+  const tokens = tokenize(html);
+  const mentions = findMentions(tokens);
+  const issues: FactCheckIssue[] = [];
+
+  if (mentions.length === 0) {
+    return { html, issues };
+  }
+
+  const check = (
+    tokenIndex: number,
+    offset: number,
+    field: FactCheckField,
+    claimed: string,
+    isCorrect: (product: Product) => boolean,
+    expected: (product: Product) => string | null
+  ): string | null => {
+    const { mention, sameRow } = resolveMention(blockType, tokens, mentions, tokenIndex, offset);
+    if (!mention || mention.candidates.some(isCorrect)) return null;
+
+    const product = mention.product || mention.candidates[0];
+    const expectedValue = expected(product);
+    if (!expectedValue) return null;
+
+    const fixable = !!mention.product && sameRow;
+    issues.push({
+      productId: product.id,
+      productName: product.name,
+      field,
+      claimed,
+      expected: expectedValue,
+      action: fixable ? 'fixed' : 'flagged',
+    });
+
+    return fixable ? expectedValue : null;
+  };
+
+  tokens.forEach((token, tokenIndex) => {
+    if (token.isTag) return;
+
+    // Match against the original text so offsets stay valid for resolveMention;
+    // the fixes are spliced in afterwards
+    const edits: { start: number; end: number; value: string }[] = [];
+    const edit = (match: RegExpMatchArray, value: string | null) => {
+      if (value === null) return;
+      const start = match.index ?? 0;
+      edits.push({ start, end: start + match[0].length, value });
+    };
+
+    for (const match of token.value.matchAll(PRICE_PATTERN)) {
+      const [claimedText, dollars, cents] = match;
+      const offset = match.index ?? 0;
+      const before = token.value.slice(Math.max(0, offset - 15), offset);
+      const after = token.value.slice(offset + claimedText.length, offset + claimedText.length + 6);
+      if (PRICE_QUALIFIER_BEFORE.test(before) || PRICE_QUALIFIER_AFTER.test(after)) continue;
+
+      const claimed = parseFloat(`${dollars.replace(/,/g, '')}.${cents || '0'}`);
+      edit(match, check(
+        tokenIndex,
+        offset,
+        'price',
+        claimedText,
+        (p) => priceMatches(claimed, p),
+        (p) => `$${formatPrice(p.price)}`
+      ));
+    }
+
+    for (const match of token.value.matchAll(WATTAGE_PATTERN)) {
+      const [claimedText, watts] = match;
+      const claimed = parseInt(watts.replace(/,/g, ''), 10);
+      const fixed = check(
+        tokenIndex,
+        match.index ?? 0,
+        'wattage',
+        claimedText,
+        (p) => !p.specs?.watts || p.specs.watts === claimed,
+        (p) => (p.specs?.watts ? `${p.specs.watts}` : null)
+      );
+      edit(match, fixed && claimedText.replace(watts, fixed));
+    }
+
+    for (const pattern of WARRANTY_PATTERNS) {
+      for (const match of token.value.matchAll(pattern)) {
+        const [claimedText, years] = match;
+        const claimed = parseInt(years, 10);
+        const fixed = check(
+          tokenIndex,
+          match.index ?? 0,
+          'warranty',
+          claimedText,
+          (p) => warrantyYears(p).length === 0 || warrantyYears(p).includes(claimed),
+          (p) => (warrantyYears(p).length ? `${warrantyYears(p)[0]}` : null)
+        );
+        edit(match, fixed && claimedText.replace(years, fixed));
+      }
+    }
+
+    // Tier wording can't be rewritten safely, only flagged
+    for (const match of token.value.matchAll(TIER_PATTERN)) {
+      const offset = match.index ?? 0;
+      const { mention, sameRow } = resolveMention(blockType, tokens, mentions, tokenIndex, offset);
+      if (!mention?.product || !sameRow) continue;
+
+      const claimedTier = match[1].toLowerCase();
+      const tier = getProductProfile(mention.product.id)?.priceTier;
+      const contradicts = (claimedTier === 'budget' && tier === 'premium')
+        || (claimedTier === 'premium' && tier === 'budget');
+      if (contradicts) {
+        issues.push({
+          productId: mention.product.id,
+          productName: mention.product.name,
+          field: 'priceTier',
+          claimed: match[0],
+          expected: tier!,
+          action: 'flagged',
+        });
+      }
+    }
+
+    // Right to left, so earlier offsets survive each splice; an edit overlapping one already made is skipped
+    let text = token.value;
+    let limit = text.length;
+    edits.sort((a, b) => b.start - a.start);
+    for (const { start, end, value } of edits) {
+      if (end > limit) continue;
+      text = text.slice(0, start) + value + text.slice(end);
+      limit = start;
+    }
+
+    tokens[tokenIndex] = { ...token, value: text };
+  });
+
+  return {
+    html: issues.some((i) => i.action === 'fixed') ? tokens.map((t) => t.value).join('') : html,
+    issues,
+  };
+}
+
+/**
+ * One-line summary of issues for page metadata
+ */
+export function summarizeFactCheckIssues(issues: FactCheckIssue[]): string {
+  return issues
+    .map((i) => `${i.productName} ${i.field}: ${i.claimed} (expected ${i.expected}, ${i.action})`)
+    .join('; ');
+}
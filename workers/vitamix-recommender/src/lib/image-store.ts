@@ -0,0 +1,199 @@
+/**
+ * Image Store - Content-addressed hosting for images on persisted pages
+ *
+ * Persisted pages used to hotlink vitamix.com, so they broke whenever the
+ * source site moved an asset. Persistence now downloads every external image
+ * and stores it here under a key derived from its bytes (<hash>.<ext>), so the
+ * same image used on many pages is stored once and a key never changes
+ * meaning. Responsive variants are stored next to it as <hash>-w<width>.<ext>.
+ *
+ * Images live in the IMAGE_BUCKET R2 bucket and are served by this Worker at
+ * /images/<key> (or from IMAGE_BASE_URL when the bucket has a public domain).
+ * `wrangler dev` simulates the bucket on the local filesystem under
+ * .wrangler/state, so local persistence needs no Cloudflare resources.
+ * Without the binding, pages keep their external image URLs.
+ */
+
+import type { Env } from '../types';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Route this Worker serves stored images from
+export const IMAGE_ROUTE_PREFIX = '/images/';
+
+// Widths of the responsive variants, in pixels
+export const VARIANT_WIDTHS = [480, 960, 1600];
+
+// Raster formats accepted for hosting, by extension. SVG is left out on
+// purpose: served from this origin it could carry script.
+const IMAGE_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+};
+
+// Largest image accepted for hosting
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// Formats Cloudflare Image Resizing can produce variants of
+const RESIZABLE_EXTENSIONS = new Set(['jpg', 'png', 'webp']);
+
+// Keys are <hash>.<ext> or <hash>-w<width>.<ext>
+const KEY_PATTERN = /^[0-9a-f]{40}(-w\d+)?\.(jpg|png|webp|gif|avif)$/;
+
+// ============================================
+// Types
+// ============================================
+
+export interface StoredImage {
+  body: ReadableStream;
+  contentType: string;
+  size: number;
+}
+
+export interface ImageStore {
+  has(key: string): Promise<boolean>;
+  put(key: string, body: ArrayBuffer, contentType: string): Promise<void>;
+  get(key: string): Promise<StoredImage | null>;
+}
+
+// ============================================
+// R2
+// ============================================
+
+class R2ImageStore implements ImageStore {
+  constructor(private bucket: R2Bucket) {}
+
+  async has(key: string): Promise<boolean> {
+    return (await this.bucket.head(key)) !== null;
+  }
+
+  async put(key: string, body: ArrayBuffer, contentType: string): Promise<void> {
+    await this.bucket.put(key, body, { httpMetadata: { contentType } });
+  }
+
+  async get(key: string): Promise<StoredImage | null> {
+    const object = await this.bucket.get(key);
+    if (!object) return null;
+    return {
+      body: object.body,
+      contentType: object.httpMetadata?.contentType || 'application/octet-stream',
+      size: object.size,
+    };
+  }
+}
+
+/**
+ * The configured image store, or null when no bucket is bound
+ */
+export function createImageStore(env: Env): ImageStore | null {
+  return env.IMAGE_BUCKET ? new R2ImageStore(env.IMAGE_BUCKET) : null;
+}
+
+// ============================================
+// Keys and URLs
+// ============================================
+
+export function isValidImageKey(key: string): boolean {
+  return KEY_PATTERN.test(key);
+}
+
+export function imageKey(hash: string, ext: string, width?: number): string {
+  return width ? `${hash}-w${width}.${ext}` : `${hash}.${ext}`;
+}
+
+export function canResize(ext: string): boolean {
+  return RESIZABLE_EXTENSIONS.has(ext);
+}
+
+/**
+ * Extension for an accepted raster image Content-Type, or null for anything
+ * else (HTML, SVG, missing type)
+ */
+export function imageExtensionForType(contentType: string | null): string | null {
+  const mimeType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const normalized = mimeType === 'image/jpg' || mimeType === 'image/pjpeg' ? 'image/jpeg' : mimeType;
+  const entry = Object.entries(IMAGE_TYPES).find(([, type]) => type === normalized);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Read an image response body, giving up once it exceeds maxBytes
+ *
+ * Content-Length is checked first, but it can be absent or wrong, so the
+ * stream is counted as it is read too. Returns null when the body is too big.
+ */
+export async function readImageBody(response: Response, maxBytes = MAX_IMAGE_BYTES): Promise<ArrayBuffer | null> {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > maxBytes) {
+    await response.body?.cancel();
+    return null;
+  }
+  if (!response.body) return new ArrayBuffer(0);
+
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Public base URL for stored images: IMAGE_BASE_URL, else this Worker's route
+ */
+export function getImageBaseUrl(env: Env, requestUrl: string): string {
+  const base = env.IMAGE_BASE_URL || `${new URL(requestUrl).origin}${IMAGE_ROUTE_PREFIX}`;
+  return base.endsWith('/') ? base : `${base}/`;
+}
+
+// ============================================
+// Serving
+// ============================================
+
+/**
+ * Serve GET /images/<key>. Keys are content hashes, so responses never change
+ * and can be cached forever. The Content-Type comes from the key's extension,
+ * never from what the source site sent, and nosniff stops browsers from
+ * treating the bytes as anything other than that image type.
+ */
+export async function serveImage(key: string, env: Env, corsHeaders: Record<string, string>): Promise<Response> {
+  const store = createImageStore(env);
+  if (!store || !isValidImageKey(key)) {
+    return new Response('Not Found', { status: 404, headers: corsHeaders });
+  }
+
+  const image = await store.get(key);
+  if (!image) {
+    return new Response('Not Found', { status: 404, headers: corsHeaders });
+  }
+
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': IMAGE_TYPES[key.split('.').pop() as string],
+      'Content-Length': String(image.size),
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ...corsHeaders,
+    },
+  });
+}
@@ -0,0 +1,381 @@
+/**
+ * Ingredient Match - "What can I make with what I have?"
+ *
+ * Backs POST /api/ingredient-match for the ingredient-search block. Recipes
+ * from recipes.json are ranked by coverage: the share of a recipe's
+ * ingredients (pantry staples like water and ice aside) that the visitor
+ * has. Each match lists the ingredients still missing.
+ *
+ * Ingredients are compared as normalized terms, so plurals ("strawberries"),
+ * spelling variants ("yoghurt") and synonyms ("garbanzo beans") match, and a
+ * category the visitor types ("berries", "nuts", "greens") covers any of its
+ * members. A term never covers a compound ingredient built on it ("milk" is
+ * not "almond milk", "spinach" is not "matcha green tea"). Only when no
+ * recipe covers at least GOOD_MATCH_PERCENT is a recipe generated from the
+ * visitor's ingredients.
+ */
+
+import type { Env, Ingredient, Recipe, ResolvedPreset } from '../types';
+import { extractIngredients, searchRecipes } from '../content/content-service';
+import { createModelFactory, type Message } from '../ai-clients/model-factory';
+
+// ============================================
+// Configuration
+// ============================================
+
+const MAX_INGREDIENTS = 20;
+const MAX_RESULTS = 12;
+
+// Candidates considered per search, before ranking by coverage
+const MAX_CANDIDATES = 300;
+
+// Below this best coverage, a recipe is generated
+const GOOD_MATCH_PERCENT = 50;
+
+// A recipe must use at least one of the visitor's ingredients to be listed
+const MIN_MATCH_PERCENT = 20;
+
+// Assumed to be in every kitchen; never counted or listed as missing
+const PANTRY_STAPLES = new Set([
+  'water', 'ice', 'ice cube', 'salt', 'sea salt', 'kosher salt', 'black pepper', 'hot water', 'cold water',
+]);
+
+// Alternative names, mapped to one canonical term
+const SYNONYMS: Record<string, string> = {
+  yoghurt: 'yogurt',
+  coriander: 'cilantro',
+  garbanzo: 'chickpea',
+  'garbanzo bean': 'chickpea',
+  scallion: 'green onion',
+  courgette: 'zucchini',
+  cacao: 'cocoa',
+  'cocoa powder': 'cocoa',
+  'rolled oat': 'oat',
+  oatmeal: 'oat',
+  'ice cube': 'ice',
+  capsicum: 'bell pepper',
+  aubergine: 'eggplant',
+};
+
+// Category words a visitor may type, and the terms they cover
+const CATEGORIES: Record<string, string[]> = {
+  berry: ['strawberry', 'blueberry', 'raspberry', 'blackberry', 'cranberry', 'acai', 'goji berry'],
+  nut: ['almond', 'cashew', 'peanut', 'walnut', 'hazelnut', 'pecan', 'pistachio', 'macadamia'],
+  green: ['spinach', 'kale', 'chard', 'romaine', 'arugula', 'collard green'],
+  citrus: ['orange', 'lemon', 'lime', 'grapefruit', 'tangerine', 'clementine'],
+  seed: ['chia', 'flax', 'hemp', 'sunflower', 'pumpkin seed', 'sesame'],
+  'plant milk': ['almond milk', 'oat milk', 'soy milk', 'coconut milk', 'cashew milk', 'rice milk'],
+};
+
+// Words that describe an ingredient rather than name it
+const DESCRIPTORS = new Set([
+  'fresh', 'frozen', 'ripe', 'raw', 'whole', 'chopped', 'diced', 'sliced', 'peeled', 'large', 'small',
+  'medium', 'organic', 'unsweetened', 'sweetened', 'plain', 'cup', 'cups', 'of', 'and', 'or', 'to',
+  'taste', 'optional', 'dried', 'toasted', 'roasted', 'softened', 'pitted', 'packed', 'cooked', 'canned',
+  'baby', 'chunk', 'chunks', 'slice', 'slices', 'piece', 'pieces', 'wedge', 'wedges',
+]);
+
+// Plurals ending in -ves whose singular ends in -f or -fe; other -ves words
+// just drop the s ("olives", "cloves", "chives")
+const F_PLURALS: Record<string, string> = {
+  leaves: 'leaf',
+  halves: 'half',
+  loaves: 'loaf',
+  knives: 'knife',
+  calves: 'calf',
+  wolves: 'wolf',
+  shelves: 'shelf',
+};
+
+// ============================================
+// Types
+// ============================================
+
+export interface IngredientMatch {
+  title: string;
+  description?: string;
+  difficulty: string;
+  time?: string;
+  url?: string;
+  image?: string;
+  matchPercent: number;
+  matchedIngredients: string[];
+  missingIngredients: string[];
+  generated?: boolean;
+}
+
+export interface IngredientMatchResult {
+  ingredients: string[];
+  recipes: IngredientMatch[];
+  // Whether recipes[0] was generated because nothing matched well
+  generated: boolean;
+}
+
+// ============================================
+// Terms
+// ============================================
+
+function singular(word: string): string {
+  if (word.length <= 3 || word.endsWith('ss')) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (/(ches|shes|oes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('ves')) return F_PLURALS[word] || word.slice(0, -1);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Canonical form of an ingredient: lowercase, no accents or descriptors,
+ * singular, synonyms resolved ("Fresh Strawberries" -> "strawberry")
+ */
+export function normalizeIngredient(text: string): string {
+  const words = text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(/[^a-z]+/)
+    .filter((word) => word && !DESCRIPTORS.has(word))
+    .map(singular);
+
+  const term = words.join(' ');
+  return SYNONYMS[term] || words.map((word) => SYNONYMS[word] || word).join(' ');
+}
+
+/**
+ * Split the visitor's input ("banana, spinach and berries") into terms
+ */
+export function parseIngredients(input: string | string[]): string[] {
+  const text = Array.isArray(input) ? input.join(',') : input;
+  const terms = [...new Set(text.split(/,|\n|;|\band\b|&/i).map(normalizeIngredient).filter(Boolean))];
+
+  // Known ingredients inside free text ("some bananas, a bag of spinach") are
+  // added on their own, unless a term already names them ("almond milk")
+  for (const known of extractIngredients(text).map(normalizeIngredient)) {
+    if (!terms.some((term) => containsWords(term, known))) terms.push(known);
+  }
+
+  return terms.slice(0, MAX_INGREDIENTS);
+}
+
+function words(term: string): string[] {
+  return term.split(' ');
+}
+
+function containsWords(haystack: string, needle: string): boolean {
+  return ` ${haystack} `.includes(` ${needle} `);
+}
+
+/**
+ * Whether the leading words of a recipe ingredient name another ingredient,
+ * making it a compound ("almond milk", "matcha green tea") rather than a
+ * variety of the last word ("red raspberry", "wildflower honey")
+ */
+function namesIngredient(leading: string): boolean {
+  return extractIngredients(leading).length > 0
+    || Object.values(CATEGORIES).some((members) => members.some((member) => (
+      containsWords(leading, member) || member.startsWith(`${leading} `)
+    )));
+}
+
+/**
+ * Whether one term covers another: the same term, a more specific visitor
+ * term ("greek yogurt" covers "yogurt"), or a variety of it ("honey" covers
+ * "wildflower honey"), but not a compound built on it ("milk" does not cover
+ * "almond milk")
+ */
+function coversTerm(have: string, need: string): boolean {
+  if (have === need || ` ${have}`.endsWith(` ${need}`)) return true;
+  if (!` ${need}`.endsWith(` ${have}`)) return false;
+  return !namesIngredient(need.slice(0, -have.length).trim());
+}
+
+/**
+ * Whether a visitor's ingredient covers a recipe ingredient. A category
+ * covers its members ("nuts" covers "almond" and "macadamia nut"), and a
+ * member covers its category only where the recipe lists the category
+ * itself ("almond" covers "nut", not "macadamia nut milk")
+ */
+function covers(have: string, need: string): boolean {
+  if (coversTerm(have, need)) return true;
+
+  const members = CATEGORIES[have];
+  if (members?.some((member) => coversTerm(member, need) || need === `${member} ${have}`)) return true;
+  return CATEGORIES[need]?.some((member) => coversTerm(have, member)) ?? false;
+}
+
+function isStaple(term: string): boolean {
+  return !term || PANTRY_STAPLES.has(term) || words(term).every((word) => PANTRY_STAPLES.has(word));
+}
+
+// ============================================
+// Matching
+// ============================================
+
+function recipeIngredients(recipe: Recipe): { label: string; term: string }[] {
+  const entries = (recipe.ingredients || []) as (Ingredient | string)[];
+  const seen = new Set<string>();
+  const result: { label: string; term: string }[] = [];
+
+  for (const entry of entries) {
+    const label = (typeof entry === 'string' ? entry : entry?.item || '').trim();
+    const term = normalizeIngredient(label);
+    if (isStaple(term) || seen.has(term)) continue;
+    seen.add(term);
+    result.push({ label, term });
+  }
+  return result;
+}
+
+function recipeImage(recipe: Recipe): string | undefined {
+  const path = recipe.images?.primary;
+  if (!path) return undefined;
+  return path.startsWith('http') ? path : `https://www.vitamix.com${path}`;
+}
+
+function capitalize(text: string): string {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function scoreRecipe(recipe: Recipe, have: string[]): (IngredientMatch & { used: number }) | null {
+  const needed = recipeIngredients(recipe);
+  if (needed.length === 0) return null;
+
+  const matched: string[] = [];
+  const missing: string[] = [];
+  for (const { label, term } of needed) {
+    (have.some((ingredient) => covers(ingredient, term)) ? matched : missing).push(label);
+  }
+
+  const matchPercent = Math.round((matched.length / needed.length) * 100);
+  if (matchPercent < MIN_MATCH_PERCENT) return null;
+
+  return {
+    title: recipe.name,
+    description: recipe.description,
+    difficulty: capitalize(recipe.difficulty || 'easy'),
+    time: recipe.totalTime || recipe.time || recipe.prepTime || undefined,
+    url: recipe.url,
+    image: recipeImage(recipe),
+    matchPercent,
+    matchedIngredients: matched,
+    missingIngredients: missing,
+    // Share of the visitor's ingredients the recipe uses
+    used: have.filter((ingredient) => needed.some(({ term }) => covers(ingredient, term))).length / have.length,
+  };
+}
+
+/**
+ * Rank recipes by coverage: of the recipe's ingredients by the visitor's,
+ * and of the visitor's ingredients by the recipe, so a recipe using three of
+ * them ranks above one that needs only a banana
+ */
+export function matchRecipes(ingredients: string[]): IngredientMatch[] {
+  // searchRecipes does the broad keyword pass; category words are expanded
+  // so "berries" also finds recipes listing only "strawberries"
+  const searchTerms = ingredients.flatMap((term) => [term, ...(CATEGORIES[term] || [])]);
+  const candidates = searchRecipes(searchTerms.join(' '), MAX_CANDIDATES);
+
+  const seenTitles = new Set<string>();
+  return candidates
+    .map((recipe) => scoreRecipe(recipe, ingredients))
+    .filter((match): match is IngredientMatch & { used: number } => match !== null)
+    .sort((a, b) => (b.matchPercent / 100 + b.used) - (a.matchPercent / 100 + a.used) || b.matchPercent - a.matchPercent)
+    .filter((match) => {
+      // recipes.json lists some recipes more than once
+      const key = match.title.toLowerCase();
+      if (seenTitles.has(key)) return false;
+      seenTitles.add(key);
+      return true;
+    })
+    .slice(0, MAX_RESULTS)
+    .map(({ used: _used, ...match }) => match);
+}
+
+// ============================================
+// Generated Fallback
+// ============================================
+
+const GENERATE_PROMPT = `You are a Vitamix recipe developer. Create one simple blender recipe that uses the listed ingredients.
+Use as many of them as make sense together; add at most three common extra ingredients.
+
+Return ONLY valid JSON (no markdown):
+{
+  "title": "<recipe name>",
+  "description": "<one sentence>",
+  "difficulty": "Easy" | "Medium",
+  "time": "<e.g. 10 min>",
+  "ingredients": ["<ingredient>", ...]
+}`;
+
+async function generateRecipe(ingredients: string[], env: Env, preset?: ResolvedPreset): Promise<IngredientMatch | null> {
+  const messages: Message[] = [
+    { role: 'system', content: GENERATE_PROMPT },
+    { role: 'user', content: `Ingredients: ${ingredients.join(', ')}` },
+  ];
+
+  try {
+    const response = await createModelFactory(env, preset).call('content', messages, env);
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const recipe = JSON.parse(jsonMatch[0]) as {
+      title?: string;
+      description?: string;
+      difficulty?: string;
+      time?: string;
+      ingredients?: string[];
+    };
+    if (!recipe.title) return null;
+
+    const listed = (recipe.ingredients || []).map(String);
+    const missing = listed.filter((label) => {
+      const term = normalizeIngredient(label);
+      return !isStaple(term) && !ingredients.some((ingredient) => covers(ingredient, term));
+    });
+
+    return {
+      title: recipe.title,
+      description: recipe.description,
+      difficulty: recipe.difficulty || 'Easy',
+      time: recipe.time,
+      matchPercent: listed.length ? Math.round(((listed.length - missing.length) / listed.length) * 100) : 100,
+      matchedIngredients: listed.filter((label) => !missing.includes(label)),
+      missingIngredients: missing,
+      generated: true,
+    };
+  } catch (error) {
+    console.error('[IngredientMatch] Recipe generation failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Match recipes to the visitor's ingredients, generating one only when
+ * nothing in recipes.json covers them well
+ */
+export async function findIngredientMatches(
+  input: string | string[],
+  env: Env,
+  preset?: ResolvedPreset
+): Promise<IngredientMatchResult> {
+  const ingredients = parseIngredients(input);
+  if (ingredients.length === 0) {
+    return { ingredients, recipes: [], generated: false };
+  }
+
+  const recipes = matchRecipes(ingredients);
+  // Results are ranked on a combined score, so the best coverage may not be first
+  const bestCoverage = Math.max(0, ...recipes.map((recipe) => recipe.matchPercent));
+  if (bestCoverage >= GOOD_MATCH_PERCENT) {
+    return { ingredients, recipes, generated: false };
+  }
+
+  console.log(`[IngredientMatch] Best coverage ${bestCoverage}%, generating a recipe`);
+  const generated = await generateRecipe(ingredients, env, preset);
+  return {
+    ingredients,
+    recipes: generated ? [generated, ...recipes] : recipes,
+    generated: !!generated,
+  };
+}
@@ -5,6 +5,9 @@
  * 1. Fast Classification (Cerebras 8B) - Classify user intent
  * 2. Deep Reasoning (Claude Opus) - Select blocks and explain thinking
  * 3. Content Generation (Cerebras 70B) - Generate block content in parallel
+ *    - Each block is validated against its schema and repaired if malformed
+ *    - Product prices, wattages and warranties are fact-checked against content data
+ *    - Text-heavy blocks stream token-level block-delta events before their final HTML
  * 4. HTML Assembly - Build DA-compliant HTML
  * 5. SSE Streaming - Stream blocks to client
  */
@@ -16,24 +19,45 @@ import type {
   ReasoningResult,
   BlockSelection,
   SSEEvent,
+  QueryHistoryItem,
+  FactCheckIssue,
+  UsageSummary,
+  ResolvedPreset,
   Product,
   Recipe,
   Review,
 } from '../types';
-import { createModelFactory, type Message } from '../ai-clients/model-factory';
+import { createModelFactory, type Message, type CallOptions } from '../ai-clients/model-factory';
+import { resolvePreset } from '../ai-clients/preset-registry';
 import { analyzeAndSelectBlocks, formatReasoningForDisplay } from '../ai-clients/reasoning-engine';
 import {
-  buildRAGContext,
   getProductById,
   getRecipeById,
   getAllProducts,
   getProductsByUseCase,
   getAllReviews,
   getFAQsForQuery,
+  getContentVersion,
   type RAGContext,
   type FAQ,
 } from '../content/content-service';
+import { buildHybridRAGContext } from '../content/semantic-search';
+import { describeDietaryConstraints, detectDietaryConstraints } from '../content/dietary-filters';
 import { selectHeroImage } from './hero-images';
+import { mapWithConcurrency, withTimeout } from './async-utils';
+import { validateBlockHTML, sanitizeBlockHTML } from './block-validator';
+import { buildTemplateFallback } from './block-fallbacks';
+import { factCheckBlock } from './fact-checker';
+import { UsageTracker } from './usage-tracker';
+import type { UsageReport } from './usage-tracker';
+import {
+  buildCacheKey,
+  getCachedResponse,
+  putCachedResponse,
+  isCacheable,
+  isResponseCacheEnabled,
+  type CachedResponse,
+} from './response-cache';
 
 // ============================================
 // Types
@@ -48,14 +72,43 @@ interface OrchestrationContext {
   generatedBlocks?: GeneratedBlock[];
 }
 
+interface BlockRepair {
+  method: 'sanitize' | 'reprompt' | 'template' | 'none';
+  errors: string[];
+}
+
 interface GeneratedBlock {
   type: string;
   html: string;
   sectionStyle?: string;
+  // Set when the generated HTML failed schema validation
+  repair?: BlockRepair;
+  // Product claims that were corrected or flagged
+  factCheck?: FactCheckIssue[];
 }
 
 type SSECallback = (event: SSEEvent) => void;
 
+// Block generation defaults (override with BLOCK_CONCURRENCY / BLOCK_TIMEOUT_MS)
+const DEFAULT_BLOCK_CONCURRENCY = 4;
+const DEFAULT_BLOCK_TIMEOUT_MS = 30000;
+
+// Text-heavy blocks whose content is streamed to the client as block-delta events.
+// Deltas are raw model output, so the client only ever shows them as text.
+const STREAMED_BLOCKS = ['hero', 'quick-answer', 'faq'];
+
+export interface OrchestrateOptions {
+  bypassCache?: boolean;
+}
+
+interface OrchestrationResult {
+  blocks: GeneratedBlock[];
+  reasoning: ReasoningResult;
+  duration: number;
+  sessionTurn: QueryHistoryItem;
+  usageReport: UsageReport;
+}
+
 // ============================================
 // Intent Classification
 // ============================================
@@ -87,9 +140,10 @@ async function classifyIntent(
   query: string,
   env: Env,
   sessionContext?: SessionContext,
-  preset?: string
+  preset?: ResolvedPreset,
+  usageTracker?: UsageTracker
 ): Promise<IntentClassification> {
-  const modelFactory = createModelFactory(env, preset);
+  const modelFactory = createModelFactory(env, preset, usageTracker);
 
   const contextInfo = sessionContext?.previousQueries?.length
     ? `\n\nPrevious queries in this session:\n${sessionContext.previousQueries.map((q) => `- "${q.query}" (${q.intent})`).join('\n')}`
@@ -126,12 +180,16 @@ async function classifyIntent(
 async function getRAGContext(
   query: string,
   intent: IntentClassification,
-  _env: Env
+  env: Env,
+  sessionContext?: SessionContext
 ): Promise<RAGContext> {
-  // Build RAG context from local content
-  const context = buildRAGContext(query, intent.intentType);
+  // Allergies and diets stated earlier in the session still apply
+  const dietaryConstraints = [
+    ...new Set((sessionContext?.previousQueries || []).flatMap((q) => detectDietaryConstraints(q.query))),
+  ];
 
-  return context;
+  // Hybrid retrieval: keyword matches fused with Vectorize (or local) semantic matches
+  return buildHybridRAGContext(query, intent.intentType, env, { dietaryConstraints });
 }
 
 // ============================================
@@ -878,11 +936,13 @@ async function generateBlockContent(
   block: BlockSelection,
   ragContext: RAGContext,
   env: Env,
-  preset?: string,
+  preset?: ResolvedPreset,
   intent?: IntentClassification,
-  query?: string
+  query?: string,
+  usageTracker?: UsageTracker,
+  callOptions?: CallOptions
 ): Promise<GeneratedBlock> {
-  const modelFactory = createModelFactory(env, preset);
+  const modelFactory = createModelFactory(env, preset, usageTracker);
 
   // Build context based on block type
   let dataContext = '';
@@ -954,6 +1014,11 @@ async function generateBlockContent(
     dataContext = `\n\n## Products for Accessibility Comparison (USE THESE EXACT URLs):\n${buildProductContext(ragContext.relevantProducts.slice(0, 4))}`;
   }
 
+  // Any block can mention recipes, so every one is told about dietary constraints
+  if (ragContext.dietaryConstraints.length > 0) {
+    dataContext += `\n\n${describeDietaryConstraints(ragContext.dietaryConstraints)}`;
+  }
+
   // Get HTML template for the block type
   const htmlTemplate = getBlockTemplate(block.type);
 
@@ -980,8 +1045,19 @@ Rationale: ${block.rationale}`,
   ];
 
   try {
-    const response = await modelFactory.call('content', messages, env);
-    let html = wrapBlockHTML(block.type, response.content, block.variant);
+    const response = await modelFactory.call('content', messages, env, callOptions);
+    const repaired = await validateAndRepairBlock(
+      block,
+      wrapBlockHTML(block.type, response.content, block.variant),
+      systemPrompt,
+      ragContext,
+      env,
+      preset,
+      query,
+      usageTracker,
+      callOptions?.signal
+    );
+    let html = repaired.html;
 
     // For specs-table, add product name as data attribute for client-side title injection
     if (block.type === 'specs-table' && specsTableProductName) {
@@ -996,14 +1072,94 @@ Rationale: ${block.rationale}`,
       type: block.type,
       html,
       sectionStyle: getSectionStyle(block.type),
+      repair: repaired.repair,
     };
   } catch (error) {
     console.error(`[ContentGen] Error generating ${block.type}:`, error instanceof Error ? error.message : error);
+    return buildFallbackBlock(block.type, ragContext, query);
+  }
+}
+
+/**
+ * Check generated HTML against the block schema and repair it if needed:
+ * sanitize, then re-prompt the validation model with the errors, then fall
+ * back to a deterministic template. If nothing passes, the sanitized original
+ * is kept so the decorator can still render whatever it can.
+ */
+async function validateAndRepairBlock(
+  block: BlockSelection,
+  html: string,
+  systemPrompt: string,
+  ragContext: RAGContext,
+  env: Env,
+  preset?: ResolvedPreset,
+  query?: string,
+  usageTracker?: UsageTracker,
+  signal?: AbortSignal
+): Promise<{ html: string; repair?: BlockRepair }> {
+  const { valid, errors } = validateBlockHTML(block.type, html);
+  if (valid) {
+    return { html };
+  }
+
+  console.warn(`[ContentGen] ${block.type} failed validation:`, errors.join('; '));
+
+  const sanitized = sanitizeBlockHTML(html);
+  if (validateBlockHTML(block.type, sanitized).valid) {
+    return { html: sanitized, repair: { method: 'sanitize', errors } };
+  }
+
+  try {
+    const modelFactory = createModelFactory(env, preset, usageTracker);
+    const response = await modelFactory.call('validation', [
+      { role: 'system', content: systemPrompt },
+      {
+        role: 'user',
+        content: `Your previous ${block.type} block HTML was rejected:
+${errors.map((e) => `- ${e}`).join('\n')}
+
+Previous output:
+${html}
+
+Return the corrected HTML only, following the template structure exactly.`,
+      },
+    ], env, { signal });
+
+    const reprompted = wrapBlockHTML(block.type, response.content, block.variant);
+    if (validateBlockHTML(block.type, reprompted).valid) {
+      return { html: reprompted, repair: { method: 'reprompt', errors } };
+    }
+  } catch (error) {
+    console.error(`[ContentGen] Re-prompt failed for ${block.type}:`, error instanceof Error ? error.message : error);
+  }
+
+  const template = buildTemplateFallback(block.type, ragContext, query || block.contentGuidance);
+  if (template) {
+    return { html: template, repair: { method: 'template', errors } };
+  }
+
+  return { html: sanitized, repair: { method: 'none', errors } };
+}
+
+/**
+ * Used when a block fails or times out: the deterministic template if the
+ * block has one, otherwise a placeholder
+ */
+function buildFallbackBlock(blockType: string, ragContext?: RAGContext, query?: string): GeneratedBlock {
+  const template = ragContext ? buildTemplateFallback(blockType, ragContext, query) : null;
+  if (template) {
     return {
-      type: block.type,
-      html: `<div class="${block.type}"><p>Content generation failed</p></div>`,
+      type: blockType,
+      html: template,
+      sectionStyle: getSectionStyle(blockType),
+      repair: { method: 'template', errors: ['Generation failed'] },
     };
   }
+
+  return {
+    type: blockType,
+    html: `<div class="${blockType}"><p>Content generation failed</p></div>`,
+  };
 }
 
 function wrapBlockHTML(type: string, content: string, variant?: string): string {
@@ -1204,6 +1360,94 @@ function generateFollowUpBlock(userJourney: ReasoningResult['userJourney']): Gen
   };
 }
 
+// ============================================
+// Session Turn & Cache Replay
+// ============================================
+
+/**
+ * Summarize a completed generation for server-side session memory
+ */
+function buildSessionTurn(
+  query: string,
+  intent: IntentClassification,
+  reasoningResult: ReasoningResult,
+  blocks: GeneratedBlock[],
+  extractedProducts: string[],
+  extractedRecipes: string[]
+): QueryHistoryItem {
+  return {
+    query,
+    intent: intent.intentType,
+    entities: {
+      products: intent.entities?.products || [],
+      ingredients: intent.entities?.ingredients || [],
+      goals: intent.entities?.useCases || [],
+    },
+    recommendedProducts: extractedProducts,
+    recommendedRecipes: extractedRecipes,
+    blockTypes: blocks.map(b => b.type),
+    journeyStage: reasoningResult.userJourney.currentStage,
+    confidence: reasoningResult.confidence,
+    nextBestAction: reasoningResult.userJourney.nextBestAction,
+    suggestedFollowUps: reasoningResult.userJourney.suggestedFollowUps,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Replay a cached SSE sequence, refreshing timing fields
+ */
+function replayCachedResponse(
+  cached: CachedResponse,
+  cacheKey: string,
+  query: string,
+  intent: IntentClassification,
+  startTime: number,
+  generationId: string,
+  usage: UsageSummary,
+  onEvent: SSECallback
+): OrchestrationResult {
+  for (const event of cached.events) {
+    if (event.event === 'generation-complete') {
+      onEvent({
+        event: 'generation-complete',
+        // Only classification ran for a replay, so report that instead of the stored usage
+        data: {
+          ...event.data, generationId, intent, duration: Date.now() - startTime, cached: true, usage,
+        },
+      });
+    } else if (event.event === 'reasoning-complete') {
+      onEvent({
+        event: 'reasoning-complete',
+        data: { ...event.data, duration: Date.now() - startTime },
+      });
+    } else {
+      onEvent(event);
+    }
+  }
+
+  console.log(`[Orchestrator] Replayed cached response (${cached.blocks.length} blocks, cached ${new Date(cached.createdAt).toISOString()})`);
+
+  const duration = Date.now() - startTime;
+  return {
+    blocks: cached.blocks,
+    reasoning: cached.reasoning,
+    duration,
+    sessionTurn: {
+      ...buildSessionTurn(
+        query,
+        intent,
+        cached.reasoning,
+        cached.blocks,
+        extractProductNamesFromBlocks(cached.blocks),
+        extractRecipeNamesFromBlocks(cached.blocks)
+      ),
+      cacheKey,
+    },
+    usageReport: { generationId, cached: true, usage },
+  };
+}
+
 // ============================================
 // Main Orchestrator
 // ============================================
@@ -1214,14 +1458,27 @@ export async function orchestrate(
   env: Env,
   onEvent: SSECallback,
   sessionContext?: SessionContext,
-  preset?: string
-): Promise<{
-  blocks: GeneratedBlock[];
-  reasoning: ReasoningResult;
-  duration: number;
-}> {
+  preset?: ResolvedPreset,
+  options: OrchestrateOptions = {}
+): Promise<OrchestrationResult> {
   const startTime = Date.now();
+  const generationId = crypto.randomUUID();
   const ctx: OrchestrationContext = { query, slug };
+  const effectivePreset = preset || resolvePreset(env.MODEL_PRESET);
+  // Report fallbacks live; not part of the cached event sequence since they're per-run
+  const usageTracker = new UsageTracker((usage) => {
+    if (!usage.fallbackFrom || usage.failed) return;
+    onEvent({
+      event: 'model-fallback',
+      data: {
+        role: usage.role,
+        provider: usage.provider,
+        model: usage.model,
+        primaryProvider: usage.fallbackFrom.provider,
+        primaryModel: usage.fallbackFrom.model,
+      },
+    });
+  });
 
   try {
     // Stage 1: Emit start event
@@ -1231,17 +1488,49 @@ export async function orchestrate(
     });
 
     // Stage 2: Fast intent classification
-    ctx.intent = await classifyIntent(query, env, sessionContext, preset);
+    ctx.intent = await classifyIntent(query, env, sessionContext, effectivePreset, usageTracker);
+
+    // Stage 2b: Response cache - only for fresh sessions, since history personalizes output
+    const useCache = !options.bypassCache &&
+      !sessionContext?.previousQueries?.length &&
+      isResponseCacheEnabled(env);
+    const cacheKey = useCache ? await buildCacheKey(query, ctx.intent.intentType, effectivePreset) : undefined;
+    if (cacheKey) {
+      const cached = await getCachedResponse(env, cacheKey);
+      if (cached) {
+        return replayCachedResponse(
+          cached,
+          cacheKey,
+          query,
+          ctx.intent,
+          startTime,
+          generationId,
+          usageTracker.summarize(effectivePreset.name),
+          onEvent
+        );
+      }
+    }
+
+    // Record everything emitted from here on so it can be replayed from cache
+    const recordedEvents: SSEEvent[] = [];
+    const emit: SSECallback = (event) => {
+      recordedEvents.push(event);
+      onEvent(event);
+    };
 
     // Stage 3: Get RAG context
-    ctx.ragContext = await getRAGContext(query, ctx.intent, env);
+    ctx.ragContext = await getRAGContext(query, ctx.intent, env, sessionContext);
 
     // Stage 4: Deep reasoning (model depends on preset)
-    const effectivePreset = preset || env.MODEL_PRESET || 'production';
-    const reasoningModel = effectivePreset === 'all-cerebras' ? 'cerebras-gpt-oss-120b' : 'claude-opus-4-5';
-    onEvent({
+    const reasoningConfig = effectivePreset.roles.reasoning;
+    emit({
       event: 'reasoning-start',
-      data: { model: reasoningModel, preset: effectivePreset },
+      data: {
+        model: reasoningConfig.model,
+        provider: reasoningConfig.provider,
+        preset: effectivePreset.name,
+        overrides: Object.keys(effectivePreset.overrides).length ? effectivePreset.overrides : undefined,
+      },
     });
 
     ctx.reasoningResult = await analyzeAndSelectBlocks(
@@ -1250,55 +1539,125 @@ export async function orchestrate(
       ctx.ragContext,
       env,
       sessionContext,
-      preset
+      effectivePreset,
+      usageTracker
     );
 
     // Stream reasoning steps
     const reasoningDisplay = formatReasoningForDisplay(ctx.reasoningResult.reasoning);
     for (const step of reasoningDisplay.steps) {
-      onEvent({
+      emit({
         event: 'reasoning-step',
         data: step,
       });
     }
 
-    onEvent({
+    const reasoningCall = usageTracker.getRecords().filter((r) => r.role === 'reasoning' && !r.failed).pop();
+    emit({
       event: 'reasoning-complete',
       data: {
         confidence: ctx.reasoningResult.confidence,
         duration: Date.now() - startTime,
+        provider: reasoningCall?.provider,
+        model: reasoningCall?.model,
       },
     });
 
-    // Stage 5: Generate blocks in parallel
-    const blocks: GeneratedBlock[] = [];
+    // Stage 5: Generate blocks in parallel (capped), stream them in selection order
+    const selectedBlocks = ctx.reasoningResult.selectedBlocks;
+    const reasoningResult = ctx.reasoningResult;
+    const ragContext = ctx.ragContext;
+    const intent = ctx.intent;
+    const concurrency = parseInt(env.BLOCK_CONCURRENCY || '', 10) || DEFAULT_BLOCK_CONCURRENCY;
+    const blockTimeout = parseInt(env.BLOCK_TIMEOUT_MS || '', 10) || DEFAULT_BLOCK_TIMEOUT_MS;
 
-    for (const blockSelection of ctx.reasoningResult.selectedBlocks) {
-      onEvent({
+    const pendingBlocks = mapWithConcurrency(selectedBlocks, concurrency, async (blockSelection, index) => {
+      emit({
         event: 'block-start',
-        data: { blockType: blockSelection.type, index: blocks.length },
+        data: { blockType: blockSelection.type, index },
       });
 
-      let block: GeneratedBlock;
-
       // Special handling for reasoning-user and follow-up blocks
       if (blockSelection.type === 'reasoning-user') {
-        block = generateReasoningUserBlock(ctx.reasoningResult);
-      } else if (blockSelection.type === 'follow-up') {
-        block = generateFollowUpBlock(ctx.reasoningResult.userJourney);
-      } else {
-        block = await generateBlockContent(blockSelection, ctx.ragContext, env, preset, ctx.intent, ctx.query);
+        return generateReasoningUserBlock(reasoningResult);
+      }
+      if (blockSelection.type === 'follow-up') {
+        return generateFollowUpBlock(reasoningResult.userJourney);
+      }
+
+      // Deltas go straight to the client (never into the cache) until the block settles
+      let settled = false;
+      const stream: CallOptions | undefined = STREAMED_BLOCKS.includes(blockSelection.type)
+        ? {
+          onDelta: (delta) => {
+            if (settled) return;
+            onEvent({ event: 'block-delta', data: { blockType: blockSelection.type, index, delta } });
+          },
+          onRestart: () => {
+            if (settled) return;
+            onEvent({ event: 'block-delta', data: { blockType: blockSelection.type, index, delta: '', reset: true } });
+          },
+        }
+        : undefined;
+
+      // The block timeout aborts the model call too, so its slot is really free
+      const controller = new AbortController();
+      const callOptions: CallOptions = { ...stream, signal: controller.signal };
+
+      try {
+        return await withTimeout(
+          generateBlockContent(blockSelection, ragContext, env, effectivePreset, intent, query, usageTracker, callOptions),
+          blockTimeout,
+          `Block ${blockSelection.type}`,
+          controller
+        );
+      } catch (error) {
+        console.error(`[ContentGen] ${error instanceof Error ? error.message : error}`);
+        return buildFallbackBlock(blockSelection.type, ragContext, query);
+      } finally {
+        settled = true;
       }
+    });
+
+    const blocks: GeneratedBlock[] = [];
 
+    for (const [index, pending] of pendingBlocks.entries()) {
+      const blockSelection = selectedBlocks[index];
+      const block = await pending;
+
+      const { html: checkedHtml, issues } = factCheckBlock(block.type, block.html);
+      if (issues.length > 0) {
+        block.html = checkedHtml;
+        block.factCheck = issues;
+      }
       blocks.push(block);
 
-      onEvent({
+      if (block.repair) {
+        emit({
+          event: 'block-repaired',
+          data: {
+            blockType: blockSelection.type,
+            index,
+            method: block.repair.method,
+            errors: block.repair.errors,
+          },
+        });
+      }
+
+      if (block.factCheck) {
+        emit({
+          event: 'block-fact-check',
+          data: { blockType: blockSelection.type, index, issues: block.factCheck },
+        });
+      }
+
+      emit({
         event: 'block-content',
-        data: { html: block.html, sectionStyle: block.sectionStyle },
+        data: { html: block.html, sectionStyle: block.sectionStyle, index },
       });
 
       // Emit rationale for transparency
-      onEvent({
+      emit({
         event: 'block-rationale',
         data: { blockType: blockSelection.type, rationale: blockSelection.rationale },
       });
@@ -1312,6 +1671,9 @@ export async function orchestrate(
     // Extract product/recipe names from generated HTML for context persistence
     const extractedProducts = extractProductNamesFromBlocks(blocks);
     const extractedRecipes = extractRecipeNamesFromBlocks(blocks);
+    const factCheckIssues = blocks.flatMap((b) => b.factCheck || []);
+    const usage = usageTracker.summarize(effectivePreset.name);
+    console.log(`[Orchestrator] Usage: ${usage.calls} calls (${usage.failedCalls} failed attempts), ${usage.inputTokens}+${usage.outputTokens} tokens, ~$${usage.costUsd.toFixed(4)}`);
 
     // Debug logging
     console.log('[Orchestrator] Extracted products:', extractedProducts);
@@ -1319,12 +1681,24 @@ export async function orchestrate(
     console.log('[Orchestrator] Block types:', blocks.map(b => b.type));
     console.log('[Orchestrator] Session context received:', sessionContext ? JSON.stringify(sessionContext).slice(0, 500) : 'none');
 
-    onEvent({
+    emit({
       event: 'generation-complete',
       data: {
+        generationId,
         totalBlocks: blocks.length,
         duration,
+        repairedBlocks: blocks.filter((b) => b.repair).length,
+        factCheck: {
+          fixed: factCheckIssues.filter((i) => i.action === 'fixed').length,
+          flagged: factCheckIssues.filter((i) => i.action === 'flagged').length,
+        },
+        usage,
         intent: ctx.intent,
+        retrieval: {
+          products: ragContext.relevantProducts.length,
+          recipes: ragContext.relevantRecipes.length,
+          useCases: ragContext.relevantUseCases.length,
+        },
         reasoning: {
           journeyStage: ctx.reasoningResult.userJourney.currentStage,
           confidence: ctx.reasoningResult.confidence,
@@ -1339,10 +1713,38 @@ export async function orchestrate(
       },
     });
 
+    // Don't pin template fallbacks in the cache; the next request may generate cleanly
+    const cacheWritten = cacheKey !== undefined && isCacheable(blocks) && !blocks.some((b) => b.repair?.method === 'template');
+    if (cacheWritten) {
+      await putCachedResponse(env, cacheKey, {
+        contentVersion: getContentVersion(),
+        createdAt: Date.now(),
+        query,
+        intentType: ctx.intent.intentType,
+        preset: effectivePreset.key,
+        events: recordedEvents,
+        blocks,
+        reasoning: ctx.reasoningResult,
+      });
+    }
+
+    // Turn summary for server-side session memory
+    const sessionTurn = buildSessionTurn(
+      query,
+      ctx.intent,
+      ctx.reasoningResult,
+      blocks,
+      extractedProducts,
+      extractedRecipes
+    );
+    if (cacheWritten) sessionTurn.cacheKey = cacheKey;
+
     return {
       blocks,
       reasoning: ctx.reasoningResult,
       duration,
+      sessionTurn,
+      usageReport: { generationId, cached: false, usage },
     };
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : 'Unknown error';
@@ -0,0 +1,408 @@
+/**
+ * Persist Jobs - Resumable, idempotent persist-and-publish
+ *
+ * Persisting a page takes five steps: host its images, create it in DA,
+ * preview, publish and purge the cache. Run inline, a failure halfway left a
+ * half-published page and the client had no way to resume. Each persist is
+ * now a job with per-step state, owned by a Durable Object (PERSIST_JOBS):
+ * - the job id is derived from a hash of the page HTML and names the object,
+ *   so persisting the same page again reaches the same object and returns the
+ *   existing job (and its path) instead of publishing a second copy. The
+ *   object handles one request at a time against strongly consistent storage,
+ *   so two simultaneous POSTs can't both create the job
+ * - POST /api/persist queues the job and returns its id right away; the job
+ *   runs in the object's alarm handler, which is not bound to the request's
+ *   lifetime (a waitUntil is cut off ~30s after the response), and clients
+ *   poll GET /api/persist/:jobId
+ * - each step is retried with backoff; completed steps are never repeated
+ * - a failed job is resumed from its failed step when the page is persisted
+ *   again; an alarm run that dies is retried by the runtime, and a job with
+ *   no progress for STALE_JOB_MS is rescheduled by the next status poll
+ * - finished jobs are deleted JOB_TTL_MS after their last update
+ */
+
+import type { Env } from '../types';
+import { AEMAdminClient, DAClient, processHtmlImages } from './da-client';
+import { jitteredBackoff, sleep } from './async-utils';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Finished jobs are kept for a week, so re-persisting a page stays a no-op
+const JOB_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MAX_STEP_ATTEMPTS = 3;
+
+// A running job with no progress for this long is assumed dead and resumed
+const STALE_JOB_MS = 5 * 60 * 1000;
+
+// Durable Object storage values are limited to 128 KiB, so page HTML is
+// stored in chunks
+const HTML_CHUNK_CHARS = 32 * 1024;
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+export const PERSIST_STEPS = ['images', 'create', 'preview', 'publish', 'purge'] as const;
+
+// ============================================
+// Types
+// ============================================
+
+export type PersistStep = typeof PERSIST_STEPS[number];
+
+export type PersistJobStatus = 'queued' | 'running' | 'succeeded' | 'failed';
+
+export interface PersistStepState {
+  status: 'pending' | 'running' | 'done' | 'failed';
+  attempts: number;
+  error?: string;
+  finishedAt?: number;
+}
+
+export interface PersistJob {
+  jobId: string;
+  contentHash: string;
+  path: string;
+  status: PersistJobStatus;
+  steps: Record<PersistStep, PersistStepState>;
+  // Page HTML, with image URLs rewritten once the images step is done
+  html: string;
+  imageBaseUrl?: string;
+  urls?: { preview: string; live: string };
+  // Opaque details returned with the status, e.g. the fact-check result
+  details?: Record<string, unknown>;
+  error?: string;
+  createdAt: number;
+  updatedAt: number;
+}
+
+export type PersistJobView = Omit<PersistJob, 'html' | 'imageBaseUrl'>;
+
+interface EnqueueRequest {
+  jobId: string;
+  contentHash: string;
+  path: string;
+  html: string;
+  imageBaseUrl?: string;
+  details?: Record<string, unknown>;
+}
+
+export class PersistJobError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PersistJobError';
+  }
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function jobObjects(env: Env): DurableObjectNamespace {
+  if (!env.PERSIST_JOBS) {
+    throw new PersistJobError('Persist jobs need the PERSIST_JOBS Durable Object binding');
+  }
+  return env.PERSIST_JOBS;
+}
+
+export function isValidJobId(jobId: string): boolean {
+  return JOB_ID_PATTERN.test(jobId);
+}
+
+async function sha256Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * UUID-shaped job id derived from the page's content hash
+ */
+function jobIdFor(contentHash: string): string {
+  const h = contentHash;
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20, 32)}`;
+}
+
+export function toJobView(job: PersistJob | PersistJobView): PersistJobView {
+  const { html: _html, imageBaseUrl: _imageBaseUrl, ...view } = job as PersistJob;
+  return view;
+}
+
+function isStale(job: PersistJobView): boolean {
+  return (job.status === 'queued' || job.status === 'running') && Date.now() - job.updatedAt > STALE_JOB_MS;
+}
+
+// ============================================
+// Client
+// ============================================
+
+/**
+ * Find the job for this exact page, or create a queued one at `path`. A new,
+ * failed or stalled job is (re)scheduled by its Durable Object.
+ */
+export async function enqueuePersistJob(
+  env: Env,
+  path: string,
+  html: string,
+  options: { imageBaseUrl?: string; details?: Record<string, unknown> } = {}
+): Promise<PersistJobView> {
+  const contentHash = await sha256Hex(html);
+  const jobId = jobIdFor(contentHash);
+  const body: EnqueueRequest = { jobId, contentHash, path, html, ...options };
+
+  const stub = jobObjects(env).get(jobObjects(env).idFromName(jobId));
+  const response = await stub.fetch('https://persist-job/enqueue', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`Persist job ${jobId} could not be queued: ${response.status}`);
+  }
+  return response.json<PersistJobView>();
+}
+
+/**
+ * Current state of a job, or null if there is none with this id
+ */
+export async function getPersistJob(env: Env, jobId: string): Promise<PersistJobView | null> {
+  if (!isValidJobId(jobId)) return null;
+
+  const stub = jobObjects(env).get(jobObjects(env).idFromName(jobId));
+  const response = await stub.fetch('https://persist-job/status');
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Persist job ${jobId} status unavailable: ${response.status}`);
+  }
+  return response.json<PersistJobView>();
+}
+
+// ============================================
+// Steps
+// ============================================
+
+async function runStep(step: PersistStep, job: PersistJob, env: Env): Promise<void> {
+  const daClient = new DAClient(env);
+  const adminClient = new AEMAdminClient(env);
+
+  switch (step) {
+    case 'images':
+      job.html = await processHtmlImages(job.html, env, job.path, job.imageBaseUrl);
+      return;
+
+    case 'create': {
+      const result = await daClient.createPage(job.path, job.html);
+      if (!result.success) throw new Error(result.error || 'Failed to create page');
+      return;
+    }
+
+    case 'preview': {
+      const result = await adminClient.preview(job.path);
+      if (!result.success) throw new Error(result.error || 'Failed to preview');
+      if (!(await adminClient.waitForPreview(job.path))) {
+        console.warn('Preview not ready within timeout, continuing to publish');
+      }
+      job.urls = { preview: result.url!, live: job.urls?.live || '' };
+      return;
+    }
+
+    case 'publish': {
+      const result = await adminClient.publish(job.path);
+      if (!result.success) throw new Error(result.error || 'Failed to publish');
+      job.urls = { preview: job.urls?.preview || '', live: result.url! };
+      return;
+    }
+
+    case 'purge':
+      if (!(await adminClient.purgeCache(job.path))) throw new Error('Failed to purge cache');
+  }
+}
+
+// ============================================
+// Durable Object
+// ============================================
+
+/**
+ * Owns one persist job: its state, its run and its expiry
+ */
+export class PersistJobObject implements DurableObject {
+  // Set while this instance is running the job, so a slow step isn't
+  // mistaken for a dead run
+  private running = false;
+
+  constructor(private state: DurableObjectState, private env: Env) {}
+
+  async fetch(request: Request): Promise<Response> {
+    const { pathname } = new URL(request.url);
+
+    if (request.method === 'POST' && pathname === '/enqueue') {
+      const job = await this.enqueue(await request.json<EnqueueRequest>());
+      return Response.json(toJobView(job));
+    }
+
+    if (pathname === '/status') {
+      const job = await this.state.storage.get<PersistJobView>('job');
+      if (!job) return new Response('Not Found', { status: 404 });
+      if (!this.running && isStale(job)) {
+        console.log(`[PersistJobs] Resuming stalled job ${job.jobId}`);
+        await this.state.storage.setAlarm(Date.now());
+      }
+      return Response.json(toJobView(job));
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+
+  async alarm(): Promise<void> {
+    const view = await this.state.storage.get<PersistJobView>('job');
+    if (!view) return;
+
+    if (view.status === 'queued' || view.status === 'running') {
+      this.running = true;
+      try {
+        await this.run();
+      } finally {
+        this.running = false;
+      }
+      return;
+    }
+
+    // Finished: delete once expired
+    const expiresAt = view.updatedAt + JOB_TTL_MS;
+    if (Date.now() >= expiresAt) {
+      await this.state.storage.deleteAll();
+    } else {
+      await this.state.storage.setAlarm(expiresAt);
+    }
+  }
+
+  private async enqueue(request: EnqueueRequest): Promise<PersistJob> {
+    const existing = await this.load();
+    if (existing) {
+      console.log(`[PersistJobs] Page already has job ${existing.jobId} (${existing.status})`);
+      if (existing.status === 'failed') {
+        // Re-queue from the failed step; completed steps stay done
+        existing.status = 'queued';
+        existing.error = undefined;
+        for (const step of PERSIST_STEPS) {
+          if (existing.steps[step].status !== 'done') {
+            existing.steps[step] = { status: 'pending', attempts: 0 };
+          }
+        }
+        await this.save(existing);
+        await this.state.storage.setAlarm(Date.now());
+      } else if (!this.running && isStale(existing)) {
+        await this.state.storage.setAlarm(Date.now());
+      }
+      return existing;
+    }
+
+    const now = Date.now();
+    const job: PersistJob = {
+      jobId: request.jobId,
+      contentHash: request.contentHash,
+      path: request.path,
+      status: 'queued',
+      steps: Object.fromEntries(
+        PERSIST_STEPS.map((step) => [step, { status: 'pending', attempts: 0 }])
+      ) as Record<PersistStep, PersistStepState>,
+      html: request.html,
+      imageBaseUrl: request.imageBaseUrl,
+      details: request.details,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.save(job);
+    await this.state.storage.setAlarm(now);
+    console.log(`[PersistJobs] Queued job ${job.jobId} for ${job.path}`);
+    return job;
+  }
+
+  private async load(): Promise<PersistJob | null> {
+    const job = await this.state.storage.get<PersistJob>('job');
+    if (!job) return null;
+
+    const chunks = await this.state.storage.list<string>({ prefix: 'html:' });
+    const html = [...chunks.entries()]
+      .sort(([a], [b]) => Number(a.slice(5)) - Number(b.slice(5)))
+      .map(([, chunk]) => chunk)
+      .join('');
+    return { ...job, html };
+  }
+
+  /**
+   * Save the job, its HTML in chunks and the rest under "job"
+   */
+  private async save(job: PersistJob): Promise<void> {
+    job.updatedAt = Date.now();
+    const { html, ...rest } = job;
+
+    const chunks: Record<string, unknown> = { job: rest };
+    for (let i = 0; i * HTML_CHUNK_CHARS < html.length; i += 1) {
+      chunks[`html:${i}`] = html.slice(i * HTML_CHUNK_CHARS, (i + 1) * HTML_CHUNK_CHARS);
+    }
+
+    const stale = [...(await this.state.storage.list({ prefix: 'html:' })).keys()]
+      .filter((key) => !(key in chunks));
+    if (stale.length > 0) await this.state.storage.delete(stale);
+    await this.state.storage.put(chunks);
+  }
+
+  /**
+   * Run every step that isn't done yet, in order. The job is saved after each
+   * step, so a run cut short resumes where it stopped.
+   */
+  private async run(): Promise<void> {
+    const job = await this.load();
+    if (!job) return;
+    const { jobId } = job;
+
+    job.status = 'running';
+    await this.save(job);
+
+    for (const step of PERSIST_STEPS) {
+      const state = job.steps[step];
+      if (state.status === 'done') continue;
+
+      while (state.status !== 'done' && state.status !== 'failed') {
+        state.status = 'running';
+        state.attempts += 1;
+        try {
+          await runStep(step, job, this.env);
+          state.status = 'done';
+          state.error = undefined;
+          state.finishedAt = Date.now();
+        } catch (error) {
+          state.error = error instanceof Error ? error.message : String(error);
+          console.error(`[PersistJobs] ${jobId} ${step} attempt ${state.attempts} failed: ${state.error}`);
+
+          if (state.attempts >= MAX_STEP_ATTEMPTS) {
+            // The page is live once published; a failed purge only delays updates
+            if (step === 'purge') {
+              state.status = 'failed';
+              break;
+            }
+
+            state.status = 'failed';
+            job.status = 'failed';
+            job.error = `${step} failed: ${state.error}`;
+            await this.save(job);
+            await this.state.storage.setAlarm(job.updatedAt + JOB_TTL_MS);
+            return;
+          }
+          await sleep(jitteredBackoff(state.attempts, 500, 5000));
+        }
+      }
+
+      await this.save(job);
+    }
+
+    job.status = 'succeeded';
+    await this.save(job);
+    await this.state.storage.setAlarm(job.updatedAt + JOB_TTL_MS);
+    console.log(`[PersistJobs] Job ${jobId} succeeded: ${job.urls?.live}`);
+  }
+}
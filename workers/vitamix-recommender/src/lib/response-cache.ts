@@ -0,0 +1,155 @@
+/**
+ * Response Cache - Replays stored SSE sequences for repeated queries
+ *
+ * Keyed on a normalized query plus classified intent and preset, so
+ * near-duplicates ("best blender for smoothies" / "Best blenders for a
+ * smoothie?") share an entry. Word order is kept ("tofu to replace chicken"
+ * is not "chicken to replace tofu"), and the preset part covers the models
+ * it resolves to, so editing a preset in the KV registry starts new entries.
+ * The content version is part of the key, so any change to content/*.json
+ * invalidates every entry automatically.
+ *
+ * Stored in the RESPONSE_CACHE KV namespace, falling back to SESSIONS when
+ * no dedicated namespace is bound.
+ */
+
+import type { Env, SSEEvent, ReasoningResult, IntentClassification, ResolvedPreset } from '../types';
+import { getContentVersion } from '../content/content-service';
+
+// ============================================
+// Configuration
+// ============================================
+
+const CACHE_KEY_PREFIX = 'response-cache:v1:';
+
+const DEFAULT_TTL_SECONDS = 60 * 60 * 6;
+
+// KV rejects expirationTtl values below 60 seconds
+const MIN_TTL_SECONDS = 60;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'can', 'could', 'do', 'does', 'for', 'i',
+  'im', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 'should',
+  'some', 'that', 'the', 'to', 'want', 'what', 'which', 'would', 'you',
+]);
+
+// ============================================
+// Types
+// ============================================
+
+export interface CachedBlock {
+  type: string;
+  html: string;
+  sectionStyle?: string;
+}
+
+export interface CachedResponse {
+  contentVersion: string;
+  createdAt: number;
+  query: string;
+  intentType: IntentClassification['intentType'];
+  preset: string;
+  // Everything emitted after intent classification, in order
+  events: SSEEvent[];
+  blocks: CachedBlock[];
+  reasoning: ReasoningResult;
+}
+
+// ============================================
+// Key Building
+// ============================================
+
+/**
+ * Normalize a query so near-duplicates collapse to the same string:
+ * lowercase, strip punctuation and filler words, singularize. Word order is
+ * kept, since it can carry meaning.
+ */
+export function normalizeQuery(query: string): string {
+  const tokens = query
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && !STOP_WORDS.has(w))
+    .map((w) => (w.length > 3 && w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+
+  return tokens.join(' ');
+}
+
+async function sha256Hex(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+export async function buildCacheKey(
+  query: string,
+  intentType: string,
+  preset: ResolvedPreset
+): Promise<string> {
+  // The preset key only names the preset; its roles say which models serve it
+  const roles = JSON.stringify(preset.roles);
+  const hash = await sha256Hex(`${preset.key}|${roles}|${intentType}|${normalizeQuery(query)}`);
+  return `${CACHE_KEY_PREFIX}${getContentVersion()}:${hash}`;
+}
+
+// ============================================
+// Cache Access
+// ============================================
+
+function getCacheNamespace(env: Env): KVNamespace | undefined {
+  return env.RESPONSE_CACHE || env.SESSIONS;
+}
+
+function getTtlSeconds(env: Env): number {
+  const configured = parseInt(env.RESPONSE_CACHE_TTL || '', 10);
+  if (Number.isNaN(configured)) return DEFAULT_TTL_SECONDS;
+  return Math.max(configured, MIN_TTL_SECONDS);
+}
+
+/**
+ * Whether caching is enabled (a namespace is bound and TTL isn't "0")
+ */
+export function isResponseCacheEnabled(env: Env): boolean {
+  return !!getCacheNamespace(env) && env.RESPONSE_CACHE_TTL !== '0';
+}
+
+export async function getCachedResponse(env: Env, key: string): Promise<CachedResponse | null> {
+  const namespace = getCacheNamespace(env);
+  if (!namespace) return null;
+
+  try {
+    const entry = await namespace.get<CachedResponse>(key, 'json');
+    // Defensive: the key already embeds the version
+    if (entry && entry.contentVersion !== getContentVersion()) return null;
+    return entry;
+  } catch (error) {
+    console.error('[ResponseCache] Read failed:', error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
+export async function putCachedResponse(env: Env, key: string, entry: CachedResponse): Promise<void> {
+  const namespace = getCacheNamespace(env);
+  if (!namespace) return;
+
+  try {
+    await namespace.put(key, JSON.stringify(entry), { expirationTtl: getTtlSeconds(env) });
+  } catch (error) {
+    console.error('[ResponseCache] Write failed:', error instanceof Error ? error.message : error);
+  }
+}
+
+export async function deleteCachedResponse(env: Env, key: string): Promise<void> {
+  const namespace = getCacheNamespace(env);
+  if (!namespace || !key.startsWith(CACHE_KEY_PREFIX)) return;
+
+  await namespace.delete(key);
+}
+
+/**
+ * Only cache complete, healthy generations
+ */
+export function isCacheable(blocks: CachedBlock[]): boolean {
+  return blocks.length > 0 && !blocks.some((b) => b.html.includes('Content generation failed'));
+}
@@ -0,0 +1,180 @@
+/**
+ * Session Store - Server-side conversation memory
+ *
+ * Persists each generation turn (intent, extracted products/recipes, blocks
+ * shown, follow-ups) in the SESSIONS KV namespace under the client's session
+ * id. The stored history replaces the client-supplied `ctx` parameter, so it
+ * can't be forged and isn't limited by URL length.
+ *
+ * Alongside the id the client holds a random session key. The first turn
+ * stores a hash of it, and reading, extending or deleting the session needs
+ * the same key, so learning a session id alone gives no access to it.
+ *
+ * Deleting a session (consent withdrawal or a data-subject request) also
+ * erases the response cache entries its turns read or wrote, since those hold
+ * the query text too.
+ */
+
+import type { Env, QueryHistoryItem, SessionContext } from '../types';
+import { deleteCachedResponse } from './response-cache';
+
+// ============================================
+// Configuration
+// ============================================
+
+const SESSION_KEY_PREFIX = 'session:';
+
+// Sessions expire a day after their last turn
+const SESSION_TTL_SECONDS = 60 * 60 * 24;
+
+// Keep more history than the client ever could; prompts still slice the tail
+const MAX_STORED_TURNS = 50;
+
+// Client ids and keys are crypto.randomUUID() values
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+const SESSION_KEY_PATTERN = /^[A-Za-z0-9-]{32,64}$/;
+
+// ============================================
+// Types
+// ============================================
+
+export interface StoredSession {
+  sessionId: string;
+  // SHA-256 of the session key that created the session
+  keyHash?: string;
+  turns: QueryHistoryItem[];
+  createdAt: number;
+  updatedAt: number;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+export function isValidSessionId(sessionId: string | null | undefined): sessionId is string {
+  return !!sessionId && SESSION_ID_PATTERN.test(sessionId);
+}
+
+export function isValidSessionKey(key: string | null | undefined): key is string {
+  return !!key && SESSION_KEY_PATTERN.test(key);
+}
+
+function storageKey(sessionId: string): string {
+  return `${SESSION_KEY_PREFIX}${sessionId}`;
+}
+
+async function hashSessionKey(key: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Whether the key is the one the session was created with. Sessions stored
+ * before keys existed match no key; they expire within a day.
+ */
+async function holdsSessionKey(session: StoredSession, key: string | undefined): Promise<boolean> {
+  return !!session.keyHash && isValidSessionKey(key) && session.keyHash === await hashSessionKey(key);
+}
+
+/**
+ * Error with the HTTP status to answer a session request with
+ */
+export class SessionError extends Error {
+  constructor(message: string, public status = 400) {
+    super(message);
+    this.name = 'SessionError';
+  }
+}
+
+// ============================================
+// Session Store
+// ============================================
+
+/**
+ * Load the stored session, or null if it doesn't exist or KV is unbound
+ */
+export async function getStoredSession(env: Env, sessionId: string): Promise<StoredSession | null> {
+  if (!env.SESSIONS || !isValidSessionId(sessionId)) return null;
+
+  try {
+    return await env.SESSIONS.get<StoredSession>(storageKey(sessionId), 'json');
+  } catch (error) {
+    console.error('[SessionStore] Failed to read session:', error instanceof Error ? error.message : error);
+    return null;
+  }
+}
+
+/**
+ * Load the session history in the shape the classifier and reasoning engine
+ * expect; undefined without the session's key
+ */
+export async function loadSessionContext(
+  env: Env,
+  sessionId: string,
+  key: string | undefined
+): Promise<SessionContext | undefined> {
+  const session = await getStoredSession(env, sessionId);
+  if (!session?.turns.length || !(await holdsSessionKey(session, key))) return undefined;
+
+  return { previousQueries: session.turns };
+}
+
+/**
+ * Append a turn to the session history. The first turn ties the session to
+ * `key`; later turns under another key are dropped.
+ */
+export async function appendSessionTurn(
+  env: Env,
+  sessionId: string,
+  key: string | undefined,
+  turn: QueryHistoryItem
+): Promise<void> {
+  if (!env.SESSIONS || !isValidSessionId(sessionId) || !isValidSessionKey(key)) return;
+
+  const now = Date.now();
+  const stored = await getStoredSession(env, sessionId);
+  if (stored && !(await holdsSessionKey(stored, key))) return;
+
+  const session = stored || {
+    sessionId,
+    keyHash: await hashSessionKey(key),
+    turns: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  session.turns = [...session.turns, { ...turn, timestamp: turn.timestamp || now }].slice(-MAX_STORED_TURNS);
+  session.updatedAt = now;
+
+  try {
+    await env.SESSIONS.put(storageKey(sessionId), JSON.stringify(session), {
+      expirationTtl: SESSION_TTL_SECONDS,
+    });
+  } catch (error) {
+    console.error('[SessionStore] Failed to write session:', error instanceof Error ? error.message : error);
+  }
+}
+
+/**
+ * Erase a session's history and the response cache entries its turns used
+ * @returns Whether a stored session existed
+ * @throws SessionError (401) if the session exists and `key` isn't its key
+ */
+export async function deleteSession(env: Env, sessionId: string, key: string | undefined): Promise<boolean> {
+  if (!env.SESSIONS || !isValidSessionId(sessionId)) return false;
+
+  const session = await getStoredSession(env, sessionId);
+  if (session && !(await holdsSessionKey(session, key))) {
+    throw new SessionError('Missing or invalid session key', 401);
+  }
+
+  const cacheKeys = new Set(
+    (session?.turns || []).map((turn) => turn.cacheKey).filter((cacheKey): cacheKey is string => !!cacheKey)
+  );
+  await Promise.all([...cacheKeys].map((cacheKey) => deleteCachedResponse(env, cacheKey)));
+  await env.SESSIONS.delete(storageKey(sessionId));
+
+  return session !== null;
+}
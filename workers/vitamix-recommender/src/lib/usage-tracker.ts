@@ -0,0 +1,144 @@
+/**
+ * Usage Tracker - Token, latency and cost accounting for one generation
+ *
+ * A tracker is created per orchestrate() run and handed to every ModelFactory
+ * used in it, so each model call is recorded with its role and preset.
+ *
+ * Each run's summary is reported to the analytics Worker from here rather than
+ * relayed by the page, so visitors can't forge cost figures; the page only
+ * forwards the generation id with its query event.
+ */
+
+import type { Env, ModelRole, ModelProvider, UsageSummary, UsageTotals } from '../types';
+
+// ============================================
+// Types
+// ============================================
+
+export interface UsageRecord {
+  role: ModelRole;
+  provider: ModelProvider;
+  model: string;
+  preset: string;
+  inputTokens: number;
+  outputTokens: number;
+  durationMs: number;
+  costUsd: number;
+  // No MODEL_PRICING entry for the model, so costUsd (0) understates the call
+  unpriced?: boolean;
+  // The attempt errored or timed out; it has no tokens and isn't billed
+  failed: boolean;
+  // The primary model this call stood in for, when served by a fallback
+  fallbackFrom?: { provider: ModelProvider; model: string };
+}
+
+export interface UsageReport {
+  generationId: string;
+  // Replayed from the response cache (only classification ran)
+  cached: boolean;
+  usage: UsageSummary;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function emptyTotals(): UsageTotals {
+  return {
+    calls: 0,
+    failedCalls: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    durationMs: 0,
+    costUsd: 0,
+  };
+}
+
+function addToTotals(totals: UsageTotals, record: UsageRecord): void {
+  if (record.failed) {
+    totals.failedCalls += 1;
+  } else {
+    totals.calls += 1;
+  }
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.durationMs += record.durationMs;
+  totals.costUsd += record.costUsd;
+}
+
+// Fractions of a cent add up over many calls; round only for display/storage
+function roundCost(costUsd: number): number {
+  return Math.round(costUsd * 1e6) / 1e6;
+}
+
+// ============================================
+// Usage Tracker
+// ============================================
+
+export class UsageTracker {
+  private records: UsageRecord[] = [];
+
+  // Optional listener, e.g. to report fallbacks as they happen
+  constructor(private readonly onRecord?: (usage: UsageRecord) => void) {}
+
+  record(usage: UsageRecord): void {
+    this.records.push(usage);
+    this.onRecord?.(usage);
+  }
+
+  getRecords(): UsageRecord[] {
+    return [...this.records];
+  }
+
+  /**
+   * Totals for the whole generation, broken down by role
+   */
+  summarize(preset: string): UsageSummary {
+    const total = emptyTotals();
+    const byRole: UsageSummary['byRole'] = {};
+    const unpricedModels = new Set<string>();
+
+    for (const record of this.records) {
+      addToTotals(total, record);
+      if (record.unpriced) unpricedModels.add(record.model);
+      byRole[record.role] = byRole[record.role] || emptyTotals();
+      addToTotals(byRole[record.role]!, record);
+    }
+
+    total.costUsd = roundCost(total.costUsd);
+    for (const totals of Object.values(byRole)) {
+      totals!.costUsd = roundCost(totals!.costUsd);
+    }
+
+    return { preset, ...total, byRole, unpricedModels: [...unpricedModels].sort() };
+  }
+}
+
+// ============================================
+// Reporting
+// ============================================
+
+/**
+ * Send a generation's usage to the analytics Worker. Skipped when the
+ * ANALYTICS service binding or USAGE_REPORT_TOKEN isn't configured; failures
+ * are logged, never thrown, since the page has already been delivered.
+ */
+export async function reportUsage(env: Env, report: UsageReport): Promise<void> {
+  if (!env.ANALYTICS || !env.USAGE_REPORT_TOKEN) return;
+
+  try {
+    const response = await env.ANALYTICS.fetch('https://vitamix-analytics/api/usage', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${env.USAGE_REPORT_TOKEN}`,
+      },
+      body: JSON.stringify(report),
+    });
+    if (!response.ok) {
+      console.error(`[UsageTracker] Usage report rejected: ${response.status}`);
+    }
+  } catch (error) {
+    console.error('[UsageTracker] Usage report failed:', error instanceof Error ? error.message : error);
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Model Call Recorder - Record model responses and replay them offline
+ *
+ * Installed as env.MODEL_CALL_INTERCEPTOR, so every call made through the
+ * model factory (classification, reasoning, content, repair and the quality
+ * rubric) goes through it:
+ * - live: calls the provider, records nothing
+ * - record: calls the provider and keeps each successful response
+ * - replay: answers from the recording without touching the network
+ *
+ * Responses are keyed by a hash of provider, model, settings and messages.
+ * Identical requests (e.g. a retry) replay their recorded responses in order.
+ * A request with no recording fails with a non-retryable ProviderError, so
+ * the model chain moves on to its fallback exactly as a live failure would,
+ * and the miss is counted for the report.
+ */
+
+import type { ModelConfig, ModelProvider } from '../types';
+import {
+  ProviderError,
+  type Message,
+  type ModelResponse,
+  type ProviderInterceptor,
+} from '../ai-clients/model-factory';
+
+// ============================================
+// Types
+// ============================================
+
+export type RecorderMode = 'live' | 'record' | 'replay';
+
+export interface RecordedResponse {
+  provider: ModelProvider;
+  model: string;
+  content: string;
+  usage?: ModelResponse['usage'];
+}
+
+export interface ModelRecording {
+  version: 1;
+  responses: Record<string, RecordedResponse[]>;
+}
+
+export interface ModelCallRecorder {
+  mode: RecorderMode;
+  intercept: ProviderInterceptor;
+  // Requests replay had no response for, by provider/model
+  misses: Record<string, number>;
+  // Responses recorded so far, including those loaded for replay
+  recording: ModelRecording;
+}
+
+// ============================================
+// Keys
+// ============================================
+
+async function requestKey(config: ModelConfig, messages: Message[]): Promise<string> {
+  const request = JSON.stringify({
+    provider: config.provider,
+    model: config.model,
+    maxTokens: config.maxTokens ?? null,
+    temperature: config.temperature ?? null,
+    messages,
+  });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(request));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// ============================================
+// Recorder
+// ============================================
+
+export function emptyRecording(): ModelRecording {
+  return { version: 1, responses: {} };
+}
+
+export function createModelCallRecorder(
+  mode: RecorderMode,
+  recording: ModelRecording = emptyRecording()
+): ModelCallRecorder {
+  const misses: Record<string, number> = {};
+  // Next response to replay per key
+  const cursors = new Map<string, number>();
+
+  const intercept: ProviderInterceptor = (provider, call) => async (config, messages, env, onDelta, signal) => {
+    if (mode === 'live') {
+      return call(config, messages, env, onDelta, signal);
+    }
+
+    const key = await requestKey(config, messages);
+
+    if (mode === 'record') {
+      const response = await call(config, messages, env, onDelta, signal);
+      (recording.responses[key] ||= []).push({
+        provider,
+        model: response.model,
+        content: response.content,
+        usage: response.usage,
+      });
+      return response;
+    }
+
+    const recorded = recording.responses[key];
+    if (!recorded?.length) {
+      const name = `${provider}/${config.model}`;
+      misses[name] = (misses[name] || 0) + 1;
+      throw new ProviderError(provider, 404, `No recorded response for ${name}`);
+    }
+
+    const cursor = cursors.get(key) || 0;
+    cursors.set(key, cursor + 1);
+    const { model, content, usage } = recorded[Math.min(cursor, recorded.length - 1)];
+    onDelta?.(content);
+    return { content, model, usage };
+  };
+
+  return {
+    mode, intercept, misses, recording,
+  };
+}
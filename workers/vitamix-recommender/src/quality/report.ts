@@ -0,0 +1,218 @@
+/**
+ * Quality Report - Render suite reports and diff two of them per query
+ *
+ * Reports are compared by case id, so any two runs of the same query set line
+ * up: two presets on one commit, or one preset on two commits. A case counts
+ * as regressed when its overall score drops by REGRESSION_DELTA or more, or
+ * when it newly fails; improved is the reverse.
+ */
+
+import type { QualityCaseResult, QualityReport, RubricScore } from './suite';
+import { RUBRIC_SCORES } from './suite';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Overall-score change treated as a real difference rather than rubric noise
+const REGRESSION_DELTA = 5;
+
+const SCORE_LABELS: Record<RubricScore, string> = {
+  overallScore: 'Overall',
+  contentScore: 'Content',
+  layoutScore: 'Layout',
+  conversionScore: 'Conversion',
+};
+
+// ============================================
+// Types
+// ============================================
+
+export type CaseStatus = 'improved' | 'regressed' | 'unchanged';
+
+export interface QualityCaseDiff {
+  id: string;
+  query: string;
+  status: CaseStatus;
+  // head minus base, null when either side has no scores
+  scoreDeltas: Record<RubricScore, number | null>;
+  blocksAdded: string[];
+  blocksRemoved: string[];
+  repairedDelta: number;
+  costDelta: number;
+  baseError?: string;
+  headError?: string;
+}
+
+export interface QualityDiff {
+  base: { label: string; preset: string; commit?: string };
+  head: { label: string; preset: string; commit?: string };
+  averageDeltas: Record<RubricScore, number | null>;
+  cases: QualityCaseDiff[];
+  // Case ids present in only one report
+  onlyInBase: string[];
+  onlyInHead: string[];
+}
+
+// ============================================
+// Diff
+// ============================================
+
+function delta(head: number | null | undefined, base: number | null | undefined): number | null {
+  if (head == null || base == null) return null;
+  return Number((head - base).toFixed(1));
+}
+
+function multisetDifference(a: string[], b: string[]): string[] {
+  const remaining = [...b];
+  return a.filter((item) => {
+    const index = remaining.indexOf(item);
+    if (index === -1) return true;
+    remaining.splice(index, 1);
+    return false;
+  });
+}
+
+function caseStatus(base: QualityCaseResult, head: QualityCaseResult, overall: number | null): CaseStatus {
+  if (head.error && !base.error) return 'regressed';
+  if (base.error && !head.error) return 'improved';
+  if (overall == null) return 'unchanged';
+  if (overall <= -REGRESSION_DELTA) return 'regressed';
+  if (overall >= REGRESSION_DELTA) return 'improved';
+  return 'unchanged';
+}
+
+export function diffQualityReports(base: QualityReport, head: QualityReport): QualityDiff {
+  const baseCases = new Map(base.cases.map((c) => [c.id, c]));
+  const headIds = new Set(head.cases.map((c) => c.id));
+
+  const cases = head.cases.filter((c) => baseCases.has(c.id)).map((headCase): QualityCaseDiff => {
+    const baseCase = baseCases.get(headCase.id)!;
+    const scoreDeltas = {} as Record<RubricScore, number | null>;
+    for (const score of RUBRIC_SCORES) {
+      scoreDeltas[score] = delta(headCase.scores?.[score], baseCase.scores?.[score]);
+    }
+
+    return {
+      id: headCase.id,
+      query: headCase.query,
+      status: caseStatus(baseCase, headCase, scoreDeltas.overallScore),
+      scoreDeltas,
+      blocksAdded: multisetDifference(headCase.blockTypes, baseCase.blockTypes),
+      blocksRemoved: multisetDifference(baseCase.blockTypes, headCase.blockTypes),
+      repairedDelta: headCase.repairedBlocks - baseCase.repairedBlocks,
+      costDelta: Number((headCase.costUsd - baseCase.costUsd).toFixed(4)),
+      baseError: baseCase.error,
+      headError: headCase.error,
+    };
+  });
+
+  const averageDeltas = {} as Record<RubricScore, number | null>;
+  for (const score of RUBRIC_SCORES) {
+    averageDeltas[score] = delta(head.averages[score], base.averages[score]);
+  }
+
+  return {
+    base: { label: base.label, preset: base.preset, commit: base.commit },
+    head: { label: head.label, preset: head.preset, commit: head.commit },
+    averageDeltas,
+    cases,
+    onlyInBase: base.cases.filter((c) => !headIds.has(c.id)).map((c) => c.id),
+    onlyInHead: head.cases.filter((c) => !baseCases.has(c.id)).map((c) => c.id),
+  };
+}
+
+// ============================================
+// Markdown
+// ============================================
+
+function cell(text: string): string {
+  return text.replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+function signed(value: number | null): string {
+  if (value == null) return '–';
+  return value > 0 ? `+${value}` : String(value);
+}
+
+function describe(side: { label: string; preset: string; commit?: string }): string {
+  return `${side.label} (preset \`${side.preset}\`${side.commit ? `, ${side.commit}` : ''})`;
+}
+
+export function renderQualityReport(report: QualityReport): string {
+  const lines = [
+    `# Quality Report: ${report.label}`,
+    '',
+    `- Preset: \`${report.preset}\``,
+    `- Mode: ${report.mode}`,
+    ...(report.commit ? [`- Commit: ${report.commit}`] : []),
+    `- Created: ${report.createdAt}`,
+    `- Cases: ${report.cases.length} (${report.failures} failed)`,
+    `- Avg cost per query: $${report.averages.costUsd}`,
+  ];
+
+  const misses = Object.entries(report.replayMisses);
+  if (misses.length > 0) {
+    lines.push(`- Replay misses: ${misses.map(([name, count]) => `${name} ×${count}`).join(', ')}`);
+  }
+
+  lines.push(
+    '',
+    `| ${RUBRIC_SCORES.map((score) => SCORE_LABELS[score]).join(' | ')} |`,
+    `|${RUBRIC_SCORES.map(() => '---:').join('|')}|`,
+    `| ${RUBRIC_SCORES.map((score) => report.averages[score] ?? '–').join(' | ')} |`,
+    '',
+    '## Cases',
+    '',
+    '| Case | Query | Overall | Content | Layout | Conversion | Blocks | Repaired | Cost |',
+    '|---|---|---:|---:|---:|---:|---|---:|---:|',
+  );
+
+  for (const c of report.cases) {
+    const scores = RUBRIC_SCORES.map((score) => c.scores?.[score] ?? '–');
+    const blocks = c.error ? `**error:** ${cell(c.error)}` : c.blockTypes.join(', ');
+    lines.push(`| ${c.id} | ${cell(c.query)} | ${scores.join(' | ')} | ${blocks} | ${c.repairedBlocks} | $${c.costUsd} |`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+export function renderQualityDiff(diff: QualityDiff): string {
+  const count = (status: CaseStatus) => diff.cases.filter((c) => c.status === status).length;
+  const lines = [
+    '# Quality Diff',
+    '',
+    `- Base: ${describe(diff.base)}`,
+    `- Head: ${describe(diff.head)}`,
+    `- ${count('improved')} improved, ${count('regressed')} regressed, ${count('unchanged')} unchanged`,
+    '',
+    `| ${RUBRIC_SCORES.map((score) => `Δ ${SCORE_LABELS[score]}`).join(' | ')} |`,
+    `|${RUBRIC_SCORES.map(() => '---:').join('|')}|`,
+    `| ${RUBRIC_SCORES.map((score) => signed(diff.averageDeltas[score])).join(' | ')} |`,
+    '',
+    '## Cases',
+    '',
+    '| Case | Status | Δ Overall | Δ Content | Δ Layout | Δ Conversion | Blocks | Δ Repaired | Δ Cost |',
+    '|---|---|---:|---:|---:|---:|---|---:|---:|',
+  ];
+
+  for (const c of diff.cases) {
+    const blocks = [
+      ...c.blocksAdded.map((type) => `+${type}`),
+      ...c.blocksRemoved.map((type) => `-${type}`),
+    ].join(', ');
+    const errors = [
+      c.baseError && `base error: ${cell(c.baseError)}`,
+      c.headError && `head error: ${cell(c.headError)}`,
+    ].filter(Boolean).join('; ');
+    const scores = RUBRIC_SCORES.map((score) => signed(c.scoreDeltas[score]));
+    lines.push(
+      `| ${c.id} | ${c.status} | ${scores.join(' | ')} | ${errors || blocks} | ${signed(c.repairedDelta)} | ${signed(c.costDelta)} |`
+    );
+  }
+
+  if (diff.onlyInBase.length > 0) lines.push('', `Only in base: ${diff.onlyInBase.join(', ')}`);
+  if (diff.onlyInHead.length > 0) lines.push('', `Only in head: ${diff.onlyInHead.join(', ')}`);
+
+  return `${lines.join('\n')}\n`;
+}
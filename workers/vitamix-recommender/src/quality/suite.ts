@@ -0,0 +1,328 @@
+/**
+ * Quality Suite - Run a fixed query set through orchestrate() and score it
+ *
+ * Each query is generated against one preset with the response cache
+ * bypassed, then the page is scored by a fixed rubric model, the same for
+ * every preset, so reports from two presets (or two commits) are comparable
+ * query by query. The rubric mirrors the analytics worker's single-page
+ * analysis: content, layout and conversion scores from 0-100 plus an overall
+ * score. Alongside it the report keeps what the pipeline itself knows: block
+ * types, repaired and template blocks, fact-check corrections and cost.
+ *
+ * Model calls go through env.MODEL_CALL_INTERCEPTOR (see recorder.ts), so a
+ * suite recorded once can be replayed offline. Hero images are picked with
+ * Math.random, which is seeded per query here so replayed prompts match.
+ *
+ * Run it with `npm run quality` (see quality/cli.mjs).
+ */
+
+import type {
+  Env,
+  GenerationCompleteData,
+  ModelConfig,
+  ResolvedPreset,
+} from '../types';
+import { orchestrate } from '../lib/orchestrator';
+import { createModelFactory } from '../ai-clients/model-factory';
+import { resolvePreset } from '../ai-clients/preset-registry';
+import { resetCircuitBreakers } from '../lib/circuit-breaker';
+import type { ModelCallRecorder, RecorderMode } from './recorder';
+
+// ============================================
+// Configuration
+// ============================================
+
+// Fixed across presets so scores stay comparable; temperature 0 for repeatability
+const RUBRIC_MODEL: ModelConfig = {
+  provider: 'anthropic',
+  model: 'claude-sonnet-4-5-20250929',
+  maxTokens: 1024,
+  temperature: 0,
+  fallbacks: [],
+};
+
+// Page text sent to the rubric, as in the analytics worker's analyze-page
+const MAX_PAGE_TEXT = 8000;
+
+// ============================================
+// Types
+// ============================================
+
+export interface QualityCase {
+  id: string;
+  query: string;
+  // Where the query came from, e.g. sample-queries.md
+  source?: string;
+}
+
+export interface RubricScores {
+  overallScore: number;
+  contentScore: number;
+  layoutScore: number;
+  conversionScore: number;
+  summary: string;
+  strengths: string[];
+  improvements: string[];
+}
+
+export type RubricScore = 'overallScore' | 'contentScore' | 'layoutScore' | 'conversionScore';
+
+export const RUBRIC_SCORES: RubricScore[] = ['overallScore', 'contentScore', 'layoutScore', 'conversionScore'];
+
+export interface QualityCaseResult {
+  id: string;
+  query: string;
+  blockTypes: string[];
+  // Null when generation or scoring failed
+  scores: RubricScores | null;
+  // Blocks that failed validation, and those replaced by deterministic templates
+  repairedBlocks: number;
+  templateBlocks: number;
+  factCheck: { fixed: number; flagged: number };
+  costUsd: number;
+  durationMs: number;
+  error?: string;
+}
+
+export interface QualityReport {
+  label: string;
+  // Preset key, including any role overrides
+  preset: string;
+  mode: RecorderMode;
+  createdAt: string;
+  commit?: string;
+  cases: QualityCaseResult[];
+  averages: Record<RubricScore, number | null> & { costUsd: number };
+  failures: number;
+  // Model calls replay had no recording for, by provider/model
+  replayMisses: Record<string, number>;
+}
+
+export interface QualitySuiteOptions {
+  env: Env;
+  preset: ResolvedPreset;
+  recorder: ModelCallRecorder;
+  label: string;
+  commit?: string;
+  onCase?: (result: QualityCaseResult, index: number) => void;
+}
+
+// ============================================
+// Helpers
+// ============================================
+
+function hashSeed(text: string): number {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Run fn with Math.random replaced by a seeded generator (mulberry32)
+ */
+async function withSeededRandom<T>(seed: number, fn: () => Promise<T>): Promise<T> {
+  const original = Math.random;
+  let state = seed;
+  Math.random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  try {
+    return await fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
+function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function average(values: number[]): number | null {
+  if (values.length === 0) return null;
+  return Number((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1));
+}
+
+// ============================================
+// Rubric
+// ============================================
+
+function buildRubricPrompt(query: string, content: string): string {
+  return `Analyze this generated page from a Vitamix AI recommender application.
+
+User's Query: "${query}"
+
+Page Content:
+${content}
+
+Evaluate this page on how well it serves the user's query. Score each category from 0-100:
+
+1. CONTENT RELEVANCE (contentScore)
+- Does the content directly address the user's query?
+- Are product recommendations appropriate for the query?
+- Are recipes/use cases helpful and relevant?
+- Is the information accurate and useful?
+
+2. LAYOUT QUALITY (layoutScore)
+- Is the information well-organized and easy to scan?
+- Is there a clear visual hierarchy?
+- Are sections logically structured?
+
+3. CONVERSION OPTIMIZATION (conversionScore)
+- Are there clear CTAs to vitamix.com?
+- Is there a visible path to learn more or purchase?
+- Are product links prominent and compelling?
+
+Return ONLY valid JSON with this exact structure (no markdown, no code blocks):
+{
+  "overallScore": <0-100 weighted average>,
+  "contentScore": <0-100>,
+  "layoutScore": <0-100>,
+  "conversionScore": <0-100>,
+  "summary": "<2-3 sentence summary of the page quality>",
+  "strengths": ["<strength 1>", "<strength 2>"],
+  "improvements": ["<improvement 1>", "<improvement 2>", "<improvement 3>"]
+}`;
+}
+
+/**
+ * The rubric model as a preset, so scoring goes through the model factory
+ * (and therefore the recorder). It answers as the validation role.
+ */
+function rubricPreset(): ResolvedPreset {
+  const base = resolvePreset();
+  return {
+    name: 'quality-rubric',
+    roles: { ...base.roles, validation: RUBRIC_MODEL },
+    overrides: {},
+    key: 'quality-rubric',
+  };
+}
+
+async function scorePage(query: string, content: string, env: Env): Promise<RubricScores> {
+  const factory = createModelFactory(env, rubricPreset());
+  const response = await factory.call('validation', [
+    { role: 'user', content: buildRubricPrompt(query, content.slice(0, MAX_PAGE_TEXT)) },
+  ], env);
+
+  const json = response.content.match(/\{[\s\S]*\}/);
+  if (!json) {
+    throw new Error('Rubric response had no JSON');
+  }
+  const parsed = JSON.parse(json[0]) as Partial<RubricScores>;
+
+  const scores = {} as Record<RubricScore, number>;
+  for (const score of RUBRIC_SCORES) {
+    const value = Number(parsed[score]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Rubric response is missing ${score}`);
+    }
+    scores[score] = Math.round(value);
+  }
+
+  return {
+    ...scores,
+    summary: String(parsed.summary || ''),
+    strengths: Array.isArray(parsed.strengths) ? parsed.strengths.map(String) : [],
+    improvements: Array.isArray(parsed.improvements) ? parsed.improvements.map(String) : [],
+  };
+}
+
+// ============================================
+// Suite
+// ============================================
+
+async function runCase(qualityCase: QualityCase, env: Env, preset: ResolvedPreset): Promise<QualityCaseResult> {
+  const startTime = Date.now();
+  let complete: GenerationCompleteData | undefined;
+
+  const result: QualityCaseResult = {
+    id: qualityCase.id,
+    query: qualityCase.query,
+    blockTypes: [],
+    scores: null,
+    repairedBlocks: 0,
+    templateBlocks: 0,
+    factCheck: { fixed: 0, flagged: 0 },
+    costUsd: 0,
+    durationMs: 0,
+  };
+
+  // Breaker state from one query must not skip providers for the next
+  resetCircuitBreakers();
+
+  try {
+    const { blocks } = await withSeededRandom(hashSeed(qualityCase.id), () => orchestrate(
+      qualityCase.query,
+      `quality-${qualityCase.id}`,
+      env,
+      (event) => {
+        if (event.event === 'generation-complete') complete = event.data;
+      },
+      undefined,
+      preset,
+      { bypassCache: true }
+    ));
+
+    result.blockTypes = blocks.map((block) => block.type);
+    result.repairedBlocks = blocks.filter((block) => block.repair).length;
+    result.templateBlocks = blocks.filter((block) => block.repair?.method === 'template').length;
+    result.factCheck = complete?.factCheck || result.factCheck;
+    result.costUsd = complete?.usage?.costUsd || 0;
+
+    const pageText = blocks.map((block) => htmlToText(block.html)).join('\n\n');
+    result.scores = await scorePage(qualityCase.query, pageText, env);
+  } catch (error) {
+    result.error = error instanceof Error ? error.message : String(error);
+  }
+
+  result.durationMs = Date.now() - startTime;
+  return result;
+}
+
+/**
+ * Generate and score every case, one at a time
+ */
+export async function runQualitySuite(cases: QualityCase[], options: QualitySuiteOptions): Promise<QualityReport> {
+  const {
+    preset, recorder, label, commit, onCase,
+  } = options;
+  const env: Env = { ...options.env, MODEL_CALL_INTERCEPTOR: recorder.intercept };
+
+  const results: QualityCaseResult[] = [];
+  for (const [index, qualityCase] of cases.entries()) {
+    const result = await runCase(qualityCase, env, preset);
+    results.push(result);
+    onCase?.(result, index);
+  }
+
+  const scored = results.filter((result) => result.scores);
+  const totalCost = results.reduce((sum, result) => sum + result.costUsd, 0);
+  const averages = {
+    costUsd: results.length ? Number((totalCost / results.length).toFixed(4)) : 0,
+  } as QualityReport['averages'];
+  for (const score of RUBRIC_SCORES) {
+    averages[score] = average(scored.map((result) => result.scores![score]));
+  }
+
+  return {
+    label,
+    preset: preset.key,
+    mode: recorder.mode,
+    createdAt: new Date().toISOString(),
+    commit,
+    cases: results,
+    averages,
+    failures: results.length - scored.length,
+    replayMisses: { ...recorder.misses },
+  };
+}
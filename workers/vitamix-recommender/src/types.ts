@@ -3,6 +3,8 @@
  * Core type definitions for the AI-driven recommendation system
  */
 
+import type { ProviderInterceptor } from './ai-clients/model-factory';
+
 // ============================================
 // Product Types
 // ============================================
@@ -369,6 +371,10 @@ export interface QueryHistoryItem {
   journeyStage?: JourneyStage;
   confidence?: number;
   nextBestAction?: string;
+  suggestedFollowUps?: string[];
+  timestamp?: number;
+  // Response cache entry the turn read or wrote; erased along with the session
+  cacheKey?: string;
 }
 
 export interface UserProfile {
@@ -400,27 +406,94 @@ export interface ContentChunk {
   score: number;
 }
 
+// ============================================
+// Fact Check Types
+// ============================================
+
+export interface FactCheckIssue {
+  productId: string;
+  productName: string;
+  field: 'price' | 'wattage' | 'warranty' | 'priceTier';
+  claimed: string;
+  expected: string;
+  action: 'fixed' | 'flagged';
+}
+
 // ============================================
 // SSE Event Types
 // ============================================
 
 export type SSEEvent =
   | { event: 'generation-start'; data: { query: string; estimatedBlocks: number } }
-  | { event: 'reasoning-start'; data: { model: string; preset?: string } }
+  | {
+      event: 'reasoning-start';
+      data: { model: string; provider?: ModelProvider; preset?: string; overrides?: ModelOverrides };
+    }
   | { event: 'reasoning-step'; data: { stage: string; title: string; content: string } }
-  | { event: 'reasoning-complete'; data: { confidence: number; duration: number } }
+  | {
+      event: 'reasoning-complete';
+      // provider/model: what actually served the reasoning call (may be a fallback)
+      data: { confidence: number; duration: number; provider?: ModelProvider; model?: string };
+    }
+  | {
+      event: 'model-fallback';
+      data: {
+        role: ModelRole;
+        provider: ModelProvider;
+        model: string;
+        primaryProvider: ModelProvider;
+        primaryModel: string;
+      };
+    }
   | { event: 'block-start'; data: { blockType: BlockType; index: number } }
-  | { event: 'block-content'; data: { html: string; sectionStyle?: string } }
+  | {
+      event: 'block-delta';
+      // Raw model output as it streams; `reset` discards what was sent so far (retry/fallback)
+      data: { blockType: BlockType; index: number; delta: string; reset?: boolean };
+    }
+  | { event: 'block-content'; data: { html: string; sectionStyle?: string; index?: number } }
   | { event: 'block-rationale'; data: { blockType: BlockType; rationale: string } }
+  | {
+      event: 'block-fact-check';
+      data: {
+        blockType: BlockType;
+        index: number;
+        issues: FactCheckIssue[];
+      };
+    }
+  | {
+      event: 'block-repaired';
+      data: {
+        blockType: BlockType;
+        index: number;
+        method: 'sanitize' | 'reprompt' | 'template' | 'none';
+        errors: string[];
+      };
+    }
   | { event: 'image-ready'; data: { imageId: string; url: string } }
   | { event: 'generation-complete'; data: GenerationCompleteData }
   | { event: 'error'; data: { message: string; code?: string } };
 
 // Enriched generation-complete event data
 export interface GenerationCompleteData {
+  // Identifies this run in the usage report sent to the analytics Worker
+  generationId?: string;
   totalBlocks: number;
   duration: number;
+  cached?: boolean;
+  // Blocks that failed schema validation and went through repair
+  repairedBlocks?: number;
+  // Product claims corrected in place vs. flagged for review
+  factCheck?: { fixed: number; flagged: number };
+  // Model token usage and estimated cost (classification only for cached replays)
+  usage?: UsageSummary;
   intent?: IntentClassification;
+  // What the RAG context found for the query; zero counts point at content gaps
+  retrieval?: {
+    products: number;
+    recipes: number;
+    useCases: number;
+  };
   reasoning?: {
     journeyStage: JourneyStage;
     confidence: number;
@@ -447,15 +520,55 @@ export interface ModelConfig {
   model: string;
   maxTokens?: number;
   temperature?: number;
+  // Per-attempt timeout and retry count before moving to the next fallback
+  timeoutMs?: number;
+  retries?: number;
+  // Tried in order when this model fails; unset fields inherit from this config
+  fallbacks?: ModelFallback[];
 }
 
+export type ModelFallback = Omit<Partial<ModelConfig>, 'fallbacks'> & Pick<ModelConfig, 'provider' | 'model'>;
+
 export interface ModelPreset {
+  description?: string;
   reasoning: ModelConfig;
   content: ModelConfig;
   classification: ModelConfig;
   validation: ModelConfig;
 }
 
+// Per-request replacement of a role's primary model (`?model.<role>=...`)
+export type ModelOverrides = Partial<Record<ModelRole, Pick<ModelConfig, 'provider' | 'model'>>>;
+
+/**
+ * A preset as used for one request: registry entry plus any overrides applied
+ */
+export interface ResolvedPreset {
+  name: string;
+  roles: ModelPreset;
+  overrides: ModelOverrides;
+  // Identifies name + overrides, e.g. for response cache keys
+  key: string;
+}
+
+export interface UsageTotals {
+  // Calls that returned a response; attempts that failed are counted apart
+  calls: number;
+  failedCalls: number;
+  inputTokens: number;
+  outputTokens: number;
+  durationMs: number;
+  // Estimated from MODEL_PRICING in model-factory.ts
+  costUsd: number;
+}
+
+export interface UsageSummary extends UsageTotals {
+  preset: string;
+  byRole: Partial<Record<ModelRole, UsageTotals>>;
+  // Models with no price in MODEL_PRICING; costUsd leaves their calls out
+  unpricedModels: string[];
+}
+
 // ============================================
 // Environment Bindings
 // ============================================
@@ -471,6 +584,12 @@ export interface Env {
   AI: Ai;
   VECTORIZE?: VectorizeIndex;
   SESSIONS?: KVNamespace;
+  RESPONSE_CACHE?: KVNamespace;
+  CONFIG?: KVNamespace;
+  COLLECTIONS?: KVNamespace; // Synced recipe collections (falls back to SESSIONS)
+  IMAGE_BUCKET?: R2Bucket; // Images hosted for persisted pages
+  PERSIST_JOBS?: DurableObjectNamespace; // One PersistJobObject per persisted page
+  ANALYTICS?: Fetcher; // Service binding to the vitamix-analytics Worker (usage reports)
 
   // DA (Document Authoring) Configuration
   DA_ORG: string;
@@ -481,8 +600,18 @@ export interface Env {
   DA_SERVICE_TOKEN?: string;
   // Legacy static token (fallback)
   DA_TOKEN?: string;
+  // Shared with the analytics Worker to authenticate usage reports
+  USAGE_REPORT_TOKEN?: string;
 
   // Configuration
   MODEL_PRESET?: string;
   DEBUG?: string;
+  RESPONSE_CACHE_TTL?: string; // Seconds; "0" disables the response cache
+  BLOCK_CONCURRENCY?: string;  // Max blocks generated at once (default 4)
+  BLOCK_TIMEOUT_MS?: string;   // Per-block generation timeout (default 30000)
+  IMAGE_BASE_URL?: string;     // Public URL of IMAGE_BUCKET (default: this Worker's /images/ route)
+
+  // Not a binding: set by tools that run orchestrate() outside a Worker, e.g. the
+  // quality suite, to record or replay model calls
+  MODEL_CALL_INTERCEPTOR?: ProviderInterceptor;
 }
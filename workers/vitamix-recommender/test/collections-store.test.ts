@@ -0,0 +1,28 @@
+/**
+ * Validation of synced recipe collections
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCollectionsDocument } from '../src/lib/collections-store';
+
+function parseRecipe(recipe: object) {
+  const { collections } = parseCollectionsDocument({
+    collections: [{ id: 'favorites', name: 'Favorites', recipes: [{ id: 'r1', title: 'Green Smoothie', ...recipe }] }],
+  });
+  return collections[0].recipes[0];
+}
+
+test('keeps http(s) URLs and paths on this site', () => {
+  const recipe = parseRecipe({ url: 'https://www.vitamix.com/recipes/green-smoothie', image: '/media/green.jpg' });
+  assert.equal(recipe.url, 'https://www.vitamix.com/recipes/green-smoothie');
+  assert.equal(recipe.image, '/media/green.jpg');
+});
+
+test('drops other URL schemes and protocol-relative URLs', () => {
+  for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,hi', '//evil.example/x', '/\\evil.example']) {
+    const recipe = parseRecipe({ url, image: url });
+    assert.equal(recipe.url, undefined, url);
+    assert.equal(recipe.image, undefined, url);
+  }
+});
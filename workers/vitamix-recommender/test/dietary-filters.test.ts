@@ -0,0 +1,30 @@
+/**
+ * Dietary constraint detection in queries
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDietaryConstraints, stripDietaryPhrases } from '../src/content/dietary-filters';
+
+test('detects a nut allergy from any named nut', () => {
+  for (const query of [
+    'smoothies for my son, he is allergic to almonds',
+    'I am allergic to cashews',
+    'almond allergy friendly soups',
+    'peanut-free snacks',
+    'tree nut allergy',
+    'allergic to nuts',
+    'no peanuts please',
+  ]) {
+    assert.deepEqual(detectDietaryConstraints(query), ['nut-free'], query);
+  }
+});
+
+test('does not read nut ingredients as a nut allergy', () => {
+  assert.deepEqual(detectDietaryConstraints('almond milk smoothie'), []);
+  assert.deepEqual(detectDietaryConstraints('recipes with cashews'), []);
+});
+
+test('strips the allergy phrase from the search query', () => {
+  assert.equal(stripDietaryPhrases('smoothies allergic to cashews'), 'smoothies');
+});
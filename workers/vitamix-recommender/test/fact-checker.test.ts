@@ -0,0 +1,27 @@
+/**
+ * Product claim corrections, against the bundled product catalog
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { factCheckBlock } from '../src/lib/fact-checker';
+
+test('fixes every claim in a token against the product it follows', () => {
+  // The long price shrinks when fixed; the wattage after it must still resolve to the A2300
+  const html = '<p>The 5200 Legacy Bundle is $1,234,567,890.00 and the A2300 at 1,100 watts.</p>';
+  const { html: fixed, issues } = factCheckBlock('product-cards', html);
+
+  assert.equal(fixed, '<p>The 5200 Legacy Bundle is $599.95 and the A2300 at 1500 watts.</p>');
+  assert.deepEqual(
+    issues.map((i) => [i.field, i.productId, i.action]),
+    [['price', '5200-legacy-bundle', 'fixed'], ['wattage', 'a2300', 'fixed']]
+  );
+});
+
+test('leaves correct and qualified prices alone', () => {
+  const html = '<p>The A2300 is $549.95, save $50 this week, with a 10-year warranty.</p>';
+  const { html: checked, issues } = factCheckBlock('product-cards', html);
+
+  assert.equal(checked, html);
+  assert.deepEqual(issues, []);
+});
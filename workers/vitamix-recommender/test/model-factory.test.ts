@@ -0,0 +1,269 @@
+/**
+ * Fallback chain and circuit breaker behaviour, with stand-in providers in
+ * place of the real APIs
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ModelFactory, ProviderError } from '../src/ai-clients/model-factory';
+import type { ProviderCall } from '../src/ai-clients/model-factory';
+import { CircuitBreaker, getCircuitBreaker, resetCircuitBreakers } from '../src/lib/circuit-breaker';
+import { sleep } from '../src/lib/async-utils';
+import { UsageTracker } from '../src/lib/usage-tracker';
+import type { Env, ModelConfig, ResolvedPreset } from '../src/types';
+
+const env = {} as Env;
+const messages = [{ role: 'user' as const, content: 'Recommend a blender' }];
+
+function presetWith(content: ModelConfig): ResolvedPreset {
+  const other: ModelConfig = { provider: 'anthropic', model: 'claude-haiku-4-5-20251001' };
+  return {
+    name: 'test',
+    roles: { reasoning: other, content, classification: other, validation: other },
+    overrides: {},
+    key: 'test',
+  };
+}
+
+const chain: ModelConfig = {
+  provider: 'cerebras',
+  model: 'gpt-oss-120b',
+  retries: 0,
+  fallbacks: [{ provider: 'anthropic', model: 'claude-haiku-4-5-20251001' }],
+};
+
+const succeed: ProviderCall = async (config) => ({ content: 'ok', model: config.model });
+const failWith = (status: number): ProviderCall => async (config) => {
+  throw new ProviderError(config.provider, status, `${config.provider} error ${status}`);
+};
+
+/**
+ * A provider stand-in that counts its calls
+ */
+function counted(call: ProviderCall): ProviderCall & { calls: number } {
+  const wrapped = Object.assign(
+    (...args: Parameters<ProviderCall>) => {
+      wrapped.calls++;
+      return call(...args);
+    },
+    { calls: 0 }
+  );
+  return wrapped;
+}
+
+beforeEach(() => {
+  resetCircuitBreakers();
+});
+
+test('serves from the primary model when it succeeds', async () => {
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: { cerebras: succeed, anthropic: failWith(500) },
+  });
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'cerebras');
+  assert.equal(response.fallback, false);
+});
+
+test('falls back down the chain when the primary fails', async () => {
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: { cerebras: failWith(503), anthropic: succeed },
+  });
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'anthropic');
+  assert.equal(response.model, 'claude-haiku-4-5-20251001');
+  assert.equal(response.fallback, true);
+});
+
+test('retries transient errors before falling back', async () => {
+  let failures = 1;
+  const cerebras = counted(async (config) => {
+    if (failures-- > 0) throw new ProviderError('cerebras', 429, 'rate limited');
+    return { content: 'ok', model: config.model };
+  });
+  const factory = new ModelFactory(presetWith({ ...chain, retries: 1 }), {
+    providers: { cerebras, anthropic: failWith(500) },
+  });
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'cerebras');
+  assert.equal(cerebras.calls, 2);
+});
+
+test('does not retry client errors', async () => {
+  const cerebras = counted(failWith(400));
+  const factory = new ModelFactory(presetWith({ ...chain, retries: 2 }), {
+    providers: { cerebras, anthropic: succeed },
+  });
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'anthropic');
+  assert.equal(cerebras.calls, 1);
+});
+
+test('falls back when the primary times out', async () => {
+  const factory = new ModelFactory(presetWith({ ...chain, timeoutMs: 20 }), {
+    providers: { cerebras: () => new Promise(() => {}), anthropic: succeed },
+  });
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'anthropic');
+  assert.equal(getCircuitBreaker('cerebras').getState(), 'closed');
+});
+
+test('a timed-out attempt has its request aborted', async () => {
+  let signal: AbortSignal | undefined;
+  const factory = new ModelFactory(presetWith({ ...chain, timeoutMs: 20 }), {
+    providers: {
+      cerebras: (config, msgs, callEnv, onDelta, attemptSignal) => {
+        signal = attemptSignal;
+        return new Promise(() => {});
+      },
+      anthropic: succeed,
+    },
+  });
+
+  await factory.call('content', messages, env);
+  assert.equal(signal?.aborted, true);
+});
+
+test('stops without falling back once the caller aborts', async () => {
+  const controller = new AbortController();
+  const anthropic = counted(succeed);
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: {
+      cerebras: (config, msgs, callEnv, onDelta, signal) => new Promise((_, reject) => {
+        signal?.addEventListener('abort', () => reject(signal.reason));
+      }),
+      anthropic,
+    },
+  });
+
+  const pending = factory.call('content', messages, env, { signal: controller.signal });
+  controller.abort(new Error('block timed out'));
+
+  await assert.rejects(pending, /block timed out/);
+  assert.equal(anthropic.calls, 0);
+  assert.equal(getCircuitBreaker('cerebras').getState(), 'closed');
+});
+
+test('reports every failure when the whole chain fails', async () => {
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: { cerebras: failWith(500), anthropic: failWith(502) },
+  });
+
+  await assert.rejects(
+    factory.call('content', messages, env),
+    /All models failed for content: cerebras\/gpt-oss-120b: .*500.*; anthropic\/claude-haiku-4-5-20251001: .*502/
+  );
+});
+
+test('skips a provider once its circuit opens', async () => {
+  const cerebras = counted(failWith(500));
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: { cerebras, anthropic: succeed },
+  });
+
+  for (let i = 0; i < 3; i++) {
+    await factory.call('content', messages, env);
+  }
+  assert.equal(getCircuitBreaker('cerebras').getState(), 'open');
+
+  const response = await factory.call('content', messages, env);
+  assert.equal(response.provider, 'anthropic');
+  assert.equal(cerebras.calls, 3);
+});
+
+test('rate limits and timeouts count towards opening the circuit', async () => {
+  const factory = new ModelFactory(presetWith({ ...chain, timeoutMs: 20 }), {
+    providers: { cerebras: failWith(429), anthropic: succeed },
+  });
+  await factory.call('content', messages, env);
+  await factory.call('content', messages, env);
+
+  const slowFactory = new ModelFactory(presetWith({ ...chain, timeoutMs: 20 }), {
+    providers: { cerebras: () => new Promise(() => {}), anthropic: succeed },
+  });
+  await slowFactory.call('content', messages, env);
+
+  assert.equal(getCircuitBreaker('cerebras').getState(), 'open');
+});
+
+test('client errors do not open the circuit', async () => {
+  const cerebras = counted(failWith(401));
+  const factory = new ModelFactory(presetWith(chain), {
+    providers: { cerebras, anthropic: succeed },
+  });
+
+  for (let i = 0; i < 5; i++) {
+    await factory.call('content', messages, env);
+  }
+  assert.equal(getCircuitBreaker('cerebras').getState(), 'closed');
+  assert.equal(cerebras.calls, 5);
+});
+
+test('lets one trial call through after the cooldown', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 20 });
+  breaker.recordFailure();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.getState(), 'open');
+  assert.equal(breaker.canRequest(), false);
+
+  await sleep(30);
+  assert.equal(breaker.getState(), 'half-open');
+  assert.equal(breaker.canRequest(), true);
+  assert.equal(breaker.canRequest(), false);
+
+  breaker.recordSuccess();
+  assert.equal(breaker.getState(), 'closed');
+});
+
+test('a failed trial re-opens the circuit and a neutral one frees the trial', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, cooldownMs: 20 });
+  breaker.recordFailure();
+  await sleep(30);
+
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordNeutral();
+  assert.equal(breaker.canRequest(), true);
+  breaker.recordFailure();
+  assert.equal(breaker.getState(), 'open');
+});
+
+test('flags models without pricing instead of counting them as free', async () => {
+  const usageTracker = new UsageTracker();
+  const withUsage: ProviderCall = async (config) => ({
+    content: 'ok', model: config.model, usage: { inputTokens: 1000, outputTokens: 500 },
+  });
+  const factory = new ModelFactory(presetWith({ ...chain, model: 'unpriced-model' }), {
+    usageTracker,
+    providers: { cerebras: withUsage, anthropic: withUsage },
+  });
+
+  await factory.call('content', messages, env);
+  await factory.call('reasoning', messages, env);
+
+  const usage = usageTracker.summarize('test');
+  assert.deepEqual(usage.unpricedModels, ['unpriced-model']);
+  assert.equal(usage.costUsd, 0.0035);
+});
+
+test('counts failed attempts apart from billed calls', async () => {
+  const usageTracker = new UsageTracker();
+  const factory = new ModelFactory(presetWith(chain), {
+    usageTracker,
+    providers: { cerebras: failWith(500), anthropic: succeed },
+  });
+
+  await factory.call('content', messages, env);
+
+  const usage = usageTracker.summarize('test');
+  assert.equal(usage.calls, 1);
+  assert.equal(usage.failedCalls, 1);
+  assert.deepEqual(
+    usageTracker.getRecords().map((r) => [r.provider, r.failed]),
+    [['cerebras', true], ['anthropic', false]]
+  );
+});
@@ -0,0 +1,29 @@
+/**
+ * Response cache keys
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCacheKey, normalizeQuery } from '../src/lib/response-cache';
+import { resolvePreset } from '../src/ai-clients/preset-registry';
+
+test('collapses near-duplicate queries', () => {
+  assert.equal(normalizeQuery('Best blenders for a smoothie?'), normalizeQuery('best blender for smoothies'));
+});
+
+test('keeps word order and "with"', () => {
+  assert.notEqual(normalizeQuery('tofu to replace chicken'), normalizeQuery('chicken to replace tofu'));
+  assert.notEqual(normalizeQuery('smoothie with spinach'), normalizeQuery('smoothie spinach'));
+});
+
+test('changes the key when a preset resolves to different models', async () => {
+  const preset = resolvePreset('production');
+  const edited = {
+    ...preset,
+    roles: { ...preset.roles, content: { ...preset.roles.content, model: 'another-model' } },
+  };
+
+  const key = await buildCacheKey('best blender for smoothies', 'product_recommendation', preset);
+  assert.equal(key, await buildCacheKey('Best blenders for smoothies', 'product_recommendation', preset));
+  assert.notEqual(key, await buildCacheKey('best blender for smoothies', 'product_recommendation', edited));
+});
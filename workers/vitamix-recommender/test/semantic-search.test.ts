@@ -0,0 +1,81 @@
+/**
+ * Retrieval over the in-memory index and local embedding that stand in for
+ * Vectorize and Workers AI
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  InMemoryVectorIndex,
+  localEmbed,
+  semanticSearch,
+  semanticSearchWithEnv,
+  fuseRankings,
+  buildHybridRAGContext,
+} from '../src/content/semantic-search';
+import { meetsDietaryConstraint } from '../src/content/dietary-filters';
+import type { Env, Recipe } from '../src/types';
+
+const env = {} as Env;
+
+test('embeds text deterministically as a unit vector', () => {
+  const vector = localEmbed('Creamy tomato soup');
+  assert.deepEqual(vector, localEmbed('creamy tomato soups!'));
+  assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-9);
+  assert.ok(localEmbed('the and of').every((value) => value === 0));
+});
+
+test('ranks the nearest vectors first and applies metadata filters', async () => {
+  const index = new InMemoryVectorIndex();
+  await index.upsert([
+    { id: 'soup', values: localEmbed('hot tomato soup'), metadata: { content_type: 'recipe' } },
+    { id: 'smoothie', values: localEmbed('green kale smoothie'), metadata: { content_type: 'recipe' } },
+    { id: 'blender', values: localEmbed('blender for soup'), metadata: { content_type: 'product' } },
+  ]);
+
+  const all = await index.query(localEmbed('tomato soup'), { topK: 3 });
+  assert.equal(all.matches[0].id, 'soup');
+  assert.equal(all.matches.at(-1)?.id, 'smoothie');
+
+  const products = await index.query(localEmbed('tomato soup'), { filter: { content_type: 'product' } });
+  assert.deepEqual(products.matches.map((match) => match.id), ['blender']);
+});
+
+test('retrieves related recipes from the bundled content', async () => {
+  const { backend, matches } = await semanticSearchWithEnv('warm soup for winter', env, 5);
+  assert.equal(backend, 'local');
+  assert.ok(matches.length > 0);
+  assert.ok(matches.every((match) => match.kind === 'recipe' && /soup/i.test(match.item.name)));
+
+  const smoothies = await semanticSearchWithEnv('green smoothie with kale', env, 3);
+  assert.match(smoothies.matches[0].item.name, /kale/i);
+});
+
+test('resolves matches to content and drops those below the minimum score', async () => {
+  const index = new InMemoryVectorIndex();
+  await index.upsert([{
+    id: 'recipe-carrot',
+    values: localEmbed('Spiced Carrot Soup'),
+    metadata: { content_type: 'recipe', page_title: 'Spiced Carrot Soup' },
+  }]);
+  const embed = async (texts: string[]) => texts.map(localEmbed);
+
+  const [match] = await semanticSearch('carrot soup', index, embed);
+  assert.equal(match.kind, 'recipe');
+  assert.equal(match.item.name, 'Spiced Carrot Soup');
+  assert.deepEqual(await semanticSearch('espresso martini', index, embed), []);
+});
+
+test('ranks items found by both retrievers first', () => {
+  const fused = fuseRankings(['a', 'b', 'c'], ['c', 'd'], (item) => item, 3);
+  assert.equal(fused[0], 'c');
+  assert.deepEqual(fused.slice(1), ['a', 'b']);
+});
+
+test('applies dietary constraints to vector matches', async () => {
+  const context = await buildHybridRAGContext('nut-free frozen dessert', undefined, env);
+  assert.ok(context.relevantRecipes.length > 0);
+  for (const recipe of context.relevantRecipes as Recipe[]) {
+    assert.ok(meetsDietaryConstraint(recipe, 'nut-free'), recipe.name);
+  }
+});
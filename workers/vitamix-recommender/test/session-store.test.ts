@@ -0,0 +1,50 @@
+/**
+ * Server-side session memory and its session key
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendSessionTurn, deleteSession, loadSessionContext, SessionError } from '../src/lib/session-store';
+import type { Env } from '../src/types';
+
+const SESSION_ID = '0b6f2d4e-9c1a-4f3b-8e2d-5a7c9b1d3f5e';
+const KEY = 'c3d9e1f7-2a4b-4c6d-8e0f-1a2b3c4d5e6f';
+const OTHER_KEY = 'f0e1d2c3-b4a5-4968-8776-655443322110';
+
+/**
+ * Just enough of a KV namespace for the session store
+ */
+function memoryEnv(): Env {
+  const values = new Map<string, string>();
+  const SESSIONS = {
+    get: async (key: string) => (values.has(key) ? JSON.parse(values.get(key)!) : null),
+    put: async (key: string, value: string) => { values.set(key, value); },
+    delete: async (key: string) => { values.delete(key); },
+  };
+  return { SESSIONS } as unknown as Env;
+}
+
+const turn = { query: 'best blender for smoothies', intent: 'product_recommendation' };
+
+test('only the key that started a session can read or extend it', async () => {
+  const env = memoryEnv();
+  await appendSessionTurn(env, SESSION_ID, KEY, turn);
+  await appendSessionTurn(env, SESSION_ID, OTHER_KEY, { ...turn, query: 'forged turn' });
+
+  const context = await loadSessionContext(env, SESSION_ID, KEY);
+  assert.deepEqual(context?.previousQueries.map((t) => t.query), ['best blender for smoothies']);
+  assert.equal(await loadSessionContext(env, SESSION_ID, OTHER_KEY), undefined);
+  assert.equal(await loadSessionContext(env, SESSION_ID, undefined), undefined);
+});
+
+test('deleting a session needs its key', async () => {
+  const env = memoryEnv();
+  await appendSessionTurn(env, SESSION_ID, KEY, turn);
+
+  await assert.rejects(
+    deleteSession(env, SESSION_ID, OTHER_KEY),
+    (error: unknown) => error instanceof SessionError && error.status === 401
+  );
+  assert.equal(await deleteSession(env, SESSION_ID, KEY), true);
+  assert.equal(await loadSessionContext(env, SESSION_ID, KEY), undefined);
+});